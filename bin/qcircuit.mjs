@@ -0,0 +1,228 @@
+#!/usr/bin/env node
+// ------------------------------ qcircuit ------------------------------
+// Command-line access to design files saved by the app ("Save JSON"), for scripts that
+// check or grade many of them at once. It runs the app's own modules (src/lib.js), so
+// validation, statistics, exports and simulation match what the editor does.
+
+import { readdir, readFile, stat, writeFile, mkdir } from "node:fs/promises";
+import { basename, extname, join } from "node:path";
+import { register } from "node:module";
+import { parseArgs } from "node:util";
+
+register("./src-hooks.mjs", import.meta.url);
+const { DesignError, EXPORT_FORMATS, designStats, exportDesign, parseDesign, simulateDesign } =
+  await import("../src/lib.js");
+
+const USAGE = `Usage: qcircuit <command> [options] <design.json | directory>...
+
+Commands:
+  validate           check each design, listing every problem
+  stats              qubits, gates, depth and gate counts
+  simulate           sample counts on the local simulator
+  convert --to <id>  write each design in another format
+  formats            list the formats convert writes
+
+Directories are searched for .json files, including subdirectories.
+
+Options:
+  --json             one JSON object per design on stdout, for scripts
+  --shots <n>        shots to simulate, or for generated programs (default 1024)
+  --seed <n>         seed the simulator's sampling so runs repeat
+  -o, --out <path>   convert: output file for one design, or a directory
+  --theme <name>     convert to svg: light (default) or dark
+  --collapse         convert to svg or tex: leave out columns without gates
+  -h, --help         show this help
+
+Exit status: 0 when every design succeeded, 1 when any failed, 2 for usage errors.`;
+
+/** Thrown for bad command lines; the message is printed above the usage. */
+class UsageError extends Error {}
+
+const OPTIONS = {
+  json: { type: "boolean" },
+  shots: { type: "string" },
+  seed: { type: "string" },
+  to: { type: "string" },
+  out: { type: "string", short: "o" },
+  theme: { type: "string" },
+  collapse: { type: "boolean" },
+  help: { type: "boolean", short: "h" },
+};
+
+/** A whole number option, or undefined when absent. */
+function integerOption(values, name, min) {
+  if (values[name] === undefined) return undefined;
+  const n = Number(values[name]);
+  if (!Number.isInteger(n) || n < min) {
+    throw new UsageError(`--${name} must be a whole number from ${min}.`);
+  }
+  return n;
+}
+
+/** Every .json file named or inside a named directory, in a stable order. */
+async function designFiles(paths) {
+  const files = [];
+  for (const path of paths) {
+    const info = await stat(path).catch(() => null);
+    if (!info) throw new UsageError(`No such file or directory: ${path}`);
+    if (!info.isDirectory()) {
+      files.push(path);
+      continue;
+    }
+    const entries = await readdir(path, { recursive: true, withFileTypes: true });
+    files.push(
+      ...entries
+        .filter((e) => e.isFile() && extname(e.name).toLowerCase() === ".json")
+        .map((e) => join(e.parentPath ?? e.path, e.name))
+        .sort()
+    );
+  }
+  return files;
+}
+
+/** The problems with a failed design, one sentence each. */
+function problems(error) {
+  if (error instanceof DesignError) return error.errors;
+  return [error.message ?? String(error)];
+}
+
+/** "H 1, CNOT 2" */
+function formatByType(byType) {
+  return Object.entries(byType)
+    .map(([type, n]) => `${type} ${n}`)
+    .join(", ");
+}
+
+// Each command takes a loaded design and returns its report (for --json) and its text
+const COMMANDS = {
+  validate: () => ({ report: {}, text: "ok" }),
+
+  stats: (design) => {
+    const stats = designStats(design);
+    const notes = [
+      stats.customGates.length && `custom gates: ${stats.customGates.join(", ")}`,
+      stats.params.length && `parameters: ${stats.params.join(", ")}`,
+      stats.dynamic && "dynamic",
+      stats.noisy && "noisy",
+    ].filter(Boolean);
+    return {
+      report: { stats },
+      text: [
+        `${stats.numQubits} qubits, ${stats.numColumns} columns, ${stats.count} gates ` +
+          `(${stats.placed} placed), depth ${stats.depth}`,
+        formatByType(stats.byType) || "no gates",
+        ...(notes.length ? [notes.join("; ")] : []),
+      ].join("\n  "),
+    };
+  },
+
+  simulate: (design, options) => {
+    const { counts, shots } = simulateDesign(design, options);
+    const rows = Object.entries(counts).sort(([a], [b]) => (a < b ? -1 : 1));
+    return {
+      report: { shots, counts },
+      text: `${shots} shots\n${rows.map(([bits, n]) => `  ${bits}  ${n}`).join("\n")}`,
+    };
+  },
+
+  convert: (design, { format, shots, theme, collapse }) => ({
+    output: exportDesign(design, format, { shots, theme, collapse }),
+  }),
+};
+
+async function main(argv) {
+  const { values, positionals } = parseArgs({
+    args: argv,
+    options: OPTIONS,
+    allowPositionals: true,
+  });
+  const [command, ...paths] = positionals;
+  if (values.help || !command) {
+    console.log(USAGE);
+    return 0;
+  }
+  if (command === "formats") {
+    for (const f of EXPORT_FORMATS) {
+      console.log(`${f.id.padEnd(10)} .${f.extension.padEnd(6)} ${f.label}`);
+    }
+    return 0;
+  }
+  if (!COMMANDS[command]) throw new UsageError(`Unknown command: ${command}`);
+  if (paths.length === 0) throw new UsageError("Name at least one design file or directory.");
+
+  const format = EXPORT_FORMATS.find((f) => f.id === values.to);
+  if (command === "convert" && !format) {
+    throw new UsageError(
+      `convert needs --to with one of: ${EXPORT_FORMATS.map((f) => f.id).join(", ")}`
+    );
+  }
+  if (values.theme !== undefined && !["light", "dark"].includes(values.theme)) {
+    throw new UsageError("--theme must be light or dark.");
+  }
+  const options = {
+    shots: integerOption(values, "shots", 1),
+    seed: integerOption(values, "seed", 0),
+    format: format?.id,
+    theme: values.theme,
+    collapse: values.collapse,
+  };
+
+  const files = await designFiles(paths);
+  if (command === "convert" && !values.out && (values.json || files.length > 1)) {
+    throw new UsageError("convert needs --out for several designs or with --json.");
+  }
+  // One input converts to --out as a file; several go into --out as a directory
+  const outDir =
+    command === "convert" &&
+    values.out &&
+    (files.length > 1 || (await stat(values.out).catch(() => null))?.isDirectory())
+      ? values.out
+      : null;
+  if (outDir) await mkdir(outDir, { recursive: true });
+
+  let failed = 0;
+  for (const file of files) {
+    let result;
+    try {
+      const design = parseDesign(await readFile(file, "utf8"));
+      result = COMMANDS[command](design, options);
+    } catch (error) {
+      failed++;
+      const errors = problems(error);
+      if (values.json) console.log(JSON.stringify({ file, ok: false, errors }));
+      else console.error(`${file}: FAILED\n${errors.map((p) => `  ${p}`).join("\n")}`);
+      continue;
+    }
+
+    if (result.output !== undefined) {
+      const target = outDir
+        ? join(outDir, `${basename(file, extname(file))}.${format.extension}`)
+        : values.out;
+      if (target) await writeFile(target, result.output);
+      else process.stdout.write(result.output);
+      if (values.json) console.log(JSON.stringify({ file, ok: true, output: target ?? null }));
+    } else if (values.json) {
+      console.log(JSON.stringify({ file, ok: true, ...result.report }));
+    } else {
+      console.log(`${file}: ${result.text}`);
+    }
+  }
+  return failed > 0 ? 1 : 0;
+}
+
+// Stop quietly when the reader goes away, as with `qcircuit stats dir | head`
+process.stdout.on("error", (error) => {
+  if (error.code !== "EPIPE") throw error;
+  process.exit(process.exitCode ?? 0);
+});
+
+main(process.argv.slice(2)).then(
+  (status) => {
+    process.exitCode = status;
+  },
+  (error) => {
+    if (!(error instanceof UsageError) && !error.code?.startsWith("ERR_PARSE_ARGS")) throw error;
+    console.error(`${error.message}\n\n${USAGE}`);
+    process.exitCode = 2;
+  }
+);
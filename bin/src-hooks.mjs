@@ -0,0 +1,29 @@
+// Module hooks that let Node load the app's sources as they are written for the bundler:
+// .js files under src/ are ES modules, and relative imports may leave out ".js" or
+// "/index.js". Registered by qcircuit.mjs before it imports src/lib.js.
+
+const SRC = new URL("../src/", import.meta.url).href;
+
+export async function resolve(specifier, context, nextResolve) {
+  try {
+    return await nextResolve(specifier, context);
+  } catch (error) {
+    const relative = specifier.startsWith("./") || specifier.startsWith("../");
+    if (!relative || !context.parentURL?.startsWith(SRC)) throw error;
+    for (const suffix of [".js", "/index.js"]) {
+      try {
+        return await nextResolve(specifier + suffix, context);
+      } catch {
+        // try the next suffix
+      }
+    }
+    throw error;
+  }
+}
+
+export async function load(url, context, nextLoad) {
+  if (url.startsWith(SRC) && url.endsWith(".js")) {
+    return nextLoad(url, { ...context, format: "module" });
+  }
+  return nextLoad(url, context);
+}
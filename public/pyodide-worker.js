@@ -0,0 +1,120 @@
+/* global loadPyodide */
+// ------------------------------ Pyodide Worker ------------------------------
+// Runs Python off the main thread for the in-app notebook (see src/pyodide.js for the
+// messages it understands). Cells share one namespace until it is reset. Plain script (not
+// bundled) so it can load Pyodide with importScripts from the CDN or a locally served copy.
+
+let pyodide = null;
+let namespace = null;
+let interruptBuffer = null;
+let current = null; // id of the request whose output is being printed
+
+const post = (message) => self.postMessage(message);
+const print = (name) => (text) =>
+  post({ type: "output", id: current, output: { kind: "stream", name, text: `${text}\n` } });
+
+// Figures are drawn with Agg and sent as PNGs after each cell, then closed
+const SETUP = `
+import os, warnings
+os.environ["MPLBACKEND"] = "agg"
+warnings.filterwarnings("ignore", message=".*non-GUI backend.*")
+warnings.filterwarnings("ignore", message=".*non-interactive.*")
+
+def _qcb_figures():
+    import sys
+    plt = sys.modules.get("matplotlib.pyplot")
+    if plt is None:
+        return []
+    import base64, io
+    images = []
+    for number in plt.get_fignums():
+        buf = io.BytesIO()
+        plt.figure(number).savefig(buf, format="png", bbox_inches="tight")
+        images.append(base64.b64encode(buf.getvalue()).decode())
+    plt.close("all")
+    return images
+`;
+
+function newNamespace() {
+  namespace?.destroy();
+  namespace = pyodide.globals.get("dict")();
+}
+
+async function init({ indexURL, interrupt }) {
+  self.importScripts(`${indexURL}pyodide.js`);
+  pyodide = await loadPyodide({ indexURL, stdin: () => null });
+  pyodide.setStdout({ batched: print("stdout") });
+  pyodide.setStderr({ batched: print("stderr") });
+  if (interrupt) {
+    interruptBuffer = interrupt;
+    pyodide.setInterruptBuffer(interruptBuffer);
+  }
+  pyodide.runPython(SETUP);
+  newNamespace();
+  return { version: pyodide.version };
+}
+
+/** Python's repr of a cell's value, or null for None */
+function reprOf(value) {
+  if (value === undefined) return null;
+  if (!pyodide.isPyProxy(value)) return String(value);
+  try {
+    return pyodide.globals.get("repr")(value);
+  } finally {
+    value.destroy();
+  }
+}
+
+async function run({ id, code }) {
+  if (interruptBuffer) interruptBuffer[0] = 0;
+  await pyodide.loadPackagesFromImports(code, { messageCallback: () => {} });
+  const value = await pyodide.runPythonAsync(code, { globals: namespace });
+  const text = reprOf(value);
+  if (text !== null) post({ type: "output", id, output: { kind: "text", text } });
+  const figures = pyodide.globals.get("_qcb_figures")();
+  for (const png of figures.toJs()) {
+    post({ type: "output", id, output: { kind: "image", src: `data:image/png;base64,${png}` } });
+  }
+  figures.destroy();
+}
+
+async function install({ id, packages }) {
+  await pyodide.loadPackage("micropip", { messageCallback: () => {} });
+  const micropip = pyodide.pyimport("micropip");
+  try {
+    for (const name of packages) {
+      await micropip.install(name);
+      post({
+        type: "output",
+        id,
+        output: { kind: "stream", name: "stdout", text: `Installed ${name}\n` },
+      });
+    }
+  } finally {
+    micropip.destroy();
+  }
+}
+
+const HANDLERS = {
+  init,
+  run,
+  install,
+  reset: newNamespace,
+};
+
+// Requests are handled one at a time, in the order they arrive
+let queue = Promise.resolve();
+self.onmessage = ({ data }) => {
+  queue = queue.then(async () => {
+    current = data.id;
+    try {
+      const result = await HANDLERS[data.type](data);
+      post({ type: "done", id: data.id, status: "ok", ...result });
+    } catch (e) {
+      const text = String(e.message ?? e).trimEnd();
+      const interrupted = /KeyboardInterrupt/.test(text);
+      post({ type: "output", id: data.id, output: { kind: "error", text } });
+      post({ type: "done", id: data.id, status: interrupted ? "interrupted" : "error" });
+    }
+  });
+};
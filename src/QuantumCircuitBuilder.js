@@ -1,16 +1,113 @@
 import React, { useMemo, useRef, useState, useEffect } from "react";
-import { ServerConnection, SessionManager } from "@jupyterlab/services";
+import { runThroughColumn } from "./quantum/simulator";
+import { blochVector, reducedState } from "./quantum/analysis";
+import {
+  GATE_SPECS,
+  gateControls,
+  gateParams,
+  gateQubits,
+  gateSpan,
+  makeGate,
+} from "./quantum/gates";
+import { bindParameters, gateSymbols, withDefaults } from "./quantum/parameters";
+import { exportQasm, importQasm } from "./quantum/qasm";
+import {
+  compositeOrder,
+  defineComposite,
+  expandComposites,
+  expandInstance,
+  makeInstance,
+  validateCompositeName,
+} from "./quantum/composite";
+import {
+  boundingRect,
+  copyGates,
+  defaultQubits,
+  gatesInRect,
+  moveGates,
+  pasteGates,
+  placementError,
+} from "./quantum/layout";
+import { BACKENDS, DEFAULT_BACKEND, generateCode, getBackend } from "./quantum/codegen";
+import {
+  couplingMap,
+  parseCouplingMap,
+  TOPOLOGIES,
+  transpile,
+  uncoupledGates,
+} from "./quantum/topology";
+import { NO_NOISE } from "./quantum/noise";
+import { conditionLabel, measuredBit } from "./quantum/classical";
+import { downloadFile } from "./download";
+import { buildNotebook, notebookFileName, serializeNotebook } from "./notebook";
+import { simulateDesign } from "./circuit";
+import { decodeShare, encodeShare } from "./share";
+import { openLibraryStore, readAutosave, writeAutosave } from "./library";
+import { jupyterSettings, listKernelSpecs, openKernel } from "./jupyter";
+import {
+  DesignError,
+  designFileName,
+  EMPTY_METADATA,
+  parseDesign,
+  serializeDesign,
+} from "./design";
+import {
+  canRedo,
+  canUndo,
+  createHistory,
+  jumpTo,
+  record,
+  redo,
+  timeline,
+  undo,
+} from "./history";
+import { parseCounts, totalShots } from "./quantum/counts";
+import { Button, Pill } from "./components/ui";
+import ResultsPanel from "./components/ResultsPanel";
+import StateInspector from "./components/StateInspector";
+import BlochSphere from "./components/BlochSphere";
+import ParameterPanel from "./components/ParameterPanel";
+import CustomGatePanel from "./components/CustomGatePanel";
+import HistoryPanel from "./components/HistoryPanel";
+import GateInspector from "./components/GateInspector";
+import OptimizerPanel from "./components/OptimizerPanel";
+import UnitaryPanel from "./components/UnitaryPanel";
+import TemplateGallery from "./components/TemplateGallery";
+import DiagramPanel from "./components/DiagramPanel";
+import DevicePanel from "./components/DevicePanel";
+import NoisePanel from "./components/NoisePanel";
+import DetailsPanel from "./components/DetailsPanel";
+import LibraryPanel from "./components/LibraryPanel";
+import JupyterPanel from "./components/JupyterPanel";
+import NotebookPanel from "./components/NotebookPanel";
 
 
 /**
  * @typedef {Object} Gate
  * @property {string} id - unique id
- * @property {"H"|"X"|"Y"|"Z"|"S"|"T"|"RX"|"RY"|"RZ"|"CNOT"|"CZ"|"SWAP"|"MEASURE"} type
+ * @property {string} type - key of GATE_SPECS ("H", "RX", "CNOT", "CCX", "U", …) or "CUSTOM"
  * @property {number} column - time step (0..numColumns-1)
  * @property {number} target - target qubit index (0..numQubits-1)
- * @property {number=} control - control qubit index (two-qubit gates)
- * @property {number=} pair - partner qubit for SWAP
- * @property {number=} angle - radians for rotation gates (RX/RY/RZ)
+ * @property {number=} control - control qubit index (CNOT/CZ)
+ * @property {number[]=} controls - control qubits of other controlled gates (CCX, CRX, CSWAP, …)
+ * @property {number=} pair - partner qubit for SWAP/iSWAP/CSWAP
+ * @property {number=} angle - radians for one-parameter gates (RX/RY/RZ/P/CRX/CRY/CRZ/CP)
+ * @property {string=} expr - symbolic angle such as "2*phi + pi/4"; takes precedence over angle
+ * @property {number[]=} angles - θ, φ, λ for U
+ * @property {(string|null)[]=} exprs - symbolic θ, φ, λ for U; non-null entries take precedence
+ * @property {string=} name - definition used by a CUSTOM gate
+ * @property {number[]=} qubits - wires of a CUSTOM gate, one per wire of its definition
+ * @property {number=} clbit - classical bit a MEASURE writes (its own qubit's by default)
+ * @property {import("./quantum/classical").Condition=} condition - apply only when the
+ *   classical register matches
+ */
+
+/**
+ * The part of the editor state covered by undo/redo.
+ * @typedef {Object} CircuitLayout
+ * @property {Gate[]} gates
+ * @property {number} numQubits
+ * @property {number} numColumns
  */
 
 const GATE_PALETTE = [
@@ -20,167 +117,80 @@ const GATE_PALETTE = [
   { type: "Z", label: "Z" },
   { type: "S", label: "S" },
   { type: "T", label: "T" },
+  { type: "SDG", label: "S†" },
+  { type: "TDG", label: "T†" },
+  { type: "SX", label: "√X" },
   { type: "RX", label: "RX(θ)" },
   { type: "RY", label: "RY(θ)" },
   { type: "RZ", label: "RZ(θ)" },
+  { type: "P", label: "P(λ)" },
+  { type: "U", label: "U(θ,φ,λ)" },
   { type: "CNOT", label: "CNOT" },
   { type: "CZ", label: "CZ" },
+  { type: "CRX", label: "CRX(θ)" },
+  { type: "CRY", label: "CRY(θ)" },
+  { type: "CRZ", label: "CRZ(θ)" },
+  { type: "CP", label: "CP(λ)" },
+  { type: "CCX", label: "CCX" },
   { type: "SWAP", label: "SWAP" },
+  { type: "ISWAP", label: "iSWAP" },
+  { type: "CSWAP", label: "CSWAP" },
   { type: "MEASURE", label: "Measure" },
+  { type: "RESET", label: "Reset" },
 ];
 
-function uid(prefix = "g") {
-  return `${prefix}_${Math.random().toString(36).slice(2, 9)}`;
-}
-
-// ------------------------------ Helper UI ------------------------------
-
-function Pill({ children }) {
-  return (
-    <div className="rounded-2xl border border-slate-600 px-3 py-1 text-sm font-medium shadow-sm bg-slate-800/60">
-      {children}
-    </div>
+// Symbol drawn on a multi-qubit gate's target (and swap partner) row; controls get "•"
+const TARGET_SYMBOLS = {
+  CNOT: "⊕",
+  CCX: "⊕",
+  CZ: "Z",
+  CRX: "RX",
+  CRY: "RY",
+  CRZ: "RZ",
+  CP: "P",
+  SWAP: "×",
+  CSWAP: "×",
+  ISWAP: "i×",
+};
+
+/** Problems listed in the notice when a design file is rejected. */
+const MAX_LISTED_ERRORS = 5;
+
+/** Quiet time after the last change before the working circuit is autosaved. */
+const AUTOSAVE_DELAY_MS = 1000;
+
+/** "(0.5)", "(2*theta)" or "(θ, φ, λ)"-style suffix for a gate's angles. */
+function formatAngles(g) {
+  const names = GATE_SPECS[g.type]?.params ?? [];
+  const parts = gateParams(g).map(({ angle, expr }, i) =>
+    expr ? expr : angle !== undefined ? String(Number(angle.toFixed(4))) : names[i]
   );
+  return parts.length ? `(${parts.join(", ")})` : "";
 }
 
-function Button({ children, className = "", ...props }) {
-  return (
-    <button
-      className={
-        "rounded-2xl px-4 py-2 font-medium shadow-sm border border-slate-600 bg-slate-800 hover:bg-slate-700 active:scale-[.99] " +
-        className
-      }
-      {...props}
-    >
-      {children}
-    </button>
-  );
+/** Short name of a gate for messages and the history list. */
+function gateLabel(g) {
+  return g.type === "CUSTOM" ? g.name : GATE_SPECS[g.type]?.label ?? g.type;
 }
 
-// ------------------------------ In-App Python Notebook (Pyodide) ------------------------------
-// Lightweight single-cell notebook that runs Python *in the browser* using Pyodide.
-// NOTE: Heavy packages like qiskit/qiskit-aer are not available in Pyodide.
-
-function usePyodide() {
-  const [state, setState] = useState({ loading: true, api: null, error: null });
-
-  useEffect(() => {
-    let cancelled = false;
-    (async () => {
-      try {
-        if (!window.loadPyodide) {
-          await new Promise((resolve, reject) => {
-            const s = document.createElement("script");
-            s.src = "https://cdn.jsdelivr.net/pyodide/v0.25.1/full/pyodide.js";
-            s.onload = resolve;
-            s.onerror = reject;
-            document.body.appendChild(s);
-          });
-        }
-        const pyodide = await window.loadPyodide({
-          stdin: () => null,
-          stderr: (t) => console.error(t),
-          stdout: (t) => console.log(t),
-        });
-        if (!cancelled) setState({ loading: false, api: pyodide, error: null });
-      } catch (e) {
-        if (!cancelled) setState({ loading: false, api: null, error: String(e) });
-      }
-    })();
-    return () => {
-      cancelled = true;
-    };
-  }, []);
-
-  return state; // {loading, api, error}
+/** "1 gate", "3 gates" */
+function gateCount(n) {
+  return n === 1 ? "1 gate" : `${n} gates`;
 }
 
-function InAppNotebook({ code, onClose }) {
-  const [cell, setCell] = useState(
-    code ||
-      `# Paste/generated Python here
-print('Hello from Pyodide')
-`
-  );
-  const [output, setOutput] = useState("");
-  const [running, setRunning] = useState(false);
-  const { loading, api, error } = usePyodide();
-
-  async function run() {
-    if (!api) return;
-    setRunning(true);
-    setOutput("");
-    try {
-      await api.runPythonAsync(
-        `
-import sys
-class _Cap:
-    def __init__(self):
-        self.buf = []
-    def write(self, s):
-        self.buf.append(s)
-    def flush(self):
-        pass
-_stdout, _stderr = sys.stdout, sys.stderr
-sys.stdout = _Cap()
-sys.stderr = _Cap()
-`.trim()
-      );
-      await api.runPythonAsync(cell);
-      const out = await api.runPythonAsync("''.join(sys.stdout.buf)");
-      const err = await api.runPythonAsync("''.join(sys.stderr.buf)");
-      setOutput((out || "") + (err ? "\n[stderr]\n" + err : ""));
-      await api.runPythonAsync("sys.stdout = _stdout; sys.stderr = _stderr");
-    } catch (e) {
-      setOutput((prev) => prev + "\n[ERR] " + String(e));
-    } finally {
-      setRunning(false);
-    }
-  }
-
-  const qiskitDetected = /\b(qiskit|AerSimulator)\b/.test(cell);
-
-  return (
-    <div className="fixed inset-0 z-50 bg-black/70 backdrop-blur-sm flex items-center justify-center p-2 sm:p-6">
-      <div className="w-full max-w-5xl rounded-3xl border border-slate-700 bg-slate-900 p-3 sm:p-4 shadow-2xl">
-        <div className="flex items-center gap-2 mb-3">
-          <h3 className="text-lg font-semibold">In-App Python Notebook (Pyodide)</h3>
-          <div className="ml-auto flex items-center gap-2">
-            <Button onClick={() => navigator.clipboard.writeText(cell)}>Copy Cell</Button>
-            <Button onClick={run} disabled={loading || running || !!error}>
-              {running ? "Running…" : "Run Cell"}
-            </Button>
-            <Button onClick={onClose}>Close</Button>
-          </div>
-        </div>
-
-        {loading && (
-          <div className="text-sm opacity-80 mb-2">Loading Python runtime in your browser…</div>
-        )}
-        {error && (
-          <div className="text-sm text-red-400 mb-2">Failed to load Pyodide: {String(error)}</div>
-        )}
-        {qiskitDetected && (
-          <div className="text-xs mb-2 p-2 rounded-xl border border-amber-600 bg-amber-900/30">
-            Heads up: Qiskit/Aer won’t run in this in-browser runtime. Use the Jupyter Kernel run
-            for full simulation.
-          </div>
-        )}
+/** The circuit's gates followed by every custom gate's body. */
+function allGates(gates, customGates) {
+  return [...gates, ...Object.values(customGates).flatMap((def) => def.gates)];
+}
 
-        <textarea
-          className="w-full h-56 sm:h-64 rounded-xl bg-slate-950 border border-slate-700 p-3 font-mono text-xs"
-          value={cell}
-          onChange={(e) => setCell(e.target.value)}
-        />
-        <div className="mt-3">
-          <div className="text-sm font-semibold mb-1">Output</div>
-          <pre className="w-full min-h-[120px] rounded-xl bg-slate-950 border border-slate-700 p-3 font-mono text-xs whitespace-pre-wrap">
-            {output || "(no output)"}
-          </pre>
-        </div>
-      </div>
-    </div>
-  );
+/** Inclusive grid rectangle between the two corners of a selection drag. */
+function selectionRect({ from, to }) {
+  return {
+    top: Math.min(from.row, to.row),
+    bottom: Math.max(from.row, to.row),
+    left: Math.min(from.col, to.col),
+    right: Math.max(from.col, to.col),
+  };
 }
 
 // ------------------------------ Jupyter Settings Modal ------------------------------
@@ -228,53 +238,374 @@ function JupyterSettingsModal({ baseUrl, token, onSave, onClose }) {
 // ------------------------------ Main Component ------------------------------
 
 export default function QuantumCircuitBuilder() {
-  const [numQubits, setNumQubits] = useState(3);
-  const [numColumns, setNumColumns] = useState(12);
-  /** @type {[Gate[], Function]} */
-  const [gates, setGates] = useState([]);
+  // A circuit link (see share.js) the app was opened with, or why it can't be opened
+  /** @type {[{ design?: import("./share").SharedDesign, error?: string }]} */
+  const [opened] = useState(() => {
+    try {
+      return { design: decodeShare(window.location.hash) };
+    } catch (e) {
+      return { error: e.message };
+    }
+  });
+
+  // The circuit layout lives in an undo/redo history; every change goes through change()
+  /** @type {[import("./history").History<CircuitLayout>, Function]} */
+  const [history, setHistory] = useState(() => {
+    const { design } = opened;
+    if (!design) return createHistory({ gates: [], numQubits: 3, numColumns: 12 });
+    const { gates, numQubits, numColumns } = design;
+    return createHistory({ gates, numQubits, numColumns }, "Open link");
+  });
+  const { gates, numQubits, numColumns } = history.present.state;
+  /** Values of the symbolic parameters used in gate angles */
+  const [params, setParams] = useState(() => opened.design?.params ?? {});
+  /** Custom (composite) gate definitions by name */
+  const [customGates, setCustomGates] = useState(() => opened.design?.customGates ?? {});
   const [python, setPython] = useState("");
   const gridRef = useRef(null);
 
   // In-app notebook modal
+  // The notebook mounts when first opened and then stays, hidden, with its Python session
   const [showNotebook, setShowNotebook] = useState(false);
+  const [notebookStarted, setNotebookStarted] = useState(false);
   const [notebookCode, setNotebookCode] = useState("");
 
-  // Jupyter kernel session (persist across runs)
+  // Jupyter kernel session (persist across runs, see jupyter.js)
+  /** @type {React.MutableRefObject<import("./jupyter").JupyterKernel | null>} */
   const jupyterSessionRef = useRef(null);
-  const [jupyterOut, setJupyterOut] = useState("");
+  const [showJupyter, setShowJupyter] = useState(false);
+  /** @type {[import("./jupyter").JupyterOutput[], Function]} */
+  const [jupyterOutputs, setJupyterOutputs] = useState([]);
   const [jupyterBusy, setJupyterBusy] = useState(false);
+  const [jupyterStatus, setJupyterStatus] = useState("disconnected");
+  /** Kernelspecs on the server (null while they load) */
+  const [jupyterKernels, setJupyterKernels] = useState(null);
+  const [jupyterKernel, setJupyterKernel] = useState(
+    localStorage.getItem("jupyterKernel") || "python3"
+  );
   const [showJupyterSettings, setShowJupyterSettings] = useState(false);
   const [jupyterBaseUrl, setJupyterBaseUrl] = useState(
     localStorage.getItem("jupyterBaseUrl") || "http://localhost:8888"
   );
   const [jupyterToken, setJupyterToken] = useState(localStorage.getItem("jupyterToken") || "");
 
+  // Measurement results (local simulator or Jupyter) shown in the results panel
+  const [shots, setShots] = useState(1024);
+  /** @type {[import("./components/ResultsPanel").RunResult | null, Function]} */
+  const [runResult, setRunResult] = useState(null);
+
+  // Step-through inspector: column whose post-state is shown (null = closed)
+  const [inspectColumn, setInspectColumn] = useState(null);
+
+  // Optimizer preview below the grid
+  const [showOptimizer, setShowOptimizer] = useState(false);
+  const [showUnitary, setShowUnitary] = useState(false);
+  const [showTemplates, setShowTemplates] = useState(false);
+  const [showDiagram, setShowDiagram] = useState(false);
+
+  // Target device (see DevicePanel)
+  const [device, setDevice] = useState({
+    topology: "all",
+    customEdges: "[[0, 1], [1, 2]]",
+    nativeSet: "any",
+  });
+
+  // Error channels for noisy simulation and the exported NoiseModel (see NoisePanel)
+  /** @type {[import("./quantum/noise").NoiseModel, Function]} */
+  const [noise, setNoise] = useState(NO_NOISE);
+
+  // Title, author and description saved with the design (see DetailsPanel)
+  /** @type {[import("./design").DesignMetadata, Function]} */
+  const [metadata, setMetadata] = useState(EMPTY_METADATA);
+
+  // Project library and autosave (see library.js); null until the database is open
+  /** @type {[import("./library").LibraryStore | null, Function]} */
+  const [library, setLibrary] = useState(null);
+  const [showLibrary, setShowLibrary] = useState(false);
+  /** Library project the circuit was opened from or last saved to */
+  const [projectId, setProjectId] = useState(null);
+
+  // Bloch spheres beside the row labels, showing each qubit after the inspected column
+  // (or after the whole circuit when nothing is being inspected)
+  const [showBloch, setShowBloch] = useState(true);
+
+  // OpenQASM version used by "Save QASM"
+  const [qasmVersion, setQasmVersion] = useState(2);
+
+  // Code generation backend for "Generate" (remembered like the Jupyter settings)
+  const [codegenBackend, setCodegenBackend] = useState(() => {
+    const saved = localStorage.getItem("codegenBackend");
+    return BACKENDS.some((b) => b.id === saved) ? saved : DEFAULT_BACKEND;
+  });
+  const backend = getBackend(codegenBackend);
+
+  // Grid selection: gates picked by clicking them or by dragging a rectangle across empty
+  // cells. The rectangle is kept as well, as the extent of a new custom gate.
+  /** @type {[string[], Function]} */
+  const [selectedIds, setSelectedIds] = useState([]);
+  /** @type {[{ from: { row: number, col: number }, to: { row: number, col: number } }?, Function]} */
+  const [selection, setSelection] = useState(null);
+  const selectionDragRef = useRef(false);
+
+  useEffect(() => {
+    const stop = () => (selectionDragRef.current = false);
+    window.addEventListener("mouseup", stop);
+    return () => window.removeEventListener("mouseup", stop);
+  }, []);
+
+  const selectedGates = useMemo(
+    () => gates.filter((g) => selectedIds.includes(g.id)),
+    [gates, selectedIds]
+  );
+
+  // Last clicked cell, where Paste puts the top-left corner of the copied gates
+  /** @type {[{ row: number, col: number }?, Function]} */
+  const [cursor, setCursor] = useState(null);
+  /** Copied gates, relative to their bounding box (see copyGates) */
+  const [clipboard, setClipboard] = useState([]);
+
+  // Why the last grid action did nothing; shown above the grid until the next change
+  const [notice, setNotice] = useState(() =>
+    opened.error ? `Cannot open the link: ${opened.error}` : null
+  );
+
+  // A custom gate's definition open on the grid (with its own history), and the circuit's
+  // history to restore afterwards
+  /** @type {[{ name: string, saved: import("./history").History<CircuitLayout> }?, Function]} */
+  const [editing, setEditing] = useState(null);
+
   // Quick lookup: map column->row occupancy
   const occupancy = useMemo(() => {
     /** @type {Record<string, Gate>} */
     const map = {};
     for (const g of gates) {
-      map[`${g.column}:${g.target}`] = g;
-      if (g.type === "CNOT" || g.type === "CZ") {
-        if (typeof g.control === "number") {
-          map[`${g.column}:${g.control}`] = g;
-        }
-      }
-      if (g.type === "SWAP" && typeof g.pair === "number") {
-        map[`${g.column}:${g.pair}`] = g;
-      }
+      for (const q of gateQubits(g)) map[`${g.column}:${q}`] = g;
     }
     return map;
   }, [gates]);
 
+  // Coupling map of the target device, or why the custom one can't be used
+  const [deviceEdges, deviceError] = useMemo(() => {
+    try {
+      const edges =
+        device.topology === "custom"
+          ? parseCouplingMap(device.customEdges, numQubits)
+          : couplingMap(device.topology, numQubits);
+      return [edges, null];
+    } catch (e) {
+      return [null, e.message];
+    }
+  }, [device, numQubits]);
+
+  // What each column does to the classical register: the bits it writes (↓c1) and the
+  // conditions it tests. Null when no gate touches the register.
+  const classicalLane = useMemo(() => {
+    if (!gates.some((g) => g.type === "MEASURE" || g.condition)) return null;
+    /** @type {string[][]} */
+    const lane = Array.from({ length: numColumns }, () => []);
+    for (const g of gates) {
+      if (g.type === "MEASURE") lane[g.column]?.push(`↓c${measuredBit(g)}`);
+      if (g.condition) lane[g.column]?.push(conditionLabel(g.condition));
+    }
+    return lane;
+  }, [gates, numColumns]);
+
+  const uncoupledIds = useMemo(
+    () => new Set(uncoupledGates(gates, deviceEdges)),
+    [gates, deviceEdges]
+  );
+
+  const usedSymbols = useMemo(
+    () => gateSymbols(allGates(gates, customGates)),
+    [gates, customGates]
+  );
+
+  // Custom gates placed anywhere: on the grid, inside definitions, or in the circuit put
+  // aside while a definition is being edited
+  const usedCustom = useMemo(() => {
+    const outer = editing?.saved.present.state.gates ?? [];
+    const all = allGates([...gates, ...outer], customGates);
+    return Array.from(new Set(all.filter((g) => g.type === "CUSTOM").map((g) => g.name)));
+  }, [gates, customGates, editing]);
+
+  // Gates with custom gates expanded and symbolic angles evaluated at the current parameter
+  // values. Every used name has a value (see withDefaults), so binding only fails for
+  // unparseable imported input.
+  const boundGates = useMemo(() => {
+    let expanded;
+    try {
+      expanded = expandComposites(gates, customGates);
+    } catch (e) {
+      expanded = gates.filter((g) => g.type !== "CUSTOM");
+    }
+    try {
+      return bindParameters(expanded, params);
+    } catch (e) {
+      return expanded;
+    }
+  }, [gates, params, customGates]);
+
+  const blochVectors = useMemo(() => {
+    if (!showBloch) return null;
+    const last = numColumns - 1;
+    const column = inspectColumn === null ? last : Math.min(inspectColumn, last);
+    try {
+      const state = runThroughColumn(boundGates, numQubits, column);
+      return Array.from({ length: numQubits }, (_, q) => blochVector(reducedState(state, q)));
+    } catch (e) {
+      return null; // e.g. a loaded design with gates the simulator doesn't know
+    }
+  }, [showBloch, boundGates, numQubits, numColumns, inspectColumn]);
+
+  /**
+   * Apply a change to the circuit layout as one undoable step.
+   * @param {string} label - shown in the history list
+   * @param {Partial<CircuitLayout> | ((current: CircuitLayout) => Partial<CircuitLayout>)} changes
+   * @param {string} [mergeKey] - consecutive changes with the same key form one step
+   */
+  function change(label, changes, mergeKey) {
+    setNotice(null);
+    setHistory((h) => {
+      const current = h.present.state;
+      const patch = typeof changes === "function" ? changes(current) : changes;
+      return record(h, label, { ...current, ...patch }, { mergeKey });
+    });
+  }
+
+  // Keyboard shortcuts. Text fields keep their own undo, copy and paste.
+  function handleShortcut(e) {
+    const t = e.target;
+    if (t.tagName === "TEXTAREA" || (t.tagName === "INPUT" && !/checkbox|range/.test(t.type))) {
+      return;
+    }
+    const key = e.key.toLowerCase();
+    if (!(e.ctrlKey || e.metaKey)) {
+      if ((key === "delete" || key === "backspace") && selectedIds.length) {
+        e.preventDefault();
+        deleteSelected();
+      } else if (key === "escape") {
+        clearSelection();
+      }
+      return;
+    }
+    if (e.altKey) return;
+    const actions = {
+      z: () => setHistory(e.shiftKey ? redo : undo),
+      y: () => setHistory(redo),
+      c: selectedIds.length ? copySelection : null,
+      x: selectedIds.length ? cutSelection : null,
+      v: clipboard.length ? pasteClipboard : null,
+    };
+    if (!actions[key]) return;
+    e.preventDefault();
+    actions[key]();
+  }
+
+  // The listener is attached once and always calls the latest handler
+  const shortcutRef = useRef(handleShortcut);
+  shortcutRef.current = handleShortcut;
+  useEffect(() => {
+    const onKeyDown = (e) => shortcutRef.current(e);
+    window.addEventListener("keydown", onKeyDown);
+    return () => window.removeEventListener("keydown", onKeyDown);
+  }, []);
+
+  // Undo/redo can bring back gates whose parameters were removed; give those a value again
+  useEffect(() => {
+    setParams((prev) => withDefaults(prev, usedSymbols));
+  }, [usedSymbols]);
+
+  // The address bar follows the circuit: each edit adds a browser history entry, so Back and
+  // Forward step through edits and the URL can be shared at any point. Parameter tweaks,
+  // merged edits (typing a number) and circuits restored from the URL only update the
+  // current entry.
+  const present = history.present;
+  /** History entry the URL was last written for (null before the first write) */
+  const syncedRef = useRef(null);
+  const restoringRef = useRef(false);
+  useEffect(() => {
+    if (editing) return;
+    const url = `#${encodeShare({ ...present.state, customGates, params })}`;
+    const synced = syncedRef.current;
+    const replace =
+      restoringRef.current ||
+      !synced ||
+      synced.state === present.state ||
+      (present.mergeKey !== undefined && synced.mergeKey === present.mergeKey);
+    syncedRef.current = present;
+    restoringRef.current = false;
+    if (window.location.hash === url) return;
+    if (replace) window.history.replaceState(null, "", url);
+    else window.history.pushState(null, "", url);
+  }, [present, customGates, params, editing]);
+
+  useEffect(() => {
+    const restore = () => {
+      let design;
+      try {
+        design = decodeShare(window.location.hash);
+      } catch (e) {
+        setNotice(`Cannot open the link: ${e.message}`);
+        return;
+      }
+      if (!design) return;
+      if (editing) {
+        setNotice("Save or cancel the custom gate before opening a link.");
+        return;
+      }
+      const { gates, numQubits, numColumns } = design;
+      restoringRef.current = true;
+      setCustomGates((defs) => ({ ...defs, ...design.customGates }));
+      setParams((prev) => ({ ...prev, ...design.params }));
+      setHistory((h) => record(h, "Open link", { gates, numQubits, numColumns }));
+    };
+    window.addEventListener("popstate", restore);
+    return () => window.removeEventListener("popstate", restore);
+  }, [editing]);
+
+  // Open the library; without a link to open, pick up the circuit from the last visit
+  useEffect(() => {
+    let live = true;
+    (async () => {
+      const store = await openLibraryStore();
+      const saved = opened.design || opened.error ? null : await readAutosave(store);
+      if (!live) return;
+      if (saved) {
+        const { gates, numQubits, numColumns } = saved;
+        restoringRef.current = true;
+        setCustomGates(saved.customGates);
+        setParams(withDefaults(saved.params, gateSymbols(allGates(gates, saved.customGates))));
+        setNoise(saved.noise);
+        setMetadata(saved.metadata);
+        setHistory(createHistory({ gates, numQubits, numColumns }, "Restore autosave"));
+      }
+      setLibrary(store);
+    })();
+    return () => {
+      live = false;
+    };
+  }, [opened]);
+
+  // The circuit outside any custom gate being edited, with everything a design file keeps
+  const outer = editing ? editing.saved.present.state : present.state;
+  const workingDesign = useMemo(
+    () => ({ ...outer, metadata, params, customGates, noise }),
+    [outer, metadata, params, customGates, noise]
+  );
+
+  // Autosave a moment after the last change
+  useEffect(() => {
+    if (!library) return undefined;
+    const timer = setTimeout(() => writeAutosave(library, workingDesign), AUTOSAVE_DELAY_MS);
+    return () => clearTimeout(timer);
+  }, [library, workingDesign]);
+
   function clearAll() {
-    setGates([]);
+    // Parameter values and custom gate definitions are kept, so undo restores everything
+    change("Clear", { gates: [] });
     setPython("");
     setNotebookCode("");
-  }
-
-  function undo() {
-    setGates((prev) => prev.slice(0, -1));
+    setRunResult(null);
   }
 
   function onDragStart(e, type) {
@@ -285,166 +616,412 @@ export default function QuantumCircuitBuilder() {
     e.preventDefault();
   }
 
-  function cellHasGate(row, col) {
-    return Boolean(occupancy[`${col}:${row}`]);
-  }
-
+  /** Add a gate unless it collides or leaves the grid; the reason shows above the grid. */
   function placeGate(newGate) {
-    // Prevent collisions on occupied cells (including multi-qubit endpoints)
-    if (cellHasGate(newGate.target, newGate.column)) {
-      alert("Cell already occupied.");
+    const problem = placementError(gates, newGate, { numQubits, numColumns });
+    if (problem) {
+      setNotice(problem);
       return false;
     }
-    if (newGate.type === "CNOT" || newGate.type === "CZ") {
-      if (typeof newGate.control !== "number") return false;
-      if (cellHasGate(newGate.control, newGate.column)) {
-        alert("Control/target cell already occupied.");
-        return false;
-      }
-    }
-    if (newGate.type === "SWAP") {
-      if (typeof newGate.pair !== "number") return false;
-      if (cellHasGate(newGate.pair, newGate.column)) {
-        alert("Swap partner cell already occupied.");
-        return false;
-      }
-    }
-
-    setGates((prev) => [...prev, newGate]);
+    change(`Add ${gateLabel(newGate)} at q${newGate.target}, t${newGate.column}`, (c) => ({
+      gates: [...c.gates, newGate],
+    }));
+    setSelectedIds([newGate.id]);
+    setSelection(null);
     return true;
   }
 
   function handleDrop(e, row, col) {
     e.preventDefault();
     const type = e.dataTransfer.getData("text/plain");
-    if (!type) return;
-
-    // Single-qubit gates
-    if (["H", "X", "Y", "Z", "S", "T", "MEASURE"].includes(type)) {
-      placeGate({ id: uid(type), type, column: col, target: row });
+    if (type.startsWith("MOVE:")) {
+      const [fromRow, fromCol] = type.slice("MOVE:".length).split(":").map(Number);
+      moveGatesFrom(fromRow, fromCol, row, col);
       return;
     }
+    if (type.startsWith("CUSTOM:")) {
+      dropCustomGate(type.slice("CUSTOM:".length), row, col);
+      return;
+    }
+    const spec = GATE_SPECS[type];
+    if (!spec) return;
+
+    // Controls and partner go on nearby free qubits and the first angle starts at π; the
+    // new gate is selected, so the inspector is open to change them
+    const busy = gates.filter((g) => g.column === col).flatMap(gateQubits);
+    const qubits = defaultQubits(type, row, numQubits, busy);
+    if (!qubits) {
+      setNotice(`${spec.label} needs ${spec.controls + spec.targets} qubits.`);
+      return;
+    }
+    const params = spec.params.map((_, i) => ({ angle: i === 0 ? Math.PI : 0 }));
+    placeGate(makeGate(type, { column: col, target: row, ...qubits, params }));
+    setCursor({ row, col });
+  }
 
-    if (["RX", "RY", "RZ"].includes(type)) {
-      const input = window.prompt("Angle θ in radians (e.g., 3.1416)", "3.1416");
-      if (input === null) return; // cancelled
-      const angle = Number(input);
-      if (!Number.isFinite(angle)) {
-        alert("Invalid angle.");
-        return;
-      }
-      placeGate({ id: uid(type), type, column: col, target: row, angle });
+  // Dragging a placed gate moves it, or the whole selection if it is part of it
+  function moveGatesFrom(fromRow, fromCol, row, col) {
+    const grabbed = occupancy[`${fromCol}:${fromRow}`];
+    if (!grabbed || (row === fromRow && col === fromCol)) return;
+    const ids = selectedIds.includes(grabbed.id) ? selectedIds : [grabbed.id];
+    let next;
+    try {
+      next = moveGates(gates, ids, row - fromRow, col - fromCol, { numQubits, numColumns });
+    } catch (err) {
+      setNotice(`Cannot move there: ${err.message}`);
       return;
     }
+    const label =
+      ids.length === 1
+        ? `Move ${gateLabel(grabbed)} to q${grabbed.target + row - fromRow}, t${col}`
+        : `Move ${gateCount(ids.length)}`;
+    change(label, { gates: next });
+    setSelectedIds(ids);
+    setSelection(null);
+  }
+
+  // --------- Selection, clipboard and the inspector ---------
+  function clearSelection() {
+    setSelectedIds([]);
+    setSelection(null);
+  }
+
+  function startSelection(row, col) {
+    selectionDragRef.current = true;
+    setSelection({ from: { row, col }, to: { row, col } });
+    setSelectedIds([]);
+  }
+
+  function extendSelection(row, col) {
+    if (!selectionDragRef.current || !selection) return;
+    const next = { ...selection, to: { row, col } };
+    setSelection(next);
+    setSelectedIds(gatesInRect(gates, selectionRect(next)));
+  }
 
-    // Two-qubit gates
-    if (type === "CNOT" || type === "CZ") {
-      let control = window.prompt(
-        `Choose control qubit (0..${numQubits - 1}, not ${row})`,
-        String(Math.max(0, Math.min(numQubits - 1, row - 1)))
+  function inSelection(row, col) {
+    if (!selection) return false;
+    const { top, bottom, left, right } = selectionRect(selection);
+    return row >= top && row <= bottom && col >= left && col <= right;
+  }
+
+  // Click a gate to select it (Shift/Ctrl-click adds or removes it); click an empty cell to
+  // clear the selection
+  function clickCell(e, row, col) {
+    setCursor({ row, col });
+    const g = occupancy[`${col}:${row}`];
+    setSelection(null);
+    if (!g) {
+      setSelectedIds([]);
+    } else if (e.shiftKey || e.ctrlKey || e.metaKey) {
+      setSelectedIds((prev) =>
+        prev.includes(g.id) ? prev.filter((id) => id !== g.id) : [...prev, g.id]
       );
-      if (control === null) return; // cancelled
-      const ctrl = Number(control);
-      if (!Number.isInteger(ctrl) || ctrl < 0 || ctrl >= numQubits || ctrl === row) {
-        alert("Invalid control qubit.");
-        return;
-      }
-      placeGate({ id: uid(type), type, column: col, target: row, control: ctrl });
+    } else {
+      setSelectedIds([g.id]);
+    }
+  }
+
+  function deleteSelected() {
+    const ids = new Set(selectedIds);
+    const count = gates.filter((g) => ids.has(g.id)).length;
+    if (count === 0) return;
+    change(`Delete ${gateCount(count)}`, (c) => ({
+      gates: c.gates.filter((g) => !ids.has(g.id)),
+    }));
+    clearSelection();
+  }
+
+  /** Copy the selected gates; Paste then goes just right of them unless a cell is clicked. */
+  function copySelection() {
+    const picked = gates.filter((g) => selectedIds.includes(g.id));
+    if (picked.length === 0) return;
+    const { top, right } = boundingRect(picked);
+    setClipboard(copyGates(picked));
+    setCursor({ row: top, col: right + 1 });
+  }
+
+  function cutSelection() {
+    const picked = gates.filter((g) => selectedIds.includes(g.id));
+    if (picked.length === 0) return;
+    const { top, left } = boundingRect(picked);
+    setClipboard(copyGates(picked));
+    deleteSelected();
+    setCursor({ row: top, col: left });
+  }
+
+  function pasteClipboard() {
+    if (clipboard.length === 0) return;
+    const at = cursor ?? { row: 0, col: 0 };
+    let result;
+    try {
+      result = pasteGates(gates, clipboard, at.row, at.col, { numQubits, numColumns });
+    } catch (err) {
+      setNotice(`Cannot paste at q${at.row}, t${at.col}: ${err.message}`);
       return;
     }
+    change(`Paste ${gateCount(clipboard.length)} at q${at.row}, t${at.col}`, {
+      gates: result.gates,
+    });
+    setSelectedIds(result.pasted);
+    setSelection(null);
+  }
 
-    if (type === "SWAP") {
-      let pair = window.prompt(
-        `Choose partner qubit for SWAP (0..${numQubits - 1}, not ${row})`,
-        String((row + 1) % numQubits)
-      );
-      if (pair === null) return; // cancelled
-      const pr = Number(pair);
-      if (!Number.isInteger(pr) || pr < 0 || pr >= numQubits || pr === row) {
-        alert("Invalid partner qubit.");
+  /** Replace a gate edited in the inspector; returns the problem if it doesn't fit. */
+  function applyGateEdit(edited) {
+    const problem = placementError(gates, edited, { numQubits, numColumns });
+    if (problem) return problem;
+    change(`Edit ${gateLabel(edited)} at t${edited.column}`, (c) => ({
+      gates: c.gates.map((g) => (g.id === edited.id ? edited : g)),
+    }));
+    return null;
+  }
+
+  /** Replace the circuit with the optimizer's output, widening the grid if SWAPs expanded. */
+  function applyOptimized(optimized) {
+    change("Optimize", (c) => ({
+      gates: optimized,
+      numColumns: Math.max(c.numColumns, ...optimized.map((g) => g.column + 1)),
+    }));
+    clearSelection();
+  }
+
+  /** Route and translate the circuit for the target device, as one undoable step. */
+  function transpileForDevice() {
+    let result;
+    try {
+      result = transpile(expandComposites(gates, customGates), {
+        edges: deviceEdges,
+        nativeSet: device.nativeSet,
+        numQubits,
+      });
+    } catch (e) {
+      return { error: e.message };
+    }
+    const topology = TOPOLOGIES.find((t) => t.id === device.topology).label;
+    change(`Transpile for ${topology}`, (c) => ({
+      gates: result.gates,
+      numColumns: Math.max(c.numColumns, ...result.gates.map((g) => g.column + 1)),
+    }));
+    clearSelection();
+    const moved = result.layout
+      .map((wire, q) => (wire === q ? null : `q${q} on wire ${wire}`))
+      .filter(Boolean);
+    return {
+      summary:
+        `Inserted ${result.swaps} SWAP${result.swaps === 1 ? "" : "s"}.` +
+        (moved.length ? ` Qubits end up on other wires: ${moved.join(", ")}.` : ""),
+    };
+  }
+
+  // A custom gate covers consecutive qubits starting at the row it was dropped on
+  function dropCustomGate(name, row, col) {
+    const def = customGates[name];
+    if (!def) return;
+    if (row + def.numQubits > numQubits) {
+      setNotice(`${name} needs ${def.numQubits} qubits from q${row}.`);
+      return;
+    }
+    const qubits = Array.from({ length: def.numQubits }, (_, i) => row + i);
+    placeGate(makeInstance(name, col, qubits));
+    setCursor({ row, col });
+  }
+
+  function expandCustomGate(id) {
+    const { gates: next } = expandInstance(gates, id, customGates);
+    const name = gates.find((g) => g.id === id).name;
+    change(`Expand ${name}`, (c) => ({
+      gates: next,
+      numColumns: Math.max(c.numColumns, ...next.map((g) => g.column + 1)),
+    }));
+  }
+
+  // --------- Custom gate definitions ---------
+  /**
+   * Save the selected block as a custom gate: the dragged rectangle if there is one,
+   * otherwise the box around the clicked gates.
+   * @returns {string | null} the problem, or null once saved
+   */
+  function saveSelection(name) {
+    const picked = gates.filter((g) => selectedIds.includes(g.id));
+    if (!selection && picked.length === 0) return "Select gates on the grid first.";
+    const problem =
+      validateCompositeName(name, customGates) ||
+      (name in params ? `'${name}' is already a parameter.` : null);
+    if (problem) return problem;
+    let def;
+    try {
+      const rect = selection ? selectionRect(selection) : boundingRect(picked);
+      def = defineComposite(name, gates, rect);
+    } catch (err) {
+      return err.message;
+    }
+    setCustomGates((prev) => ({ ...prev, [name]: def }));
+    clearSelection();
+    return null;
+  }
+
+  function deleteCustomGate(name) {
+    setCustomGates(({ [name]: _removed, ...rest }) => rest);
+  }
+
+  // Put the circuit aside and open the definition on the grid
+  function editCustomGate(name) {
+    const def = customGates[name];
+    const layout = {
+      gates: def.gates,
+      numQubits: def.numQubits,
+      numColumns: Math.max(def.numColumns, 4),
+    };
+    setEditing({ name, saved: history });
+    setHistory(createHistory(layout, `Edit ${name}`));
+    clearSelection();
+    setInspectColumn(null);
+    setRunResult(null);
+  }
+
+  function finishEditing(save) {
+    const { name, saved } = editing;
+    if (save) {
+      const rect = { top: 0, bottom: numQubits - 1, left: 0, right: numColumns - 1 };
+      const next = { ...customGates };
+      try {
+        next[name] = defineComposite(name, gates, rect);
+        compositeOrder(next[name].gates, next); // throws if it now contains itself
+      } catch (err) {
+        setNotice(err.message);
         return;
       }
-      placeGate({ id: uid(type), type, column: col, target: row, pair: pr });
-      return;
+      const before = customGates[name].numQubits;
+      if (next[name].numQubits !== before && usedCustom.includes(name)) {
+        setNotice(`${name} is in use with ${before} qubits; keep ${before} qubits.`);
+        return;
+      }
+      setCustomGates(next);
     }
+    setHistory(saved);
+    setEditing(null);
+    setNotice(null);
+    clearSelection();
+    setInspectColumn(null);
+    setRunResult(null);
   }
 
   function removeGateAt(row, col) {
-    setGates((prev) =>
-      prev.filter((g) => {
-        if (g.column !== col) return true;
-        if (g.target === row) return false;
-        if ((g.type === "CNOT" || g.type === "CZ") && g.control === row) return false;
-        if (g.type === "SWAP" && g.pair === row) return false;
-        return true;
-      })
-    );
+    const removed = occupancy[`${col}:${row}`];
+    if (!removed) return;
+    change(`Remove ${gateLabel(removed)} at q${removed.target}, t${col}`, (c) => ({
+      gates: c.gates.filter((g) => g !== removed),
+    }));
   }
 
   // Build decorations for vertical connectors at each (row,col)
   function cellDecoration(row, col) {
-    // Find a 2-qubit gate spanning this column
-    const multi = gates.find(
-      (g) =>
-        g.column === col &&
-        (((g.type === "CNOT" || g.type === "CZ") && typeof g.control === "number") ||
-          (g.type === "SWAP" && typeof g.pair === "number"))
-    );
+    // Find a multi-qubit gate in this column whose connector covers the row
+    const multi = gates.find((g) => {
+      if (g.column !== col || gateQubits(g).length < 2) return false;
+      const { top, bottom } = gateSpan(g);
+      return row >= top && row <= bottom;
+    });
     if (!multi) return null;
 
-    let top, bottom;
-    if (multi.type === "SWAP") {
-      top = Math.min(multi.target, multi.pair);
-      bottom = Math.max(multi.target, multi.pair);
-    } else {
-      top = Math.min(multi.target, /** @type {number} */ (multi.control));
-      bottom = Math.max(multi.target, /** @type {number} */ (multi.control));
-    }
-
-    if (row < top || row > bottom) return null;
+    const { top, bottom } = gateSpan(multi);
 
     // decide which symbol to render on endpoints
     let symbol = null;
-    if (row === multi.target) {
-      if (multi.type === "CNOT") symbol = "⊕"; // target
-      if (multi.type === "CZ") symbol = "Z";
-      if (multi.type === "SWAP") symbol = "×";
-    } else if ((multi.type === "CNOT" || multi.type === "CZ") && row === multi.control) {
+    if (row === multi.target || row === multi.pair) {
+      symbol = TARGET_SYMBOLS[multi.type] ?? GATE_SPECS[multi.type].label;
+    } else if (gateControls(multi).includes(row)) {
       symbol = "•"; // control
-    } else if (multi.type === "SWAP" && row === multi.pair) {
-      symbol = "×";
     }
 
-    return { top, bottom, symbol, kind: multi.type };
+    const condition = multi.condition ? ` if ${conditionLabel(multi.condition)}` : "";
+    const title = `${GATE_SPECS[multi.type].label}${formatAngles(multi)}${condition}`;
+    return { top, bottom, symbol, kind: multi.type, title };
+  }
+
+  // One row of a custom gate's block; the top row carries the name
+  function renderCustomBlock(g, row) {
+    const { top, bottom } = gateSpan(g);
+    return (
+      <div
+        className={
+          "absolute inset-x-1 flex items-center justify-center gap-1 px-1 text-xs " +
+          "bg-indigo-900/90 border-x border-indigo-400 " +
+          (row === top ? "top-1 rounded-t-xl border-t " : "top-0 ") +
+          (row === bottom ? "bottom-1 rounded-b-xl border-b" : "bottom-0")
+        }
+        title={`${g.name} on ${g.qubits.map((q) => `q${q}`).join(", ")}`}
+      >
+        {row === top ? (
+          <>
+            <span className="font-semibold truncate">{g.name}</span>
+            <button
+              type="button"
+              className="opacity-75 hover:opacity-100"
+              onClick={(e) => {
+                e.stopPropagation();
+                expandCustomGate(g.id);
+              }}
+              onDoubleClick={(e) => e.stopPropagation()}
+              title="Expand inline"
+            >
+              ⤢
+            </button>
+          </>
+        ) : (
+          <span className="opacity-60">{g.qubits.indexOf(row)}</span>
+        )}
+      </div>
+    );
   }
 
   function renderCellContent(row, col) {
     const g = occupancy[`${col}:${row}`];
-    if (g) {
-      // Single-qubit gate or endpoint symbol for multi-qubit is still handled here
-      if (["H", "X", "Y", "Z", "S", "T"].includes(g.type)) return <Pill>{g.type}</Pill>;
-      if (["RX", "RY", "RZ"].includes(g.type))
-        return (
-          <Pill>
-            {g.type}
-            {g.angle !== undefined ? `(${Number(g.angle.toFixed(4))})` : "(θ)"}
-          </Pill>
-        );
-      if (g.type === "MEASURE") return <Pill>⟨M⟩</Pill>;
-
-      // For multi-qubit endpoints we render symbol via decoration; here we keep space
-      return <div className="w-6 h-6" />;
-    }
-
-    // No direct gate, but there might be a connector passing through
+    if (g?.type === "CUSTOM") return renderCustomBlock(g, row);
+    if (g && gateQubits(g).length === 1) {
+      if (g.type === "MEASURE") {
+        const bit = measuredBit(g);
+        return <Pill>⟨M⟩{bit !== g.target && <span className="text-xs"> →c{bit}</span>}</Pill>;
+      }
+      if (g.type === "RESET") return <Pill>|0⟩</Pill>;
+      return (
+        <Pill>
+          {GATE_SPECS[g.type]?.label ?? g.type}
+          {formatAngles(g)}
+          {g.condition && (
+            <sup className="ml-0.5 text-amber-300" title={`If ${conditionLabel(g.condition)}`}>
+              if
+            </sup>
+          )}
+        </Pill>
+      );
+    }
+
+    // Multi-qubit endpoint, or a connector passing through
     const deco = cellDecoration(row, col);
     if (deco) {
       return (
-        <div className="relative flex items-center justify-center w-full h-full">
-          {/* vertical line */}
-          <div className="absolute left-1/2 -translate-x-1/2 w-[2px] h-full bg-slate-500" />
+        <div className="relative flex items-center justify-center w-full h-full" title={deco.title}>
+          {/* vertical line, stopping at the outermost qubits */}
+          <div
+            className={
+              "absolute left-1/2 -translate-x-1/2 w-[2px] bg-slate-500 " +
+              (row === deco.top
+                ? "top-1/2 bottom-0"
+                : row === deco.bottom
+                ? "top-0 bottom-1/2"
+                : "h-full")
+            }
+          />
           {deco.symbol && (
-            <div className="relative z-10 flex items-center justify-center w-6 h-6 rounded-full bg-slate-900 border border-slate-600 text-slate-100">
+            <div
+              className={
+                "relative z-10 flex items-center justify-center h-6 rounded-full " +
+                "bg-slate-900 border border-slate-600 text-slate-100 " +
+                (deco.symbol.length > 1 ? "px-1 text-xs" : "w-6")
+              }
+            >
               {deco.symbol}
             </div>
           )}
@@ -455,198 +1032,272 @@ export default function QuantumCircuitBuilder() {
     return null;
   }
 
+  // Returns null (with a notice) when the backend can't express the circuit
   function generatePython() {
-    const sorted = [...gates].sort((a, b) => a.column - b.column || a.target - b.target);
-    const markedMeasure = new Set(sorted.filter((g) => g.type === "MEASURE").map((g) => g.target));
-
-    const lines = [];
-    lines.push("# Auto-generated by Quantum Circuit Builder (React)\n");
-    lines.push("# Requires: qiskit, qiskit-aer\n");
-    lines.push("from qiskit import QuantumCircuit\nfrom qiskit_aer import AerSimulator\n\n");
-    lines.push(`n_qubits = ${numQubits}\n`);
-    lines.push("qc = QuantumCircuit(n_qubits, n_qubits)\n\n");
-
-    let currentCol = -1;
-    for (const g of sorted) {
-      if (g.column !== currentCol) {
-        lines.push(`\n# --- Column ${g.column} ---\n`);
-        currentCol = g.column;
-      }
-      switch (g.type) {
-        case "H":
-          lines.push(`qc.h(${g.target})\n`);
-          break;
-        case "X":
-          lines.push(`qc.x(${g.target})\n`);
-          break;
-        case "Y":
-          lines.push(`qc.y(${g.target})\n`);
-          break;
-        case "Z":
-          lines.push(`qc.z(${g.target})\n`);
-          break;
-        case "S":
-          lines.push(`qc.s(${g.target})\n`);
-          break;
-        case "T":
-          lines.push(`qc.t(${g.target})\n`);
-          break;
-        case "RX":
-          lines.push(`qc.rx(${g.angle ?? 0}, ${g.target})\n`);
-          break;
-        case "RY":
-          lines.push(`qc.ry(${g.angle ?? 0}, ${g.target})\n`);
-          break;
-        case "RZ":
-          lines.push(`qc.rz(${g.angle ?? 0}, ${g.target})\n`);
-          break;
-        case "CNOT":
-          lines.push(`qc.cx(${g.control}, ${g.target})\n`);
-          break;
-        case "CZ":
-          lines.push(`qc.cz(${g.control}, ${g.target})\n`);
-          break;
-        case "SWAP":
-          lines.push(`qc.swap(${g.target}, ${g.pair})\n`);
-          break;
-        case "MEASURE":
-          // defer measure
-          break;
-        default:
-          break;
-      }
-    }
-
-    lines.push("\n# Measurement\n");
-    if (markedMeasure.size > 0) {
-      for (const q of Array.from(markedMeasure).sort((a, b) => a - b)) {
-        lines.push(`qc.measure(${q}, ${q})\n`);
-      }
-    } else {
-      lines.push("for q in range(n_qubits):\n    qc.measure(q, q)\n");
+    let code;
+    try {
+      code = generateCode(
+        codegenBackend,
+        { gates, numQubits, params, customGates, noise },
+        { shots }
+      );
+    } catch (err) {
+      setNotice(err.message);
+      return null;
     }
-
-    lines.push(
-      "\n# Simulate with AerSimulator\n" +
-        "sim = AerSimulator()\n" +
-        "result = sim.run(qc, shots=1024).result()\n" +
-        "counts = result.get_counts()\n" +
-        "print(counts)\n"
-    );
-
-    const code = lines.join("");
     setPython(code);
     setNotebookCode(code);
+    return code;
   }
 
   function downloadPython() {
-    if (!python) {
-      generatePython();
-      setTimeout(() => doDownload(), 50);
-    } else {
-      doDownload();
+    const code = python || generatePython();
+    if (code === null) return;
+    const { extension, language } = getBackend(codegenBackend);
+    downloadFile(code, `generated_circuit.${extension}`, `text/x-${language}`);
+  }
+
+  // The last run's counts become the notebook's outputs unless left out
+  const [notebookResults, setNotebookResults] = useState(true);
+  function downloadNotebook() {
+    let notebook;
+    try {
+      notebook = buildNotebook({
+        circuit: { gates, numQubits, params, customGates, noise },
+        backend: codegenBackend,
+        shots,
+        metadata,
+        result: notebookResults ? runResult : null,
+      });
+    } catch (err) {
+      setNotice(err.message);
+      return;
     }
+    downloadFile(
+      serializeNotebook(notebook),
+      notebookFileName(metadata),
+      "application/x-ipynb+json"
+    );
   }
 
-  function doDownload() {
-    const blob = new Blob([python || "# (empty)\n"], { type: "text/x-python" });
-    const url = URL.createObjectURL(blob);
-    const a = document.createElement("a");
-    a.href = url;
-    a.download = "generated_circuit.py";
-    document.body.appendChild(a);
-    a.click();
-    a.remove();
-    URL.revokeObjectURL(url);
+  // Link to the circuit as it is now (the address bar may lag behind while editing a
+  // custom gate)
+  const [linkCopied, setLinkCopied] = useState(false);
+  function copyLink() {
+    const { origin, pathname, search } = window.location;
+    const url = `${origin}${pathname}${search}#${encodeShare({ ...outer, customGates, params })}`;
+    navigator.clipboard.writeText(url).then(
+      () => {
+        setLinkCopied(true);
+        setTimeout(() => setLinkCopied(false), 1500);
+      },
+      () => setNotice("Could not copy the link to the clipboard.")
+    );
   }
 
   function saveDesign() {
-    const data = { numQubits, numColumns, gates };
-    const blob = new Blob([JSON.stringify(data, null, 2)], { type: "application/json" });
-    const url = URL.createObjectURL(blob);
-    const a = document.createElement("a");
-    a.href = url;
-    a.download = "circuit_design.json";
-    document.body.appendChild(a);
-    a.click();
-    a.remove();
-    URL.revokeObjectURL(url);
+    const text = serializeDesign({
+      metadata,
+      numQubits,
+      numColumns,
+      gates,
+      params,
+      customGates,
+      noise,
+    });
+    downloadFile(text, designFileName(metadata), "application/json");
   }
 
   function loadDesign(e) {
     const file = e.target.files?.[0];
     if (!file) return;
+    e.target.value = ""; // allow re-loading the same file after fixing it
+    if (editing) {
+      setNotice("Save or cancel the custom gate before loading a design.");
+      return;
+    }
     const reader = new FileReader();
     reader.onload = () => {
+      let design;
       try {
-        const obj = JSON.parse(String(reader.result));
-        if (typeof obj.numQubits === "number") setNumQubits(obj.numQubits);
-        if (typeof obj.numColumns === "number") setNumColumns(obj.numColumns);
-        if (Array.isArray(obj.gates)) setGates(obj.gates);
+        design = parseDesign(String(reader.result));
       } catch (err) {
-        alert("Invalid JSON");
+        if (!(err instanceof DesignError)) throw err;
+        const shown = err.errors.slice(0, MAX_LISTED_ERRORS);
+        const more = err.errors.length - shown.length;
+        if (more > 0) shown.push(`…and ${more} more.`);
+        setNotice(`Cannot load ${file.name}:\n${shown.join("\n")}`);
+        return;
       }
+      applyDesign(design, `Load ${file.name}`);
+      setProjectId(null);
     };
     reader.readAsText(file);
   }
 
-  // --------- Jupyter kernel execution ---------
-  async function ensureJupyterSession() {
-    if (jupyterSessionRef.current && jupyterSessionRef.current.kernel) {
-      return jupyterSessionRef.current;
+  /** Replace the circuit and its settings with a loaded design, as one undo step. */
+  function applyDesign(design, label) {
+    // Definitions are merged rather than replaced so undoing the load still finds the
+    // custom gates the previous circuit used
+    const defs = { ...customGates, ...design.customGates };
+    setCustomGates(defs);
+    setParams(withDefaults(design.params, gateSymbols(allGates(design.gates, defs))));
+    setNoise(design.noise);
+    setMetadata(design.metadata);
+    const { gates, numQubits, numColumns } = design;
+    change(label, { gates, numQubits, numColumns });
+  }
+
+  function insertTemplate(circuit, label) {
+    if (editing) {
+      setNotice("Save or cancel the custom gate before inserting a template.");
+      return;
     }
+    const { gates, numQubits, numColumns } = circuit;
+    change(`Template: ${label}`, { gates, numQubits, numColumns });
+    setShowTemplates(false);
+  }
 
-    const settings = ServerConnection.makeSettings({
-      baseUrl: jupyterBaseUrl,
-      token: jupyterToken || undefined,
-      init: { credentials: "omit" },
-      // wsUrl is inferred from baseUrl by @jupyterlab/services
-    });
+  function openLibraryProject(design, project) {
+    if (editing) {
+      setNotice("Save or cancel the custom gate before opening a project.");
+      return;
+    }
+    applyDesign(design, `Open ${project.name}`);
+    setProjectId(project.id);
+  }
 
-    const sessions = new SessionManager({ serverSettings: settings });
-    const session = await sessions.startNew({
-      name: "quantum-react-session",
-      type: "notebook",
-      path: "quantum-react.ipynb",
-      kernel: { name: "python3" },
-    });
+  function saveQasm() {
+    try {
+      const text = exportQasm(gates, numQubits, { version: qasmVersion, params, customGates });
+      downloadFile(text, `circuit_v${qasmVersion}.qasm`, "text/plain");
+    } catch (e) {
+      setNotice(String(e.message || e));
+    }
+  }
+
+  function loadQasm(e) {
+    const file = e.target.files?.[0];
+    if (!file) return;
+    e.target.value = ""; // allow re-loading the same file after fixing it
+    if (editing) {
+      setNotice("Save or cancel the custom gate before importing QASM.");
+      return;
+    }
+    const reader = new FileReader();
+    reader.onload = () => {
+      try {
+        const circuit = importQasm(String(reader.result));
+        const defs = { ...customGates, ...circuit.customGates };
+        change(`Load ${file.name}`, (c) => ({
+          gates: circuit.gates,
+          numQubits: circuit.numQubits,
+          numColumns: Math.max(c.numColumns, circuit.numColumns),
+        }));
+        setCustomGates(defs);
+        setParams(withDefaults(circuit.params, gateSymbols(allGates(circuit.gates, defs))));
+      } catch (err) {
+        setNotice(`Could not import QASM: ${err.message}`);
+      }
+    };
+    reader.readAsText(file);
+  }
+
+  // --------- Local simulation ---------
+  function runSimulator() {
+    try {
+      setRunResult(simulateDesign({ gates, numQubits, params, customGates, noise }, { shots }));
+    } catch (e) {
+      setNotice(e instanceof RangeError ? e.message : "Simulation failed: " + String(e));
+    }
+  }
+
+  // --------- Jupyter kernel execution ---------
+  const showJupyterOutput = (output) => setJupyterOutputs((prev) => [...prev, output]);
+  const showJupyterError = (e) =>
+    showJupyterOutput({ kind: "error", text: String(e.message || e) });
+
+  // List the kernels whenever the panel opens, the server changes or ↻ is pressed; keep the
+  // chosen kernel if the server has it, else take the server's default
+  const [kernelListRequest, setKernelListRequest] = useState(0);
+  useEffect(() => {
+    if (!showJupyter) return undefined;
+    let live = true;
+    setJupyterKernels(null);
+    listKernelSpecs(jupyterSettings({ baseUrl: jupyterBaseUrl, token: jupyterToken })).then(
+      ({ defaultName, specs }) => {
+        if (!live) return;
+        setJupyterKernels({ specs });
+        setJupyterKernel((name) => (specs.some((s) => s.name === name) ? name : defaultName));
+      },
+      (e) => live && setJupyterKernels({ specs: [], error: String(e.message || e) })
+    );
+    return () => {
+      live = false;
+    };
+  }, [showJupyter, jupyterBaseUrl, jupyterToken, kernelListRequest]);
 
+  // Don't leave a kernel running on the server when the app goes away
+  useEffect(() => () => jupyterSessionRef.current?.shutdown().catch(() => {}), []);
+
+  function chooseJupyterKernel(name) {
+    setJupyterKernel(name);
+    localStorage.setItem("jupyterKernel", name);
+  }
+
+  /** Reuse the session while it runs the chosen kernel; otherwise replace it. */
+  async function ensureJupyterSession() {
+    const current = jupyterSessionRef.current;
+    if (current) {
+      const alive = !["dead", "disconnected"].includes(current.status());
+      if (alive && current.kernelName === jupyterKernel) return current;
+      jupyterSessionRef.current = null;
+      await current.shutdown().catch(() => {});
+    }
+    const settings = jupyterSettings({ baseUrl: jupyterBaseUrl, token: jupyterToken });
+    const session = await openKernel(settings, jupyterKernel, setJupyterStatus);
     jupyterSessionRef.current = session;
     return session;
   }
 
   async function runOnJupyter() {
+    setShowJupyter(true);
     try {
-      if (!python) generatePython();
+      const code = python || generatePython();
+      if (code === null) return;
       setJupyterBusy(true);
-      setJupyterOut("");
+      setJupyterOutputs([]);
       const session = await ensureJupyterSession();
-
-      const future = session.kernel.requestExecute({ code: python, stop_on_error: true });
-      future.onIOPub = (msg) => {
-        const t = msg.header.msg_type;
-        const c = msg.content || {};
-        if (t === "stream") setJupyterOut((prev) => prev + (c.text || ""));
-        else if (t === "error")
-          setJupyterOut(
-            (prev) =>
-              prev +
-              `\n[ERR] ${c.ename}: ${c.evalue}\n${(c.traceback || []).join("\n")}\n`
-          );
-        else if (t === "execute_result" || t === "display_data") {
-          const data = c.data || {};
-          if (data["text/plain"]) setJupyterOut((prev) => prev + String(data["text/plain"]) + "\n");
-        }
-      };
-      await future.done;
-      setJupyterOut((prev) => prev + "\n[done]\n");
+      const { printed } = await session.execute(code, showJupyterOutput);
+      // A `print(counts)` dict goes to the results panel
+      const counts = parseCounts(printed);
+      if (counts) {
+        setRunResult({
+          source: "jupyter",
+          counts,
+          shots: totalShots(counts),
+          numBits: Object.keys(counts)[0]?.length ?? numQubits,
+        });
+      }
     } catch (e) {
-      setJupyterOut((prev) => prev + "\n[ERR] " + String(e) + "\n");
+      showJupyterError(e);
     } finally {
       setJupyterBusy(false);
     }
   }
 
+  /** Run a kernel control (interrupt, restart) on the open session. */
+  function controlJupyter(action) {
+    const session = jupyterSessionRef.current;
+    if (session) action(session).catch(showJupyterError);
+  }
+
+  async function shutdownJupyter() {
+    const session = jupyterSessionRef.current;
+    jupyterSessionRef.current = null;
+    if (session) await session.shutdown().catch(showJupyterError);
+  }
+
   return (
     <div className="min-h-screen w-full bg-slate-950 text-slate-100 p-4 sm:p-6">
       <div className="mx-auto max-w-7xl">
@@ -654,12 +1305,54 @@ export default function QuantumCircuitBuilder() {
           <h1 className="text-2xl sm:text-3xl font-bold">Ranjan Quantum Simulation</h1>
           <div className="flex items-center gap-2">
             <Button onClick={clearAll}>Clear</Button>
-            <Button onClick={undo}>Undo</Button>
-            <Button onClick={generatePython}>Generate Python</Button>
-            <Button onClick={downloadPython}>Download .py</Button>
-            <Button onClick={() => setShowNotebook(true)}>Open In-App Notebook</Button>
-            <Button disabled={jupyterBusy}>
-              <a href="https://colab.research.google.com/notebooks/snippets/importing_libraries.ipynb" target="_blank">Run on Jupyter Notebook</a>
+            <Button onClick={() => setHistory(undo)} disabled={!canUndo(history)} title="Ctrl+Z">
+              Undo
+            </Button>
+            <Button
+              onClick={() => setHistory(redo)}
+              disabled={!canRedo(history)}
+              title="Ctrl+Shift+Z"
+            >
+              Redo
+            </Button>
+            <select
+              value={codegenBackend}
+              onChange={(e) => {
+                setCodegenBackend(e.target.value);
+                localStorage.setItem("codegenBackend", e.target.value);
+              }}
+              className="rounded-xl bg-slate-800 border border-slate-600 px-2 py-2"
+              title="Code generation backend"
+            >
+              {BACKENDS.map((b) => (
+                <option key={b.id} value={b.id}>
+                  {b.label}
+                </option>
+              ))}
+            </select>
+            <Button onClick={generatePython}>
+              Generate {backend.language === "python" ? "Python" : "Q#"}
+            </Button>
+            <Button onClick={downloadPython}>Download .{backend.extension}</Button>
+            <Button onClick={downloadNotebook}>Download notebook</Button>
+            <Button onClick={runSimulator}>Simulate</Button>
+            <Button onClick={() => setShowOptimizer(true)}>Optimize</Button>
+            <Button onClick={() => setShowUnitary(true)}>Unitary</Button>
+            <Button onClick={() => setShowDiagram(true)}>Diagram</Button>
+            <Button onClick={() => setShowTemplates(true)}>Templates</Button>
+            <Button onClick={() => setShowLibrary(true)} disabled={!library}>
+              Library
+            </Button>
+            <Button
+              onClick={() => {
+                setNotebookStarted(true);
+                setShowNotebook(true);
+              }}
+            >
+              Open In-App Notebook
+            </Button>
+            <Button onClick={runOnJupyter} disabled={jupyterBusy}>
+              Run on Jupyter
             </Button>
             <Button onClick={() => setShowJupyterSettings(true)}>Jupyter Settings</Button>
             <Button><a href="https://github.com/ranjankumarmandal/Ranjan-Quantum-Simulation" target="_blank">GitHub</a></Button>
@@ -686,9 +1379,58 @@ export default function QuantumCircuitBuilder() {
 
             <div className="mt-4 space-y-2 text-sm opacity-80">
               <p>• Drag a gate, drop onto a cell (row=qubit, col=time).</p>
-              <p>• For CNOT/CZ/SWAP, you will be asked to choose the other qubit.</p>
+              <p>
+                • Click a gate to edit its qubits and angles in the inspector below the grid.
+              </p>
+              <p>
+                • Drag placed gates to move them. Drag across empty cells (or Shift-click
+                gates) to select several, then Ctrl+C / Ctrl+X / Ctrl+V or Delete.
+              </p>
               <p>• Double-click a cell to remove a gate at that position.</p>
+              <p>• Ctrl+Z undoes and Ctrl+Shift+Z redoes any change to the circuit.</p>
+              <p>• Click a column header (t0, t1, …) to inspect the state after it.</p>
+              <p>
+                • Custom gates drop onto consecutive qubits from the row you drop them on; ⤢
+                expands one back into its gates.
+              </p>
             </div>
+
+            <CustomGatePanel
+              definitions={Object.values(customGates)}
+              used={usedCustom}
+              hasSelection={selection !== null || selectedIds.length > 0}
+              editing={editing?.name ?? null}
+              onDragStart={(e, name) => onDragStart(e, `CUSTOM:${name}`)}
+              onSaveSelection={saveSelection}
+              onEdit={editCustomGate}
+              onDelete={deleteCustomGate}
+            />
+
+            <HistoryPanel
+              entries={timeline(history)}
+              current={history.past.length}
+              onJump={(index) => setHistory((h) => jumpTo(h, index))}
+            />
+
+            <ParameterPanel
+              params={params}
+              used={usedSymbols}
+              onChange={(name, value) => setParams((prev) => ({ ...prev, [name]: value }))}
+              onRemove={(name) => setParams(({ [name]: _removed, ...rest }) => rest)}
+            />
+
+            <DevicePanel
+              device={device}
+              onChange={(patch) => setDevice((d) => ({ ...d, ...patch }))}
+              edges={deviceEdges}
+              error={deviceError}
+              uncoupled={uncoupledIds.size}
+              onTranspile={transpileForDevice}
+            />
+
+            <NoisePanel noise={noise} onChange={setNoise} numQubits={numQubits} />
+
+            <DetailsPanel metadata={metadata} onChange={setMetadata} />
           </div>
 
           {/* Main Canvas */}
@@ -701,9 +1443,16 @@ export default function QuantumCircuitBuilder() {
                   min={1}
                   max={16}
                   value={numQubits}
-                  onChange={(e) =>
-                    setNumQubits(Math.max(1, Math.min(16, Number(e.target.value))))
-                  }
+                  onChange={(e) => {
+                    const n = Math.max(1, Math.min(16, Number(e.target.value)));
+                    // Removing a wire that still has gates would leave them outside the circuit
+                    const used = Math.max(-1, ...gates.flatMap(gateQubits));
+                    if (n <= used) {
+                      setNotice(`q${used} still has gates; remove them before using ${n} qubits.`);
+                      return;
+                    }
+                    change(`Qubits: ${n}`, { numQubits: n }, "qubits");
+                  }}
                   className="w-20 rounded-xl bg-slate-800 border border-slate-600 px-3 py-1"
                 />
               </label>
@@ -714,13 +1463,25 @@ export default function QuantumCircuitBuilder() {
                   min={1}
                   max={48}
                   value={numColumns}
-                  onChange={(e) =>
-                    setNumColumns(Math.max(1, Math.min(48, Number(e.target.value))))
-                  }
+                  onChange={(e) => {
+                    const n = Math.max(1, Math.min(48, Number(e.target.value)));
+                    change(`Columns: ${n}`, { numColumns: n }, "columns");
+                  }}
                   className="w-20 rounded-xl bg-slate-800 border border-slate-600 px-3 py-1"
                 />
               </label>
+              <label className="flex items-center gap-2 text-sm">
+                <input
+                  type="checkbox"
+                  checked={showBloch}
+                  onChange={(e) => setShowBloch(e.target.checked)}
+                />
+                Bloch spheres
+              </label>
               <div className="ml-auto flex items-center gap-2">
+                <Button onClick={copyLink} title="Copy a link that opens this circuit">
+                  {linkCopied ? "Link copied" : "Copy link"}
+                </Button>
                 <Button onClick={saveDesign}>Save JSON</Button>
                 <label className="inline-flex items-center gap-2 cursor-pointer">
                   <span className="rounded-2xl px-4 py-2 font-medium shadow-sm border border-slate-600 bg-slate-800">
@@ -733,89 +1494,346 @@ export default function QuantumCircuitBuilder() {
                     onChange={loadDesign}
                   />
                 </label>
+                <select
+                  value={qasmVersion}
+                  onChange={(e) => setQasmVersion(Number(e.target.value))}
+                  className="rounded-xl bg-slate-800 border border-slate-600 px-2 py-2"
+                  title="OpenQASM version"
+                >
+                  <option value={2}>QASM 2.0</option>
+                  <option value={3}>QASM 3.0</option>
+                </select>
+                <Button onClick={saveQasm}>Save QASM</Button>
+                <label className="inline-flex items-center gap-2 cursor-pointer">
+                  <span className="rounded-2xl px-4 py-2 font-medium shadow-sm border border-slate-600 bg-slate-800">
+                    Load QASM
+                  </span>
+                  <input
+                    type="file"
+                    accept=".qasm,text/plain"
+                    className="hidden"
+                    onChange={loadQasm}
+                  />
+                </label>
               </div>
             </div>
 
+            {editing && (
+              <div className="flex items-center gap-2 mb-3 rounded-xl border border-indigo-500 bg-indigo-950 px-3 py-2 text-sm">
+                <span>
+                  Editing custom gate <code className="font-semibold">{editing.name}</code>. Every
+                  instance changes when you save.
+                </span>
+                <Button onClick={() => finishEditing(true)} className="ml-auto py-1">
+                  Save definition
+                </Button>
+                <Button onClick={() => finishEditing(false)} className="py-1">
+                  Cancel
+                </Button>
+              </div>
+            )}
+
+            {notice && (
+              <div
+                role="alert"
+                className="flex items-center gap-2 mb-3 rounded-xl border border-red-500/60 bg-red-950/60 px-3 py-2 text-sm text-red-200"
+              >
+                <span className="whitespace-pre-line">{notice}</span>
+                <button
+                  type="button"
+                  className="ml-auto opacity-75 hover:opacity-100"
+                  onClick={() => setNotice(null)}
+                  title="Dismiss"
+                >
+                  ✕
+                </button>
+              </div>
+            )}
+
+            {(selectedIds.length > 0 || clipboard.length > 0) && (
+              <div className="flex flex-wrap items-center gap-2 mb-3 text-sm">
+                <span className="opacity-75">{gateCount(selectedIds.length)} selected</span>
+                <Button onClick={copySelection} disabled={!selectedIds.length} className="py-1">
+                  Copy
+                </Button>
+                <Button onClick={cutSelection} disabled={!selectedIds.length} className="py-1">
+                  Cut
+                </Button>
+                <Button
+                  onClick={pasteClipboard}
+                  disabled={!clipboard.length}
+                  className="py-1"
+                  title={cursor ? `Paste at q${cursor.row}, t${cursor.col}` : "Paste"}
+                >
+                  Paste
+                </Button>
+                <Button onClick={deleteSelected} disabled={!selectedIds.length} className="py-1">
+                  Delete
+                </Button>
+              </div>
+            )}
+
+            {gates.length === 0 && !editing && !showTemplates && (
+              <div className="flex items-center gap-2 mb-3 text-sm opacity-75">
+                Drag gates from the palette onto the grid, or start from an algorithm.
+                <Button onClick={() => setShowTemplates(true)} className="py-1">
+                  Templates
+                </Button>
+              </div>
+            )}
+
             {/* Grid */}
-            <div ref={gridRef} className="overflow-x-auto">
+            <div ref={gridRef} className="overflow-x-auto select-none">
               <div className="inline-block">
                 <div
                   className="grid"
-                  style={{ gridTemplateColumns: `80px repeat(${numColumns}, 72px)` }}
+                  style={{
+                    gridTemplateColumns: `${blochVectors ? 128 : 80}px repeat(${numColumns}, 72px)`,
+                  }}
                 >
                   {/* Header Row */}
                   <div className="sticky left-0 bg-slate-900/80 backdrop-blur rounded-l-xl" />
                   {Array.from({ length: numColumns }).map((_, c) => (
-                    <div key={c} className="text-center text-sm py-1 opacity-80">
+                    <button
+                      key={c}
+                      type="button"
+                      onClick={() => setInspectColumn(c)}
+                      title={`Inspect the state after t${c}`}
+                      className={
+                        "text-center text-sm py-1 rounded-t-lg hover:bg-slate-800 " +
+                        (inspectColumn === c ? "bg-indigo-600/60 opacity-100" : "opacity-80")
+                      }
+                    >
                       t{c}
-                    </div>
+                    </button>
                   ))}
 
                   {/* Rows */}
                   {Array.from({ length: numQubits }).map((_, r) => (
                     <React.Fragment key={r}>
                       {/* Qubit label */}
-                      <div className="sticky left-0 bg-slate-900/80 backdrop-blur rounded-l-xl pr-3 flex items-center justify-end text-sm">
+                      <div className="sticky left-0 bg-slate-900/80 backdrop-blur rounded-l-xl pr-3 flex items-center justify-end gap-2 text-sm">
+                        {blochVectors && <BlochSphere vector={blochVectors[r]} />}
                         q{r}
                       </div>
 
                       {/* Cells */}
-                      {Array.from({ length: numColumns }).map((_, c) => (
+                      {Array.from({ length: numColumns }).map((_, c) => {
+                        const g = occupancy[`${c}:${r}`];
+                        return (
+                          <div
+                            key={`${r}-${c}`}
+                            draggable={Boolean(g)}
+                            onDragStart={g ? (e) => onDragStart(e, `MOVE:${r}:${c}`) : undefined}
+                            onDragOver={onDragOverCell}
+                            onDrop={(e) => handleDrop(e, r, c)}
+                            onClick={(e) => clickCell(e, r, c)}
+                            onDoubleClick={() => removeGateAt(r, c)}
+                            onMouseDown={g ? undefined : () => startSelection(r, c)}
+                            onMouseEnter={() => extendSelection(r, c)}
+                            className={
+                              "relative w-[72px] h-[56px] border border-slate-800/70 hover:bg-slate-800/40 transition-colors" +
+                              (g ? " cursor-grab" : "") +
+                              (inSelection(r, c) ? " bg-indigo-500/20" : "") +
+                              (g && uncoupledIds.has(g.id) ? " bg-red-500/25" : "") +
+                              (g && selectedIds.includes(g.id)
+                                ? " ring-2 ring-inset ring-amber-400"
+                                : cursor?.row === r && cursor?.col === c
+                                  ? " ring-1 ring-inset ring-slate-500"
+                                  : "")
+                            }
+                          >
+                            {/* Wire */}
+                            <div className="absolute top-1/2 left-0 right-0 h-[2px] -translate-y-1/2 bg-slate-700" />
+                            <div className="relative z-10 flex items-center justify-center w-full h-full">
+                              {renderCellContent(r, c)}
+                            </div>
+                          </div>
+                        );
+                      })}
+                    </React.Fragment>
+                  ))}
+
+                  {/* Classical register */}
+                  {classicalLane && (
+                    <>
+                      <div className="sticky left-0 bg-slate-900/80 backdrop-blur rounded-l-xl pr-3 flex items-center justify-end text-sm">
+                        c
+                      </div>
+                      {classicalLane.map((labels, c) => (
                         <div
-                          key={`${r}-${c}`}
-                          onDragOver={onDragOverCell}
-                          onDrop={(e) => handleDrop(e, r, c)}
-                          onDoubleClick={() => removeGateAt(r, c)}
-                          className="relative w-[72px] h-[56px] border border-slate-800/70 hover:bg-slate-800/40 transition-colors"
+                          key={`c-${c}`}
+                          className="relative h-[40px] flex flex-col items-center justify-center text-xs text-amber-300"
                         >
-                          {/* Wire */}
-                          <div className="absolute top-1/2 left-0 right-0 h-[2px] -translate-y-1/2 bg-slate-700" />
-                          <div className="relative z-10 flex items-center justify-center w-full h-full">
-                            {renderCellContent(r, c)}
-                          </div>
+                          {/* Double wire */}
+                          <div className="absolute top-1/2 left-0 right-0 h-[5px] -translate-y-1/2 border-y border-slate-600" />
+                          {labels.map((label, i) => (
+                            <span key={i} className="relative z-10 bg-slate-900 px-1 leading-tight">
+                              {label}
+                            </span>
+                          ))}
                         </div>
                       ))}
-                    </React.Fragment>
-                  ))}
+                    </>
+                  )}
                 </div>
               </div>
             </div>
           </div>
         </section>
 
-        {/* Python Output & Jupyter Output */}
+        {/* Selected gate */}
+        {selectedGates.length === 1 && (
+          <GateInspector
+            gate={selectedGates[0]}
+            onApply={applyGateEdit}
+            onDelete={deleteSelected}
+            onClose={clearSelection}
+          />
+        )}
+
+        {showLibrary && library && (
+          <LibraryPanel
+            store={library}
+            design={workingDesign}
+            currentId={projectId}
+            onOpen={openLibraryProject}
+            onCurrentChange={(project) => setProjectId(project?.id ?? null)}
+            onClose={() => setShowLibrary(false)}
+          />
+        )}
+
+        {/* Optimizer preview */}
+        {showOptimizer && (
+          <OptimizerPanel
+            gates={gates}
+            onApply={applyOptimized}
+            onClose={() => setShowOptimizer(false)}
+          />
+        )}
+
+        {/* Algorithm templates */}
+        {showTemplates && (
+          <TemplateGallery
+            replacing={gates.length > 0}
+            onInsert={insertTemplate}
+            onClose={() => setShowTemplates(false)}
+          />
+        )}
+
+        {/* Unitary matrix and equivalence check */}
+        {showUnitary && (
+          <UnitaryPanel
+            gates={boundGates}
+            numQubits={numQubits}
+            onClose={() => setShowUnitary(false)}
+          />
+        )}
+
+        {/* Diagram export */}
+        {showDiagram && (
+          <DiagramPanel
+            gates={gates}
+            numQubits={numQubits}
+            numColumns={numColumns}
+            title={metadata.title}
+            onClose={() => setShowDiagram(false)}
+          />
+        )}
+
+        {/* Step-through state inspector */}
+        {inspectColumn !== null && (
+          <StateInspector
+            gates={boundGates}
+            numQubits={numQubits}
+            numColumns={numColumns}
+            column={Math.min(inspectColumn, numColumns - 1)}
+            onColumnChange={setInspectColumn}
+            onClose={() => setInspectColumn(null)}
+          />
+        )}
+
+        {/* Measurement histogram */}
+        {runResult && (
+          <ResultsPanel
+            result={runResult}
+            shots={shots}
+            onShotsChange={setShots}
+            onRerun={runSimulator}
+          />
+        )}
+
+        {showJupyter && (
+          <JupyterPanel
+            baseUrl={jupyterBaseUrl}
+            status={jupyterStatus}
+            kernels={jupyterKernels}
+            kernelName={jupyterKernel}
+            onKernelChange={chooseJupyterKernel}
+            onRefreshKernels={() => setKernelListRequest((n) => n + 1)}
+            outputs={jupyterOutputs}
+            busy={jupyterBusy}
+            onRun={runOnJupyter}
+            onInterrupt={() => controlJupyter((session) => session.interrupt())}
+            onRestart={() => controlJupyter((session) => session.restart())}
+            onShutdown={shutdownJupyter}
+            onSettings={() => setShowJupyterSettings(true)}
+            onClose={() => setShowJupyter(false)}
+          />
+        )}
+
+        {/* Generated code */}
         <section className="rounded-3xl border border-slate-700 bg-slate-900 p-3 mt-4">
           <div className="flex items-center justify-between mb-2">
-            <h2 className="text-lg font-semibold">Generated Python (Qiskit + Aer)</h2>
+            <h2 className="text-lg font-semibold">
+              Generated {backend.language === "python" ? "Python" : "Q#"} ({backend.label})
+            </h2>
             <div className="flex items-center gap-2">
               <Button
                 onClick={() => {
-                  if (!python) generatePython();
-                  navigator.clipboard.writeText(python || "");
+                  const code = python || generatePython();
+                  if (code !== null) navigator.clipboard.writeText(code);
                 }}
               >
                 Copy
               </Button>
-              <Button onClick={downloadPython}>Download .py</Button>
+              <Button onClick={downloadPython}>Download .{backend.extension}</Button>
+              <Button onClick={downloadNotebook}>Download .ipynb</Button>
+              {runResult && (
+                <label
+                  className="flex items-center gap-1 text-sm"
+                  title="Embed the counts and histogram of the last run as the notebook's outputs"
+                >
+                  <input
+                    type="checkbox"
+                    checked={notebookResults}
+                    onChange={(e) => setNotebookResults(e.target.checked)}
+                  />
+                  with last results
+                </label>
+              )}
             </div>
           </div>
           <textarea
             className="w-full min-h-[200px] rounded-xl bg-slate-950 border border-slate-700 p-3 font-mono text-sm"
-            placeholder='Click "Generate Python" after building your circuit.'
+            placeholder='Click "Generate" after building your circuit.'
             value={python}
             onChange={(e) => setPython(e.target.value)}
           />
           <div className="text-xs opacity-75 mt-2">
-            Tip: Install with <code>pip install qiskit qiskit-aer</code> and run the downloaded
-            script.
+            Tip: Install with <code>{backend.install}</code> and run the downloaded script.
           </div>
           <div className="text-xs opacity-75 mt-2">
             <p>&copy; 2025 Ranjan Kumar Mandal. All rights reserved.</p>
           </div>
         </section>
 
-        {showNotebook && (
-          <InAppNotebook code={notebookCode} onClose={() => setShowNotebook(false)} />
+        {notebookStarted && (
+          <NotebookPanel
+            open={showNotebook}
+            code={notebookCode}
+            onClose={() => setShowNotebook(false)}
+          />
         )}
 
         {showJupyterSettings && (
@@ -824,6 +1842,8 @@ export default function QuantumCircuitBuilder() {
             token={jupyterToken}
             onClose={() => setShowJupyterSettings(false)}
             onSave={(b, t) => {
+              // The session belongs to the old server
+              if (b !== jupyterBaseUrl || t !== jupyterToken) shutdownJupyter();
               setJupyterBaseUrl(b);
               setJupyterToken(t);
               localStorage.setItem("jupyterBaseUrl", b);
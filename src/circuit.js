@@ -0,0 +1,177 @@
+// ------------------------------ Headless Circuit API ------------------------------
+// What the editor does with a whole design, without React or the DOM: describe it, run it
+// and convert it to the other formats. The builder and its panels call these, and so does
+// the command-line tool (bin/qcircuit.mjs), which loads the same modules under Node.
+
+import { BACKENDS, DEFAULT_BACKEND, generateCode } from "./quantum/codegen";
+import { exportQasm } from "./quantum/qasm";
+import { expandComposites } from "./quantum/composite";
+import { bindParameters, gateSymbols, withDefaults } from "./quantum/parameters";
+import { circuitStats } from "./quantum/optimizer";
+import { isDynamic } from "./quantum/classical";
+import { simulate } from "./quantum/simulator";
+import { DENSITY_MAX_QUBITS, simulateDensity } from "./quantum/densityMatrix";
+import { serializeDesign } from "./design";
+import { buildNotebook, serializeNotebook } from "./notebook";
+import { circuitQuantikz, circuitSvg } from "./diagram";
+
+/** @typedef {import("./QuantumCircuitBuilder").Gate} Gate */
+/** @typedef {import("./design").Design} Design */
+/** @typedef {import("./components/ResultsPanel").RunResult} RunResult */
+/**
+ * The parts of a design these functions read; the editor's state has them too.
+ * @typedef {Pick<Design, "numQubits" | "numColumns" | "gates" | "params" | "customGates"
+ *   | "noise"> & { metadata?: import("./design").DesignMetadata }} DesignCircuit
+ */
+
+/**
+ * @typedef {Object} DesignStats
+ * @property {number} numQubits
+ * @property {number} numColumns
+ * @property {number} placed - gates on the grid, a custom gate counting once
+ * @property {number} count - gates once custom gates are expanded
+ * @property {number} depth - of the expanded circuit
+ * @property {Record<string, number>} byType - expanded gates per type
+ * @property {string[]} customGates - names of the definitions
+ * @property {string[]} params - symbols the gates use
+ * @property {boolean} dynamic - uses mid-circuit measurement, reset or conditions
+ * @property {boolean} noisy - noise is enabled with at least one rule
+ */
+
+/**
+ * @typedef {Object} ExportFormat
+ * @property {string} id
+ * @property {string} label
+ * @property {string} extension
+ */
+
+/**
+ * Everything exportDesign() writes: the code generation backends, then the other files.
+ * @type {ExportFormat[]}
+ */
+export const EXPORT_FORMATS = [
+  ...BACKENDS.map(({ id, label, extension }) => ({ id, label, extension })),
+  { id: "qasm2", label: "OpenQASM 2", extension: "qasm" },
+  { id: "qasm3", label: "OpenQASM 3", extension: "qasm" },
+  { id: "ipynb", label: "Jupyter notebook", extension: "ipynb" },
+  { id: "svg", label: "SVG diagram", extension: "svg" },
+  { id: "tex", label: "LaTeX (quantikz)", extension: "tex" },
+  { id: "json", label: "Design file (current version)", extension: "json" },
+];
+
+/**
+ * The design's parameter values, with those the gates use but the file leaves out at 0
+ * as in the editor.
+ * @param {Pick<Design, "gates" | "params" | "customGates">} design
+ * @returns {Record<string, number>}
+ */
+function designParams({ gates, params = {}, customGates = {} }) {
+  return withDefaults(params, gateSymbols(expandComposites(gates, customGates)));
+}
+
+/**
+ * The circuit as the simulator takes it: custom gates expanded and symbolic angles
+ * evaluated.
+ * @param {Pick<Design, "gates" | "params" | "customGates">} design
+ * @returns {Gate[]}
+ * @throws {Error} for unknown custom gates or angles that don't evaluate
+ */
+export function executableGates(design) {
+  return bindParameters(expandComposites(design.gates, design.customGates), designParams(design));
+}
+
+/**
+ * @param {DesignCircuit} design
+ * @returns {DesignStats}
+ */
+export function designStats(design) {
+  const gates = executableGates(design);
+  const { count, depth, byType } = circuitStats(gates);
+  const { noise } = design;
+  return {
+    numQubits: design.numQubits,
+    numColumns: design.numColumns,
+    placed: design.gates.length,
+    count,
+    depth,
+    byType,
+    customGates: Object.keys(design.customGates ?? {}),
+    params: gateSymbols(expandComposites(design.gates, design.customGates)),
+    dynamic: isDynamic(gates),
+    noisy: Boolean(noise?.enabled && noise.rules.length > 0),
+  };
+}
+
+/**
+ * Run the design on the local simulators: the statevector, or the density matrix when its
+ * noise model is on.
+ * @param {DesignCircuit} design
+ * @param {{ shots?: number, seed?: number }} [options]
+ * @returns {RunResult}
+ * @throws {RangeError} for noisy circuits beyond DENSITY_MAX_QUBITS
+ */
+export function simulateDesign(design, { shots = 1024, seed } = {}) {
+  const { numQubits, noise } = design;
+  const gates = executableGates(design);
+  const noisy = Boolean(noise?.enabled);
+  if (noisy && numQubits > DENSITY_MAX_QUBITS) {
+    throw new RangeError(`Noisy simulation handles up to ${DENSITY_MAX_QUBITS} qubits.`);
+  }
+  const r = noisy
+    ? simulateDensity(gates, numQubits, noise, { shots, seed })
+    : simulate(gates, numQubits, { shots, seed });
+  return {
+    source: "simulator",
+    counts: r.counts,
+    shots: r.shots,
+    numBits: numQubits,
+    probabilities: r.probabilities,
+    measured: r.measured,
+    fidelity: r.fidelity,
+    purity: r.purity,
+  };
+}
+
+/**
+ * The design written out in one of EXPORT_FORMATS.
+ * @param {DesignCircuit} design
+ * @param {string} format - id of an ExportFormat
+ * @param {{ shots?: number, backend?: string } & import("./diagram").DiagramOptions} [options]
+ *   - backend is the notebook's code generation backend
+ * @returns {string}
+ * @throws {Error} for unknown formats and circuits the format can't express
+ */
+export function exportDesign(
+  design,
+  format,
+  { shots, backend = DEFAULT_BACKEND, ...diagram } = {}
+) {
+  const circuit = {
+    ...design,
+    params: designParams(design),
+    customGates: design.customGates ?? {},
+  };
+  const { gates, numQubits, params, customGates } = circuit;
+  switch (format) {
+    case "qasm2":
+    case "qasm3":
+      return exportQasm(gates, numQubits, {
+        version: format === "qasm3" ? 3 : 2,
+        params,
+        customGates,
+      });
+    case "ipynb":
+      return serializeNotebook(
+        buildNotebook({ circuit, backend, shots, metadata: design.metadata })
+      );
+    case "svg":
+      return circuitSvg(design, diagram);
+    case "tex":
+      return circuitQuantikz(design, diagram);
+    case "json":
+      return `${serializeDesign(circuit)}\n`;
+    default:
+      if (!BACKENDS.some((b) => b.id === format)) throw new Error(`Unknown format: ${format}`);
+      return generateCode(format, circuit, { shots });
+  }
+}
@@ -0,0 +1,81 @@
+import {
+  defineComposite,
+  designStats,
+  executableGates,
+  EXPORT_FORMATS,
+  exportDesign,
+  makeInstance,
+  parseDesign,
+  simulateDesign,
+} from "./lib";
+
+const bell = defineComposite(
+  "bell",
+  [
+    { id: "h", type: "H", column: 0, target: 0 },
+    { id: "cx", type: "CNOT", column: 1, target: 1, control: 0 },
+  ],
+  { top: 0, bottom: 1, left: 0, right: 1 }
+);
+
+const design = {
+  metadata: { title: "Bell and a twist", author: "Ada", description: "" },
+  numQubits: 3,
+  numColumns: 3,
+  gates: [
+    makeInstance("bell", 0, [0, 1]),
+    { id: "rz", type: "RZ", column: 1, target: 2, expr: "phi" },
+    { id: "rx", type: "RX", column: 2, target: 2, expr: "theta" },
+  ],
+  params: { phi: 0.5 },
+  customGates: { bell },
+  noise: { enabled: false, rules: [] },
+};
+
+test("expands custom gates and binds parameters, unset ones at 0", () => {
+  const gates = executableGates(design);
+  expect(gates.map((g) => g.type)).toEqual(["H", "CNOT", "RZ", "RX"]);
+  expect(gates.find((g) => g.type === "RZ").angle).toBe(0.5);
+  expect(gates.find((g) => g.type === "RX").angle).toBe(0);
+});
+
+test("describes a design", () => {
+  expect(designStats(design)).toEqual({
+    numQubits: 3,
+    numColumns: 3,
+    placed: 3,
+    count: 4,
+    depth: 2,
+    byType: { H: 1, CNOT: 1, RZ: 1, RX: 1 },
+    customGates: ["bell"],
+    params: ["phi", "theta"],
+    dynamic: false,
+    noisy: false,
+  });
+});
+
+test("simulates reproducibly with a seed", () => {
+  const a = simulateDesign(design, { shots: 200, seed: 7 });
+  expect(a).toMatchObject({ source: "simulator", shots: 200, numBits: 3 });
+  expect(Object.keys(a.counts).sort()).toEqual(["000", "011"]);
+  expect(simulateDesign(design, { shots: 200, seed: 7 }).counts).toEqual(a.counts);
+
+  const noisy = { ...design, numQubits: 12, noise: { enabled: true, rules: [] } };
+  expect(() => simulateDesign(noisy)).toThrow(RangeError);
+});
+
+test("exports every listed format", () => {
+  for (const { id } of EXPORT_FORMATS) {
+    expect(exportDesign(design, id).length).toBeGreaterThan(0);
+  }
+  const qiskit = exportDesign(design, "qiskit");
+  expect(qiskit).toContain("qc.append(bell, [0, 1])");
+  expect(qiskit).toContain("qc.assign_parameters({phi: 0.5, theta: 0})");
+  expect(exportDesign(design, "qasm3")).toMatch(/^\/\/[^\n]*\nOPENQASM 3/);
+  expect(JSON.parse(exportDesign(design, "ipynb")).metadata.title).toBe("Bell and a twist");
+  expect(exportDesign(design, "svg")).toMatch(/^<svg /);
+  expect(exportDesign(design, "tex", { collapse: true })).toContain("\\gate[2]{\\mathrm{bell}}");
+  // An older or hand-edited file comes back in the current version
+  expect(parseDesign(exportDesign(design, "json"))).toMatchObject(design);
+  expect(() => exportDesign(design, "pdf")).toThrow("Unknown format: pdf");
+});
@@ -0,0 +1,35 @@
+import React from "react";
+
+// ------------------------------ Bloch Sphere ------------------------------
+// Tiny SVG Bloch sphere. Z points up, Y to the right and X out of the screen (drawn
+// toward the lower left). A mixed reduced state shows as a vector shorter than the radius.
+
+/** Oblique projection of the X axis (toward the viewer). */
+const X_DX = -0.4;
+const X_DY = 0.3;
+
+/**
+ * @param {Object} props
+ * @param {{ x: number, y: number, z: number }} props.vector
+ * @param {number} [props.size] - pixel width/height
+ * @param {string} [props.title]
+ */
+export default function BlochSphere({ vector, size = 40, title }) {
+  const c = size / 2;
+  const r = size / 2 - 2;
+  const project = ({ x, y, z }) => [c + r * (y + x * X_DX), c - r * (z - x * X_DY)];
+  const [px, py] = project(vector);
+  const length = Math.hypot(vector.x, vector.y, vector.z);
+  const coordinates = [vector.x, vector.y, vector.z].map((v) => v.toFixed(2)).join(", ");
+
+  return (
+    <svg width={size} height={size} viewBox={`0 0 ${size} ${size}`} role="img">
+      <title>{title ?? `Bloch (${coordinates}), |r|=${length.toFixed(2)}`}</title>
+      <circle cx={c} cy={c} r={r} fill="none" stroke="#475569" strokeWidth="1" />
+      <ellipse cx={c} cy={c} rx={r} ry={r * 0.3} fill="none" stroke="#334155" strokeWidth="1" />
+      <line x1={c} y1={c - r} x2={c} y2={c + r} stroke="#334155" strokeWidth="1" />
+      <line x1={c} y1={c} x2={px} y2={py} stroke="#818cf8" strokeWidth="2" strokeLinecap="round" />
+      <circle cx={px} cy={py} r={2.5} fill={length < 0.99 ? "#f59e0b" : "#a5b4fc"} />
+    </svg>
+  );
+}
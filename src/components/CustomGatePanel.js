@@ -0,0 +1,102 @@
+import React, { useState } from "react";
+import { Button } from "./ui";
+
+// ------------------------------ Custom Gate Panel ------------------------------
+// The "Custom" palette section: user-defined composite gates to drag onto the grid, plus
+// a name field for saving the current grid selection as a new one.
+
+/**
+ * @param {Object} props
+ * @param {import("../quantum/composite").CompositeDefinition[]} props.definitions
+ * @param {string[]} props.used - names placed on the grid or inside other definitions
+ * @param {boolean} props.hasSelection - whether gates are selected on the grid
+ * @param {string | null} props.editing - name of the definition being edited
+ * @param {(e: React.DragEvent, name: string) => void} props.onDragStart
+ * @param {(name: string) => string | null} props.onSaveSelection - returns a problem to
+ *   show, or null once saved
+ * @param {(name: string) => void} props.onEdit
+ * @param {(name: string) => void} props.onDelete
+ */
+export default function CustomGatePanel({
+  definitions,
+  used,
+  hasSelection,
+  editing,
+  onDragStart,
+  onSaveSelection,
+  onEdit,
+  onDelete,
+}) {
+  const [newName, setNewName] = useState("");
+  const [error, setError] = useState("");
+
+  function save() {
+    const problem = onSaveSelection(newName.trim());
+    setError(problem ?? "");
+    if (!problem) setNewName("");
+  }
+
+  return (
+    <div className="mt-4">
+      <h2 className="text-lg font-semibold mb-2">Custom</h2>
+      {definitions.length === 0 && (
+        <p className="text-sm opacity-75 mb-2">
+          Select a block of the grid and name it here to reuse it as a single gate.
+        </p>
+      )}
+      <div className="space-y-2">
+        {definitions.map((def) => (
+          <div key={def.name} className="flex items-center gap-2 text-sm">
+            <div
+              draggable
+              onDragStart={(e) => onDragStart(e, def.name)}
+              className={
+                "flex-1 cursor-grab active:cursor-grabbing select-none rounded-xl border " +
+                "border-indigo-500 bg-indigo-900/60 hover:bg-indigo-800/60 p-2 font-semibold"
+              }
+              title={`Drag ${def.name} onto the circuit`}
+            >
+              {def.name}
+              <span className="ml-2 text-xs font-normal opacity-75">
+                {def.numQubits}q × {def.numColumns}t
+              </span>
+            </div>
+            <button
+              type="button"
+              className="opacity-75 hover:opacity-100 disabled:opacity-25"
+              onClick={() => onEdit(def.name)}
+              disabled={editing !== null}
+              title={`Edit ${def.name}`}
+            >
+              ✎
+            </button>
+            <button
+              type="button"
+              className="opacity-75 hover:opacity-100 disabled:opacity-25"
+              onClick={() => onDelete(def.name)}
+              disabled={used.includes(def.name) || editing !== null}
+              title={used.includes(def.name) ? "In use" : `Delete ${def.name}`}
+            >
+              ✕
+            </button>
+          </div>
+        ))}
+      </div>
+      <div className="mt-2 flex items-center gap-2">
+        <input
+          value={newName}
+          onChange={(e) => setNewName(e.target.value)}
+          onKeyDown={(e) => e.key === "Enter" && hasSelection && save()}
+          placeholder="name for the selection"
+          className={
+            "min-w-0 flex-1 rounded-xl bg-slate-800 border border-slate-600 px-3 py-1 text-sm"
+          }
+        />
+        <Button onClick={save} disabled={!hasSelection} className="py-1">
+          Save
+        </Button>
+      </div>
+      {error && <div className="text-xs text-red-400 mt-1">{error}</div>}
+    </div>
+  );
+}
@@ -0,0 +1,34 @@
+import React from "react";
+
+// ------------------------------ Details Panel ------------------------------
+// Title, author and description saved with the design file. The title also names the
+// downloaded file.
+
+const fieldClass = "w-full rounded-xl bg-slate-800 border border-slate-600 px-2 py-1";
+
+/**
+ * @param {Object} props
+ * @param {import("../design").DesignMetadata} props.metadata
+ * @param {(metadata: import("../design").DesignMetadata) => void} props.onChange
+ */
+export default function DetailsPanel({ metadata, onChange }) {
+  const field = (key) => ({
+    value: metadata[key],
+    onChange: (e) => onChange({ ...metadata, [key]: e.target.value }),
+  });
+
+  return (
+    <div className="mt-4 space-y-2 text-sm">
+      <h2 className="text-lg font-semibold">Details</h2>
+      <input {...field("title")} placeholder="Title" className={fieldClass} aria-label="Title" />
+      <input {...field("author")} placeholder="Author" className={fieldClass} aria-label="Author" />
+      <textarea
+        {...field("description")}
+        placeholder="Description"
+        rows={3}
+        className={fieldClass}
+        aria-label="Description"
+      />
+    </div>
+  );
+}
@@ -0,0 +1,98 @@
+import React, { useState } from "react";
+import { Button } from "./ui";
+import { TOPOLOGIES } from "../quantum/topology";
+import { NATIVE_SETS } from "../quantum/nativeGates";
+
+// ------------------------------ Device Panel ------------------------------
+// Target device for the circuit: which qubit pairs are coupled and which gates it runs.
+// Gates on uncoupled pairs are highlighted on the grid; Transpile routes and translates
+// the circuit as one undoable step.
+
+/**
+ * @typedef {Object} DeviceChoice
+ * @property {string} topology - id from TOPOLOGIES
+ * @property {string} customEdges - JSON edge list, used when topology is "custom"
+ * @property {string} nativeSet - id from NATIVE_SETS
+ */
+
+const selectClass = "w-full rounded-xl bg-slate-800 border border-slate-600 px-2 py-1";
+
+/**
+ * @param {Object} props
+ * @param {DeviceChoice} props.device
+ * @param {(patch: Partial<DeviceChoice>) => void} props.onChange
+ * @param {[number, number][] | null} props.edges - coupling map, null for all-to-all
+ * @param {string | null} props.error - why the custom edge list can't be used
+ * @param {number} props.uncoupled - gates on pairs the device doesn't couple
+ * @param {() => { summary?: string, error?: string }} props.onTranspile
+ */
+export default function DevicePanel({ device, onChange, edges, error, uncoupled, onTranspile }) {
+  const [message, setMessage] = useState(null);
+
+  function transpile() {
+    const result = onTranspile();
+    setMessage(result.error ? { error: result.error } : { summary: result.summary });
+  }
+
+  return (
+    <div className="mt-4 space-y-2 text-sm">
+      <h2 className="text-lg font-semibold">Device</h2>
+      <label className="block">
+        Topology
+        <select
+          value={device.topology}
+          onChange={(e) => onChange({ topology: e.target.value })}
+          className={selectClass}
+        >
+          {TOPOLOGIES.map((t) => (
+            <option key={t.id} value={t.id}>
+              {t.label}
+            </option>
+          ))}
+        </select>
+      </label>
+      {device.topology === "custom" && (
+        <textarea
+          value={device.customEdges}
+          onChange={(e) => onChange({ customEdges: e.target.value })}
+          rows={3}
+          className={
+            "w-full rounded-xl bg-slate-800 border border-slate-600 px-2 py-1 font-mono text-xs"
+          }
+          aria-label="Coupling map"
+          placeholder="[[0, 1], [1, 2]]"
+        />
+      )}
+      {error && <div className="text-xs text-red-400">{error}</div>}
+      {edges && (
+        <p className="text-xs opacity-75">
+          Couples {edges.map(([a, b]) => `${a}–${b}`).join(", ") || "nothing"}
+        </p>
+      )}
+      <label className="block">
+        Gate set
+        <select
+          value={device.nativeSet}
+          onChange={(e) => onChange({ nativeSet: e.target.value })}
+          className={selectClass}
+        >
+          {NATIVE_SETS.map((s) => (
+            <option key={s.id} value={s.id}>
+              {s.label}
+            </option>
+          ))}
+        </select>
+      </label>
+      {uncoupled > 0 && (
+        <p className="text-xs text-red-400">
+          {uncoupled === 1 ? "1 gate uses" : `${uncoupled} gates use`} uncoupled qubits.
+        </p>
+      )}
+      <Button onClick={transpile} disabled={Boolean(error)} className="w-full py-1">
+        Transpile
+      </Button>
+      {message?.error && <div className="text-xs text-red-400">{message.error}</div>}
+      {message?.summary && <p className="text-xs opacity-75">{message.summary}</p>}
+    </div>
+  );
+}
@@ -0,0 +1,160 @@
+import React, { useMemo, useState } from "react";
+import { Button } from "./ui";
+import { circuitQuantikz, circuitSvg } from "../diagram";
+import { downloadFile } from "../download";
+import { titleSlug } from "../design";
+
+// ------------------------------ Diagram Export ------------------------------
+// The circuit drawn for papers and slides (see diagram.js): a preview of the SVG with its
+// theme and column options, downloads as SVG, PNG or a standalone .tex file, and the
+// quantikz environment to copy into an existing document.
+
+/** Pixels per SVG unit offered for the PNG. */
+const PNG_SCALES = [1, 2, 3, 4];
+
+const svgUrl = (svg) => `data:image/svg+xml;charset=utf-8,${encodeURIComponent(svg)}`;
+
+/**
+ * Rasterise an SVG document through a canvas.
+ * @param {string} svg
+ * @param {number} scale
+ * @returns {Promise<Blob>}
+ */
+function svgToPng(svg, scale) {
+  return new Promise((resolve, reject) => {
+    const image = new Image();
+    image.onload = () => {
+      const canvas = document.createElement("canvas");
+      canvas.width = Math.ceil(image.width * scale);
+      canvas.height = Math.ceil(image.height * scale);
+      const ctx = canvas.getContext("2d");
+      if (!ctx) {
+        reject(new Error("This browser cannot draw the PNG"));
+        return;
+      }
+      ctx.drawImage(image, 0, 0, canvas.width, canvas.height);
+      canvas.toBlob(
+        (blob) => (blob ? resolve(blob) : reject(new Error("Could not encode the PNG"))),
+        "image/png"
+      );
+    };
+    image.onerror = () => reject(new Error("Could not draw the diagram"));
+    image.src = svgUrl(svg);
+  });
+}
+
+/**
+ * @param {Object} props
+ * @param {import("../QuantumCircuitBuilder").Gate[]} props.gates - as placed, custom gates
+ *   unexpanded
+ * @param {number} props.numQubits
+ * @param {number} props.numColumns
+ * @param {string} props.title - the design's title, for file names
+ * @param {() => void} props.onClose
+ */
+export default function DiagramPanel({ gates, numQubits, numColumns, title, onClose }) {
+  const [theme, setTheme] = useState("light");
+  const [collapse, setCollapse] = useState(true);
+  const [scale, setScale] = useState(2);
+  const [error, setError] = useState(null);
+  const [copied, setCopied] = useState(false);
+
+  const circuit = useMemo(() => ({ gates, numQubits, numColumns }), [gates, numQubits, numColumns]);
+  const svg = useMemo(() => circuitSvg(circuit, { theme, collapse }), [circuit, theme, collapse]);
+  const environment = useMemo(
+    () => circuitQuantikz(circuit, { collapse, standalone: false }),
+    [circuit, collapse]
+  );
+  const fileBase = titleSlug(title) || "circuit";
+
+  function downloadPng() {
+    setError(null);
+    svgToPng(svg, scale).then(
+      (blob) => downloadFile(blob, `${fileBase}.png`, "image/png"),
+      (e) => setError(e.message)
+    );
+  }
+
+  function copyLatex() {
+    navigator.clipboard.writeText(environment).then(
+      () => {
+        setCopied(true);
+        setTimeout(() => setCopied(false), 1500);
+      },
+      () => setError("Could not copy the LaTeX to the clipboard.")
+    );
+  }
+
+  const field = "rounded-xl bg-slate-800 border border-slate-600 px-2 py-1";
+
+  return (
+    <section className="rounded-3xl border border-slate-700 bg-slate-900 p-3 mt-4">
+      <div className="flex flex-wrap items-center gap-2 mb-3">
+        <h2 className="text-lg font-semibold">Diagram</h2>
+        <div className="ml-auto flex flex-wrap items-center gap-2">
+          <Button onClick={() => downloadFile(svg, `${fileBase}.svg`, "image/svg+xml")}>
+            Download SVG
+          </Button>
+          <Button onClick={downloadPng}>Download PNG</Button>
+          <Button
+            onClick={() =>
+              downloadFile(circuitQuantikz(circuit, { collapse }), `${fileBase}.tex`, "text/x-tex")
+            }
+          >
+            Download .tex
+          </Button>
+          <Button onClick={copyLatex}>{copied ? "Copied!" : "Copy LaTeX"}</Button>
+          <Button onClick={onClose}>Close</Button>
+        </div>
+      </div>
+
+      <div className="flex flex-wrap items-center gap-4 mb-3 text-sm">
+        <label className="flex items-center gap-2">
+          Theme
+          <select value={theme} onChange={(e) => setTheme(e.target.value)} className={field}>
+            <option value="light">Light</option>
+            <option value="dark">Dark</option>
+          </select>
+        </label>
+        <label className="flex items-center gap-2">
+          <input
+            type="checkbox"
+            checked={collapse}
+            onChange={(e) => setCollapse(e.target.checked)}
+          />
+          Collapse empty columns
+        </label>
+        <label className="flex items-center gap-2">
+          PNG scale
+          <select
+            value={scale}
+            onChange={(e) => setScale(Number(e.target.value))}
+            className={field}
+          >
+            {PNG_SCALES.map((s) => (
+              <option key={s} value={s}>
+                {s}×
+              </option>
+            ))}
+          </select>
+        </label>
+      </div>
+      {error && <p className="text-sm text-amber-300 mb-2">{error}</p>}
+
+      <div className="overflow-auto max-w-full rounded-xl border border-slate-700 mb-3">
+        <img src={svgUrl(svg)} alt="Circuit diagram" className="max-w-none" />
+      </div>
+
+      <p className="text-xs opacity-75 mb-1">
+        quantikz (needs \usetikzlibrary{"{quantikz}"}; the .tex download compiles on its own)
+      </p>
+      <pre
+        className={
+          "rounded-xl bg-slate-950 border border-slate-700 p-3 text-xs overflow-auto max-h-64"
+        }
+      >
+        {environment}
+      </pre>
+    </section>
+  );
+}
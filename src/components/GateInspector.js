@@ -0,0 +1,215 @@
+import React, { useEffect, useState } from "react";
+import { Button } from "./ui";
+import { GATE_SPECS, gateControls, gateParams, makeGate } from "../quantum/gates";
+import { parseAngleInput } from "../quantum/parameters";
+import { conditionLabel, measuredBit, parseCondition } from "../quantum/classical";
+
+// ------------------------------ Gate Inspector ------------------------------
+// Edits the selected gate's qubits, angles and classical bits in place. Problems (a busy
+// qubit, a bad angle expression) are shown under the fields; nothing changes until they
+// are fixed.
+
+/** Gates that can run only when a classical condition holds. */
+const conditionable = (type) => type !== "CUSTOM" && type !== "MEASURE" && type !== "RESET";
+
+/** Editable text for every field of a gate. */
+function draftOf(g) {
+  if (g.type === "CUSTOM") return { qubits: g.qubits.map(String), angles: [] };
+  const spec = GATE_SPECS[g.type];
+  return {
+    target: String(g.target),
+    controls: gateControls(g).map(String),
+    pair: spec?.targets === 2 ? String(g.pair) : null,
+    angles: gateParams(g).map(({ angle, expr }) => expr ?? String(angle ?? 0)),
+    clbit: g.type === "MEASURE" ? String(measuredBit(g)) : null,
+    condition: conditionable(g.type) ? (g.condition ? conditionLabel(g.condition) : "") : null,
+  };
+}
+
+function qubitOf(text, what) {
+  if (!/^\d+$/.test(text.trim())) throw new Error(`${what} must be a qubit number such as 0.`);
+  return Number(text);
+}
+
+/** "2" or "c[2]" → 2 */
+function bitOf(text) {
+  const m = /^\s*(?:c\s*\[\s*(\d+)\s*\]|(\d+))\s*$/.exec(text);
+  if (!m) throw new Error("Classical bit must be a number such as 0 or c[0].");
+  return Number(m[1] ?? m[2]);
+}
+
+/** The gate described by a draft, keeping the original's id and column. */
+function gateFrom(g, draft) {
+  if (g.type === "CUSTOM") {
+    const qubits = draft.qubits.map((t, i) => qubitOf(t, `Wire ${i}`));
+    return { ...g, target: qubits[0], qubits };
+  }
+  const names = GATE_SPECS[g.type].params;
+  const params = draft.angles.map((text, i) => {
+    try {
+      return parseAngleInput(text);
+    } catch (e) {
+      throw new Error(`Angle ${names[i]}: ${e.message}`);
+    }
+  });
+  const placement = {
+    column: g.column,
+    target: qubitOf(draft.target, "Target"),
+    controls: draft.controls.map((t, i) => qubitOf(t, `Control ${i + 1}`)),
+    pair: draft.pair === null ? undefined : qubitOf(draft.pair, "Partner"),
+    params,
+  };
+  const next = { ...makeGate(g.type, placement), id: g.id };
+  if (draft.clbit !== null) {
+    const clbit = bitOf(draft.clbit);
+    if (clbit !== next.target) next.clbit = clbit;
+  }
+  if (draft.condition !== null) {
+    const condition = parseCondition(draft.condition);
+    if (condition) next.condition = condition;
+  }
+  return next;
+}
+
+function Field({ label, value, onChange, onSubmit, wide = false, placeholder }) {
+  return (
+    <label className="flex items-center gap-2 text-sm">
+      {label}
+      <input
+        value={value}
+        onChange={(e) => onChange(e.target.value)}
+        onKeyDown={(e) => e.key === "Enter" && onSubmit()}
+        placeholder={placeholder}
+        className={
+          "rounded-xl bg-slate-800 border border-slate-600 px-2 py-0.5 " + (wide ? "w-40" : "w-14")
+        }
+        aria-label={label}
+      />
+    </label>
+  );
+}
+
+/**
+ * @param {Object} props
+ * @param {import("../QuantumCircuitBuilder").Gate} props.gate
+ * @param {(gate: import("../QuantumCircuitBuilder").Gate) => string | null} props.onApply -
+ *   returns a problem to show, or null once applied
+ * @param {() => void} props.onDelete
+ * @param {() => void} props.onClose
+ */
+export default function GateInspector({ gate, onApply, onDelete, onClose }) {
+  const [draft, setDraft] = useState(() => draftOf(gate));
+  const [error, setError] = useState("");
+
+  // Undo, redo or a move can change the gate under the inspector
+  useEffect(() => {
+    setDraft(draftOf(gate));
+    setError("");
+  }, [gate]);
+
+  function apply() {
+    let next;
+    try {
+      next = gateFrom(gate, draft);
+    } catch (e) {
+      setError(e.message);
+      return;
+    }
+    setError(onApply(next) ?? "");
+  }
+
+  const set = (key, i) => (value) =>
+    setDraft((d) => {
+      if (i === undefined) return { ...d, [key]: value };
+      const list = [...d[key]];
+      list[i] = value;
+      return { ...d, [key]: list };
+    });
+
+  const title = gate.type === "CUSTOM" ? gate.name : (GATE_SPECS[gate.type]?.label ?? gate.type);
+  const angleNames = GATE_SPECS[gate.type]?.params ?? [];
+
+  return (
+    <section className="rounded-3xl border border-slate-700 bg-slate-900 p-3 mt-4">
+      <div className="flex items-center gap-2 mb-2">
+        <h2 className="text-lg font-semibold">
+          {title} <span className="text-sm font-normal opacity-75">at t{gate.column}</span>
+        </h2>
+        <button
+          type="button"
+          className="ml-auto opacity-75 hover:opacity-100"
+          onClick={onClose}
+          title="Close the inspector"
+        >
+          ✕
+        </button>
+      </div>
+      <div className="flex flex-wrap items-center gap-3">
+        {gate.type === "CUSTOM" ? (
+          draft.qubits.map((q, i) => (
+            <Field
+              key={i}
+              label={`Wire ${i}`}
+              value={q}
+              onChange={set("qubits", i)}
+              onSubmit={apply}
+            />
+          ))
+        ) : (
+          <>
+            {draft.controls.map((q, i) => (
+              <Field
+                key={i}
+                label={draft.controls.length > 1 ? `Control ${i + 1}` : "Control"}
+                value={q}
+                onChange={set("controls", i)}
+                onSubmit={apply}
+              />
+            ))}
+            <Field label="Target" value={draft.target} onChange={set("target")} onSubmit={apply} />
+            {draft.pair !== null && (
+              <Field label="Partner" value={draft.pair} onChange={set("pair")} onSubmit={apply} />
+            )}
+            {draft.angles.map((a, i) => (
+              <Field
+                key={i}
+                label={angleNames[i]}
+                value={a}
+                onChange={set("angles", i)}
+                onSubmit={apply}
+                wide
+              />
+            ))}
+            {draft.clbit !== null && (
+              <Field
+                label="Classical bit"
+                value={draft.clbit}
+                onChange={set("clbit")}
+                onSubmit={apply}
+              />
+            )}
+            {draft.condition !== null && (
+              <Field
+                label="If"
+                value={draft.condition}
+                onChange={set("condition")}
+                onSubmit={apply}
+                placeholder="c[0]=1"
+                wide
+              />
+            )}
+          </>
+        )}
+        <div className="ml-auto flex items-center gap-2">
+          <Button onClick={apply} className="py-1">
+            Apply
+          </Button>
+          <Button onClick={onDelete} className="py-1">
+            Delete
+          </Button>
+        </div>
+      </div>
+      {error && <div className="text-xs text-red-400 mt-2">{error}</div>}
+    </section>
+  );
+}
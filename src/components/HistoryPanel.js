@@ -0,0 +1,41 @@
+import React from "react";
+
+// ------------------------------ History Panel ------------------------------
+// Every undoable step, newest first. Clicking a step undoes or redoes back to it; steps
+// after the current one stay listed (dimmed) until a new change replaces them.
+
+/**
+ * @param {Object} props
+ * @param {{ label: string }[]} props.entries - oldest first
+ * @param {number} props.current - index of the present entry
+ * @param {(index: number) => void} props.onJump
+ */
+export default function HistoryPanel({ entries, current, onJump }) {
+  const newestFirst = entries.map((entry, index) => ({ entry, index })).reverse();
+  return (
+    <div className="mt-4">
+      <h2 className="text-lg font-semibold mb-2">History</h2>
+      <ol className="max-h-48 overflow-y-auto space-y-0.5 text-sm">
+        {newestFirst.map(({ entry, index }) => (
+          <li key={index}>
+            <button
+              type="button"
+              onClick={() => onJump(index)}
+              className={
+                "w-full truncate text-left rounded-lg px-2 py-0.5 hover:bg-slate-800 " +
+                (index === current
+                  ? "bg-indigo-600/60 font-semibold"
+                  : index > current
+                    ? "opacity-50"
+                    : "")
+              }
+              title={index > current ? `Redo to "${entry.label}"` : `Go back to "${entry.label}"`}
+            >
+              {entry.label}
+            </button>
+          </li>
+        ))}
+      </ol>
+    </div>
+  );
+}
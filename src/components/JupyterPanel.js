@@ -0,0 +1,164 @@
+import React from "react";
+import { Button } from "./ui";
+
+// ------------------------------ Jupyter Panel ------------------------------
+// Kernel picker, connection status and controls for the Jupyter session (see jupyter.js),
+// with the outputs of the last run: streams, tracebacks, images and HTML. HTML goes into a
+// sandboxed frame so kernel output can't script the app.
+
+/** Label and dot colour per kernel status */
+const STATUS = {
+  disconnected: ["Not connected", "bg-slate-500"],
+  connecting: ["Connecting…", "bg-sky-400"],
+  starting: ["Starting…", "bg-sky-400"],
+  unknown: ["Connecting…", "bg-sky-400"],
+  idle: ["Idle", "bg-emerald-400"],
+  busy: ["Busy", "bg-amber-400"],
+  restarting: ["Restarting…", "bg-sky-400"],
+  autorestarting: ["Restarting…", "bg-sky-400"],
+  terminating: ["Shutting down…", "bg-slate-500"],
+  dead: ["Kernel died", "bg-red-500"],
+};
+
+/**
+ * One piece of kernel output; the in-app notebook renders its outputs with it too.
+ * @param {{ output: import("../jupyter").JupyterOutput }} props
+ */
+export function KernelOutput({ output }) {
+  switch (output.kind) {
+    case "image":
+      return (
+        <img src={output.src} alt="Kernel output" className="max-w-full bg-white rounded-lg" />
+      );
+    case "html":
+      return (
+        <iframe
+          title="Kernel output"
+          sandbox=""
+          srcDoc={output.html}
+          className="w-full h-48 bg-white rounded-lg"
+        />
+      );
+    default:
+      return (
+        <pre
+          className={
+            "font-mono text-xs whitespace-pre-wrap " +
+            (output.kind === "error" || output.name === "stderr" ? "text-red-400" : "")
+          }
+        >
+          {output.text}
+        </pre>
+      );
+  }
+}
+
+/**
+ * @param {Object} props
+ * @param {string} props.baseUrl
+ * @param {import("../jupyter").KernelStatus} props.status
+ * @param {{ specs: import("../jupyter").KernelSpecInfo[], error?: string } | null} props.kernels
+ *   - null while loading
+ * @param {string} props.kernelName
+ * @param {(name: string) => void} props.onKernelChange
+ * @param {() => void} props.onRefreshKernels
+ * @param {import("../jupyter").JupyterOutput[]} props.outputs
+ * @param {boolean} props.busy - a run is in progress
+ * @param {() => void} props.onRun
+ * @param {() => void} props.onInterrupt
+ * @param {() => void} props.onRestart
+ * @param {() => void} props.onShutdown
+ * @param {() => void} props.onSettings
+ * @param {() => void} props.onClose
+ */
+export default function JupyterPanel({
+  baseUrl,
+  status,
+  kernels,
+  kernelName,
+  onKernelChange,
+  onRefreshKernels,
+  outputs,
+  busy,
+  onRun,
+  onInterrupt,
+  onRestart,
+  onShutdown,
+  onSettings,
+  onClose,
+}) {
+  const [label, dot] = STATUS[status] ?? [status, "bg-slate-500"];
+  const connected = status !== "disconnected";
+  const listed = kernels?.specs.some((s) => s.name === kernelName);
+
+  return (
+    <section className="rounded-3xl border border-slate-700 bg-slate-900 p-3 mt-4">
+      <div className="flex flex-wrap items-center gap-2 mb-2">
+        <h2 className="text-lg font-semibold">Jupyter</h2>
+        <span className="flex items-center gap-1 text-sm" title={baseUrl}>
+          <span className={`inline-block w-2.5 h-2.5 rounded-full ${dot}`} />
+          {label}
+        </span>
+        <button
+          type="button"
+          className="ml-auto opacity-75 hover:opacity-100"
+          onClick={onClose}
+          title="Close the panel (the session keeps running)"
+        >
+          ✕
+        </button>
+      </div>
+
+      <div className="flex flex-wrap items-center gap-2 mb-3 text-sm">
+        <label className="flex items-center gap-2">
+          Kernel
+          <select
+            value={kernelName}
+            onChange={(e) => onKernelChange(e.target.value)}
+            disabled={!kernels}
+            className="rounded-xl bg-slate-800 border border-slate-600 px-2 py-1"
+          >
+            {!listed && <option value={kernelName}>{kernelName}</option>}
+            {kernels?.specs.map((s) => (
+              <option key={s.name} value={s.name}>
+                {s.displayName}
+              </option>
+            ))}
+          </select>
+        </label>
+        <Button onClick={onRefreshKernels} className="py-1" title="Ask the server for its kernels">
+          ↻
+        </Button>
+        <Button onClick={onRun} disabled={busy} className="py-1">
+          {busy ? "Running…" : "Run"}
+        </Button>
+        <Button onClick={onInterrupt} disabled={!busy} className="py-1">
+          Interrupt
+        </Button>
+        <Button onClick={onRestart} disabled={!connected || status === "dead"} className="py-1">
+          Restart
+        </Button>
+        <Button onClick={onShutdown} disabled={!connected} className="py-1">
+          Shut down
+        </Button>
+        <Button onClick={onSettings} className="py-1 ml-auto">
+          Settings
+        </Button>
+      </div>
+
+      {kernels?.error && (
+        <p className="text-xs text-amber-300 mb-2">
+          Cannot list kernels on {baseUrl}: {kernels.error}
+        </p>
+      )}
+
+      <div className="rounded-xl bg-slate-950 border border-slate-700 p-3 space-y-2 min-h-[80px]">
+        {outputs.length === 0 ? (
+          <p className="text-xs opacity-75">{busy ? "Waiting for output…" : "(no output)"}</p>
+        ) : (
+          outputs.map((o, i) => <KernelOutput key={i} output={o} />)
+        )}
+      </div>
+    </section>
+  );
+}
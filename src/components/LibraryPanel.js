@@ -0,0 +1,244 @@
+import React, { useEffect, useState } from "react";
+import { Button } from "./ui";
+import { downloadFile } from "../download";
+import {
+  deleteProject,
+  duplicateProject,
+  exportLibrary,
+  importLibrary,
+  listProjects,
+  openProject,
+  renameProject,
+  saveProject,
+} from "../library";
+
+// ------------------------------ Library Panel ------------------------------
+// Projects saved in the browser (see library.js): save the circuit under a name, open,
+// rename, duplicate or delete projects, search them, and move the whole library between
+// browsers as one archive file.
+
+/** @typedef {import("../design").Design} Design */
+/** @typedef {import("../library").Project} Project */
+
+const fieldClass = "rounded-xl bg-slate-800 border border-slate-600 px-2 py-1";
+
+function thumbnailUrl(svg) {
+  return `data:image/svg+xml;charset=utf-8,${encodeURIComponent(svg)}`;
+}
+
+/**
+ * @param {Object} props
+ * @param {import("../library").LibraryStore} props.store
+ * @param {Omit<Design, "format" | "version">} props.design - what Save stores
+ * @param {string | null} props.currentId - project the editor was opened from or saved to
+ * @param {(design: Design, project: Project) => void} props.onOpen
+ * @param {(project: Project | null) => void} props.onCurrentChange
+ * @param {() => void} props.onClose
+ */
+export default function LibraryPanel({
+  store,
+  design,
+  currentId,
+  onOpen,
+  onCurrentChange,
+  onClose,
+}) {
+  const [projects, setProjects] = useState([]);
+  const [query, setQuery] = useState("");
+  const [name, setName] = useState(design.metadata.title || "Untitled circuit");
+  /** @type {[{ id: string, name: string } | null, Function]} */
+  const [renaming, setRenaming] = useState(null);
+  const [message, setMessage] = useState("");
+  // Bumped after every change to reload the list
+  const [revision, setRevision] = useState(0);
+
+  useEffect(() => {
+    let live = true;
+    listProjects(store, query).then((list) => live && setProjects(list));
+    return () => {
+      live = false;
+    };
+  }, [store, query, revision]);
+
+  /** Run a library operation, then reload the list or show what went wrong. */
+  function act(promise, then) {
+    promise.then(
+      (result) => {
+        setMessage("");
+        then?.(result);
+        setRevision((r) => r + 1);
+      },
+      (e) => setMessage(e.errors?.[0] ?? e.message)
+    );
+  }
+
+  const save = (asNew) =>
+    act(saveProject(store, { name, design, id: asNew ? undefined : currentId }), onCurrentChange);
+
+  function open(project) {
+    act(openProject(store, project.id), (opened) => onOpen(opened, project));
+  }
+
+  function rename() {
+    if (!renaming) return; // blur after Enter or Escape
+    act(renameProject(store, renaming.id, renaming.name), () => setRenaming(null));
+  }
+
+  function remove(project) {
+    if (!window.confirm(`Delete "${project.name}"? This cannot be undone.`)) return;
+    act(deleteProject(store, project.id), () => {
+      if (project.id === currentId) onCurrentChange(null);
+    });
+  }
+
+  function exportAll() {
+    act(exportLibrary(store), (text) =>
+      downloadFile(text, "circuit_library.json", "application/json")
+    );
+  }
+
+  function importAll(e) {
+    const file = e.target.files?.[0];
+    if (!file) return;
+    e.target.value = "";
+    const reader = new FileReader();
+    reader.onload = () =>
+      act(importLibrary(store, String(reader.result)), ({ imported, errors }) => {
+        const count = `Imported ${imported.length} project${imported.length === 1 ? "" : "s"}.`;
+        setMessage([count, ...errors].join("\n"));
+      });
+    reader.readAsText(file);
+  }
+
+  const current = projects.find((p) => p.id === currentId);
+
+  return (
+    <section className="rounded-3xl border border-slate-700 bg-slate-900 p-3 mt-4">
+      <div className="flex items-center gap-2 mb-2">
+        <h2 className="text-lg font-semibold">Library</h2>
+        {!store.persistent && (
+          <span className="text-xs text-amber-300">
+            Browser storage is unavailable; the library lasts until the tab is closed.
+          </span>
+        )}
+        <button
+          type="button"
+          className="ml-auto opacity-75 hover:opacity-100"
+          onClick={onClose}
+          title="Close the library"
+        >
+          ✕
+        </button>
+      </div>
+
+      <div className="flex flex-wrap items-center gap-2 mb-3 text-sm">
+        <input
+          value={name}
+          onChange={(e) => setName(e.target.value)}
+          className={`${fieldClass} w-56`}
+          aria-label="Project name"
+        />
+        <Button onClick={() => save(false)} className="py-1">
+          {current ? `Save to "${current.name}"` : "Save to library"}
+        </Button>
+        {current && (
+          <Button onClick={() => save(true)} className="py-1">
+            Save as new
+          </Button>
+        )}
+        <input
+          value={query}
+          onChange={(e) => setQuery(e.target.value)}
+          placeholder="Search"
+          className={`${fieldClass} w-40 ml-auto`}
+          aria-label="Search projects"
+        />
+        <Button onClick={exportAll} className="py-1">
+          Export library
+        </Button>
+        <label className="inline-flex items-center cursor-pointer">
+          <span
+            className={
+              "rounded-2xl px-4 py-1 font-medium shadow-sm border border-slate-600 bg-slate-800"
+            }
+          >
+            Import library
+          </span>
+          <input type="file" accept="application/json" className="hidden" onChange={importAll} />
+        </label>
+      </div>
+
+      {message && <p className="text-xs text-amber-300 mb-2 whitespace-pre-line">{message}</p>}
+
+      {projects.length === 0 ? (
+        <p className="text-sm opacity-75">
+          {query ? "No project matches the search." : "No saved projects yet."}
+        </p>
+      ) : (
+        <ul className="grid grid-cols-1 md:grid-cols-2 xl:grid-cols-3 gap-2">
+          {projects.map((p) => (
+            <li
+              key={p.id}
+              className={
+                "flex gap-2 rounded-xl border p-2 text-sm " +
+                (p.id === currentId ? "border-indigo-400" : "border-slate-700")
+              }
+            >
+              <img
+                src={thumbnailUrl(p.thumbnail)}
+                alt=""
+                className="w-24 h-16 object-contain bg-slate-950 rounded-lg"
+              />
+              <div className="flex-1 min-w-0">
+                {renaming?.id === p.id ? (
+                  <input
+                    autoFocus
+                    value={renaming.name}
+                    onChange={(e) => setRenaming({ id: p.id, name: e.target.value })}
+                    onKeyDown={(e) => {
+                      if (e.key === "Enter") rename();
+                      if (e.key === "Escape") setRenaming(null);
+                    }}
+                    onBlur={rename}
+                    className={`${fieldClass} w-full`}
+                    aria-label="New name"
+                  />
+                ) : (
+                  <div className="font-semibold truncate" title={p.name}>
+                    {p.name}
+                  </div>
+                )}
+                <div className="text-xs opacity-75 truncate">
+                  {p.design.numQubits} qubits · {p.design.gates.length} gates ·{" "}
+                  {new Date(p.modified).toLocaleString()}
+                </div>
+                <div className="flex flex-wrap gap-x-3 mt-1 text-xs">
+                  <button type="button" className="underline" onClick={() => open(p)}>
+                    Open
+                  </button>
+                  <button
+                    type="button"
+                    className="underline"
+                    onClick={() => setRenaming({ id: p.id, name: p.name })}
+                  >
+                    Rename
+                  </button>
+                  <button
+                    type="button"
+                    className="underline"
+                    onClick={() => act(duplicateProject(store, p.id))}
+                  >
+                    Duplicate
+                  </button>
+                  <button type="button" className="underline" onClick={() => remove(p)}>
+                    Delete
+                  </button>
+                </div>
+              </div>
+            </li>
+          ))}
+        </ul>
+      )}
+    </section>
+  );
+}
@@ -0,0 +1,121 @@
+import React from "react";
+import { Button } from "./ui";
+import { DENSITY_MAX_QUBITS } from "../quantum/densityMatrix";
+import { NOISE_KINDS, noiseRuleError } from "../quantum/noise";
+
+// ------------------------------ Noise Panel ------------------------------
+// Error channels for the circuit. When enabled, Simulate runs the density-matrix engine
+// with them and the Qiskit code carries an equivalent NoiseModel.
+
+const fieldClass = "rounded-xl bg-slate-800 border border-slate-600 px-2 py-0.5";
+
+/** "H, cnot" → ["H", "CNOT"] */
+const parseGates = (text) =>
+  text
+    .toUpperCase()
+    .split(/[\s,]+/)
+    .filter(Boolean);
+/** "0, q2" → [0, 2] */
+const parseQubits = (text) =>
+  text
+    .split(/[\s,]+/)
+    .filter(Boolean)
+    .map((t) => Number(t.replace(/^q/i, "")));
+
+/**
+ * @param {Object} props
+ * @param {import("../quantum/noise").NoiseModel} props.noise
+ * @param {(noise: import("../quantum/noise").NoiseModel) => void} props.onChange
+ * @param {number} props.numQubits
+ */
+export default function NoisePanel({ noise, onChange, numQubits }) {
+  const update = (i, patch) =>
+    onChange({ ...noise, rules: noise.rules.map((r, j) => (j === i ? { ...r, ...patch } : r)) });
+  const add = () =>
+    onChange({
+      ...noise,
+      rules: [...noise.rules, { kind: "depolarizing", rate: 0.01, gates: [], qubits: [] }],
+    });
+  const remove = (i) => onChange({ ...noise, rules: noise.rules.filter((_, j) => j !== i) });
+
+  return (
+    <div className="mt-4 space-y-2 text-sm">
+      <h2 className="text-lg font-semibold">Noise</h2>
+      <label className="flex items-center gap-2">
+        <input
+          type="checkbox"
+          checked={noise.enabled}
+          onChange={(e) => onChange({ ...noise, enabled: e.target.checked })}
+        />
+        Simulate with noise (density matrix)
+      </label>
+      {noise.enabled && numQubits > DENSITY_MAX_QUBITS && (
+        <p className="text-xs text-red-400">
+          The density matrix handles up to {DENSITY_MAX_QUBITS} qubits.
+        </p>
+      )}
+      {noise.rules.map((rule, i) => {
+        const error = noiseRuleError(rule, numQubits);
+        return (
+          <div key={i} className="rounded-xl border border-slate-700 p-2 space-y-1">
+            <div className="flex items-center gap-2">
+              <select
+                value={rule.kind}
+                onChange={(e) => update(i, { kind: e.target.value })}
+                className={`${fieldClass} flex-1`}
+                aria-label={`Noise ${i + 1} kind`}
+              >
+                {NOISE_KINDS.map((k) => (
+                  <option key={k.id} value={k.id}>
+                    {k.label}
+                  </option>
+                ))}
+              </select>
+              <input
+                type="number"
+                min={0}
+                max={1}
+                step={0.001}
+                value={rule.rate}
+                onChange={(e) => update(i, { rate: Number(e.target.value) })}
+                className={`${fieldClass} w-20`}
+                aria-label={`Noise ${i + 1} rate`}
+              />
+              <button
+                type="button"
+                className="opacity-75 hover:opacity-100"
+                onClick={() => remove(i)}
+                title="Remove noise"
+              >
+                ✕
+              </button>
+            </div>
+            {/* Lists are parsed on blur so separators can be typed */}
+            {rule.kind !== "readout" && (
+              <input
+                key={`gates-${rule.gates.join()}`}
+                defaultValue={rule.gates.join(", ")}
+                onBlur={(e) => update(i, { gates: parseGates(e.target.value) })}
+                placeholder="After every gate (or e.g. CNOT, H)"
+                className={`${fieldClass} w-full`}
+                aria-label={`Noise ${i + 1} gates`}
+              />
+            )}
+            <input
+              key={`qubits-${rule.qubits.join()}`}
+              defaultValue={rule.qubits.join(", ")}
+              onBlur={(e) => update(i, { qubits: parseQubits(e.target.value) })}
+              placeholder="On every qubit (or e.g. 0, 2)"
+              className={`${fieldClass} w-full`}
+              aria-label={`Noise ${i + 1} qubits`}
+            />
+            {error && <div className="text-xs text-red-400">{error}</div>}
+          </div>
+        );
+      })}
+      <Button onClick={add} className="w-full py-1">
+        Add noise
+      </Button>
+    </div>
+  );
+}
@@ -0,0 +1,326 @@
+import React, { useEffect, useRef, useState } from "react";
+import { Button } from "./ui";
+import { KernelOutput } from "./JupyterPanel";
+import { codeSections } from "../notebook";
+import { openPyodide, pyodideIndexUrl } from "../pyodide";
+
+// ------------------------------ In-App Python Notebook (Pyodide) ------------------------------
+// Cells of Python run *in the browser* by Pyodide in a Web Worker (see pyodide.js), so a long
+// loop doesn't freeze the editor and can be interrupted. Cells share one namespace until the
+// notebook is restarted. It stays mounted while hidden, keeping its cells and variables.
+// NOTE: Heavy packages like qiskit/qiskit-aer are not available in Pyodide.
+
+const WELCOME = "# Paste/generated Python here\nprint('Hello from Pyodide')";
+
+/**
+ * @typedef {Object} Cell
+ * @property {number} id
+ * @property {string} source
+ * @property {import("../jupyter").JupyterOutput[]} outputs
+ * @property {number | null} count - execution count shown as [n]
+ * @property {"idle" | "queued" | "running"} state
+ */
+
+/**
+ * @param {Object} props
+ * @param {boolean} props.open
+ * @param {string} props.code - the last generated program, split into cells on request
+ * @param {() => void} props.onClose
+ */
+export default function NotebookPanel({ open, code, onClose }) {
+  const nextId = useRef(0);
+  const executions = useRef(0);
+  /** @returns {Cell} */
+  const newCell = (source) => ({
+    id: ++nextId.current,
+    source,
+    outputs: [],
+    count: null,
+    state: "idle",
+  });
+  const programCells = (program) => codeSections(program).map((s) => newCell(s.text));
+
+  const [cells, setCells] = useState(() => (code ? programCells(code) : [newCell(WELCOME)]));
+  const [runtimeUrl, setRuntimeUrl] = useState(() => localStorage.getItem("pyodideUrl") || "");
+  const [urlDraft, setUrlDraft] = useState(runtimeUrl);
+  const [showRuntime, setShowRuntime] = useState(false);
+  /** @type {[import("../pyodide").PyodideSession | null, Function]} */
+  const [session, setSession] = useState(null);
+  const [loadError, setLoadError] = useState(null);
+  const [packages, setPackages] = useState("");
+  const [installing, setInstalling] = useState(false);
+  const [installLog, setInstallLog] = useState([]);
+
+  useEffect(() => {
+    let live = true;
+    let opened = null;
+    setSession(null);
+    setLoadError(null);
+    openPyodide(pyodideIndexUrl(runtimeUrl)).then(
+      (s) => {
+        if (live) {
+          opened = s;
+          setSession(s);
+        } else s.terminate();
+      },
+      (e) => live && setLoadError(e.message)
+    );
+    return () => {
+      live = false;
+      opened?.terminate();
+    };
+  }, [runtimeUrl]);
+
+  const running = cells.some((c) => c.state !== "idle");
+
+  function update(ids, patch) {
+    setCells((cs) =>
+      cs.map((c) =>
+        ids.includes(c.id) ? { ...c, ...(typeof patch === "function" ? patch(c) : patch) } : c
+      )
+    );
+  }
+
+  const appendOutput = (id, output) => update([id], (c) => ({ outputs: [...c.outputs, output] }));
+
+  // Runs the cells in order, stopping at the first one that fails
+  async function runCells(targets) {
+    if (!session || running || !targets.length) return;
+    const ids = targets.map((c) => c.id);
+    update(ids, { state: "queued" });
+    for (const [i, cell] of targets.entries()) {
+      update([cell.id], { state: "running", outputs: [], count: ++executions.current });
+      const status = await session.run(cell.source, (o) => appendOutput(cell.id, o));
+      update([cell.id], { state: "idle" });
+      if (status === "ok") continue;
+      if (status === "restarted") {
+        appendOutput(cell.id, {
+          kind: "error",
+          text: "Interrupted by restarting Python, so earlier variables are gone.",
+        });
+      }
+      update(ids.slice(i + 1), { state: "idle" });
+      break;
+    }
+  }
+
+  async function restart() {
+    if (!session) return;
+    if (running) await session.interrupt();
+    await session.reset();
+    executions.current = 0;
+    setCells((cs) => cs.map((c) => ({ ...c, outputs: [], count: null })));
+  }
+
+  async function install() {
+    const names = packages.split(/[\s,]+/).filter(Boolean);
+    if (!session || !names.length) return;
+    setInstalling(true);
+    setInstallLog([]);
+    const status = await session.install(names, (o) => setInstallLog((log) => [...log, o]));
+    if (status === "ok") setPackages("");
+    setInstalling(false);
+  }
+
+  function insertCell(index, source = "") {
+    setCells((cs) => [...cs.slice(0, index), newCell(source), ...cs.slice(index)]);
+  }
+
+  function moveCell(index, offset) {
+    setCells((cs) => {
+      const to = index + offset;
+      if (to < 0 || to >= cs.length) return cs;
+      const next = [...cs];
+      [next[index], next[to]] = [next[to], next[index]];
+      return next;
+    });
+  }
+
+  const qiskitDetected = cells.some((c) => /\b(qiskit|AerSimulator)\b/.test(c.source));
+  const ready = session !== null;
+  const field = "flex-1 min-w-[16rem] rounded-xl bg-slate-800 border border-slate-600 px-3 py-1";
+
+  return (
+    <div
+      className={
+        "fixed inset-0 z-50 bg-black/70 backdrop-blur-sm items-center justify-center p-2 sm:p-6 " +
+        (open ? "flex" : "hidden")
+      }
+    >
+      <div
+        className={
+          "w-full max-w-5xl max-h-full overflow-y-auto rounded-3xl border border-slate-700 " +
+          "bg-slate-900 p-3 sm:p-4 shadow-2xl"
+        }
+      >
+        <div className="flex flex-wrap items-center gap-2 mb-3">
+          <h3 className="text-lg font-semibold">In-App Python Notebook (Pyodide)</h3>
+          <span className="text-xs opacity-75">
+            {loadError ? "" : ready ? `Pyodide ${session.version}` : "Loading…"}
+          </span>
+          <div className="ml-auto flex flex-wrap items-center gap-2">
+            <Button onClick={() => runCells(cells)} disabled={!ready || running}>
+              Run All
+            </Button>
+            <Button
+              onClick={() => session.interrupt()}
+              disabled={!running}
+              title={
+                session?.interruptible === false
+                  ? "This page isn't cross-origin isolated: interrupting restarts Python"
+                  : undefined
+              }
+            >
+              Interrupt
+            </Button>
+            <Button onClick={restart} disabled={!ready} title="Forget every variable">
+              Restart
+            </Button>
+            <Button onClick={() => setShowRuntime((s) => !s)}>Packages & Runtime</Button>
+            <Button onClick={onClose}>Close</Button>
+          </div>
+        </div>
+
+        {!ready && !loadError && (
+          <div className="text-sm opacity-80 mb-2">Loading Python runtime in your browser…</div>
+        )}
+        {loadError && <div className="text-sm text-red-400 mb-2">{loadError}</div>}
+        {qiskitDetected && (
+          <div className="text-xs mb-2 p-2 rounded-xl border border-amber-600 bg-amber-900/30">
+            Heads up: Qiskit/Aer won’t run in this in-browser runtime. Use the Jupyter Kernel run
+            for full simulation.
+          </div>
+        )}
+
+        {showRuntime && (
+          <div className="rounded-xl border border-slate-700 p-3 mb-3 space-y-2 text-sm">
+            <label className="flex flex-wrap items-center gap-2">
+              Pyodide URL
+              <input
+                className={field}
+                value={urlDraft}
+                onChange={(e) => setUrlDraft(e.target.value)}
+                placeholder={pyodideIndexUrl("")}
+              />
+              <Button
+                className="py-1"
+                disabled={urlDraft.trim() === runtimeUrl}
+                onClick={() => {
+                  const url = urlDraft.trim();
+                  localStorage.setItem("pyodideUrl", url);
+                  setRuntimeUrl(url);
+                }}
+              >
+                Load
+              </Button>
+            </label>
+            <p className="text-xs opacity-75">
+              A directory holding pyodide.js, such as a Pyodide release served next to the app
+              (/pyodide/). Leave blank for the default. Loading another runtime starts afresh.
+            </p>
+            <label className="flex flex-wrap items-center gap-2">
+              Install packages
+              <input
+                className={field}
+                value={packages}
+                onChange={(e) => setPackages(e.target.value)}
+                onKeyDown={(e) => e.key === "Enter" && install()}
+                placeholder="pure-Python packages from PyPI, e.g. tabulate sympy"
+              />
+              <Button className="py-1" onClick={install} disabled={!ready || installing}>
+                {installing ? "Installing…" : "Install"}
+              </Button>
+            </label>
+            {installLog.map((o, i) => (
+              <KernelOutput key={i} output={o} />
+            ))}
+          </div>
+        )}
+
+        <div className="space-y-3">
+          {cells.map((cell, index) => (
+            <div key={cell.id} className="flex gap-2">
+              <div className="w-10 pt-2 text-right font-mono text-xs opacity-75 shrink-0">
+                [{cell.state === "idle" ? (cell.count ?? " ") : "*"}]
+              </div>
+              <div className="flex-1 min-w-0">
+                <textarea
+                  className={
+                    "w-full rounded-xl bg-slate-950 border border-slate-700 p-3 " +
+                    "font-mono text-xs"
+                  }
+                  rows={Math.min(20, Math.max(3, cell.source.split("\n").length))}
+                  value={cell.source}
+                  onChange={(e) => update([cell.id], { source: e.target.value })}
+                  onKeyDown={(e) => {
+                    if (e.key === "Enter" && e.shiftKey) {
+                      e.preventDefault();
+                      runCells([cell]);
+                    }
+                  }}
+                  aria-label={`Cell ${index + 1}`}
+                />
+                {cell.outputs.length > 0 && (
+                  <div
+                    className={
+                      "rounded-xl bg-slate-950/60 border border-slate-800 p-3 mt-1 space-y-2"
+                    }
+                  >
+                    {cell.outputs.map((o, i) => (
+                      <KernelOutput key={i} output={o} />
+                    ))}
+                  </div>
+                )}
+                <div className="flex flex-wrap gap-1 mt-1 text-xs">
+                  <Button
+                    className="px-2 py-0.5"
+                    onClick={() => runCells([cell])}
+                    disabled={!ready || running}
+                    title="Run (Shift+Enter)"
+                  >
+                    ▶ Run
+                  </Button>
+                  <Button className="px-2 py-0.5" onClick={() => insertCell(index + 1)}>
+                    + Cell
+                  </Button>
+                  <Button
+                    className="px-2 py-0.5"
+                    onClick={() => moveCell(index, -1)}
+                    disabled={index === 0}
+                  >
+                    ↑
+                  </Button>
+                  <Button
+                    className="px-2 py-0.5"
+                    onClick={() => moveCell(index, 1)}
+                    disabled={index === cells.length - 1}
+                  >
+                    ↓
+                  </Button>
+                  <Button
+                    className="px-2 py-0.5"
+                    onClick={() => setCells((cs) => cs.filter((c) => c.id !== cell.id))}
+                    disabled={cell.state !== "idle"}
+                  >
+                    Delete
+                  </Button>
+                </div>
+              </div>
+            </div>
+          ))}
+        </div>
+
+        <div className="flex flex-wrap gap-2 mt-3">
+          <Button onClick={() => insertCell(cells.length)}>+ Cell</Button>
+          <Button
+            onClick={() => setCells((cs) => [...cs, ...programCells(code)])}
+            disabled={!code}
+            title="Append the last generated program, one cell per section"
+          >
+            Insert generated code
+          </Button>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,96 @@
+import React, { useMemo, useState } from "react";
+import { Button } from "./ui";
+import { optimize, PASSES } from "../quantum/optimizer";
+
+// ------------------------------ Optimizer Panel ------------------------------
+// Runs the chosen optimizer passes on a copy of the circuit and compares it with the
+// current one. Nothing changes until Apply, which records a single undoable step.
+
+function Row({ label, before, after }) {
+  const tone = after < before ? "text-emerald-400" : after > before ? "text-amber-400" : "";
+  return (
+    <tr>
+      <td className="pr-4">{label}</td>
+      <td className="pr-4 text-right font-mono">{before}</td>
+      <td className={"text-right font-mono " + tone}>{after}</td>
+    </tr>
+  );
+}
+
+/**
+ * @param {Object} props
+ * @param {import("../QuantumCircuitBuilder").Gate[]} props.gates
+ * @param {(gates: import("../QuantumCircuitBuilder").Gate[]) => void} props.onApply
+ * @param {() => void} props.onClose
+ */
+export default function OptimizerPanel({ gates, onApply, onClose }) {
+  const [enabled, setEnabled] = useState(() => PASSES.map((p) => p.id));
+  const result = useMemo(() => optimize(gates, enabled), [gates, enabled]);
+  const { before, after, changedBy } = result;
+  const types = [...new Set([...Object.keys(before.byType), ...Object.keys(after.byType)])].sort();
+
+  const toggle = (id) =>
+    setEnabled((list) => (list.includes(id) ? list.filter((x) => x !== id) : [...list, id]));
+
+  return (
+    <section className="rounded-3xl border border-slate-700 bg-slate-900 p-3 mt-4">
+      <div className="flex items-center gap-2 mb-2">
+        <h2 className="text-lg font-semibold">Optimize</h2>
+        <button
+          type="button"
+          className="ml-auto opacity-75 hover:opacity-100"
+          onClick={onClose}
+          title="Close the optimizer"
+        >
+          ✕
+        </button>
+      </div>
+      <div className="flex flex-wrap gap-6">
+        <ul className="space-y-1 text-sm">
+          {PASSES.map((p) => (
+            <li key={p.id}>
+              <label className="flex items-center gap-2">
+                <input
+                  type="checkbox"
+                  checked={enabled.includes(p.id)}
+                  onChange={() => toggle(p.id)}
+                />
+                {p.label}
+                {changedBy.includes(p.id) && <span className="text-emerald-400">✓</span>}
+              </label>
+            </li>
+          ))}
+        </ul>
+        <table className="text-sm">
+          <thead>
+            <tr className="opacity-75">
+              <th />
+              <th className="pr-4 text-right font-normal">Before</th>
+              <th className="text-right font-normal">After</th>
+            </tr>
+          </thead>
+          <tbody>
+            <Row label="Gates" before={before.count} after={after.count} />
+            <Row label="Depth" before={before.depth} after={after.depth} />
+            {types.map((t) => (
+              <Row
+                key={t}
+                label={<span className="opacity-75">{t}</span>}
+                before={before.byType[t] ?? 0}
+                after={after.byType[t] ?? 0}
+              />
+            ))}
+          </tbody>
+        </table>
+        <div className="ml-auto self-end">
+          <Button onClick={() => onApply(result.gates)} disabled={changedBy.length === 0}>
+            Apply
+          </Button>
+        </div>
+      </div>
+      {changedBy.length === 0 && (
+        <div className="text-xs opacity-75 mt-2">The enabled passes find nothing to change.</div>
+      )}
+    </section>
+  );
+}
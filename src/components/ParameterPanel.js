@@ -0,0 +1,100 @@
+import React, { useState } from "react";
+import { Button } from "./ui";
+import { validateParameterName } from "../quantum/parameters";
+
+// ------------------------------ Parameter Panel ------------------------------
+// Lists the circuit's symbolic parameters with a slider each. Changing a value re-binds
+// every gate that uses it; the gates themselves keep their expressions.
+
+const RANGE = 2 * Math.PI;
+
+/**
+ * @param {Object} props
+ * @param {Record<string, number>} props.params
+ * @param {string[]} props.used - names referenced by at least one gate
+ * @param {(name: string, value: number) => void} props.onChange
+ * @param {(name: string) => void} props.onRemove
+ */
+export default function ParameterPanel({ params, used, onChange, onRemove }) {
+  const [newName, setNewName] = useState("");
+  const [error, setError] = useState("");
+  const names = Object.keys(params).sort();
+
+  function add() {
+    const name = newName.trim();
+    const problem = validateParameterName(name) || (name in params ? "Already defined." : null);
+    if (problem) {
+      setError(problem);
+      return;
+    }
+    onChange(name, 0);
+    setNewName("");
+    setError("");
+  }
+
+  return (
+    <div className="mt-4">
+      <h2 className="text-lg font-semibold mb-2">Parameters</h2>
+      {names.length === 0 && (
+        <p className="text-sm opacity-75 mb-2">
+          Type a name such as <code>theta</code> or <code>2*phi + pi/4</code> as a rotation angle to
+          create one.
+        </p>
+      )}
+      <div className="space-y-2">
+        {names.map((name) => (
+          <div key={name} className="text-sm">
+            <div className="flex items-center gap-2">
+              <code className="font-semibold">{name}</code>
+              <input
+                type="number"
+                step="0.01"
+                value={Number(params[name].toFixed(4))}
+                onChange={(e) => {
+                  const v = Number(e.target.value);
+                  if (Number.isFinite(v)) onChange(name, v);
+                }}
+                className="ml-auto w-24 rounded-xl bg-slate-800 border border-slate-600 px-2 py-0.5"
+                aria-label={`${name} value`}
+              />
+              <button
+                type="button"
+                className="opacity-75 hover:opacity-100 disabled:opacity-25"
+                onClick={() => onRemove(name)}
+                disabled={used.includes(name)}
+                title={used.includes(name) ? "In use by a gate" : `Remove ${name}`}
+              >
+                ✕
+              </button>
+            </div>
+            <input
+              type="range"
+              min={-RANGE}
+              max={RANGE}
+              step={0.001}
+              value={params[name]}
+              onChange={(e) => onChange(name, Number(e.target.value))}
+              className="w-full"
+              aria-label={`${name} slider`}
+            />
+          </div>
+        ))}
+      </div>
+      <div className="mt-2 flex items-center gap-2">
+        <input
+          value={newName}
+          onChange={(e) => setNewName(e.target.value)}
+          onKeyDown={(e) => e.key === "Enter" && add()}
+          placeholder="new parameter"
+          className={
+            "min-w-0 flex-1 rounded-xl bg-slate-800 border border-slate-600 px-3 py-1 text-sm"
+          }
+        />
+        <Button onClick={add} className="py-1">
+          Add
+        </Button>
+      </div>
+      {error && <div className="text-xs text-red-400 mt-1">{error}</div>}
+    </div>
+  );
+}
@@ -0,0 +1,150 @@
+import React, { useMemo, useState } from "react";
+import { Button } from "./ui";
+import { histogramRows } from "../quantum/counts";
+
+// ------------------------------ Results Panel ------------------------------
+// Bar chart of measurement outcomes from either the local simulator or a Jupyter run.
+// Noisy local runs also show how fidelity with the ideal state falls off over time.
+
+/**
+ * @typedef {Object} RunResult
+ * @property {"simulator"|"jupyter"} source
+ * @property {Record<string, number>} counts
+ * @property {number} shots
+ * @property {number} numBits
+ * @property {Float64Array=} probabilities - exact probabilities (simulator only)
+ * @property {number[]=} measured
+ * @property {{ column: number, fidelity: number }[]=} fidelity - per time step (noisy runs)
+ * @property {number=} purity - of the final state (noisy runs)
+ */
+
+/** Where the counts came from, for the panel heading. */
+function sourceLabel(result) {
+  if (result.source === "jupyter") return "Jupyter kernel";
+  return result.fidelity ? "local density matrix" : "local statevector";
+}
+
+/**
+ * @param {Object} props
+ * @param {RunResult} props.result
+ * @param {number} props.shots - shot count used for the next local run
+ * @param {(shots: number) => void} props.onShotsChange
+ * @param {() => void} props.onRerun
+ */
+export default function ResultsPanel({ result, shots, onShotsChange, onRerun }) {
+  const [mode, setMode] = useState("counts"); // "counts" | "probability"
+  const [sortBy, setSortBy] = useState("bitstring");
+  const [hideZero, setHideZero] = useState(true);
+
+  const rows = useMemo(
+    () => histogramRows(result, { sortBy, hideZero }),
+    [result, sortBy, hideZero]
+  );
+  const value = (r) => (mode === "counts" ? r.count : r.probability);
+  const max = Math.max(1e-12, ...rows.map(value));
+
+  return (
+    <section className="rounded-3xl border border-slate-700 bg-slate-900 p-3 mt-4">
+      <div className="flex flex-wrap items-center gap-3 mb-3">
+        <h2 className="text-lg font-semibold">
+          Results{" "}
+          <span className="text-sm font-normal opacity-75">
+            ({sourceLabel(result)}, {result.shots} shots)
+          </span>
+        </h2>
+        <div className="ml-auto flex flex-wrap items-center gap-3 text-sm">
+          <label className="flex items-center gap-2">
+            Shots
+            <input
+              type="number"
+              min={1}
+              max={100000}
+              value={shots}
+              onChange={(e) =>
+                onShotsChange(
+                  Math.max(1, Math.min(100000, Math.floor(Number(e.target.value)) || 1))
+                )
+              }
+              className="w-24 rounded-xl bg-slate-800 border border-slate-600 px-3 py-1"
+            />
+          </label>
+          <select
+            value={mode}
+            onChange={(e) => setMode(e.target.value)}
+            className="rounded-xl bg-slate-800 border border-slate-600 px-3 py-1"
+          >
+            <option value="counts">Counts</option>
+            <option value="probability">Probabilities</option>
+          </select>
+          <select
+            value={sortBy}
+            onChange={(e) => setSortBy(e.target.value)}
+            className="rounded-xl bg-slate-800 border border-slate-600 px-3 py-1"
+          >
+            <option value="bitstring">Sort by bitstring</option>
+            <option value="frequency">Sort by frequency</option>
+          </select>
+          <label className="flex items-center gap-2">
+            <input
+              type="checkbox"
+              checked={hideZero}
+              onChange={(e) => setHideZero(e.target.checked)}
+            />
+            Hide zero
+          </label>
+          <Button onClick={onRerun}>Re-run</Button>
+        </div>
+      </div>
+
+      {rows.length === 0 ? (
+        <div className="text-sm opacity-75">(no outcomes)</div>
+      ) : (
+        <div className="space-y-1 max-h-[360px] overflow-y-auto pr-1">
+          {rows.map((r) => (
+            <div key={r.bitstring} className="flex items-center gap-2 text-sm">
+              <code className="w-40 shrink-0 text-right font-mono truncate">{r.bitstring}</code>
+              <div className="flex-1 h-5 rounded bg-slate-800">
+                <div
+                  className="h-5 rounded bg-indigo-500"
+                  style={{ width: `${(100 * value(r)) / max}%` }}
+                  title={`${r.count} shots, p=${r.probability.toFixed(4)}`}
+                />
+              </div>
+              <span className="w-20 shrink-0 font-mono text-right">
+                {mode === "counts" ? r.count : r.probability.toFixed(4)}
+              </span>
+            </div>
+          ))}
+        </div>
+      )}
+
+      {result.fidelity && (
+        <div className="mt-4 text-sm">
+          <h3 className="font-semibold mb-1">
+            Fidelity with the ideal state{" "}
+            <span className="font-normal opacity-75">
+              (final purity {result.purity.toFixed(4)})
+            </span>
+          </h3>
+          <div className="flex items-end gap-1 h-24">
+            {result.fidelity.map(({ column, fidelity }) => (
+              <div
+                key={column}
+                className="flex-1 max-w-[32px] rounded-t bg-emerald-500"
+                style={{ height: `${100 * Math.max(0, fidelity)}%` }}
+                title={`After column ${column}: ${fidelity.toFixed(4)}`}
+              />
+            ))}
+          </div>
+          <div className="flex gap-1 text-xs opacity-75">
+            {result.fidelity.map(({ column }) => (
+              <span key={column} className="flex-1 max-w-[32px] text-center">
+                {column}
+              </span>
+            ))}
+          </div>
+        </div>
+      )}
+    </section>
+  );
+}
@@ -0,0 +1,173 @@
+import React, { useEffect, useMemo, useState } from "react";
+import { Button } from "./ui";
+import { runThroughColumn } from "../quantum/simulator";
+import { amplitudeRows, entangledQubits, marginalProbabilities } from "../quantum/analysis";
+import { isDynamic } from "../quantum/classical";
+
+// ------------------------------ State Inspector (step-through) ------------------------------
+// Shows the statevector right after a chosen column. Measurements are deferred to the end
+// of the circuit (same as the generated Python), so MEASURE columns do not collapse here —
+// unless the circuit resets or conditions on them, when the likeliest outcomes are followed.
+
+/** Basis states listed before the table is truncated. */
+const MAX_ROWS = 64;
+const STEP_MS = 700;
+
+/** Hue for a phase in radians: 0 → red, ±π → cyan. */
+export function phaseColor(phase) {
+  const deg = ((phase * 180) / Math.PI + 360) % 360;
+  return `hsl(${deg}, 80%, 55%)`;
+}
+
+export function formatPhase(phase) {
+  return `${((phase * 180) / Math.PI).toFixed(1)}°`;
+}
+
+/**
+ * @param {Object} props
+ * @param {import("../QuantumCircuitBuilder").Gate[]} props.gates
+ * @param {number} props.numQubits
+ * @param {number} props.numColumns
+ * @param {number} props.column - inspected time step (-1 = initial state)
+ * @param {(column: number) => void} props.onColumnChange
+ * @param {() => void} props.onClose
+ */
+export default function StateInspector({
+  gates,
+  numQubits,
+  numColumns,
+  column,
+  onColumnChange,
+  onClose,
+}) {
+  const [playing, setPlaying] = useState(false);
+
+  // Following many mid-circuit measurements can outgrow what the simulator tracks
+  const { state, error } = useMemo(() => {
+    try {
+      return { state: runThroughColumn(gates, numQubits, column), error: null };
+    } catch (e) {
+      return { state: null, error: e.message ?? String(e) };
+    }
+  }, [gates, numQubits, column]);
+  const rows = useMemo(() => (state ? amplitudeRows(state, { limit: MAX_ROWS + 1 }) : []), [state]);
+  const marginals = useMemo(() => (state ? marginalProbabilities(state) : []), [state]);
+  const entangled = useMemo(() => (state ? entangledQubits(state) : []), [state]);
+  const dynamic = useMemo(() => isDynamic(gates), [gates]);
+
+  // Animate through the columns, stopping at the last one
+  useEffect(() => {
+    if (!playing) return undefined;
+    if (column >= numColumns - 1) {
+      setPlaying(false);
+      return undefined;
+    }
+    const t = setTimeout(() => onColumnChange(column + 1), STEP_MS);
+    return () => clearTimeout(t);
+  }, [playing, column, numColumns, onColumnChange]);
+
+  return (
+    <section className="rounded-3xl border border-slate-700 bg-slate-900 p-3 mt-4">
+      <div className="flex flex-wrap items-center gap-2 mb-3">
+        <h2 className="text-lg font-semibold">
+          State after {column < 0 ? "initialization" : `t${column}`}
+        </h2>
+        <div className="ml-auto flex items-center gap-2">
+          <Button onClick={() => onColumnChange(column - 1)} disabled={column < 0}>
+            ◀ Back
+          </Button>
+          <Button
+            onClick={() => {
+              if (!playing && column >= numColumns - 1) onColumnChange(-1);
+              setPlaying((p) => !p);
+            }}
+          >
+            {playing ? "Pause" : "Play"}
+          </Button>
+          <Button onClick={() => onColumnChange(column + 1)} disabled={column >= numColumns - 1}>
+            Forward ▶
+          </Button>
+          <Button onClick={onClose}>Close</Button>
+        </div>
+      </div>
+      {dynamic && !error && (
+        <p className="text-xs opacity-75 mb-2">
+          Showing the likeliest branch of measurement outcomes.
+        </p>
+      )}
+      {error && <p className="text-sm text-amber-300">{error}</p>}
+
+      {state && (
+        <div className="grid grid-cols-1 lg:grid-cols-[1fr,260px] gap-4">
+          {/* Amplitudes */}
+          <div>
+            <div className="text-sm font-semibold mb-1">Amplitudes</div>
+            <div className="max-h-[320px] overflow-y-auto">
+              <table className="w-full text-sm font-mono">
+                <thead className="opacity-75">
+                  <tr>
+                    <th className="text-left font-normal">|q{numQubits - 1}…q0⟩</th>
+                    <th className="text-right font-normal">amplitude</th>
+                    <th className="text-right font-normal">|a|²</th>
+                    <th className="text-right font-normal">phase</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {rows.slice(0, MAX_ROWS).map((r) => (
+                    <tr key={r.index}>
+                      <td>|{r.bitstring}⟩</td>
+                      <td className="text-right">
+                        {r.re.toFixed(3)}
+                        {r.im < 0 ? " - " : " + "}
+                        {Math.abs(r.im).toFixed(3)}i
+                      </td>
+                      <td className="text-right">{r.probability.toFixed(3)}</td>
+                      <td className="text-right">
+                        <span
+                          className="inline-block w-3 h-3 rounded-full mr-1 align-middle"
+                          style={{ background: phaseColor(r.phase) }}
+                        />
+                        {formatPhase(r.phase)}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+              {rows.length > MAX_ROWS && (
+                <div className="text-xs opacity-75 mt-1">
+                  Showing the first {MAX_ROWS} non-zero amplitudes.
+                </div>
+              )}
+            </div>
+          </div>
+
+          {/* Per-qubit marginals */}
+          <div>
+            <div className="text-sm font-semibold mb-1">Qubit marginals P(1)</div>
+            <div className="space-y-1">
+              {marginals.map((p1, q) => (
+                <div key={q} className="flex items-center gap-2 text-sm">
+                  <span className="w-8 text-right">q{q}</span>
+                  <div className="flex-1 h-4 rounded bg-slate-800">
+                    <div className="h-4 rounded bg-indigo-500" style={{ width: `${p1 * 100}%` }} />
+                  </div>
+                  <span className="w-12 font-mono text-right">{p1.toFixed(3)}</span>
+                  <span
+                    className={"w-4 text-center " + (entangled[q] ? "text-amber-400" : "opacity-0")}
+                    title={entangled[q] ? "Entangled with other qubits" : undefined}
+                  >
+                    ∞
+                  </span>
+                </div>
+              ))}
+            </div>
+            <div className="text-xs opacity-75 mt-2">
+              <span className="text-amber-400">∞</span> marks qubits entangled with the rest of the
+              register.
+            </div>
+          </div>
+        </div>
+      )}
+    </section>
+  );
+}
@@ -0,0 +1,142 @@
+import React, { useMemo, useState } from "react";
+import { Button } from "./ui";
+import { buildTemplate, templateDefaults, TEMPLATES } from "../quantum/templates";
+
+// ------------------------------ Template Gallery ------------------------------
+// Standard algorithms to start from. Picking one shows its parameters and the size of the
+// circuit they give; Insert replaces the circuit with it as one undoable step.
+
+/** Editable text for a parameter value; numbers are parsed back when building. */
+const asText = (value) => (typeof value === "number" ? String(value) : value);
+
+function ParamInput({ param, value, onChange }) {
+  const field = "rounded-xl bg-slate-800 border border-slate-600 px-2 py-1";
+  switch (param.kind) {
+    case "boolean":
+      return <input type="checkbox" checked={value} onChange={(e) => onChange(e.target.checked)} />;
+    case "choice":
+      return (
+        <select value={value} onChange={(e) => onChange(e.target.value)} className={field}>
+          {param.options.map((o) => (
+            <option key={o} value={o}>
+              {o}
+            </option>
+          ))}
+        </select>
+      );
+    case "bits":
+      return (
+        <input
+          value={value}
+          onChange={(e) => onChange(e.target.value.trim())}
+          className={`${field} w-28 font-mono`}
+          placeholder={"1".repeat(param.min)}
+        />
+      );
+    default:
+      return (
+        <input
+          type="number"
+          min={param.min}
+          max={param.max}
+          step={param.kind === "integer" ? 1 : "any"}
+          value={value}
+          onChange={(e) => onChange(e.target.value)}
+          className={`${field} w-24`}
+        />
+      );
+  }
+}
+
+/**
+ * @param {Object} props
+ * @param {boolean} props.replacing - the circuit has gates the template will replace
+ * @param {(circuit: import("../quantum/templates").TemplateCircuit, label: string) => void}
+ *   props.onInsert
+ * @param {() => void} props.onClose
+ */
+export default function TemplateGallery({ replacing, onInsert, onClose }) {
+  const [selected, setSelected] = useState(TEMPLATES[0].id);
+  // Values typed so far, per template
+  const [edits, setEdits] = useState({});
+  const template = TEMPLATES.find((t) => t.id === selected);
+  const values = { ...templateDefaults(template), ...edits[selected] };
+
+  const built = useMemo(() => {
+    const values = { ...templateDefaults(template), ...edits[template.id] };
+    const parsed = Object.fromEntries(
+      template.params.map(({ name, kind }) => {
+        const v = values[name];
+        const numeric = kind === "integer" || kind === "number";
+        return [name, numeric && typeof v === "string" ? (v.trim() ? Number(v) : NaN) : v];
+      })
+    );
+    try {
+      return { circuit: buildTemplate(template.id, parsed) };
+    } catch (e) {
+      return { error: e.message };
+    }
+  }, [template, edits]);
+
+  const setValue = (name, value) =>
+    setEdits((e) => ({ ...e, [selected]: { ...e[selected], [name]: value } }));
+
+  return (
+    <section className="rounded-3xl border border-slate-700 bg-slate-900 p-3 mt-4">
+      <div className="flex items-center gap-2 mb-3">
+        <h2 className="text-lg font-semibold">Templates</h2>
+        <div className="ml-auto">
+          <Button onClick={onClose}>Close</Button>
+        </div>
+      </div>
+
+      <div className="grid grid-cols-1 md:grid-cols-[220px,1fr] gap-4">
+        <ul className="space-y-1">
+          {TEMPLATES.map((t) => (
+            <li key={t.id}>
+              <button
+                type="button"
+                onClick={() => setSelected(t.id)}
+                className={
+                  "w-full text-left rounded-xl px-3 py-1.5 text-sm " +
+                  (t.id === selected ? "bg-indigo-600" : "hover:bg-slate-800")
+                }
+              >
+                {t.label}
+              </button>
+            </li>
+          ))}
+        </ul>
+
+        <div>
+          <h3 className="font-semibold">{template.label}</h3>
+          <p className="text-sm opacity-75 mb-3">{template.description}</p>
+          <div className="flex flex-wrap gap-4 mb-3 text-sm">
+            {template.params.map((p) => (
+              <label key={p.name} className="flex items-center gap-2">
+                {p.label}
+                <ParamInput
+                  param={p}
+                  value={asText(values[p.name])}
+                  onChange={(v) => setValue(p.name, v)}
+                />
+              </label>
+            ))}
+          </div>
+          {built.error ? (
+            <p className="text-sm text-amber-300 mb-3">{built.error}.</p>
+          ) : (
+            <p className="text-sm opacity-75 mb-3">
+              {built.circuit.numQubits} qubits, {built.circuit.numColumns} columns,{" "}
+              {built.circuit.gates.length} gates.
+              {replacing && " Replaces the current circuit (Undo brings it back)."}
+            </p>
+          )}
+          <Button onClick={() => onInsert(built.circuit, template.label)} disabled={!built.circuit}>
+            Insert
+          </Button>
+        </div>
+      </div>
+    </section>
+  );
+}
@@ -0,0 +1,273 @@
+import React, { useEffect, useMemo, useRef, useState } from "react";
+import { Button } from "./ui";
+import { formatPhase, phaseColor } from "./StateInspector";
+import { checkEquivalence, circuitUnitary } from "../quantum/unitary";
+import { amplitudeRows, EPSILON } from "../quantum/analysis";
+import { toBitstring } from "../quantum/simulator";
+import { DesignError, parseDesign } from "../design";
+import { executableGates } from "../circuit";
+
+// ------------------------------ Unitary Panel ------------------------------
+// The full matrix of the circuit, coloured by phase with brightness for magnitude (a table
+// for small circuits, a heat map beyond), and a comparison with a saved design file that
+// says whether both implement the same operation up to global phase.
+
+/** Largest circuit whose matrix is written out as a table of numbers. */
+const TABLE_MAX_QUBITS = 3;
+/** Side of the heat map in CSS pixels. */
+const MAP_SIZE = 512;
+/** Terms shown when writing out a state. */
+const MAX_TERMS = 4;
+
+/** "0.707", "-0.5i" or "(0.5 - 0.5i)", rounded to three decimals. */
+function formatComplex(re, im) {
+  const r = Math.abs(re) < 5e-4 ? 0 : re;
+  const i = Math.abs(im) < 5e-4 ? 0 : im;
+  const num = (x) => String(Number(x.toFixed(3)));
+  if (i === 0) return num(r);
+  if (r === 0) return `${num(i)}i`;
+  return `(${num(r)} ${i < 0 ? "-" : "+"} ${num(Math.abs(i))}i)`;
+}
+
+/** "0.707|00⟩ + 0.707|11⟩", the largest terms first. */
+function formatState(state) {
+  const rows = amplitudeRows(state).sort((a, b) => b.probability - a.probability);
+  const terms = rows.slice(0, MAX_TERMS).map((r) => `${formatComplex(r.re, r.im)}|${r.bitstring}⟩`);
+  if (rows.length > MAX_TERMS) terms.push(`… (${rows.length - MAX_TERMS} more)`);
+  return terms.join(" + ") || "0";
+}
+
+/** Draws U with one pixel per entry, scaled up by CSS. */
+function HeatMap({ unitary, onHover }) {
+  const canvas = useRef(null);
+  const dim = 1 << unitary.numQubits;
+
+  useEffect(() => {
+    const ctx = canvas.current?.getContext("2d");
+    if (!ctx) return;
+    const image = ctx.createImageData(dim, dim);
+    // Resolve the hsl() colours through the canvas itself, one per phase degree
+    const palette = Array.from({ length: 360 }, (_, deg) => {
+      ctx.fillStyle = phaseColor((deg * Math.PI) / 180);
+      ctx.fillRect(0, 0, 1, 1);
+      return ctx.getImageData(0, 0, 1, 1).data;
+    });
+    const { re, im } = unitary;
+    for (let r = 0; r < dim; r++) {
+      for (let c = 0; c < dim; c++) {
+        const i = r + c * dim;
+        const magnitude = Math.hypot(re[i], im[i]);
+        const deg = Math.round((Math.atan2(im[i], re[i]) * 180) / Math.PI + 360) % 360;
+        const p = 4 * (r * dim + c);
+        image.data.set(palette[deg].subarray(0, 3), p);
+        image.data[p + 3] = Math.round(255 * Math.min(1, magnitude));
+      }
+    }
+    ctx.clearRect(0, 0, dim, dim);
+    ctx.putImageData(image, 0, 0);
+  }, [unitary, dim]);
+
+  return (
+    <canvas
+      ref={canvas}
+      width={dim}
+      height={dim}
+      className="bg-slate-950 rounded border border-slate-700"
+      style={{ width: MAP_SIZE, height: MAP_SIZE, imageRendering: "pixelated" }}
+      onMouseMove={(e) => {
+        const box = e.currentTarget.getBoundingClientRect();
+        const c = Math.floor(((e.clientX - box.left) / box.width) * dim);
+        const r = Math.floor(((e.clientY - box.top) / box.height) * dim);
+        if (r >= 0 && r < dim && c >= 0 && c < dim) onHover({ r, c });
+      }}
+      onMouseLeave={() => onHover(null)}
+    />
+  );
+}
+
+/** Every entry written out, for small circuits. */
+function MatrixTable({ unitary, onHover }) {
+  const n = unitary.numQubits;
+  const dim = 1 << n;
+  const indices = Array.from({ length: dim }, (_, i) => i);
+  return (
+    <table className="text-xs font-mono border-separate border-spacing-0.5">
+      <thead className="opacity-75">
+        <tr>
+          <th />
+          {indices.map((c) => (
+            <th key={c} className="font-normal px-1">
+              |{toBitstring(c, n)}⟩
+            </th>
+          ))}
+        </tr>
+      </thead>
+      <tbody>
+        {indices.map((r) => (
+          <tr key={r}>
+            <th className="font-normal opacity-75 pr-1 text-right">⟨{toBitstring(r, n)}|</th>
+            {indices.map((c) => {
+              const re = unitary.re[r + c * dim];
+              const im = unitary.im[r + c * dim];
+              const magnitude = Math.hypot(re, im);
+              return (
+                <td
+                  key={c}
+                  className="px-1.5 py-1 text-center rounded"
+                  style={
+                    magnitude > EPSILON
+                      ? {
+                          background: phaseColor(Math.atan2(im, re)),
+                          opacity: 0.35 + 0.65 * Math.min(1, magnitude),
+                          color: "#020617",
+                        }
+                      : undefined
+                  }
+                  onMouseEnter={() => onHover({ r, c })}
+                  onMouseLeave={() => onHover(null)}
+                >
+                  {magnitude > EPSILON ? formatComplex(re, im) : "0"}
+                </td>
+              );
+            })}
+          </tr>
+        ))}
+      </tbody>
+    </table>
+  );
+}
+
+/**
+ * @param {Object} props
+ * @param {import("../QuantumCircuitBuilder").Gate[]} props.gates - expanded and bound
+ * @param {number} props.numQubits
+ * @param {() => void} props.onClose
+ */
+export default function UnitaryPanel({ gates, numQubits, onClose }) {
+  const [hover, setHover] = useState(null);
+  /** The design compared against: { name, circuit } or { name, error } */
+  const [other, setOther] = useState(null);
+
+  const computed = useMemo(() => {
+    try {
+      return { unitary: circuitUnitary(gates, numQubits) };
+    } catch (e) {
+      return { error: e.message };
+    }
+  }, [gates, numQubits]);
+  const { unitary } = computed;
+
+  const comparison = useMemo(() => {
+    if (!other?.circuit) return null;
+    try {
+      return { result: checkEquivalence({ gates, numQubits }, other.circuit) };
+    } catch (e) {
+      return { error: e.message };
+    }
+  }, [gates, numQubits, other]);
+
+  function loadOther(e) {
+    const file = e.target.files?.[0];
+    if (!file) return;
+    e.target.value = "";
+    const reader = new FileReader();
+    reader.onload = () => {
+      try {
+        const design = parseDesign(String(reader.result));
+        setOther({
+          name: file.name,
+          circuit: { gates: executableGates(design), numQubits: design.numQubits },
+        });
+      } catch (err) {
+        const message = err instanceof DesignError ? err.errors[0] : err.message;
+        setOther({ name: file.name, error: message });
+      }
+    };
+    reader.readAsText(file);
+  }
+
+  const dim = 1 << numQubits;
+  const hovered =
+    unitary && hover
+      ? `⟨${toBitstring(hover.r, numQubits)}|U|${toBitstring(hover.c, numQubits)}⟩ = ` +
+        formatComplex(unitary.re[hover.r + hover.c * dim], unitary.im[hover.r + hover.c * dim])
+      : null;
+  const result = comparison?.result;
+  const bits = (i) => toBitstring(i, result.numQubits);
+
+  return (
+    <section className="rounded-3xl border border-slate-700 bg-slate-900 p-3 mt-4">
+      <div className="flex flex-wrap items-center gap-2 mb-3">
+        <h2 className="text-lg font-semibold">Unitary</h2>
+        <div className="ml-auto flex items-center gap-2">
+          <label className="inline-flex items-center cursor-pointer">
+            <span
+              className={
+                "rounded-2xl px-4 py-2 font-medium shadow-sm border border-slate-600 " +
+                "bg-slate-800"
+              }
+            >
+              Compare with design…
+            </span>
+            <input type="file" accept="application/json" className="hidden" onChange={loadOther} />
+          </label>
+          <Button onClick={onClose}>Close</Button>
+        </div>
+      </div>
+
+      {computed.error ? (
+        <p className="text-sm text-amber-300">{computed.error}.</p>
+      ) : (
+        <>
+          <p className="text-xs opacity-75 mb-2">
+            Columns are inputs and rows outputs, as |q{numQubits - 1}…q0⟩. Hue shows the phase and
+            brightness the magnitude. Final measurements are left out.
+          </p>
+          <div className="overflow-auto max-w-full">
+            {numQubits <= TABLE_MAX_QUBITS ? (
+              <MatrixTable unitary={unitary} onHover={setHover} />
+            ) : (
+              <HeatMap unitary={unitary} onHover={setHover} />
+            )}
+          </div>
+          <p className="text-xs font-mono h-4 mt-1">{hovered}</p>
+        </>
+      )}
+
+      {other && (
+        <div className="mt-3 text-sm">
+          {other.error || comparison?.error ? (
+            <p className="text-amber-300">
+              Cannot compare with {other.name}: {other.error || comparison.error}
+            </p>
+          ) : result.equivalent ? (
+            <p className="text-emerald-400">
+              ✓ Same operation as {other.name}
+              {Math.abs(result.phase) > 1e-6
+                ? ` up to a global phase of ${formatPhase(result.phase)}`
+                : ""}
+              .
+            </p>
+          ) : (
+            <div>
+              <p className="text-red-400 mb-1">
+                ✗ Not the same operation as {other.name}: they differ on input |{bits(result.input)}
+                ⟩.
+              </p>
+              <p className="font-mono text-xs">This circuit: {formatState(result.outputs[0])}</p>
+              <p className="font-mono text-xs">
+                {other.name}: {formatState(result.outputs[1])}
+              </p>
+            </div>
+          )}
+          {result && other.circuit.numQubits !== numQubits && (
+            <p className="text-xs opacity-75 mt-1">
+              Compared on {result.numQubits} qubits; the smaller circuit leaves the extra ones
+              alone.
+            </p>
+          )}
+        </div>
+      )}
+    </section>
+  );
+}
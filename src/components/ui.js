@@ -0,0 +1,24 @@
+// ------------------------------ Helper UI ------------------------------
+// Small presentational pieces shared by the builder and its panels/modals.
+
+export function Pill({ children }) {
+  return (
+    <div className="rounded-2xl border border-slate-600 px-3 py-1 text-sm font-medium shadow-sm bg-slate-800/60">
+      {children}
+    </div>
+  );
+}
+
+export function Button({ children, className = "", ...props }) {
+  return (
+    <button
+      className={
+        "rounded-2xl px-4 py-2 font-medium shadow-sm border border-slate-600 bg-slate-800 hover:bg-slate-700 active:scale-[.99] " +
+        className
+      }
+      {...props}
+    >
+      {children}
+    </button>
+  );
+}
@@ -0,0 +1,338 @@
+// ------------------------------ Design Files ------------------------------
+// The JSON behind "Save JSON" / "Load JSON": a versioned document with the circuit, its
+// custom gates, parameter values, noise model and descriptive metadata. Older files are
+// migrated one version at a time on load, then every gate is checked against the grid so a
+// hand-edited file can't leave gates out of range, on the same cell or half-described.
+
+import { compositeCycleError, validateCompositeName } from "./quantum/composite";
+import { GATE_SPECS, uid } from "./quantum/gates";
+import { placementError } from "./quantum/layout";
+import { NO_NOISE, noiseRuleError } from "./quantum/noise";
+import { parseAngleInput } from "./quantum/parameters";
+import { MAX_QUBITS } from "./quantum/simulator";
+
+/** @typedef {import("./QuantumCircuitBuilder").Gate} Gate */
+/** @typedef {import("./quantum/composite").CompositeDefinition} CompositeDefinition */
+
+/**
+ * @typedef {Object} DesignMetadata
+ * @property {string} title
+ * @property {string} author
+ * @property {string} description
+ */
+
+/**
+ * @typedef {Object} Design
+ * @property {string} format - always DESIGN_FORMAT
+ * @property {number} version - DESIGN_VERSION once loaded
+ * @property {DesignMetadata} metadata
+ * @property {number} numQubits
+ * @property {number} numColumns
+ * @property {Gate[]} gates
+ * @property {Record<string, number>} params
+ * @property {Record<string, CompositeDefinition>} customGates
+ * @property {import("./quantum/noise").NoiseModel} noise
+ */
+
+export const DESIGN_FORMAT = "quantum-circuit-builder";
+/** Bump together with a new entry in MIGRATIONS. */
+export const DESIGN_VERSION = 2;
+
+/** @type {DesignMetadata} */
+export const EMPTY_METADATA = { title: "", author: "", description: "" };
+
+/**
+ * Thrown by parseDesign(); `errors` lists every problem found, one sentence each.
+ */
+export class DesignError extends Error {
+  /**
+   * @param {string[]} errors
+   */
+  constructor(errors) {
+    super(errors.join("\n"));
+    this.name = "DesignError";
+    this.errors = errors;
+  }
+}
+
+/**
+ * Version 1 is the unversioned `{ numQubits, numColumns, gates, … }` the first releases
+ * saved. Hand-written files of that era may lack gate ids or give CNOT a `controls` list
+ * (or CCX a single `control`); those are put in the current shape.
+ */
+function migrateV1(obj) {
+  const gates = Array.isArray(obj.gates) ? obj.gates.map(normalizeV1Gate) : obj.gates;
+  return {
+    format: DESIGN_FORMAT,
+    version: 2,
+    metadata: { ...EMPTY_METADATA },
+    numQubits: obj.numQubits,
+    numColumns: obj.numColumns,
+    gates,
+    params: obj.params ?? {},
+    customGates: obj.customGates ?? {},
+    noise: obj.noise ?? NO_NOISE,
+  };
+}
+
+function normalizeV1Gate(g) {
+  if (!g || typeof g !== "object") return g;
+  const out = { ...g, id: typeof g.id === "string" && g.id ? g.id : uid(g.type) };
+  const spec = GATE_SPECS[g.type];
+  if (g.type === "CNOT" || g.type === "CZ") {
+    if (out.control === undefined && Array.isArray(g.controls)) out.control = g.controls[0];
+    delete out.controls;
+  } else if (spec?.controls > 0 && out.controls === undefined && g.control !== undefined) {
+    out.controls = [g.control];
+    delete out.control;
+  }
+  return out;
+}
+
+/** MIGRATIONS[n] turns a version-n document into version n + 1. */
+const MIGRATIONS = { 1: migrateV1 };
+
+const isText = (v) => typeof v === "string";
+
+/** What is wrong with a gate's fields, ignoring where it stands; null when nothing. */
+function shapeError(g, customGates) {
+  if (!g || typeof g !== "object" || Array.isArray(g)) return "is not a gate object.";
+  if (!Number.isInteger(g.column)) return "column must be a whole number.";
+  if (!Number.isInteger(g.target)) return "target must be a whole number.";
+  if (g.type === "CUSTOM") {
+    const def = customGates[g.name];
+    if (!def) return `uses the undefined custom gate "${g.name}".`;
+    if (!Array.isArray(g.qubits) || g.qubits.length !== def.numQubits) {
+      return `${g.name} needs a list of ${def.numQubits} qubits.`;
+    }
+    if (g.qubits[0] !== g.target) return "target must be the first of its qubits.";
+    return null;
+  }
+  const spec = GATE_SPECS[g.type];
+  if (!spec) return `"${g.type}" is not a gate type.`;
+  if (g.type === "CNOT" || g.type === "CZ") {
+    if (!Number.isInteger(g.control)) return "control is missing.";
+  } else if (spec.controls > 0) {
+    if (!Array.isArray(g.controls) || g.controls.length !== spec.controls) {
+      return `needs a list of ${spec.controls} control${spec.controls > 1 ? "s" : ""}.`;
+    }
+  }
+  if (spec.targets === 2 && !Number.isInteger(g.pair)) return "pair is missing.";
+  const angleError = (angle, expr, name) => {
+    if (isText(expr)) {
+      try {
+        parseAngleInput(expr);
+        return null;
+      } catch (e) {
+        return `${name}: ${e.message}`;
+      }
+    }
+    return Number.isFinite(angle) ? null : `${name} must be a number or an expression.`;
+  };
+  if (spec.params.length === 1) return angleError(g.angle, g.expr, spec.params[0]);
+  if (spec.params.length > 1) {
+    if (!Array.isArray(g.angles) || g.angles.length !== spec.params.length) {
+      return `needs ${spec.params.length} angles.`;
+    }
+    for (const [i, name] of spec.params.entries()) {
+      const problem = angleError(g.angles[i], g.exprs?.[i], name);
+      if (problem) return problem;
+    }
+  }
+  return null;
+}
+
+/**
+ * Every problem with a list of gates on a grid: malformed fields, repeated ids, and
+ * anything placementError() rejects, each prefixed with where the gate is.
+ * @param {unknown} gates
+ * @param {{ numQubits: number, numColumns: number }} size
+ * @param {Record<string, CompositeDefinition>} customGates
+ * @param {string} [where] - e.g. "Custom gate bell, "
+ * @returns {string[]}
+ */
+export function gateProblems(gates, size, customGates, where = "") {
+  if (!Array.isArray(gates)) return [`${where}gates must be a list.`];
+  const problems = [];
+  const placed = [];
+  const ids = new Set();
+  for (const [i, g] of gates.entries()) {
+    const at = g && typeof g === "object" ? ` (${g.type} at t${g.column})` : "";
+    const problem =
+      shapeError(g, customGates) ??
+      (!isText(g.id) || !g.id ? "id is missing." : null) ??
+      (ids.has(g.id) ? `id "${g.id}" is used twice.` : null) ??
+      placementError(placed, g, size);
+    if (problem) {
+      problems.push(`${where}${where ? "gate" : "Gate"} ${i + 1}${at}: ${problem}`);
+      continue;
+    }
+    ids.add(g.id);
+    placed.push(g);
+  }
+  return problems;
+}
+
+/**
+ * Every problem with a current-version document; empty when it can be loaded as is.
+ * @param {Design} design
+ * @returns {string[]}
+ */
+export function designProblems(design) {
+  const problems = [];
+  const { metadata, numQubits, numColumns, params, customGates, noise } = design;
+
+  if (!metadata || typeof metadata !== "object") problems.push("metadata is missing.");
+  else {
+    for (const key of Object.keys(EMPTY_METADATA)) {
+      if (!isText(metadata[key])) problems.push(`metadata.${key} must be text.`);
+    }
+  }
+  const sizeOk = Number.isInteger(numQubits) && numQubits >= 1 && numQubits <= MAX_QUBITS;
+  if (!sizeOk) problems.push(`numQubits must be a whole number from 1 to ${MAX_QUBITS}.`);
+  const columnsOk = Number.isInteger(numColumns) && numColumns >= 1;
+  if (!columnsOk) problems.push("numColumns must be a whole number from 1.");
+
+  if (!params || typeof params !== "object") problems.push("params must be an object.");
+  else {
+    for (const [name, value] of Object.entries(params)) {
+      if (!Number.isFinite(value)) problems.push(`Parameter ${name} must be a number.`);
+    }
+  }
+
+  const defs = customGates && typeof customGates === "object" ? customGates : {};
+  if (defs !== customGates) problems.push("customGates must be an object.");
+  const checked = problems.length;
+  for (const [key, def] of Object.entries(defs)) {
+    if (!def || def.name !== key) {
+      problems.push(`Custom gate ${key}: name must match its key.`);
+      continue;
+    }
+    const nameProblem = validateCompositeName(key);
+    if (nameProblem) {
+      problems.push(`Custom gate ${key}: ${nameProblem}`);
+      continue;
+    }
+    const size = { numQubits: def.numQubits, numColumns: def.numColumns };
+    if (!Number.isInteger(size.numQubits) || !Number.isInteger(size.numColumns)) {
+      problems.push(`Custom gate ${key}: numQubits and numColumns must be whole numbers.`);
+      continue;
+    }
+    problems.push(...gateProblems(def.gates, size, defs, `Custom gate ${key}, `));
+  }
+  // Nesting can only be followed once every definition checks out on its own
+  const cycle = problems.length === checked && compositeCycleError(defs);
+  if (cycle) problems.push(cycle);
+
+  if (!noise || typeof noise.enabled !== "boolean" || !Array.isArray(noise.rules)) {
+    problems.push("noise must have `enabled` and a list of `rules`.");
+  } else if (sizeOk) {
+    noise.rules.forEach((rule, i) => {
+      const wellFormed = rule && Array.isArray(rule.gates) && Array.isArray(rule.qubits);
+      const problem = wellFormed ? noiseRuleError(rule, numQubits) : "is malformed.";
+      if (problem) problems.push(`Noise rule ${i + 1}: ${problem}`);
+    });
+  }
+
+  if (sizeOk && columnsOk) {
+    problems.push(...gateProblems(design.gates, { numQubits, numColumns }, defs));
+  }
+  return problems;
+}
+
+/**
+ * Bring a parsed document of any known version up to DESIGN_VERSION.
+ * @param {unknown} obj
+ * @returns {Design}
+ * @throws {DesignError} for other formats and newer versions
+ */
+export function migrateDesign(obj) {
+  if (!obj || typeof obj !== "object" || Array.isArray(obj)) {
+    throw new DesignError(["The file does not contain a circuit design."]);
+  }
+  if (obj.format !== undefined && obj.format !== DESIGN_FORMAT) {
+    throw new DesignError([`Unknown file format "${obj.format}".`]);
+  }
+  let version = obj.version ?? 1;
+  if (!Number.isInteger(version) || version < 1) {
+    throw new DesignError([`Unknown design version ${JSON.stringify(version)}.`]);
+  }
+  if (version > DESIGN_VERSION) {
+    throw new DesignError([
+      `Saved by a newer version of the app (design version ${version}); update to open it.`,
+    ]);
+  }
+  let design = obj;
+  for (; version < DESIGN_VERSION; version++) design = MIGRATIONS[version](design);
+  return design;
+}
+
+/**
+ * Migrate and validate an already parsed document, e.g. one kept in the project library.
+ * @param {unknown} obj
+ * @returns {Design}
+ * @throws {DesignError} listing every problem
+ */
+export function readDesign(obj) {
+  const design = migrateDesign(obj);
+  const problems = designProblems(design);
+  if (problems.length) throw new DesignError(problems);
+  return design;
+}
+
+/**
+ * Read a saved design, migrating older versions and validating the result.
+ * @param {string} text
+ * @returns {Design}
+ * @throws {DesignError} listing every problem
+ */
+export function parseDesign(text) {
+  let obj;
+  try {
+    obj = JSON.parse(text);
+  } catch (e) {
+    throw new DesignError([`Not valid JSON: ${e.message}`]);
+  }
+  return readDesign(obj);
+}
+
+/**
+ * The current-version document for the editor's state.
+ * @param {Omit<Design, "format" | "version">} design
+ * @returns {Design}
+ */
+export function toDesign({ metadata, numQubits, numColumns, gates, params, customGates, noise }) {
+  return {
+    format: DESIGN_FORMAT,
+    version: DESIGN_VERSION,
+    metadata,
+    numQubits,
+    numColumns,
+    gates,
+    params,
+    customGates,
+    noise,
+  };
+}
+
+/**
+ * JSON text for "Save JSON".
+ * @param {Omit<Design, "format" | "version">} design
+ * @returns {string}
+ */
+export function serializeDesign(design) {
+  return JSON.stringify(toDesign(design), null, 2);
+}
+
+/** A title in kebab case for file names ("" when it has no letters or digits). */
+export function titleSlug(title) {
+  return title
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-+|-+$/g, "");
+}
+
+/** File name for a design: its title in kebab case, or circuit_design.json. */
+export function designFileName(metadata) {
+  return `${titleSlug(metadata.title) || "circuit_design"}.json`;
+}
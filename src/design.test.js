@@ -0,0 +1,167 @@
+import {
+  DESIGN_FORMAT,
+  DESIGN_VERSION,
+  DesignError,
+  designFileName,
+  parseDesign,
+  serializeDesign,
+} from "./design";
+
+const design = {
+  metadata: { title: "Bell pair", author: "Ada", description: "Entangles q0 and q1." },
+  numQubits: 2,
+  numColumns: 4,
+  gates: [
+    { id: "h", type: "H", column: 0, target: 0 },
+    { id: "cx", type: "CNOT", column: 1, target: 1, control: 0 },
+    { id: "rz", type: "RZ", column: 2, target: 0, expr: "phi" },
+    { id: "m", type: "MEASURE", column: 3, target: 0 },
+  ],
+  params: { phi: 0.5 },
+  customGates: {},
+  noise: { enabled: false, rules: [] },
+};
+
+/** The problems parseDesign() reports for a current-version `doc`. */
+function problemsOf(doc) {
+  try {
+    parseDesign(serializeDesign(doc));
+  } catch (e) {
+    expect(e).toBeInstanceOf(DesignError);
+    return e.errors;
+  }
+  throw new Error("expected a DesignError");
+}
+
+test("round-trips a design with its metadata", () => {
+  const text = serializeDesign(design);
+  expect(JSON.parse(text)).toMatchObject({ format: DESIGN_FORMAT, version: DESIGN_VERSION });
+  expect(parseDesign(text)).toEqual({ format: DESIGN_FORMAT, version: DESIGN_VERSION, ...design });
+});
+
+test("migrates unversioned files from the first releases", () => {
+  const legacy = {
+    numQubits: 3,
+    numColumns: 2,
+    gates: [
+      { type: "H", column: 0, target: 0 },
+      { id: "cx", type: "CNOT", column: 1, target: 1, controls: [0] },
+      { id: "crx", type: "CRX", column: 0, target: 2, control: 1, angle: 0.5 },
+    ],
+  };
+  const loaded = parseDesign(JSON.stringify(legacy));
+  expect(loaded.version).toBe(DESIGN_VERSION);
+  expect(loaded.metadata).toEqual({ title: "", author: "", description: "" });
+  expect(loaded.params).toEqual({});
+  expect(loaded.noise).toEqual({ enabled: false, rules: [] });
+  expect(loaded.gates[0].id).toMatch(/^H_/);
+  expect(loaded.gates[1]).toEqual({ id: "cx", type: "CNOT", column: 1, target: 1, control: 0 });
+  expect(loaded.gates[2].controls).toEqual([1]);
+});
+
+test("keeps the single control of v1 CNOT and CZ gates", () => {
+  const legacy = {
+    numQubits: 2,
+    numColumns: 3,
+    gates: [
+      { id: "h", type: "H", column: 0, target: 0 },
+      { id: "cx", type: "CNOT", column: 1, target: 1, control: 0 },
+      { id: "cz", type: "CZ", column: 2, target: 0, control: 1 },
+    ],
+  };
+  const loaded = parseDesign(JSON.stringify(legacy));
+  expect(loaded.gates[1]).toEqual({ id: "cx", type: "CNOT", column: 1, target: 1, control: 0 });
+  expect(loaded.gates[2]).toEqual({ id: "cz", type: "CZ", column: 2, target: 0, control: 1 });
+});
+
+test("reports every bad gate precisely", () => {
+  const gates = [
+    { id: "h", type: "H", column: 0, target: 0 },
+    { id: "x", type: "X", column: 0, target: 0 },
+    { id: "cx", type: "CNOT", column: 1, target: 1 },
+    { id: "sw", type: "SWAP", column: 2, target: 0 },
+    { id: "rx", type: "RX", column: 3, target: 2 },
+    { id: "ry", type: "RY", column: 3, target: 1, expr: "2*" },
+    { id: "h", type: "H", column: 2, target: 1 },
+    { id: "c", type: "CUSTOM", name: "gone", column: 1, target: 0, qubits: [0] },
+    { id: "q", type: "FOO", column: 0, target: 1 },
+  ];
+  expect(problemsOf({ ...design, gates })).toEqual([
+    "Gate 2 (X at t0): q0 is already occupied at t0.",
+    "Gate 3 (CNOT at t1): control is missing.",
+    "Gate 4 (SWAP at t2): pair is missing.",
+    "Gate 5 (RX at t3): θ must be a number or an expression.",
+    expect.stringMatching(/^Gate 6 \(RY at t3\): θ: /),
+    'Gate 7 (H at t2): id "h" is used twice.',
+    'Gate 8 (CUSTOM at t1): uses the undefined custom gate "gone".',
+    'Gate 9 (FOO at t0): "FOO" is not a gate type.',
+  ]);
+});
+
+test("checks the rest of the document", () => {
+  expect(
+    problemsOf({
+      ...design,
+      metadata: { title: 1, author: "", description: "" },
+      numQubits: 40,
+      params: { phi: "x" },
+      noise: { enabled: true, rules: [] },
+    })
+  ).toEqual([
+    "metadata.title must be text.",
+    "numQubits must be a whole number from 1 to 16.",
+    "Parameter phi must be a number.",
+  ]);
+  const rule = { kind: "readout", rate: 0.1, gates: [], qubits: [5] };
+  expect(problemsOf({ ...design, noise: { enabled: true, rules: [rule] } })).toEqual([
+    "Noise rule 1: q5 is outside the circuit (q0..q1).",
+  ]);
+  const bell = {
+    name: "bell",
+    numQubits: 2,
+    numColumns: 1,
+    gates: [{ id: "a", type: "CNOT", column: 1, target: 1, control: 0 }],
+  };
+  expect(problemsOf({ ...design, customGates: { bell } })).toEqual([
+    "Custom gate bell, gate 1 (CNOT at t1): t1 is outside the circuit (t0..t0).",
+  ]);
+});
+
+test("rejects custom gate names that generated code can't use", () => {
+  const named = (name) => ({
+    ...design,
+    customGates: { [name]: { name, numQubits: 1, numColumns: 1, gates: [] } },
+  });
+  const injected = "bell_x = 1; __import__('os').system('echo pwned'); bell_y";
+  expect(problemsOf(named(injected))).toEqual([
+    `Custom gate ${injected}: Use letters, digits and _ (not starting with a digit).`,
+  ]);
+  expect(problemsOf(named("measure"))).toEqual([
+    "Custom gate measure: 'measure' is a built-in gate name.",
+  ]);
+});
+
+test("rejects custom gates that contain themselves", () => {
+  const uses = (name) => ({ id: name, type: "CUSTOM", name, column: 0, target: 0, qubits: [0] });
+  const def = (name, inner) => ({ name, numQubits: 1, numColumns: 1, gates: [uses(inner)] });
+  expect(problemsOf({ ...design, customGates: { a: def("a", "a") } })).toEqual([
+    "Custom gate 'a' contains itself.",
+  ]);
+  expect(problemsOf({ ...design, customGates: { a: def("a", "b"), b: def("b", "a") } })).toEqual([
+    "Custom gate 'a' contains itself.",
+  ]);
+});
+
+test("refuses other files and newer versions", () => {
+  expect(() => parseDesign("{")).toThrow("Not valid JSON");
+  expect(() => parseDesign("[1]")).toThrow("does not contain a circuit design");
+  expect(() => parseDesign('{"format": "other"}')).toThrow('Unknown file format "other".');
+  expect(() => parseDesign(JSON.stringify({ ...design, version: DESIGN_VERSION + 1 }))).toThrow(
+    "Saved by a newer version of the app"
+  );
+});
+
+test("names files after the title", () => {
+  expect(designFileName(design.metadata)).toBe("bell-pair.json");
+  expect(designFileName({ title: "  " })).toBe("circuit_design.json");
+});
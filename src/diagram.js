@@ -0,0 +1,435 @@
+// ------------------------------ Circuit Diagrams ------------------------------
+// The circuit drawn from the gate model rather than the grid, for papers and slides: a
+// standalone SVG (the diagram panel rasterises it to PNG) and LaTeX source for the quantikz
+// package. Both use the usual notation (control dots, ⊕ targets, × for swaps, meters for
+// measurement) and write angles as fractions of π where they are one. Custom gates stay
+// boxes with their name; conditions and redirected measurements are noted on the gate.
+
+import { GATE_SPECS, gateControls, gateParams, gateQubits } from "./quantum/gates";
+import { conditionLabel, measuredBit } from "./quantum/classical";
+
+/** @typedef {import("./QuantumCircuitBuilder").Gate} Gate */
+/** @typedef {{ gates: Gate[], numQubits: number, numColumns: number }} DiagramCircuit */
+
+/**
+ * @typedef {Object} DiagramOptions
+ * @property {"light" | "dark"} [theme] - SVG colours; LaTeX follows the document's
+ * @property {boolean} [collapse] - leave out columns without gates
+ */
+
+export const DIAGRAM_THEMES = {
+  light: { background: "#ffffff", ink: "#0f172a", muted: "#64748b" },
+  dark: { background: "#0f172a", ink: "#e2e8f0", muted: "#94a3b8" },
+};
+
+/** Largest denominator written as a fraction of π. */
+const MAX_DENOMINATOR = 16;
+
+// SVG geometry, in pixels
+const FONT_SIZE = 14;
+const SMALL_FONT_SIZE = 10;
+const ROW_HEIGHT = 52;
+const BOX_HEIGHT = 30;
+const BOX_PADDING = 8;
+const MIN_COLUMN_WIDTH = 44;
+const COLUMN_GAP = 14;
+const MARGIN = 16;
+const DOT_RADIUS = 4;
+const TARGET_RADIUS = 10;
+const CROSS_SIZE = 6;
+/** Average glyph width as a share of the font size, for sizing boxes without measuring. */
+const GLYPH_WIDTH = 0.6;
+
+// Identifiers drawn as symbols in parameter expressions
+const GREEK = {
+  alpha: "α",
+  beta: "β",
+  gamma: "γ",
+  delta: "δ",
+  epsilon: "ε",
+  theta: "θ",
+  lambda: "λ",
+  mu: "μ",
+  phi: "φ",
+  psi: "ψ",
+  omega: "ω",
+  pi: "π",
+  tau: "τ",
+};
+const TEX_GREEK = Object.fromEntries(
+  Object.entries(GREEK).map(([name, letter]) => [letter, `\\${name}`])
+);
+
+// How gates other than plain letters are written: `sub` is a subscript after `text`
+const SYMBOLS = {
+  SDG: { text: "S†", tex: "S^\\dagger" },
+  TDG: { text: "T†", tex: "T^\\dagger" },
+  SX: { text: "√X", tex: "\\sqrt{X}" },
+  RX: { text: "R", sub: "x", tex: "R_x" },
+  RY: { text: "R", sub: "y", tex: "R_y" },
+  RZ: { text: "R", sub: "z", tex: "R_z" },
+  SWAP: { text: "SWAP", tex: "\\mathrm{SWAP}" },
+  ISWAP: { text: "iSWAP", tex: "i\\mathrm{SWAP}" },
+  RESET: { text: "|0⟩", tex: "\\lvert 0 \\rangle" },
+};
+
+/**
+ * An angle as a multiple of π, [numerator, denominator] in lowest terms, or null when it
+ * isn't one with a denominator up to 16.
+ * @param {number} angle - radians
+ * @returns {[number, number] | null}
+ */
+export function piFraction(angle) {
+  for (let den = 1; den <= MAX_DENOMINATOR; den++) {
+    const num = Math.round((angle * den) / Math.PI);
+    if (Math.abs(angle - (num * Math.PI) / den) < 1e-9) return [num, den];
+  }
+  return null;
+}
+
+/** "π/2", "-3π/4", "2π", "0" or "0.123". */
+export function formatAngle(angle) {
+  const fraction = piFraction(angle);
+  if (!fraction) return String(Number(angle.toFixed(3)));
+  const [num, den] = fraction;
+  if (num === 0) return "0";
+  const times = Math.abs(num) === 1 ? "" : Math.abs(num);
+  return `${num < 0 ? "-" : ""}${times}π${den === 1 ? "" : `/${den}`}`;
+}
+
+/** formatAngle() in LaTeX: "\frac{\pi}{2}", "-\frac{3\pi}{4}", "2\pi". */
+function angleTex(angle) {
+  const fraction = piFraction(angle);
+  if (!fraction) return String(Number(angle.toFixed(3)));
+  const [num, den] = fraction;
+  if (num === 0) return "0";
+  const times = `${Math.abs(num) === 1 ? "" : Math.abs(num)}\\pi`;
+  return `${num < 0 ? "-" : ""}${den === 1 ? times : `\\frac{${times}}{${den}}`}`;
+}
+
+/** A parameter expression with Greek names as letters: "2*theta + pi/4" → "2·θ + π/4". */
+function expressionText(expr) {
+  return expr
+    .replace(/\*\*/g, "^")
+    .replace(/\*/g, "·")
+    .replace(/[A-Za-z_]\w*/g, (name) => GREEK[name] ?? name);
+}
+
+/** expressionText() in LaTeX, with other multi-letter names upright. */
+function expressionTex(expr) {
+  return expressionText(expr)
+    .replace(/[A-Za-z_]\w*|[^\x20-\x7e]/g, (token) => {
+      if (token === "·") return " \\cdot ";
+      if (TEX_GREEK[token]) return `${TEX_GREEK[token]} `;
+      return token.length > 1 ? `\\mathrm{${token.replace(/_/g, "\\_")}}` : token;
+    })
+    .replace(/\s+/g, " ")
+    .replace(/ (?=[)}/^_,])/g, "")
+    .trim();
+}
+
+/**
+ * What the box of a gate says: its name (the base gate's for controlled gates) and angles.
+ * @param {Gate} g
+ * @returns {{ text: string, sub?: string, tex: string, args: string[], texArgs: string[] }}
+ */
+function boxLabel(g) {
+  if (g.type === "CUSTOM") {
+    return { text: g.name, tex: `\\mathrm{${g.name.replace(/_/g, "\\_")}}`, args: [], texArgs: [] };
+  }
+  const spec = GATE_SPECS[g.type];
+  const base = spec.base ?? (g.type === "CSWAP" ? "SWAP" : g.type);
+  const symbol = SYMBOLS[base] ?? { text: GATE_SPECS[base].label, tex: GATE_SPECS[base].label };
+  const params = gateParams(g);
+  const slot = (format, expression) => (p, i) =>
+    p.expr ? expression(p.expr) : p.angle !== undefined ? format(p.angle) : spec.params[i];
+  return {
+    ...symbol,
+    args: params.map(slot(formatAngle, expressionText)),
+    texArgs: params.map(slot(angleTex, expressionTex)),
+  };
+}
+
+/** Notes shown under a gate: its condition, or where a measurement goes if not its own bit. */
+function annotation(g) {
+  if (g.condition) return conditionLabel(g.condition);
+  if (g.type === "MEASURE" && measuredBit(g) !== g.target) return `→ c[${measuredBit(g)}]`;
+  return null;
+}
+
+/**
+ * Columns the diagram shows, in order: all of them, or only those holding a gate.
+ * @param {Gate[]} gates
+ * @param {number} numColumns
+ * @param {DiagramOptions} [options]
+ * @returns {number[]}
+ */
+export function diagramColumns(gates, numColumns, { collapse = false } = {}) {
+  const used = new Set(gates.map((g) => g.column));
+  return Array.from({ length: numColumns }, (_, c) => c).filter((c) => !collapse || used.has(c));
+}
+
+const escapeXml = (text) =>
+  String(text).replace(
+    /[&<>"]/g,
+    (ch) => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;" })[ch]
+  );
+
+const textWidth = (text, size = FONT_SIZE) => text.length * size * GLYPH_WIDTH;
+
+/** Plain text of a box label, for sizing. */
+function labelText({ text, sub, args }) {
+  return `${text}${sub ?? ""}${args.length ? `(${args.join(", ")})` : ""}`;
+}
+
+/** Kind of mark drawn on a gate's target: a box, or one of the special symbols. */
+function targetKind(g) {
+  switch (g.type) {
+    case "CNOT":
+    case "CCX":
+      return "target";
+    case "CZ":
+      return "dot";
+    case "SWAP":
+    case "CSWAP":
+      return "swap";
+    case "ISWAP":
+    case "CUSTOM":
+      return "span";
+    case "MEASURE":
+      return "meter";
+    default:
+      return "box";
+  }
+}
+
+/** Width a gate needs in its column. */
+function gateWidth(g) {
+  const kind = targetKind(g);
+  const note = annotation(g);
+  let width = 2 * TARGET_RADIUS;
+  if (kind === "box" || kind === "span") {
+    width = textWidth(labelText(boxLabel(g))) + 2 * BOX_PADDING;
+  } else if (kind === "meter") {
+    width = BOX_HEIGHT + 6;
+  }
+  if (note) width = Math.max(width, textWidth(note, SMALL_FONT_SIZE));
+  return Math.max(MIN_COLUMN_WIDTH, width);
+}
+
+/**
+ * The circuit as a standalone SVG document, qubit 0 on top.
+ * @param {DiagramCircuit} circuit
+ * @param {DiagramOptions} [options]
+ * @returns {string}
+ */
+export function circuitSvg(
+  { gates, numQubits, numColumns },
+  { theme = "light", collapse = false } = {}
+) {
+  const colors = DIAGRAM_THEMES[theme] ?? DIAGRAM_THEMES.light;
+  const columns = diagramColumns(gates, numColumns, { collapse });
+  const labelWidth = textWidth(`q${numQubits - 1}`) + MARGIN;
+
+  // Left edge and width of each shown column
+  const widths = columns.map((c) =>
+    Math.max(MIN_COLUMN_WIDTH, ...gates.filter((g) => g.column === c).map(gateWidth))
+  );
+  const centers = new Map();
+  let x = MARGIN + labelWidth + COLUMN_GAP;
+  columns.forEach((c, i) => {
+    centers.set(c, x + widths[i] / 2);
+    x += widths[i] + COLUMN_GAP;
+  });
+  const width = Math.round(x + MARGIN);
+  const height = numQubits * ROW_HEIGHT + 2 * MARGIN;
+  const y = (q) => MARGIN + q * ROW_HEIGHT + ROW_HEIGHT / 2;
+
+  const parts = [];
+  const line = (x1, y1, x2, y2) =>
+    parts.push(`<line x1="${x1}" y1="${y1}" x2="${x2}" y2="${y2}" stroke="${colors.ink}"/>`);
+  const rect = (cx, top, w, h) =>
+    parts.push(
+      `<rect x="${cx - w / 2}" y="${top}" width="${w}" height="${h}" ` +
+        `fill="${colors.background}" stroke="${colors.ink}"/>`
+    );
+  const text = (cx, cy, markup, { size = FONT_SIZE, fill = colors.ink, anchor = "middle" } = {}) =>
+    parts.push(
+      `<text x="${cx}" y="${cy}" font-size="${size}" fill="${fill}" text-anchor="${anchor}" ` +
+        `dominant-baseline="central">${markup}</text>`
+    );
+  const dot = (cx, cy) =>
+    parts.push(`<circle cx="${cx}" cy="${cy}" r="${DOT_RADIUS}" fill="${colors.ink}"/>`);
+  const subscript = (s) =>
+    `<tspan baseline-shift="sub" font-size="${SMALL_FONT_SIZE}">${escapeXml(s)}</tspan>`;
+  const labelMarkup = ({ text: name, sub, args }) =>
+    escapeXml(name) +
+    (sub ? subscript(sub) : "") +
+    (args.length ? escapeXml(`(${args.join(", ")})`) : "");
+
+  // Wires with their names
+  for (let q = 0; q < numQubits; q++) {
+    text(MARGIN + labelWidth, y(q), `q${subscript(q)}`, { anchor: "end" });
+    line(MARGIN + labelWidth + COLUMN_GAP / 2, y(q), width - MARGIN, y(q));
+  }
+
+  for (const g of gates) {
+    const cx = centers.get(g.column);
+    if (cx === undefined) continue;
+    const qubits = gateQubits(g);
+    const kind = targetKind(g);
+    const w = gateWidth(g);
+    if (qubits.length > 1 && kind !== "span") {
+      line(cx, y(Math.min(...qubits)), cx, y(Math.max(...qubits)));
+    }
+    for (const c of gateControls(g)) dot(cx, y(c));
+
+    let bottom = y(g.target) + BOX_HEIGHT / 2;
+    switch (kind) {
+      case "target":
+        parts.push(
+          `<circle cx="${cx}" cy="${y(g.target)}" r="${TARGET_RADIUS}" ` +
+            `fill="${colors.background}" stroke="${colors.ink}"/>`
+        );
+        line(cx - TARGET_RADIUS, y(g.target), cx + TARGET_RADIUS, y(g.target));
+        line(cx, y(g.target) - TARGET_RADIUS, cx, y(g.target) + TARGET_RADIUS);
+        break;
+      case "dot":
+        dot(cx, y(g.target));
+        break;
+      case "swap":
+        for (const q of [g.target, g.pair]) {
+          line(cx - CROSS_SIZE, y(q) - CROSS_SIZE, cx + CROSS_SIZE, y(q) + CROSS_SIZE);
+          line(cx - CROSS_SIZE, y(q) + CROSS_SIZE, cx + CROSS_SIZE, y(q) - CROSS_SIZE);
+        }
+        break;
+      case "span": {
+        const top = Math.min(...qubits);
+        const last = Math.max(...qubits);
+        rect(cx, y(top) - BOX_HEIGHT / 2, w, y(last) - y(top) + BOX_HEIGHT);
+        text(cx, (y(top) + y(last)) / 2, labelMarkup(boxLabel(g)));
+        // A custom gate's wires in the order of its definition
+        if (g.type === "CUSTOM" && qubits.length > 1) {
+          qubits.forEach((q, i) =>
+            text(cx - w / 2 + 3, y(q), String(i), {
+              size: SMALL_FONT_SIZE,
+              fill: colors.muted,
+              anchor: "start",
+            })
+          );
+        }
+        bottom = y(last) + BOX_HEIGHT / 2;
+        break;
+      }
+      case "meter": {
+        const cy = y(g.target);
+        const r = BOX_HEIGHT / 2 - 5;
+        rect(cx, cy - BOX_HEIGHT / 2, w, BOX_HEIGHT);
+        parts.push(
+          `<path d="M ${cx - r} ${cy + 6} A ${r} ${r} 0 0 1 ${cx + r} ${cy + 6}" ` +
+            `fill="none" stroke="${colors.ink}"/>`
+        );
+        line(cx, cy + 6, cx + r * 0.7, cy + 6 - r);
+        break;
+      }
+      default:
+        rect(cx, y(g.target) - BOX_HEIGHT / 2, w, BOX_HEIGHT);
+        text(cx, y(g.target), labelMarkup(boxLabel(g)));
+    }
+
+    const note = annotation(g);
+    if (note) {
+      const below =
+        kind === "box" || kind === "span" || kind === "meter"
+          ? bottom
+          : y(g.target) + TARGET_RADIUS;
+      text(cx, below + SMALL_FONT_SIZE - 2, escapeXml(note), {
+        size: SMALL_FONT_SIZE,
+        fill: colors.muted,
+      });
+    }
+  }
+
+  return (
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" ` +
+    `viewBox="0 0 ${width} ${height}" font-family="Helvetica, Arial, sans-serif">` +
+    `<rect width="100%" height="100%" fill="${colors.background}"/>${parts.join("")}</svg>`
+  );
+}
+
+/** The LaTeX of a gate's box label, with its condition when it has one. */
+function boxTex(g) {
+  const label = boxLabel(g);
+  let tex = label.tex + (label.texArgs.length ? `(${label.texArgs.join(", ")})` : "");
+  if (g.condition) {
+    const { clbit, value } = g.condition;
+    tex += ` \\mid c${clbit === undefined ? "" : `_{${clbit}}`} = ${value}`;
+  }
+  return tex;
+}
+
+/**
+ * The circuit as LaTeX using quantikz, one row per qubit. A conditioned gate is drawn as a
+ * box naming its condition, so a conditioned CNOT target becomes an X box.
+ * @param {DiagramCircuit} circuit
+ * @param {DiagramOptions & { standalone?: boolean }} [options] - standalone wraps the
+ *   environment in a document that compiles on its own
+ * @returns {string}
+ */
+export function circuitQuantikz(
+  { gates, numQubits, numColumns },
+  { collapse = false, standalone = true } = {}
+) {
+  const columns = diagramColumns(gates, numColumns, { collapse });
+  const cells = Array.from({ length: numQubits }, () => columns.map(() => "\\qw"));
+
+  for (const g of gates) {
+    const k = columns.indexOf(g.column);
+    if (k < 0) continue;
+    const t = g.target;
+    for (const c of gateControls(g)) cells[c][k] = `\\ctrl{${t - c}}`;
+    const kind = g.condition && targetKind(g) !== "span" ? "box" : targetKind(g);
+    switch (kind) {
+      case "target":
+        cells[t][k] = "\\targ{}";
+        break;
+      case "dot":
+        cells[t][k] = "\\control{}";
+        break;
+      case "swap":
+        cells[t][k] = `\\swap{${g.pair - t}}`;
+        cells[g.pair][k] = "\\targX{}";
+        break;
+      case "span": {
+        const qubits = gateQubits(g);
+        const top = Math.min(...qubits);
+        const wires = Math.max(...qubits) - top + 1;
+        cells[top][k] = wires > 1 ? `\\gate[${wires}]{${boxTex(g)}}` : `\\gate{${boxTex(g)}}`;
+        break;
+      }
+      case "meter":
+        cells[t][k] = measuredBit(g) === t ? "\\meter{}" : `\\meter{c_{${measuredBit(g)}}}`;
+        break;
+      default:
+        if (g.type === "SWAP" || g.type === "CSWAP") {
+          // Conditioned swaps: one box over both wires
+          const top = Math.min(t, g.pair);
+          cells[top][k] = `\\gate[${Math.abs(g.pair - t) + 1}]{${boxTex(g)}}`;
+        } else {
+          cells[t][k] = `\\gate{${boxTex(g)}}`;
+        }
+    }
+  }
+
+  const rows = cells.map((row, q) => `\\lstick{$q_{${q}}$} & ${[...row, "\\qw"].join(" & ")}`);
+  const body = `\\begin{quantikz}\n${rows.join(" \\\\\n")}\n\\end{quantikz}\n`;
+  if (!standalone) return body;
+  return (
+    "\\documentclass[border=2pt]{standalone}\n" +
+    "\\usepackage{tikz}\n" +
+    "\\usetikzlibrary{quantikz}\n" +
+    "\\begin{document}\n" +
+    body +
+    "\\end{document}\n"
+  );
+}
@@ -0,0 +1,128 @@
+import { circuitQuantikz, circuitSvg, diagramColumns, formatAngle, piFraction } from "./diagram";
+
+const circuit = {
+  numQubits: 3,
+  numColumns: 6,
+  gates: [
+    { id: "h", type: "H", column: 0, target: 0 },
+    { id: "cx", type: "CNOT", column: 2, target: 2, control: 0 },
+    { id: "rx", type: "CRX", column: 3, target: 1, controls: [0], angle: Math.PI / 2 },
+    { id: "sw", type: "SWAP", column: 4, target: 0, pair: 2 },
+    { id: "m", type: "MEASURE", column: 5, target: 1 },
+  ],
+};
+
+const rows = (tex) =>
+  tex
+    .split("\n")
+    .filter((line) => line.startsWith("\\lstick"))
+    .map((line) => line.replace(/ \\\\$/, "").split(" & "));
+
+test("writes angles as fractions of π", () => {
+  expect(piFraction(Math.PI / 2)).toEqual([1, 2]);
+  expect(piFraction((-6 * Math.PI) / 8)).toEqual([-3, 4]);
+  expect(piFraction(1)).toBeNull();
+  expect(formatAngle(Math.PI / 2)).toBe("π/2");
+  expect(formatAngle((-3 * Math.PI) / 4)).toBe("-3π/4");
+  expect(formatAngle(2 * Math.PI)).toBe("2π");
+  expect(formatAngle(0)).toBe("0");
+  expect(formatAngle(0.1234)).toBe("0.123");
+});
+
+test("collapses columns without gates on request", () => {
+  expect(diagramColumns(circuit.gates, 6)).toEqual([0, 1, 2, 3, 4, 5]);
+  expect(diagramColumns(circuit.gates, 6, { collapse: true })).toEqual([0, 2, 3, 4, 5]);
+});
+
+test("draws quantikz cells for each kind of gate", () => {
+  const tex = circuitQuantikz(circuit, { collapse: true });
+  expect(tex).toMatch(/^\\documentclass\[border=2pt\]\{standalone\}/);
+  expect(tex).toContain("\\usetikzlibrary{quantikz}");
+  expect(rows(tex)).toEqual([
+    ["\\lstick{$q_{0}$}", "\\gate{H}", "\\ctrl{2}", "\\ctrl{1}", "\\swap{2}", "\\qw", "\\qw"],
+    [
+      "\\lstick{$q_{1}$}",
+      "\\qw",
+      "\\qw",
+      "\\gate{R_x(\\frac{\\pi}{2})}",
+      "\\qw",
+      "\\meter{}",
+      "\\qw",
+    ],
+    ["\\lstick{$q_{2}$}", "\\qw", "\\targ{}", "\\qw", "\\targX{}", "\\qw", "\\qw"],
+  ]);
+
+  const body = circuitQuantikz(circuit, { standalone: false });
+  expect(body).toMatch(/^\\begin\{quantikz\}\n[^]*\\end\{quantikz\}\n$/);
+  // The empty column t1 is kept
+  expect(rows(body)[0]).toHaveLength(8);
+});
+
+test("writes custom gates, expressions and conditions in LaTeX", () => {
+  const tex = circuitQuantikz(
+    {
+      numQubits: 3,
+      numColumns: 3,
+      gates: [
+        { id: "a", type: "CUSTOM", column: 0, name: "my_oracle", target: 0, qubits: [0, 1, 2] },
+        { id: "b", type: "RZ", column: 1, target: 0, expr: "2*theta + pi/4" },
+        {
+          id: "c",
+          type: "CNOT",
+          column: 1,
+          target: 2,
+          control: 1,
+          condition: { clbit: 0, value: 1 },
+        },
+        { id: "d", type: "MEASURE", column: 2, target: 2, clbit: 0 },
+      ],
+    },
+    { standalone: false }
+  );
+  expect(rows(tex)).toEqual([
+    [
+      "\\lstick{$q_{0}$}",
+      "\\gate[3]{\\mathrm{my\\_oracle}}",
+      "\\gate{R_z(2 \\cdot \\theta + \\pi/4)}",
+      "\\qw",
+      "\\qw",
+    ],
+    ["\\lstick{$q_{1}$}", "\\qw", "\\ctrl{1}", "\\qw", "\\qw"],
+    ["\\lstick{$q_{2}$}", "\\qw", "\\gate{X \\mid c_{0} = 1}", "\\meter{c_{0}}", "\\qw"],
+  ]);
+});
+
+test("renders a standalone SVG in either theme", () => {
+  const light = circuitSvg(circuit);
+  const doc = new DOMParser().parseFromString(light, "image/svg+xml");
+  expect(doc.querySelector("parsererror")).toBeNull();
+  const svg = doc.documentElement;
+  expect(svg.getAttribute("xmlns")).toBe("http://www.w3.org/2000/svg");
+  expect(Number(svg.getAttribute("height"))).toBe(3 * 52 + 32);
+
+  // Wire labels, the H and CRX boxes, the control dots and ⊕ and the swap crosses
+  const texts = Array.from(doc.querySelectorAll("text")).map((t) => t.textContent);
+  expect(texts).toEqual(expect.arrayContaining(["q0", "q1", "q2", "H", "Rx(π/2)"]));
+  expect(doc.querySelectorAll("circle")).toHaveLength(3);
+  expect(doc.querySelectorAll("path")).toHaveLength(1);
+  expect(light).toContain('fill="#ffffff"');
+
+  const dark = circuitSvg(circuit, { theme: "dark", collapse: true });
+  expect(dark).toContain('fill="#0f172a"');
+  expect(dark).not.toContain("#ffffff");
+  const width = (s) => Number(/width="([\d.]+)"/.exec(s)[1]);
+  expect(width(dark)).toBeLessThan(width(light));
+});
+
+test("notes conditions and redirected measurements in the SVG", () => {
+  const svg = circuitSvg({
+    numQubits: 2,
+    numColumns: 2,
+    gates: [
+      { id: "m", type: "MEASURE", column: 0, target: 0, clbit: 1 },
+      { id: "x", type: "X", column: 1, target: 1, condition: { clbit: 1, value: 1 } },
+    ],
+  });
+  expect(svg).toContain(">→ c[1]</text>");
+  expect(svg).toContain(">c[1]=1</text>");
+});
@@ -0,0 +1,18 @@
+// Trigger a browser download of in-memory text/binary content.
+
+/**
+ * @param {BlobPart} contents
+ * @param {string} filename
+ * @param {string} type - MIME type
+ */
+export function downloadFile(contents, filename, type) {
+  const blob = contents instanceof Blob ? contents : new Blob([contents], { type });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  URL.revokeObjectURL(url);
+}
@@ -0,0 +1,116 @@
+// ------------------------------ Undo/Redo History ------------------------------
+// A bounded list of labelled snapshots. Snapshots are plain immutable objects, so
+// consecutive entries share every gate that did not change and an entry costs little
+// more than its gate array.
+
+/** Entries kept behind the present one before the oldest are dropped. */
+export const HISTORY_LIMIT = 100;
+
+/**
+ * @template T
+ * @typedef {Object} Entry
+ * @property {string} label - what produced this state ("Add H", "Clear", …)
+ * @property {T} state
+ * @property {string=} mergeKey - consecutive records with the same key collapse into one
+ */
+
+/**
+ * @template T
+ * @typedef {Object} History
+ * @property {Entry<T>[]} past - oldest first
+ * @property {Entry<T>} present
+ * @property {Entry<T>[]} future - next redo first
+ */
+
+/**
+ * @template T
+ * @param {T} state
+ * @param {string} [label]
+ * @returns {History<T>}
+ */
+export function createHistory(state, label = "Start") {
+  return { past: [], present: { label, state }, future: [] };
+}
+
+/**
+ * Make `state` the present, discarding anything that could be redone. Recording the same
+ * state object again is a no-op. With `mergeKey`, a record following one with the same key
+ * replaces it, so e.g. typing "12" into a number field is a single step.
+ * @template T
+ * @param {History<T>} history
+ * @param {string} label
+ * @param {T} state
+ * @param {{ mergeKey?: string, limit?: number }} [options]
+ * @returns {History<T>}
+ */
+export function record(history, label, state, { mergeKey, limit = HISTORY_LIMIT } = {}) {
+  if (state === history.present.state) return history;
+  const present = mergeKey ? { label, state, mergeKey } : { label, state };
+  const { past } = history;
+  if (mergeKey && history.present.mergeKey === mergeKey && history.future.length === 0) {
+    return { past, present, future: [] };
+  }
+  const kept = past.length >= limit ? past.slice(past.length - limit + 1) : past;
+  return { past: [...kept, history.present], present, future: [] };
+}
+
+export function canUndo(history) {
+  return history.past.length > 0;
+}
+
+export function canRedo(history) {
+  return history.future.length > 0;
+}
+
+/**
+ * @template T
+ * @param {History<T>} history
+ * @returns {History<T>}
+ */
+export function undo(history) {
+  if (!canUndo(history)) return history;
+  const { past, present, future } = history;
+  return {
+    past: past.slice(0, -1),
+    present: past[past.length - 1],
+    future: [present, ...future],
+  };
+}
+
+/**
+ * @template T
+ * @param {History<T>} history
+ * @returns {History<T>}
+ */
+export function redo(history) {
+  if (!canRedo(history)) return history;
+  const { past, present, future } = history;
+  return { past: [...past, present], present: future[0], future: future.slice(1) };
+}
+
+/**
+ * Every entry, oldest first; the present is at index `past.length`.
+ * @template T
+ * @param {History<T>} history
+ * @returns {Entry<T>[]}
+ */
+export function timeline({ past, present, future }) {
+  return [...past, present, ...future];
+}
+
+/**
+ * Undo or redo until timeline entry `index` is the present.
+ * @template T
+ * @param {History<T>} history
+ * @param {number} index
+ * @returns {History<T>}
+ */
+export function jumpTo(history, index) {
+  const entries = timeline(history);
+  if (index < 0 || index >= entries.length) return history;
+  return {
+    past: entries.slice(0, index),
+    present: entries[index],
+    future: entries.slice(index + 1),
+  };
+}
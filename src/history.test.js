@@ -0,0 +1,60 @@
+import { canRedo, canUndo, createHistory, jumpTo, record, redo, timeline, undo } from "./history";
+
+test("undoes and redoes recorded states", () => {
+  let h = createHistory({ n: 0 });
+  h = record(h, "one", { n: 1 });
+  h = record(h, "two", { n: 2 });
+  expect(canRedo(h)).toBe(false);
+
+  h = undo(h);
+  expect(h.present.state).toEqual({ n: 1 });
+  h = undo(h);
+  expect(h.present.label).toBe("Start");
+  expect(canUndo(h)).toBe(false);
+  expect(undo(h)).toBe(h);
+
+  h = redo(redo(h));
+  expect(h.present.label).toBe("two");
+  expect(redo(h)).toBe(h);
+});
+
+test("a new record drops the redo branch; recording the same state is ignored", () => {
+  const state = { n: 1 };
+  let h = record(createHistory({ n: 0 }), "one", state);
+  expect(record(h, "again", state)).toBe(h);
+
+  h = record(undo(h), "other", { n: 5 });
+  expect(timeline(h).map((e) => e.label)).toEqual(["Start", "other"]);
+  expect(canRedo(h)).toBe(false);
+});
+
+test("merges consecutive records with the same key", () => {
+  let h = createHistory(1);
+  h = record(h, "Qubits: 1", 1.5, { mergeKey: "qubits" });
+  h = record(h, "Qubits: 12", 12, { mergeKey: "qubits" });
+  h = record(h, "Columns: 4", 4, { mergeKey: "columns" });
+  expect(timeline(h).map((e) => e.label)).toEqual(["Start", "Qubits: 12", "Columns: 4"]);
+
+  // Undoing in between starts a new step
+  h = record(undo(h), "Qubits: 3", 3, { mergeKey: "qubits" });
+  expect(timeline(h).map((e) => e.label)).toEqual(["Start", "Qubits: 12", "Qubits: 3"]);
+});
+
+test("keeps at most `limit` entries behind the present", () => {
+  let h = createHistory(0);
+  for (let i = 1; i <= 10; i++) h = record(h, `#${i}`, i, { limit: 3 });
+  expect(h.past.map((e) => e.state)).toEqual([7, 8, 9]);
+  expect(h.present.state).toBe(10);
+});
+
+test("jumps to any entry of the timeline", () => {
+  let h = createHistory("a");
+  h = record(h, "b", "b");
+  h = record(h, "c", "c");
+  h = jumpTo(h, 0);
+  expect(h.present.state).toBe("a");
+  expect(h.future.map((e) => e.state)).toEqual(["b", "c"]);
+  h = jumpTo(h, 2);
+  expect(h.present.state).toBe("c");
+  expect(jumpTo(h, 7)).toBe(h);
+});
@@ -0,0 +1,198 @@
+// ------------------------------ Jupyter Kernel ------------------------------
+// Runs generated code on a Jupyter server through @jupyterlab/services: lists the server's
+// kernelspecs, starts a notebook session on the chosen kernel and streams its outputs back
+// as plain objects the UI can render (text, errors, images and HTML).
+
+import {
+  KernelManager,
+  KernelSpecAPI,
+  ServerConnection,
+  SessionManager,
+} from "@jupyterlab/services";
+
+const SESSION_NAME = "quantum-react-session";
+const SESSION_PATH = "quantum-react.ipynb";
+
+/**
+ * What the connection is doing: "disconnected" without a session, "connecting" while the
+ * websocket (re)opens, otherwise the kernel's own status ("idle", "busy", "restarting",
+ * "dead", …).
+ * @typedef {string} KernelStatus
+ */
+
+/**
+ * @typedef {Object} KernelSpecInfo
+ * @property {string} name - e.g. "python3"
+ * @property {string} displayName - e.g. "Python 3 (ipykernel)"
+ * @property {string} language
+ */
+
+/**
+ * One renderable piece of kernel output.
+ * @typedef {Object} JupyterOutput
+ * @property {"stream" | "error" | "text" | "image" | "html"} kind
+ * @property {string} [name] - "stdout" or "stderr" for streams
+ * @property {string} [text] - streams, errors (with the traceback) and plain results
+ * @property {string} [src] - data URL of an image
+ * @property {string} [html]
+ */
+
+/**
+ * A running session on one kernel.
+ * @typedef {Object} JupyterKernel
+ * @property {string} kernelName
+ * @property {() => KernelStatus} status
+ * @property {(code: string, onOutput: (output: JupyterOutput) => void) =>
+ *   Promise<{ status: string, printed: string }>} execute - `status` is the execute_reply
+ *   status ("ok", "error" or "aborted"); `printed` gathers stdout and the results' plain text
+ * @property {() => Promise<void>} interrupt
+ * @property {() => Promise<void>} restart
+ * @property {() => Promise<void>} shutdown - ends the session and stops the kernel
+ */
+
+/**
+ * Server settings for a base URL and token. `overrides` replaces parts such as `fetch` and
+ * `WebSocket` (the tests talk to a mock server this way).
+ * @param {{ baseUrl: string, token?: string }} server
+ * @param {Partial<ServerConnection.ISettings>} [overrides]
+ * @returns {ServerConnection.ISettings}
+ */
+export function jupyterSettings({ baseUrl, token }, overrides = {}) {
+  return ServerConnection.makeSettings({
+    baseUrl,
+    token: token || undefined,
+    init: { credentials: "omit" },
+    // wsUrl is inferred from baseUrl by @jupyterlab/services
+    ...overrides,
+  });
+}
+
+/**
+ * The kernels the server can start, sorted by display name, and its default one.
+ * @param {ServerConnection.ISettings} settings
+ * @returns {Promise<{ defaultName: string, specs: KernelSpecInfo[] }>}
+ */
+export async function listKernelSpecs(settings) {
+  const models = await KernelSpecAPI.getSpecs(settings);
+  const specs = Object.values(models.kernelspecs)
+    .filter(Boolean)
+    .map((s) => ({ name: s.name, displayName: s.display_name, language: s.language }))
+    .sort((a, b) => a.displayName.localeCompare(b.displayName));
+  return { defaultName: models.default, specs };
+}
+
+/** @param {import("@jupyterlab/services").Kernel.IKernelConnection | null} kernel */
+function statusOf(kernel) {
+  if (!kernel || kernel.isDisposed) return "disconnected";
+  if (kernel.status === "dead") return "dead";
+  if (kernel.connectionStatus !== "connected") return kernel.connectionStatus;
+  return kernel.status;
+}
+
+/** Terminal colour codes IPython puts in tracebacks */
+const ANSI_ESCAPE = new RegExp(`${String.fromCharCode(27)}\\[[0-9;]*m`, "g");
+
+/**
+ * The renderable part of an IOPub message, or null for messages that show nothing (status,
+ * execute_input, …). Rich results prefer images, then HTML, then plain text.
+ * @param {import("@jupyterlab/services").KernelMessage.IIOPubMessage} msg
+ * @returns {JupyterOutput | null}
+ */
+export function outputOf(msg) {
+  const c = /** @type {any} */ (msg.content);
+  switch (msg.header.msg_type) {
+    case "stream":
+      return { kind: "stream", name: c.name, text: c.text };
+    case "error": {
+      const traceback = (c.traceback ?? []).map((line) => line.replace(ANSI_ESCAPE, ""));
+      return {
+        kind: "error",
+        text: traceback.length ? traceback.join("\n") : `${c.ename}: ${c.evalue}`,
+      };
+    }
+    case "execute_result":
+    case "display_data": {
+      const data = c.data ?? {};
+      for (const mime of ["image/png", "image/jpeg"]) {
+        if (typeof data[mime] === "string") {
+          return { kind: "image", src: `data:${mime};base64,${data[mime].replace(/\s/g, "")}` };
+        }
+      }
+      if (typeof data["image/svg+xml"] === "string") {
+        const svg = encodeURIComponent(data["image/svg+xml"]);
+        return { kind: "image", src: `data:image/svg+xml;charset=utf-8,${svg}` };
+      }
+      if (typeof data["text/html"] === "string") return { kind: "html", html: data["text/html"] };
+      if (typeof data["text/plain"] === "string") return { kind: "text", text: data["text/plain"] };
+      return null;
+    }
+    default:
+      return null;
+  }
+}
+
+/**
+ * Start a session on `kernelName`. `onStatus` hears every status change, including the
+ * final "disconnected" after shutdown().
+ * @param {ServerConnection.ISettings} settings
+ * @param {string} kernelName
+ * @param {(status: KernelStatus) => void} [onStatus]
+ * @returns {Promise<JupyterKernel>}
+ */
+export async function openKernel(settings, kernelName, onStatus = () => {}) {
+  const kernelManager = new KernelManager({ serverSettings: settings });
+  const sessionManager = new SessionManager({ serverSettings: settings, kernelManager });
+  const dispose = () => {
+    sessionManager.dispose();
+    kernelManager.dispose();
+  };
+  onStatus("connecting");
+  let session;
+  try {
+    session = await sessionManager.startNew({
+      name: SESSION_NAME,
+      type: "notebook",
+      path: SESSION_PATH,
+      kernel: { name: kernelName },
+    });
+  } catch (e) {
+    dispose();
+    onStatus("disconnected");
+    throw e;
+  }
+  const report = () => onStatus(statusOf(session.kernel));
+  session.statusChanged.connect(report);
+  session.connectionStatusChanged.connect(report);
+  report();
+
+  return {
+    kernelName,
+    status: () => statusOf(session.kernel),
+    async execute(code, onOutput) {
+      let printed = "";
+      const future = session.kernel.requestExecute({ code, stop_on_error: true });
+      future.onIOPub = (msg) => {
+        const c = /** @type {any} */ (msg.content);
+        const type = msg.header.msg_type;
+        if (type === "stream" && c.name === "stdout") printed += c.text;
+        // A result's plain-text form is kept even when a richer one is shown
+        if (type === "execute_result" && c.data["text/plain"])
+          printed += c.data["text/plain"] + "\n";
+        const output = outputOf(msg);
+        if (output) onOutput(output);
+      };
+      const reply = await future.done;
+      return { status: reply.content.status, printed };
+    },
+    interrupt: () => session.kernel.interrupt(),
+    restart: () => session.kernel.restart(),
+    async shutdown() {
+      try {
+        if (!session.isDisposed) await session.shutdown();
+      } finally {
+        dispose();
+        onStatus("disconnected");
+      }
+    },
+  };
+}
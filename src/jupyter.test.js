@@ -0,0 +1,240 @@
+import { jupyterSettings, listKernelSpecs, openKernel, outputOf } from "./jupyter";
+
+const BASE_URL = "http://jupyter.test/";
+const PNG = "iVBORw0KGgo=";
+
+/**
+ * A Jupyter server in memory: the REST endpoints @jupyterlab/services calls (kernelspecs,
+ * sessions, kernel interrupt/restart) and a kernel websocket speaking the default JSON wire
+ * protocol. Code containing "sleep" runs until it is interrupted.
+ */
+function mockJupyterServer() {
+  const requests = [];
+  const sessions = new Map();
+  const kernels = new Map();
+  const sockets = [];
+  let nextId = 0;
+  let running = null; // the sleeping execute_request and its socket
+
+  const json = (body, status = 200) =>
+    new Response(body === undefined ? null : JSON.stringify(body), {
+      status,
+      headers: { "Content-Type": "application/json" },
+    });
+
+  async function fetch(request) {
+    const { pathname } = new URL(request.url);
+    const route = `${request.method} ${pathname}`;
+    requests.push({ route, auth: request.headers.get("Authorization") });
+    let match;
+    if (route === "GET /api/kernelspecs") {
+      const spec = (name, display_name) => ({
+        name,
+        spec: { display_name, language: "python", argv: ["python"] },
+        resources: {},
+      });
+      return json({
+        default: "python3",
+        kernelspecs: { qiskit: spec("qiskit", "Qiskit 1.2"), python3: spec("python3", "Python 3") },
+      });
+    }
+    if (route === "POST /api/sessions") {
+      const body = JSON.parse(await request.text());
+      const kernel = { id: `k${++nextId}`, name: body.kernel.name };
+      kernels.set(kernel.id, kernel);
+      const session = {
+        id: `s${nextId}`,
+        name: body.name,
+        path: body.path,
+        type: body.type,
+        kernel,
+      };
+      sessions.set(session.id, session);
+      return json(session, 201);
+    }
+    if ((match = route.match(/^DELETE \/api\/sessions\/(\w+)$/))) {
+      kernels.delete(sessions.get(match[1]).kernel.id);
+      sessions.delete(match[1]);
+      return json(undefined, 204);
+    }
+    if ((match = route.match(/^POST \/api\/kernels\/(\w+)\/interrupt$/))) {
+      if (running) {
+        const { socket, msg } = running;
+        running = null;
+        socket.iopub(msg, "error", { ename: "KeyboardInterrupt", evalue: "", traceback: [] });
+        socket.finish(msg, "error");
+      }
+      return json(undefined, 204);
+    }
+    if ((match = route.match(/^POST \/api\/kernels\/(\w+)\/restart$/))) {
+      return json(kernels.get(match[1]));
+    }
+    if ((match = route.match(/^GET \/api\/(sessions|kernels)$/))) {
+      return json([...(match[1] === "sessions" ? sessions : kernels).values()]);
+    }
+    if ((match = route.match(/^GET \/api\/kernels\/(\w+)$/))) {
+      return kernels.has(match[1]) ? json(kernels.get(match[1])) : json({}, 404);
+    }
+    return json({ message: `No route for ${route}` }, 404);
+  }
+
+  class MockWebSocket {
+    constructor(url) {
+      this.url = url;
+      this.protocol = "";
+      sockets.push(this);
+      setTimeout(() => this.onopen?.({}));
+    }
+
+    reply(parent, channel, msgType, content) {
+      const msg = {
+        header: {
+          msg_id: `m${++nextId}`,
+          msg_type: msgType,
+          username: "mock",
+          session: "kernel",
+          date: new Date().toISOString(),
+          version: "5.3",
+        },
+        parent_header: parent.header,
+        metadata: {},
+        content,
+        channel,
+        buffers: [],
+      };
+      setTimeout(() => this.onmessage?.({ data: JSON.stringify(msg) }));
+    }
+
+    iopub(parent, msgType, content) {
+      this.reply(parent, "iopub", msgType, content);
+    }
+
+    finish(parent, status) {
+      const type = parent.header.msg_type.replace("_request", "_reply");
+      this.reply(parent, "shell", type, { status, execution_count: 1, protocol_version: "5.3" });
+      this.iopub(parent, "status", { execution_state: "idle" });
+    }
+
+    send(data) {
+      const msg = JSON.parse(data);
+      this.iopub(msg, "status", { execution_state: "busy" });
+      if (msg.header.msg_type !== "execute_request") {
+        this.finish(msg, "ok");
+        return;
+      }
+      const { code } = msg.content;
+      if (code.includes("sleep")) {
+        running = { socket: this, msg };
+        return;
+      }
+      this.iopub(msg, "stream", { name: "stdout", text: "{'00': 510, '11': 514}\n" });
+      this.iopub(msg, "display_data", {
+        data: { "image/png": PNG, "text/plain": "<Figure>" },
+        metadata: {},
+      });
+      this.iopub(msg, "execute_result", {
+        execution_count: 1,
+        data: { "text/html": "<b>done</b>", "text/plain": "done" },
+        metadata: {},
+      });
+      this.finish(msg, "ok");
+    }
+
+    close() {
+      setTimeout(() => this.onclose?.({ code: 1000 }));
+    }
+  }
+
+  const settings = jupyterSettings(
+    { baseUrl: BASE_URL, token: "secret" },
+    { fetch, WebSocket: MockWebSocket }
+  );
+  return { settings, requests, sessions, sockets };
+}
+
+// @jupyterlab/services logs every websocket it opens and every reconnection
+beforeEach(() => {
+  jest.spyOn(console, "debug").mockImplementation(() => {});
+  jest.spyOn(console, "warn").mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+test("lists the server's kernels", async () => {
+  const server = mockJupyterServer();
+  expect(await listKernelSpecs(server.settings)).toEqual({
+    defaultName: "python3",
+    specs: [
+      { name: "python3", displayName: "Python 3", language: "python" },
+      { name: "qiskit", displayName: "Qiskit 1.2", language: "python" },
+    ],
+  });
+  expect(server.requests[0].auth).toBe("token secret");
+});
+
+test("runs code and collects rich outputs", async () => {
+  const server = mockJupyterServer();
+  const statuses = [];
+  const kernel = await openKernel(server.settings, "qiskit", (s) => statuses.push(s));
+  expect([...server.sessions.values()][0].kernel.name).toBe("qiskit");
+
+  const outputs = [];
+  const { status, printed } = await kernel.execute("print(counts)", (o) => outputs.push(o));
+  expect(status).toBe("ok");
+  expect(printed).toBe("{'00': 510, '11': 514}\ndone\n");
+  expect(outputs).toEqual([
+    { kind: "stream", name: "stdout", text: "{'00': 510, '11': 514}\n" },
+    { kind: "image", src: `data:image/png;base64,${PNG}` },
+    { kind: "html", html: "<b>done</b>" },
+  ]);
+  expect(statuses[0]).toBe("connecting");
+  expect(statuses).toContain("busy");
+
+  await kernel.shutdown();
+  expect(server.sessions.size).toBe(0);
+  expect(statuses).toContain("idle");
+  expect(statuses[statuses.length - 1]).toBe("disconnected");
+  expect(kernel.status()).toBe("disconnected");
+});
+
+test("interrupts and restarts the kernel", async () => {
+  const server = mockJupyterServer();
+  const kernel = await openKernel(server.settings, "python3");
+  const outputs = [];
+  const done = kernel.execute("time.sleep(60)", (o) => outputs.push(o));
+  await new Promise((resolve) => setTimeout(resolve, 20));
+  await kernel.interrupt();
+  expect((await done).status).toBe("error");
+  expect(outputs).toEqual([{ kind: "error", text: "KeyboardInterrupt: " }]);
+
+  await kernel.restart();
+  const routes = server.requests.map((r) => r.route);
+  expect(routes).toContain("POST /api/kernels/k1/interrupt");
+  expect(routes).toContain("POST /api/kernels/k1/restart");
+  // A fresh websocket serves the restarted kernel
+  expect(server.sockets.length).toBe(2);
+  expect((await kernel.execute("1", () => {})).status).toBe("ok");
+  await kernel.shutdown();
+});
+
+test("turns IOPub messages into outputs", () => {
+  const msg = (msg_type, content) => ({ header: { msg_type }, content });
+  expect(outputOf(msg("status", { execution_state: "idle" }))).toBeNull();
+  expect(
+    outputOf(
+      msg("error", {
+        ename: "NameError",
+        evalue: "x",
+        traceback: ["\x1b[0;31mNameError\x1b[0m: x"],
+      })
+    )
+  ).toEqual({ kind: "error", text: "NameError: x" });
+  const svg = outputOf(msg("display_data", { data: { "image/svg+xml": "<svg/>" } }));
+  expect(svg.src).toBe("data:image/svg+xml;charset=utf-8,%3Csvg%2F%3E");
+  expect(outputOf(msg("execute_result", { data: { "text/plain": "42" } }))).toEqual({
+    kind: "text",
+    text: "42",
+  });
+});
@@ -0,0 +1,37 @@
+// ------------------------------ Circuit Library ------------------------------
+// The public, framework-free surface of the app for scripts, tests and the command-line
+// tool: the gate model and its placement rules, design files, parameters and custom gates,
+// the simulators, code generation and the other exports. Nothing here touches React, the
+// DOM or browser storage, so it runs as is under Node (see bin/qcircuit.mjs).
+
+export { GATE_SPECS, gateControls, gateParams, gateQubits, makeGate, uid } from "./quantum/gates";
+export { placementError, scheduleGates } from "./quantum/layout";
+export { conditionLabel, isDynamic, measuredBit, parseCondition } from "./quantum/classical";
+export { defineComposite, expandComposites, makeInstance } from "./quantum/composite";
+export { bindParameters, gateSymbols } from "./quantum/parameters";
+export {
+  DESIGN_FORMAT,
+  DESIGN_VERSION,
+  DesignError,
+  designProblems,
+  parseDesign,
+  readDesign,
+  serializeDesign,
+  toDesign,
+} from "./design";
+export { MAX_QUBITS, runBranches, runCircuit, simulate } from "./quantum/simulator";
+export { DENSITY_MAX_QUBITS, simulateDensity } from "./quantum/densityMatrix";
+export { checkEquivalence, circuitUnitary } from "./quantum/unitary";
+export { circuitStats, optimize, PASSES } from "./quantum/optimizer";
+export { BACKENDS, generateCode } from "./quantum/codegen";
+export { exportQasm, importQasm, QasmError } from "./quantum/qasm";
+export { buildTemplate, TEMPLATES } from "./quantum/templates";
+export { buildNotebook, serializeNotebook } from "./notebook";
+export { circuitQuantikz, circuitSvg } from "./diagram";
+export {
+  designStats,
+  executableGates,
+  EXPORT_FORMATS,
+  exportDesign,
+  simulateDesign,
+} from "./circuit";
@@ -0,0 +1,349 @@
+// ------------------------------ Project Library ------------------------------
+// Circuits kept in the browser: named projects with a thumbnail each, plus an autosave of
+// the working circuit so a refresh doesn't lose it. Records live in IndexedDB; where that
+// is unavailable (private windows, tests) an in-memory store with the same interface keeps
+// the library for the session. The whole library exports to one JSON archive.
+
+import { readDesign, toDesign } from "./design";
+import { gateQubits, gateSpan, uid } from "./quantum/gates";
+
+/** @typedef {import("./design").Design} Design */
+/** @typedef {import("./QuantumCircuitBuilder").CircuitLayout} CircuitLayout */
+
+/**
+ * @typedef {Object} Project
+ * @property {string} id
+ * @property {string} name
+ * @property {number} created - ms since the epoch
+ * @property {number} modified
+ * @property {string} thumbnail - SVG markup
+ * @property {Design} design
+ */
+
+/**
+ * Minimal key-value interface over the two object stores, "projects" (keyed by id) and
+ * "autosave" (one record under AUTOSAVE_KEY).
+ * @typedef {Object} LibraryStore
+ * @property {boolean} persistent - false for the in-memory fallback
+ * @property {(store: string, key: string) => Promise<any>} get
+ * @property {(store: string) => Promise<any[]>} getAll
+ * @property {(store: string, key: string, value: any) => Promise<void>} put
+ * @property {(store: string, key: string) => Promise<void>} remove
+ */
+
+const DB_NAME = "quantum-circuit-builder";
+const DB_VERSION = 1;
+const STORES = ["projects", "autosave"];
+const AUTOSAVE_KEY = "current";
+
+export const ARCHIVE_FORMAT = "quantum-circuit-library";
+export const ARCHIVE_VERSION = 1;
+
+/** Wrap an IDBRequest (or a transaction's completion) in a promise. */
+function settle(target, success = "success") {
+  return new Promise((resolve, reject) => {
+    target.addEventListener(success, () => resolve(target.result));
+    target.addEventListener("error", () => reject(target.error));
+    target.addEventListener("abort", () => reject(target.error));
+  });
+}
+
+/**
+ * Open the library database, falling back to memoryStore() when IndexedDB is missing or
+ * refuses to open.
+ * @param {IDBFactory} [factory]
+ * @returns {Promise<LibraryStore>}
+ */
+export async function openLibraryStore(
+  factory = typeof indexedDB === "undefined" ? undefined : indexedDB
+) {
+  if (!factory) return memoryStore();
+  let db;
+  try {
+    const request = factory.open(DB_NAME, DB_VERSION);
+    request.addEventListener("upgradeneeded", () => {
+      for (const name of STORES) {
+        if (!request.result.objectStoreNames.contains(name)) request.result.createObjectStore(name);
+      }
+    });
+    db = await settle(request);
+  } catch (e) {
+    return memoryStore();
+  }
+  // Resolves once the transaction has committed, with the request's result
+  const run = (store, mode, action) => {
+    const tx = db.transaction(store, mode);
+    const request = action(tx.objectStore(store));
+    return Promise.all([settle(request), settle(tx, "complete")]).then(([result]) => result);
+  };
+  return {
+    persistent: true,
+    get: (store, key) => run(store, "readonly", (s) => s.get(key)),
+    getAll: (store) => run(store, "readonly", (s) => s.getAll()),
+    put: (store, key, value) => run(store, "readwrite", (s) => s.put(value, key)),
+    remove: (store, key) => run(store, "readwrite", (s) => s.delete(key)),
+  };
+}
+
+/**
+ * A LibraryStore that lives as long as the page. Values are copied in and out, as
+ * IndexedDB would, so callers can't change stored records by accident.
+ * @returns {LibraryStore}
+ */
+export function memoryStore() {
+  const stores = Object.fromEntries(STORES.map((name) => [name, new Map()]));
+  const copy = (value) => (value === undefined ? undefined : JSON.parse(JSON.stringify(value)));
+  return {
+    persistent: false,
+    get: async (store, key) => copy(stores[store].get(key)),
+    getAll: async (store) => Array.from(stores[store].values(), copy),
+    put: async (store, key, value) => {
+      stores[store].set(key, copy(value));
+    },
+    remove: async (store, key) => {
+      stores[store].delete(key);
+    },
+  };
+}
+
+/**
+ * Small SVG of a circuit: a wire per qubit and a block per gate, with a line joining the
+ * qubits of multi-qubit gates.
+ * @param {CircuitLayout} circuit
+ * @returns {string}
+ */
+export function thumbnailSvg({ numQubits, numColumns, gates }) {
+  const cell = 8;
+  const width = numColumns * cell + cell;
+  const height = numQubits * cell + cell;
+  const x = (column) => cell + column * cell;
+  const y = (qubit) => cell + qubit * cell;
+  const parts = [];
+  for (let q = 0; q < numQubits; q++) {
+    parts.push(`<line x1="0" y1="${y(q)}" x2="${width}" y2="${y(q)}" stroke="#475569"/>`);
+  }
+  for (const g of gates) {
+    const qubits = gateQubits(g);
+    if (qubits.length > 1) {
+      const { top, bottom } = gateSpan(g);
+      parts.push(
+        `<line x1="${x(g.column)}" y1="${y(top)}" x2="${x(g.column)}" y2="${y(bottom)}" ` +
+          `stroke="#94a3b8"/>`
+      );
+    }
+    const fill = g.type === "MEASURE" ? "#f59e0b" : g.type === "CUSTOM" ? "#6366f1" : "#38bdf8";
+    for (const q of qubits) {
+      parts.push(
+        `<rect x="${x(g.column) - 3}" y="${y(q) - 3}" width="6" height="6" fill="${fill}"/>`
+      );
+    }
+  }
+  return (
+    `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${width} ${height}" ` +
+    `width="${width}" height="${height}">${parts.join("")}</svg>`
+  );
+}
+
+/**
+ * Projects, most recently modified first, whose name, title, author or description
+ * contains `query` (case-insensitive).
+ * @param {LibraryStore} store
+ * @param {string} [query]
+ * @returns {Promise<Project[]>}
+ */
+export async function listProjects(store, query = "") {
+  const needle = query.trim().toLowerCase();
+  const all = await store.getAll("projects");
+  return all
+    .filter((p) => {
+      if (!needle) return true;
+      const { title, author, description } = p.design.metadata;
+      return [p.name, title, author, description].some((t) => t.toLowerCase().includes(needle));
+    })
+    .sort((a, b) => b.modified - a.modified);
+}
+
+/** `name`, or `name (2)`, `name (3)`, … whichever no project has yet. */
+function uniqueName(name, projects) {
+  const taken = new Set(projects.map((p) => p.name));
+  if (!taken.has(name)) return name;
+  let n = 2;
+  while (taken.has(`${name} (${n})`)) n++;
+  return `${name} (${n})`;
+}
+
+/**
+ * Save the editor state as a project: a new one, or over `id` when given.
+ * @param {LibraryStore} store
+ * @param {{ name: string, design: Omit<Design, "format" | "version">, id?: string }} project
+ * @param {number} [now]
+ * @returns {Promise<Project>}
+ */
+export async function saveProject(store, { name, design, id }, now = Date.now()) {
+  const existing = id ? await store.get("projects", id) : undefined;
+  const doc = toDesign(design);
+  /** @type {Project} */
+  const project = {
+    id: existing?.id ?? uid("project"),
+    name: existing ? name : uniqueName(name, await store.getAll("projects")),
+    created: existing?.created ?? now,
+    modified: now,
+    thumbnail: thumbnailSvg(doc),
+    design: doc,
+  };
+  await store.put("projects", project.id, project);
+  return project;
+}
+
+/**
+ * A project's design, migrated and validated like a loaded file.
+ * @param {LibraryStore} store
+ * @param {string} id
+ * @returns {Promise<Design>}
+ * @throws {Error} when the project is gone, or a DesignError when it can't be read
+ */
+export async function openProject(store, id) {
+  const project = await store.get("projects", id);
+  if (!project) throw new Error("The project no longer exists.");
+  return readDesign(project.design);
+}
+
+/**
+ * @param {LibraryStore} store
+ * @param {string} id
+ * @param {string} name
+ * @param {number} [now]
+ * @returns {Promise<Project>}
+ */
+export async function renameProject(store, id, name, now = Date.now()) {
+  const trimmed = name.trim();
+  if (!trimmed) throw new Error("A project needs a name.");
+  const project = await store.get("projects", id);
+  if (!project) throw new Error("The project no longer exists.");
+  const others = (await store.getAll("projects")).filter((p) => p.id !== id);
+  const renamed = { ...project, name: uniqueName(trimmed, others), modified: now };
+  await store.put("projects", id, renamed);
+  return renamed;
+}
+
+/**
+ * Copy a project under a new id, named "<name> copy".
+ * @param {LibraryStore} store
+ * @param {string} id
+ * @param {number} [now]
+ * @returns {Promise<Project>}
+ */
+export async function duplicateProject(store, id, now = Date.now()) {
+  const project = await store.get("projects", id);
+  if (!project) throw new Error("The project no longer exists.");
+  const copy = {
+    ...project,
+    id: uid("project"),
+    name: uniqueName(`${project.name} copy`, await store.getAll("projects")),
+    created: now,
+    modified: now,
+  };
+  await store.put("projects", copy.id, copy);
+  return copy;
+}
+
+/**
+ * @param {LibraryStore} store
+ * @param {string} id
+ */
+export async function deleteProject(store, id) {
+  await store.remove("projects", id);
+}
+
+/**
+ * Keep the working circuit for the next visit.
+ * @param {LibraryStore} store
+ * @param {Omit<Design, "format" | "version">} design
+ */
+export async function writeAutosave(store, design) {
+  await store.put("autosave", AUTOSAVE_KEY, toDesign(design));
+}
+
+/**
+ * The autosaved circuit, or null when there is none or it can no longer be read.
+ * @param {LibraryStore} store
+ * @returns {Promise<Design | null>}
+ */
+export async function readAutosave(store) {
+  const saved = await store.get("autosave", AUTOSAVE_KEY);
+  if (!saved) return null;
+  try {
+    return readDesign(saved);
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * The whole library as one JSON file.
+ * @param {LibraryStore} store
+ * @returns {Promise<string>}
+ */
+export async function exportLibrary(store) {
+  const projects = await listProjects(store);
+  const archive = {
+    format: ARCHIVE_FORMAT,
+    version: ARCHIVE_VERSION,
+    projects: projects.map(({ name, created, modified, design }) => ({
+      name,
+      created,
+      modified,
+      design,
+    })),
+  };
+  return JSON.stringify(archive, null, 2);
+}
+
+/**
+ * Add the projects of an archive to the library under new ids. Names that are taken get a
+ * number; projects that fail validation are skipped and reported.
+ * @param {LibraryStore} store
+ * @param {string} text
+ * @param {number} [now]
+ * @returns {Promise<{ imported: Project[], errors: string[] }>}
+ */
+export async function importLibrary(store, text, now = Date.now()) {
+  let archive;
+  try {
+    archive = JSON.parse(text);
+  } catch (e) {
+    throw new Error(`Not valid JSON: ${e.message}`);
+  }
+  if (archive?.format !== ARCHIVE_FORMAT || !Array.isArray(archive.projects)) {
+    throw new Error("This file is not a circuit library archive.");
+  }
+  if (archive.version > ARCHIVE_VERSION) {
+    throw new Error(`Saved by a newer version of the app (library version ${archive.version}).`);
+  }
+
+  const imported = [];
+  const errors = [];
+  const existing = await store.getAll("projects");
+  for (const [i, entry] of archive.projects.entries()) {
+    const label = typeof entry?.name === "string" && entry.name ? entry.name : `Project ${i + 1}`;
+    let design;
+    try {
+      design = readDesign(entry?.design);
+    } catch (e) {
+      errors.push(`${label}: ${e.errors?.[0] ?? e.message}`);
+      continue;
+    }
+    /** @type {Project} */
+    const project = {
+      id: uid("project"),
+      name: uniqueName(label, [...existing, ...imported]),
+      created: Number.isFinite(entry.created) ? entry.created : now,
+      modified: Number.isFinite(entry.modified) ? entry.modified : now,
+      thumbnail: thumbnailSvg(design),
+      design,
+    };
+    await store.put("projects", project.id, project);
+    imported.push(project);
+  }
+  return { imported, errors };
+}
@@ -0,0 +1,107 @@
+import {
+  deleteProject,
+  duplicateProject,
+  exportLibrary,
+  importLibrary,
+  listProjects,
+  memoryStore,
+  openLibraryStore,
+  openProject,
+  readAutosave,
+  renameProject,
+  saveProject,
+  thumbnailSvg,
+  writeAutosave,
+} from "./library";
+
+const state = (title, gates = [{ id: "h", type: "H", column: 0, target: 0 }]) => ({
+  metadata: { title, author: "Ada", description: "" },
+  numQubits: 2,
+  numColumns: 3,
+  gates,
+  params: {},
+  customGates: {},
+  noise: { enabled: false, rules: [] },
+});
+
+test("falls back to memory without IndexedDB", async () => {
+  expect((await openLibraryStore(undefined)).persistent).toBe(false);
+});
+
+test("saves, lists, searches and opens projects", async () => {
+  const store = memoryStore();
+  const bell = await saveProject(store, { name: "Bell", design: state("Bell pair") }, 1);
+  await saveProject(store, { name: "GHZ", design: state("GHZ state") }, 2);
+  expect((await listProjects(store)).map((p) => p.name)).toEqual(["GHZ", "Bell"]);
+  expect((await listProjects(store, "pair")).map((p) => p.name)).toEqual(["Bell"]);
+  expect((await listProjects(store, "ada")).length).toBe(2);
+  expect(bell.thumbnail).toMatch(/^<svg /);
+
+  const opened = await openProject(store, bell.id);
+  expect(opened.metadata.title).toBe("Bell pair");
+  expect(opened.gates).toEqual(state("").gates);
+
+  // Saving over a project keeps its id, name and creation time
+  const updated = await saveProject(store, { ...bell, design: state("Bell 2", []) }, 5);
+  expect(updated).toMatchObject({ id: bell.id, name: "Bell", created: 1, modified: 5 });
+  expect((await openProject(store, bell.id)).gates).toEqual([]);
+});
+
+test("renames, duplicates and deletes", async () => {
+  const store = memoryStore();
+  const a = await saveProject(store, { name: "A", design: state("") }, 1);
+  const b = await saveProject(store, { name: "A", design: state("") }, 2);
+  expect(b.name).toBe("A (2)");
+
+  expect((await renameProject(store, b.id, "  B ", 3)).name).toBe("B");
+  expect((await renameProject(store, b.id, "A", 4)).name).toBe("A (2)");
+  await expect(renameProject(store, b.id, " ")).rejects.toThrow("A project needs a name.");
+
+  const copy = await duplicateProject(store, a.id, 6);
+  expect(copy).toMatchObject({ name: "A copy", created: 6 });
+  expect(copy.id).not.toBe(a.id);
+
+  await deleteProject(store, a.id);
+  expect((await listProjects(store)).map((p) => p.name)).toEqual(["A copy", "A (2)"]);
+  await expect(openProject(store, a.id)).rejects.toThrow("The project no longer exists.");
+});
+
+test("autosaves the working circuit", async () => {
+  const store = memoryStore();
+  expect(await readAutosave(store)).toBeNull();
+  await writeAutosave(store, state("Draft"));
+  expect((await readAutosave(store)).metadata.title).toBe("Draft");
+  // A corrupted autosave is ignored rather than breaking start-up
+  await writeAutosave(store, { ...state(""), numQubits: 0 });
+  expect(await readAutosave(store)).toBeNull();
+});
+
+test("exports and imports the whole library", async () => {
+  const store = memoryStore();
+  await saveProject(store, { name: "Bell", design: state("Bell pair") }, 1);
+  const archive = await exportLibrary(store);
+
+  const other = memoryStore();
+  await saveProject(other, { name: "Bell", design: state("Mine") }, 1);
+  const parsed = JSON.parse(archive);
+  parsed.projects.push({ name: "Broken", design: { ...parsed.projects[0].design, numQubits: 0 } });
+  const { imported, errors } = await importLibrary(other, JSON.stringify(parsed), 9);
+  expect(imported.map((p) => p.name)).toEqual(["Bell (2)"]);
+  expect(errors).toEqual(["Broken: numQubits must be a whole number from 1 to 16."]);
+  expect((await openProject(other, imported[0].id)).metadata.title).toBe("Bell pair");
+
+  await expect(importLibrary(other, "{}")).rejects.toThrow("not a circuit library archive");
+});
+
+test("draws a thumbnail with a block per gate qubit", () => {
+  const svg = thumbnailSvg({
+    numQubits: 2,
+    numColumns: 2,
+    gates: [
+      { id: "h", type: "H", column: 0, target: 0 },
+      { id: "cx", type: "CNOT", column: 1, target: 1, control: 0 },
+    ],
+  });
+  expect(svg.match(/<rect /g).length).toBe(3);
+  expect(svg.match(/<line /g).length).toBe(3);
+});
@@ -0,0 +1,308 @@
+// ------------------------------ Notebook Export ------------------------------
+// Builds a Jupyter notebook (nbformat 4) from the circuit: markdown describing it, the
+// generated program split into one code cell per section (the backends mark sections with
+// top-level comments), a histogram cell, and optionally the outputs of the last run so the
+// notebook reads as already executed.
+
+import { generateCode, getBackend } from "./quantum/codegen";
+import { circuitStats } from "./quantum/optimizer";
+import { GATE_SPECS, gateControls, gateParams } from "./quantum/gates";
+import { conditionLabel, measuredBit } from "./quantum/classical";
+import { histogramRows } from "./quantum/counts";
+import { sortGates } from "./quantum/simulator";
+import { titleSlug } from "./design";
+
+/** @typedef {import("./quantum/codegen/common").Circuit} Circuit */
+/** @typedef {import("./components/ResultsPanel").RunResult} RunResult */
+
+/**
+ * @typedef {Object} NotebookCell
+ * @property {"markdown" | "code"} cell_type
+ * @property {Object} metadata
+ * @property {string[]} source - lines, each but the last ending in "\n"
+ * @property {Object[]} [outputs] - code cells only
+ * @property {number | null} [execution_count] - code cells only
+ */
+
+export const NBFORMAT = 4;
+export const NBFORMAT_MINOR = 4;
+
+// Markdown heading shown before the first code cell of each kind of section
+const SECTION_HEADINGS = {
+  imports: "Imports",
+  setup: "Setup",
+  parameters: "Parameters",
+  custom: "Custom gates",
+  circuit: "Circuit",
+  column: "Circuit, column by column",
+  measurement: "Measurement",
+  noise: "Noise model",
+  simulation: "Simulation",
+};
+
+const PLOT_SOURCE =
+  "import matplotlib.pyplot as plt\n\n" +
+  "outcomes = sorted(counts)\n" +
+  "plt.figure(figsize=(max(4, 0.6 * len(outcomes)), 3))\n" +
+  "plt.bar(outcomes, [counts[k] for k in outcomes])\n" +
+  'plt.xlabel("Outcome (q[n-1] … q[0])")\n' +
+  'plt.ylabel("Counts")\n' +
+  "plt.xticks(rotation=90 if len(outcomes) > 8 else 0)\n" +
+  "plt.tight_layout()\n" +
+  "plt.show()";
+
+/** Notebook source lines for `text`. */
+function sourceLines(text) {
+  return text.split(/(?<=\n)/);
+}
+
+/** @returns {NotebookCell} */
+function markdownCell(text) {
+  return { cell_type: "markdown", metadata: {}, source: sourceLines(text) };
+}
+
+/** @returns {NotebookCell} */
+function codeCell(text, outputs = []) {
+  return {
+    cell_type: "code",
+    execution_count: null,
+    metadata: {},
+    outputs,
+    source: sourceLines(text),
+  };
+}
+
+/** What a section of generated Python holds, from its leading comment (null if unknown). */
+function commentKind(text) {
+  if (text.startsWith("# Auto-generated")) return "imports";
+  if (text.startsWith("# Parameters")) return "parameters";
+  if (text.startsWith("# --- Custom gates")) return "custom";
+  if (text.startsWith("# --- Column")) return "column";
+  if (text.startsWith("# --- Noise model")) return "noise";
+  if (text.startsWith("# Measurement")) return "measurement";
+  if (/^# (Simulate|Run)\b/.test(text)) return "simulation";
+  return null;
+}
+
+/**
+ * Split generated Python into sections. Each top-level comment after a blank line starts
+ * one. Uncommented code starts a "setup" section after the imports, parameters or custom
+ * gates (unless it is more imports), and a "circuit" section at a decorated function
+ * (PennyLane's QNode); elsewhere it belongs to the section before it.
+ * @param {string} code
+ * @returns {{ kind: string | null, text: string }[]}
+ */
+export function codeSections(code) {
+  const sections = [];
+  for (const chunk of code.trim().split(/\n(?:[ \t]*\n)+(?=\S)/)) {
+    const last = sections[sections.length - 1];
+    let kind = commentKind(chunk);
+    if (!chunk.startsWith("#")) {
+      const opensSetup =
+        ["imports", "parameters", "custom"].includes(last?.kind) && !/^(from|import) /.test(chunk);
+      if (chunk.startsWith("@")) kind = "circuit";
+      else if (!last || opensSetup) kind = "setup";
+      else {
+        last.text += `\n\n${chunk}`;
+        continue;
+      }
+    }
+    sections.push({ kind, text: chunk });
+  }
+  return sections;
+}
+
+/** Short, exact-enough decimal for the gate table. */
+const num = (x) => String(Number(x.toFixed(4)));
+
+/** "q0 → q1", "q0, q2" or "q3" for the gate table. */
+function qubitsText(g) {
+  const names = (qubits) => qubits.map((q) => `q${q}`).join(", ");
+  if (g.type === "CUSTOM") return names(g.qubits);
+  const targets = names(typeof g.pair === "number" ? [g.target, g.pair] : [g.target]);
+  const controls = gateControls(g);
+  return controls.length ? `${names(controls)} → ${targets}` : targets;
+}
+
+/** Angles, classical bit and condition of a gate for the gate table. */
+function detailsText(g) {
+  const names = GATE_SPECS[g.type]?.params ?? [];
+  const parts = gateParams(g).map(
+    ({ angle, expr }, i) => `${names[i]} = ${expr ?? num(angle ?? 0)}`
+  );
+  if (g.type === "MEASURE") parts.push(`→ c[${measuredBit(g)}]`);
+  if (g.condition) parts.push(`if ${conditionLabel(g.condition)}`);
+  return parts.join(", ");
+}
+
+/** Markdown introducing the circuit: title, description, summary and gate table. */
+function describe(circuit, backend, metadata, result) {
+  const { gates, numQubits, params = {}, noise } = circuit;
+  const stats = circuitStats(gates);
+  const out = [`# ${metadata.title || "Quantum circuit"}\n`];
+  if (metadata.author) out.push(`\n*${metadata.author}*\n`);
+  if (metadata.description) out.push(`\n${metadata.description}\n`);
+  out.push(
+    `\nGenerated by Quantum Circuit Builder for ${backend.label}. ` +
+      `Install the requirements with \`${backend.install} matplotlib\`.\n`
+  );
+  out.push("\n| | |\n|---|---|\n");
+  out.push(`| Qubits | ${numQubits} |\n| Gates | ${stats.count} |\n| Depth | ${stats.depth} |\n`);
+  const values = Object.entries(params).map(([name, value]) => `${name} = ${num(value)}`);
+  if (values.length) out.push(`| Parameters | ${values.join(", ")} |\n`);
+  if (noise?.enabled && noise.rules.length) out.push(`| Noise | ${noise.rules.length} rules |\n`);
+  if (result) {
+    const source = result.source === "jupyter" ? "a Jupyter kernel" : "the in-app simulator";
+    out.push(
+      `\nThe outputs shown are from the last run in the app (${source}, ${result.shots} ` +
+        "shots); run the notebook to reproduce them.\n"
+    );
+  }
+  if (gates.length) {
+    out.push("\n## Gates\n\n| Step | Gate | Qubits | Details |\n|---|---|---|---|\n");
+    for (const g of sortGates(gates)) {
+      const label = g.type === "CUSTOM" ? g.name : (GATE_SPECS[g.type]?.label ?? g.type);
+      out.push(`| t${g.column} | ${label} | ${qubitsText(g)} | ${detailsText(g)} |\n`);
+    }
+  }
+  return out.join("").trimEnd();
+}
+
+/** `{'00': 510, '11': 514}`, as Python prints a counts dict. */
+function pythonDict(counts) {
+  const entries = Object.keys(counts)
+    .sort()
+    .map((k) => `'${k}': ${counts[k]}`);
+  return `{${entries.join(", ")}}`;
+}
+
+/**
+ * Bar chart of a run's counts, standing in for the matplotlib figure.
+ * @param {RunResult} result
+ * @returns {string}
+ */
+export function histogramSvg(result) {
+  const rows = histogramRows(result, { hideZero: true });
+  const bar = 28;
+  const height = 160;
+  const width = Math.max(1, rows.length) * bar + 20;
+  const max = Math.max(1, ...rows.map((r) => r.count));
+  const parts = rows.map((r, i) => {
+    const h = Math.round((r.count / max) * (height - 40));
+    const x = 10 + i * bar;
+    return (
+      `<rect x="${x + 4}" y="${height - 20 - h}" width="${bar - 8}" height="${h}" ` +
+      `fill="#4f46e5"><title>${r.bitstring}: ${r.count}</title></rect>` +
+      `<text x="${x + bar / 2}" y="${height - 6}" font-size="9" text-anchor="middle">` +
+      `${r.bitstring}</text>`
+    );
+  });
+  return (
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" ` +
+    `viewBox="0 0 ${width} ${height}" font-family="sans-serif">${parts.join("")}</svg>`
+  );
+}
+
+/** Code cells running a Q# program from Python through the qsharp package. */
+function qsharpCells(code, shots) {
+  return [
+    codeCell("import qsharp"),
+    codeCell(`%%qsharp\n${code.trim()}`),
+    codeCell(
+      `results = qsharp.run("QuantumCircuitBuilder.Main()", shots=${shots})\n\n` +
+        "# Each shot lists q[n-1] first, like Qiskit bitstrings\n" +
+        "counts = {}\n" +
+        "for shot in results:\n" +
+        '    key = "".join("1" if r == qsharp.Result.One else "0" for r in shot)\n' +
+        "    counts[key] = counts.get(key, 0) + 1\n" +
+        "print(counts)"
+    ),
+  ];
+}
+
+/**
+ * Build the notebook for a circuit on a code generation backend.
+ * @param {Object} input
+ * @param {Circuit} input.circuit
+ * @param {string} input.backend - code generation backend id
+ * @param {number} [input.shots]
+ * @param {import("./design").DesignMetadata} [input.metadata]
+ * @param {RunResult | null} [input.result] - embedded as the outputs of the run and plot
+ * @returns {Object} nbformat 4 notebook
+ * @throws {Error} when the backend can't export the circuit
+ */
+export function buildNotebook({
+  circuit,
+  backend: backendId,
+  shots = 1024,
+  metadata = { title: "", author: "", description: "" },
+  result = null,
+}) {
+  const backend = getBackend(backendId);
+  const code = generateCode(backendId, circuit, { shots });
+  const cells = [markdownCell(describe(circuit, backend, metadata, result))];
+
+  /** @type {NotebookCell[]} */
+  let program = [];
+  if (backend.language === "qsharp") {
+    program = qsharpCells(code, shots);
+    cells.push(markdownCell("## Program"), ...program);
+  } else {
+    let group = null;
+    for (const { kind, text } of codeSections(code)) {
+      if (kind && kind !== group) {
+        group = kind;
+        cells.push(markdownCell(`## ${SECTION_HEADINGS[kind]}`));
+      }
+      const cell = codeCell(text);
+      program.push(cell);
+      cells.push(cell);
+    }
+  }
+
+  const plot = codeCell(PLOT_SOURCE);
+  if (result) {
+    // The counts are printed by the last cell that prints them
+    const run = [...program]
+      .reverse()
+      .find((c) => /print\((dict\()?counts/.test(c.source.join("")));
+    if (run) {
+      run.outputs = [
+        { output_type: "stream", name: "stdout", text: [`${pythonDict(result.counts)}\n`] },
+      ];
+    }
+    plot.outputs = [
+      {
+        output_type: "display_data",
+        data: {
+          "image/svg+xml": sourceLines(histogramSvg(result)),
+          "text/plain": ["<Figure>"],
+        },
+        metadata: {},
+      },
+    ];
+  }
+  cells.push(markdownCell("## Results"), plot);
+
+  return {
+    cells,
+    metadata: {
+      kernelspec: { name: "python3", display_name: "Python 3", language: "python" },
+      language_info: { name: "python" },
+      ...(metadata.title && { title: metadata.title }),
+      ...(metadata.author && { authors: [{ name: metadata.author }] }),
+    },
+    nbformat: NBFORMAT,
+    nbformat_minor: NBFORMAT_MINOR,
+  };
+}
+
+/** The notebook as Jupyter writes it to disk. */
+export function serializeNotebook(notebook) {
+  return `${JSON.stringify(notebook, null, 1)}\n`;
+}
+
+/** File name for the notebook: the design's title in kebab case, or circuit.ipynb. */
+export function notebookFileName(metadata) {
+  return `${titleSlug(metadata.title) || "circuit"}.ipynb`;
+}
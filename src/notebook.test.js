@@ -0,0 +1,102 @@
+import { generateCode } from "./quantum/codegen";
+import { buildNotebook, codeSections, notebookFileName, serializeNotebook } from "./notebook";
+
+const circuit = {
+  numQubits: 2,
+  gates: [
+    { id: "h", type: "H", column: 0, target: 0 },
+    { id: "cx", type: "CNOT", column: 1, target: 1, control: 0 },
+    { id: "rz", type: "RZ", column: 2, target: 0, expr: "phi" },
+  ],
+  params: { phi: 0.5 },
+  customGates: {},
+};
+const metadata = { title: "Bell pair", author: "Ada", description: "Entangles q0 and q1." };
+const result = { source: "simulator", counts: { 11: 5, "00": 3 }, shots: 8, numBits: 2 };
+
+const text = (cell) => cell.source.join("");
+const codeCells = (nb) => nb.cells.filter((c) => c.cell_type === "code");
+const nonBlank = (code) => code.split("\n").filter((line) => line.trim());
+
+test("describes the circuit and splits the program into sections", () => {
+  const nb = buildNotebook({ circuit, backend: "qiskit", metadata });
+  expect(nb).toMatchObject({
+    nbformat: 4,
+    metadata: { kernelspec: { name: "python3" }, title: "Bell pair" },
+  });
+  // Round-trips through JSON as Jupyter writes it
+  expect(JSON.parse(serializeNotebook(nb))).toEqual(nb);
+
+  const intro = text(nb.cells[0]);
+  expect(intro).toMatch(/^# Bell pair\n\n\*Ada\*\n\nEntangles q0 and q1\./);
+  expect(intro).toContain(
+    "| Qubits | 2 |\n| Gates | 3 |\n| Depth | 3 |\n| Parameters | phi = 0.5 |"
+  );
+  expect(intro).toContain("| t1 | CNOT | q0 → q1 |  |\n| t2 | RZ | q0 | θ = phi |");
+  expect(intro).not.toContain("last run");
+
+  const headings = nb.cells
+    .filter((c) => c.cell_type === "markdown")
+    .slice(1)
+    .map(text);
+  expect(headings).toEqual([
+    "## Imports",
+    "## Setup",
+    "## Parameters",
+    "## Setup",
+    "## Circuit, column by column",
+    "## Measurement",
+    "## Simulation",
+    "## Results",
+  ]);
+
+  // Every line of the program lands in a cell, in order, followed by the plot
+  const cells = codeCells(nb).map(text);
+  const program = generateCode("qiskit", circuit, { shots: 1024 });
+  expect(nonBlank(cells.slice(0, -1).join("\n"))).toEqual(nonBlank(program));
+  expect(cells.filter((c) => c.startsWith("# --- Column")).length).toBe(3);
+  expect(cells[cells.length - 1]).toContain("plt.bar(outcomes");
+  expect(codeCells(nb).every((c) => c.outputs.length === 0)).toBe(true);
+});
+
+test("embeds the last run as outputs", () => {
+  const nb = buildNotebook({ circuit, backend: "cirq", shots: 8, metadata, result });
+  expect(text(nb.cells[0])).toContain("last run in the app (the in-app simulator, 8 shots)");
+  const withOutputs = codeCells(nb).filter((c) => c.outputs.length);
+  expect(withOutputs.length).toBe(2);
+  expect(text(withOutputs[0])).toContain("print(dict(counts))");
+  expect(withOutputs[0].outputs).toEqual([
+    { output_type: "stream", name: "stdout", text: ["{'00': 3, '11': 5}\n"] },
+  ]);
+  const figure = withOutputs[1].outputs[0];
+  expect(figure.output_type).toBe("display_data");
+  expect(figure.data["image/svg+xml"].join("").match(/<rect /g).length).toBe(2);
+});
+
+test("runs Q# through the qsharp package", () => {
+  const cells = codeCells(buildNotebook({ circuit, backend: "qsharp" })).map(text);
+  expect(cells[0]).toBe("import qsharp");
+  expect(cells[1]).toMatch(/^%%qsharp\n\/\/ Auto-generated/);
+  expect(cells[2]).toContain('qsharp.run("QuantumCircuitBuilder.Main()", shots=1024)');
+});
+
+test("keeps PennyLane's QNode in one cell", () => {
+  const sections = codeSections(generateCode("pennylane", circuit));
+  expect(sections.map((s) => s.kind)).toEqual(["imports", "setup", "circuit", "simulation"]);
+  expect(sections[2].text).toMatch(/^@qml\.qnode\(dev\)\ndef circuit/);
+});
+
+test("reports circuits the backend can't export", () => {
+  const dynamic = {
+    ...circuit,
+    gates: [...circuit.gates, { id: "r", type: "RESET", column: 3, target: 0 }],
+  };
+  expect(() => buildNotebook({ circuit: dynamic, backend: "pennylane" })).toThrow(
+    "PennyLane export doesn't support mid-circuit measurement"
+  );
+});
+
+test("names the file after the title", () => {
+  expect(notebookFileName(metadata)).toBe("bell-pair.ipynb");
+  expect(notebookFileName({ title: "" })).toBe("circuit.ipynb");
+});
@@ -0,0 +1,146 @@
+/* global SharedArrayBuffer, Atomics */
+// ------------------------------ Pyodide Runtime ------------------------------
+// Talks to the Python worker in public/pyodide-worker.js. Pyodide loads from jsDelivr unless
+// another copy is configured: REACT_APP_PYODIDE_URL at build time or the notebook's runtime
+// setting, e.g. "/pyodide/" after unpacking a Pyodide release into public/pyodide.
+//
+// Interrupting a running cell needs a SharedArrayBuffer, which browsers only provide on
+// cross-origin isolated pages (src/setupProxy.js sends the headers in development). Without
+// one, interrupt() restarts the worker instead and the namespace is lost.
+
+export const PYODIDE_CDN_URL = "https://cdn.jsdelivr.net/pyodide/v0.25.1/full/";
+const WORKER_URL = `${process.env.PUBLIC_URL}/pyodide-worker.js`;
+const SIGINT = 2;
+
+/**
+ * Where Pyodide is loaded from unless the user picked another copy.
+ * @returns {string}
+ */
+export function defaultPyodideUrl() {
+  return process.env.REACT_APP_PYODIDE_URL || PYODIDE_CDN_URL;
+}
+
+/**
+ * The URL as given, with the trailing slash Pyodide expects and relative paths resolved
+ * against the page (the worker can't resolve them itself).
+ * @param {string} url
+ * @returns {string}
+ */
+export function pyodideIndexUrl(url) {
+  const resolved = new URL(url.trim() || defaultPyodideUrl(), window.location.href).href;
+  return resolved.endsWith("/") ? resolved : `${resolved}/`;
+}
+
+/**
+ * How a request ended: "ok", "error", "interrupted", or "restarted" when the worker was
+ * stopped under it (interrupt() without isolation, or terminate()).
+ * @typedef {"ok" | "error" | "interrupted" | "restarted"} RunStatus
+ */
+
+/** @typedef {(output: import("./jupyter").JupyterOutput) => void} OnOutput */
+
+/**
+ * A Python runtime in a worker. Cells run one at a time, in the order they were sent.
+ * @typedef {Object} PyodideSession
+ * @property {string} version - Pyodide's version
+ * @property {boolean} interruptible - interrupt() keeps the namespace
+ * @property {(code: string, onOutput: OnOutput) => Promise<RunStatus>} run - loads the
+ *   packages the code imports, shows its last expression, stdout, stderr and matplotlib figures
+ * @property {(packages: string[], onOutput: OnOutput) => Promise<RunStatus>} install -
+ *   pure-Python packages through micropip
+ * @property {() => Promise<RunStatus>} reset - forget every variable
+ * @property {() => Promise<void>} interrupt - stop the running cell
+ * @property {() => void} terminate
+ */
+
+/**
+ * Start a worker and load Pyodide in it.
+ * @param {string} indexURL - directory holding pyodide.js (see pyodideIndexUrl)
+ * @param {Object} [options]
+ * @param {() => Worker} [options.createWorker] - the tests pass a fake worker
+ * @param {boolean} [options.isolated] - whether SharedArrayBuffer is available
+ * @returns {Promise<PyodideSession>}
+ * @throws {Error} when Pyodide can't be loaded from `indexURL`
+ */
+export async function openPyodide(
+  indexURL,
+  {
+    createWorker = () => new Worker(WORKER_URL),
+    isolated = typeof SharedArrayBuffer !== "undefined" && window.crossOriginIsolated === true,
+  } = {}
+) {
+  const interrupt = isolated ? new Int32Array(new SharedArrayBuffer(4)) : null;
+  const pending = new Map(); // request id → { resolve, onOutput }
+  let nextId = 0;
+  let worker;
+
+  function start() {
+    worker = createWorker();
+    worker.onmessage = ({ data }) => {
+      const request = pending.get(data.id);
+      if (!request) return;
+      if (data.type === "output") {
+        request.onOutput(data.output);
+      } else if (data.type === "done") {
+        pending.delete(data.id);
+        request.resolve(data);
+      }
+    };
+    worker.onerror = (e) => {
+      e.preventDefault?.();
+      finishAll({ status: "error", message: e.message || "The Python worker crashed." });
+    };
+  }
+
+  function finishAll(reply) {
+    for (const request of pending.values()) request.resolve(reply);
+    pending.clear();
+  }
+
+  /** Send a request and wait for its "done" reply */
+  function request(message, onOutput = () => {}) {
+    const id = ++nextId;
+    return new Promise((resolve) => {
+      pending.set(id, { resolve, onOutput });
+      worker.postMessage({ ...message, id });
+    });
+  }
+
+  async function boot() {
+    const errors = [];
+    const reply = await request({ type: "init", indexURL, interrupt }, (o) => errors.push(o.text));
+    if (reply.status !== "ok") {
+      worker.terminate();
+      throw new Error(
+        `Could not load Pyodide from ${indexURL}: ${errors.join("") || reply.message}`
+      );
+    }
+    return reply.version;
+  }
+
+  start();
+  const version = await boot();
+
+  return {
+    version,
+    interruptible: interrupt !== null,
+    run: async (code, onOutput) => (await request({ type: "run", code }, onOutput)).status,
+    install: async (packages, onOutput) =>
+      (await request({ type: "install", packages }, onOutput)).status,
+    reset: async () => (await request({ type: "reset" })).status,
+    async interrupt() {
+      if (interrupt) {
+        Atomics.store(interrupt, 0, SIGINT);
+        return;
+      }
+      worker.terminate();
+      finishAll({ status: "restarted" });
+      start();
+      await boot();
+    },
+    terminate() {
+      worker.terminate();
+      finishAll({ status: "restarted" });
+    },
+  };
+}
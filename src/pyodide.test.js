@@ -0,0 +1,141 @@
+import { openPyodide, PYODIDE_CDN_URL, pyodideIndexUrl } from "./pyodide";
+
+const INDEX_URL = "http://pyodide.test/v0.25.1/";
+
+/**
+ * Stands in for public/pyodide-worker.js: prints what `print(...)` calls ask for, keeps
+ * assignments in a namespace and sleeps on "sleep" until interrupted through the shared
+ * buffer (or terminated).
+ */
+function fakeWorkers({ failLoad = false } = {}) {
+  const workers = [];
+  class FakeWorker {
+    constructor() {
+      this.namespace = {};
+      this.messages = [];
+      workers.push(this);
+    }
+
+    reply(message) {
+      setTimeout(() => !this.terminated && this.onmessage({ data: message }));
+    }
+
+    postMessage(data) {
+      this.messages.push(data);
+      const { id } = data;
+      const output = (o) => this.reply({ type: "output", id, output: o });
+      const done = (status, extra) => this.reply({ type: "done", id, status, ...extra });
+      if (data.type === "init") {
+        this.interrupt = data.interrupt;
+        if (failLoad) {
+          output({ kind: "error", text: "NetworkError: pyodide.js not found" });
+          done("error");
+        } else done("ok", { version: "0.25.1" });
+      } else if (data.type === "run") {
+        let match;
+        if ((match = data.code.match(/^(\w+) = (\d+)$/))) {
+          this.namespace[match[1]] = match[2];
+        } else if ((match = data.code.match(/^print\((\w+)\)$/))) {
+          if (match[1] in this.namespace) {
+            output({ kind: "stream", name: "stdout", text: `${this.namespace[match[1]]}\n` });
+          } else {
+            output({ kind: "error", text: `NameError: name '${match[1]}' is not defined` });
+            done("error");
+            return;
+          }
+        } else if (data.code.includes("sleep")) {
+          const poll = setInterval(() => {
+            if (this.interrupt?.[0] === 2) {
+              clearInterval(poll);
+              output({ kind: "error", text: "KeyboardInterrupt" });
+              done("interrupted");
+            }
+          }, 5);
+          this.stop = () => clearInterval(poll);
+          return;
+        }
+        done("ok");
+      } else if (data.type === "install") {
+        for (const name of data.packages) {
+          output({ kind: "stream", name: "stdout", text: `Installed ${name}\n` });
+        }
+        done("ok");
+      } else if (data.type === "reset") {
+        this.namespace = {};
+        done("ok");
+      }
+    }
+
+    terminate() {
+      this.terminated = true;
+      this.stop?.();
+    }
+  }
+  return { workers, createWorker: () => new FakeWorker() };
+}
+
+test("resolves where Pyodide is loaded from", () => {
+  expect(pyodideIndexUrl("")).toBe(PYODIDE_CDN_URL);
+  expect(pyodideIndexUrl(" /pyodide ")).toBe("http://localhost/pyodide/");
+  expect(pyodideIndexUrl(INDEX_URL)).toBe(INDEX_URL);
+});
+
+test("runs cells in one namespace until it is reset", async () => {
+  const { workers, createWorker } = fakeWorkers();
+  const session = await openPyodide(INDEX_URL, { createWorker, isolated: false });
+  expect(session.version).toBe("0.25.1");
+  expect(session.interruptible).toBe(false);
+  expect(workers[0].messages[0]).toMatchObject({ type: "init", indexURL: INDEX_URL });
+
+  const outputs = [];
+  const collect = (o) => outputs.push(o);
+  expect(await session.run("x = 42", collect)).toBe("ok");
+  expect(await session.run("print(x)", collect)).toBe("ok");
+  expect(await session.install(["rich"], collect)).toBe("ok");
+  expect(await session.reset()).toBe("ok");
+  expect(await session.run("print(x)", collect)).toBe("error");
+  expect(outputs).toEqual([
+    { kind: "stream", name: "stdout", text: "42\n" },
+    { kind: "stream", name: "stdout", text: "Installed rich\n" },
+    { kind: "error", text: "NameError: name 'x' is not defined" },
+  ]);
+  session.terminate();
+});
+
+test("interrupts a cell through the shared buffer", async () => {
+  const { workers, createWorker } = fakeWorkers();
+  const session = await openPyodide(INDEX_URL, { createWorker, isolated: true });
+  expect(session.interruptible).toBe(true);
+  await session.run("x = 1", () => {});
+  const outputs = [];
+  const running = session.run("time.sleep(60)", (o) => outputs.push(o));
+  await new Promise((resolve) => setTimeout(resolve, 20));
+  await session.interrupt();
+  expect(await running).toBe("interrupted");
+  expect(outputs).toEqual([{ kind: "error", text: "KeyboardInterrupt" }]);
+  // The namespace survives
+  expect(workers.length).toBe(1);
+  expect(await session.run("print(x)", () => {})).toBe("ok");
+  session.terminate();
+});
+
+test("restarts the worker to interrupt without isolation", async () => {
+  const { workers, createWorker } = fakeWorkers();
+  const session = await openPyodide(INDEX_URL, { createWorker, isolated: false });
+  await session.run("x = 1", () => {});
+  const running = session.run("time.sleep(60)", () => {});
+  await session.interrupt();
+  expect(await running).toBe("restarted");
+  expect(workers.length).toBe(2);
+  expect(workers[0].terminated).toBe(true);
+  expect(await session.run("print(x)", () => {})).toBe("error");
+  session.terminate();
+});
+
+test("reports a runtime that can't be loaded", async () => {
+  const { workers, createWorker } = fakeWorkers({ failLoad: true });
+  await expect(openPyodide(INDEX_URL, { createWorker })).rejects.toThrow(
+    `Could not load Pyodide from ${INDEX_URL}: NetworkError: pyodide.js not found`
+  );
+  expect(workers[0].terminated).toBe(true);
+});
@@ -0,0 +1,117 @@
+// ------------------------------ State Analysis ------------------------------
+// Read-only views of a StateVector used by the inspector panels: amplitudes with phase,
+// per-qubit marginals, single-qubit reduced density matrices and entanglement markers.
+
+import { toBitstring } from "./simulator";
+
+/**
+ * @typedef {Object} AmplitudeRow
+ * @property {number} index
+ * @property {string} bitstring - q{n-1}…q0
+ * @property {number} re
+ * @property {number} im
+ * @property {number} magnitude
+ * @property {number} probability
+ * @property {number} phase - radians in (-π, π]
+ */
+
+/**
+ * @typedef {Object} ReducedState
+ * @property {number} p0 - ρ00
+ * @property {number} p1 - ρ11
+ * @property {number} re01 - Re ρ01
+ * @property {number} im01 - Im ρ01
+ */
+
+/** Amplitudes smaller than this are treated as zero for display and markers. */
+export const EPSILON = 1e-10;
+
+/**
+ * Non-zero amplitudes of `state`, in basis-state order.
+ * @param {import("./simulator").StateVector} state
+ * @param {{ limit?: number }} [options] - stop after this many rows
+ * @returns {AmplitudeRow[]}
+ */
+export function amplitudeRows(state, { limit = Infinity } = {}) {
+  const { re, im, numQubits } = state;
+  const rows = [];
+  for (let i = 0; i < re.length && rows.length < limit; i++) {
+    const probability = re[i] * re[i] + im[i] * im[i];
+    if (probability < EPSILON) continue;
+    rows.push({
+      index: i,
+      bitstring: toBitstring(i, numQubits),
+      re: re[i],
+      im: im[i],
+      magnitude: Math.sqrt(probability),
+      probability,
+      phase: Math.atan2(im[i], re[i]),
+    });
+  }
+  return rows;
+}
+
+/**
+ * 2x2 reduced density matrix of qubit `q`, tracing out every other qubit.
+ * @param {import("./simulator").StateVector} state
+ * @param {number} q
+ * @returns {ReducedState}
+ */
+export function reducedState(state, q) {
+  const { re, im } = state;
+  const bit = 1 << q;
+  let p0 = 0;
+  let p1 = 0;
+  let re01 = 0;
+  let im01 = 0;
+  for (let i = 0; i < re.length; i++) {
+    if (i & bit) continue;
+    const j = i | bit;
+    p0 += re[i] * re[i] + im[i] * im[i];
+    p1 += re[j] * re[j] + im[j] * im[j];
+    // a_i * conj(a_j)
+    re01 += re[i] * re[j] + im[i] * im[j];
+    im01 += im[i] * re[j] - re[i] * im[j];
+  }
+  return { p0, p1, re01, im01 };
+}
+
+/**
+ * Tr(ρ²) of a single-qubit reduced state: 1 for pure, 1/2 for maximally mixed.
+ * @param {ReducedState} rho
+ */
+export function purity({ p0, p1, re01, im01 }) {
+  return p0 * p0 + p1 * p1 + 2 * (re01 * re01 + im01 * im01);
+}
+
+/**
+ * Probability of reading 1 on each qubit.
+ * @param {import("./simulator").StateVector} state
+ * @returns {number[]}
+ */
+export function marginalProbabilities(state) {
+  return Array.from({ length: state.numQubits }, (_, q) => reducedState(state, q).p1);
+}
+
+/**
+ * For a pure global state, qubit `q` is entangled with the rest exactly when its
+ * reduced state is mixed.
+ * @param {import("./simulator").StateVector} state
+ * @returns {boolean[]}
+ */
+export function entangledQubits(state) {
+  return Array.from(
+    { length: state.numQubits },
+    (_, q) => purity(reducedState(state, q)) < 1 - 1e-9
+  );
+}
+
+/**
+ * Bloch vector (x, y, z) of a single-qubit reduced state, from ρ = (I + xX + yY + zZ) / 2.
+ * Its length is 1 for a pure state and shrinks toward 0 as the qubit gets mixed.
+ * @param {ReducedState} rho
+ * @returns {{ x: number, y: number, z: number }}
+ */
+export function blochVector({ p0, p1, re01, im01 }) {
+  return { x: 2 * re01, y: -2 * im01, z: p0 - p1 };
+}
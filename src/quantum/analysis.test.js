@@ -0,0 +1,74 @@
+import { runThroughColumn } from "./simulator";
+import {
+  amplitudeRows,
+  blochVector,
+  entangledQubits,
+  marginalProbabilities,
+  purity,
+  reducedState,
+} from "./analysis";
+
+const bell = [
+  { id: "h", type: "H", column: 0, target: 0 },
+  { id: "cx", type: "CNOT", column: 1, target: 1, control: 0 },
+];
+
+test("runThroughColumn stops after the requested time step", () => {
+  expect(amplitudeRows(runThroughColumn(bell, 2, -1)).map((r) => r.bitstring)).toEqual(["00"]);
+  expect(amplitudeRows(runThroughColumn(bell, 2, 0)).map((r) => r.bitstring)).toEqual(["00", "01"]);
+  expect(amplitudeRows(runThroughColumn(bell, 2, 1)).map((r) => r.bitstring)).toEqual(["00", "11"]);
+});
+
+test("amplitude rows report magnitude and phase", () => {
+  const state = runThroughColumn(
+    [
+      { id: "x", type: "X", column: 0, target: 0 },
+      { id: "s", type: "S", column: 1, target: 0 },
+    ],
+    1,
+    1
+  );
+  const [row] = amplitudeRows(state);
+  expect(row.bitstring).toBe("1");
+  expect(row.magnitude).toBeCloseTo(1);
+  expect(row.phase).toBeCloseTo(Math.PI / 2);
+});
+
+test("marginals and entanglement markers follow the Bell preparation", () => {
+  const afterH = runThroughColumn(bell, 2, 0);
+  expect(marginalProbabilities(afterH)[0]).toBeCloseTo(0.5);
+  expect(marginalProbabilities(afterH)[1]).toBeCloseTo(0);
+  expect(entangledQubits(afterH)).toEqual([false, false]);
+
+  const afterCx = runThroughColumn(bell, 2, 1);
+  expect(entangledQubits(afterCx)).toEqual([true, true]);
+  expect(purity(reducedState(afterCx, 0))).toBeCloseTo(0.5);
+});
+
+test("reduced state of |+⟩ has full coherence", () => {
+  const rho = reducedState(runThroughColumn(bell, 2, 0), 0);
+  expect(rho.p0).toBeCloseTo(0.5);
+  expect(rho.re01).toBeCloseTo(0.5);
+  expect(rho.im01).toBeCloseTo(0);
+});
+
+test("Bloch vectors for basis, superposition and entangled qubits", () => {
+  const one = runThroughColumn([{ id: "x", type: "X", column: 0, target: 0 }], 1, 0);
+  expect(blochVector(reducedState(one, 0)).z).toBeCloseTo(-1);
+
+  const plusI = runThroughColumn(
+    [
+      { id: "h", type: "H", column: 0, target: 0 },
+      { id: "s", type: "S", column: 1, target: 0 },
+    ],
+    1,
+    1
+  );
+  const v = blochVector(reducedState(plusI, 0));
+  expect(v.x).toBeCloseTo(0);
+  expect(v.y).toBeCloseTo(1);
+  expect(v.z).toBeCloseTo(0);
+
+  const mixed = blochVector(reducedState(runThroughColumn(bell, 2, 1), 1));
+  expect(Math.hypot(mixed.x, mixed.y, mixed.z)).toBeCloseTo(0);
+});
@@ -0,0 +1,137 @@
+// ------------------------------ Classical Control ------------------------------
+// The circuit has one classical register `c` with a bit per qubit. MEASURE writes its
+// qubit's outcome into a chosen bit (its own by default), RESET returns a qubit to |0⟩,
+// and any other gate can carry a `condition` on one bit or on the whole register.
+// Circuits that use none of this mid-circuit are "static": their measurements can be
+// deferred to the end, which is how every backend ran them before.
+
+import { gateQubits } from "./gates";
+
+/** @typedef {import("../QuantumCircuitBuilder").Gate} Gate */
+
+/**
+ * @typedef {Object} Condition
+ * @property {number=} clbit - the bit tested; the whole register when absent
+ * @property {number} value - 0/1 for a bit, the register read as an integer (c[0] lowest)
+ */
+
+/**
+ * Classical bit a MEASURE writes.
+ * @param {Gate} g
+ * @returns {number}
+ */
+export function measuredBit(g) {
+  return g.clbit ?? g.target;
+}
+
+/**
+ * Whether a condition holds for a register value.
+ * @param {Condition} condition
+ * @param {number} register - bit k is c[k]
+ */
+export function conditionHolds(condition, register) {
+  if (condition.clbit === undefined) return register === condition.value;
+  return ((register >> condition.clbit) & 1) === condition.value;
+}
+
+/** "c[1]=1" or "c=5", the way the grid and the gate inspector show a condition. */
+export function conditionLabel(condition) {
+  if (condition.clbit === undefined) return `c=${condition.value}`;
+  return `c[${condition.clbit}]=${condition.value}`;
+}
+
+/**
+ * Parse "c[1]=1", "c[1] == 1", "c=5" or "" (no condition).
+ * @param {string} text
+ * @returns {Condition | null}
+ */
+export function parseCondition(text) {
+  const src = text.trim();
+  if (!src) return null;
+  const m = /^c\s*(?:\[\s*(\d+)\s*\])?\s*==?\s*(\d+)$/.exec(src);
+  if (!m) throw new Error("Condition must look like c[0]=1 or c=3.");
+  const value = Number(m[2]);
+  return m[1] === undefined ? { value } : { clbit: Number(m[1]), value };
+}
+
+/**
+ * Why a gate's classical bits don't fit a register of `numClbits` bits, or null.
+ * @param {Gate} g
+ * @param {number} numClbits
+ * @returns {string | null}
+ */
+export function classicalError(g, numClbits) {
+  const outside = (bit) => !Number.isInteger(bit) || bit < 0 || bit >= numClbits;
+  const range = `(c[0]..c[${numClbits - 1}])`;
+  if (g.type === "MEASURE" && outside(measuredBit(g))) {
+    return `c[${measuredBit(g)}] is outside the register ${range}.`;
+  }
+  const { condition } = g;
+  if (!condition) return null;
+  if (g.type === "MEASURE" || g.type === "RESET" || g.type === "CUSTOM") {
+    return `${g.type === "CUSTOM" ? "Custom gates" : "Measure and Reset"} can't be conditioned.`;
+  }
+  if (condition.clbit !== undefined) {
+    if (outside(condition.clbit)) return `c[${condition.clbit}] is outside the register ${range}.`;
+    if (condition.value !== 0 && condition.value !== 1) return "A bit can only equal 0 or 1.";
+  } else if (!Number.isInteger(condition.value) || condition.value >= 2 ** numClbits) {
+    return `c holds 0..${2 ** numClbits - 1}.`;
+  }
+  return null;
+}
+
+/**
+ * Bits a gate writes and reads. A condition on the whole register reads every bit, which
+ * `reads: null` stands for.
+ * @param {Gate} g
+ * @returns {{ writes: number[], reads: number[] | null }}
+ */
+function classicalAccess(g) {
+  const writes = g.type === "MEASURE" ? [measuredBit(g)] : [];
+  if (!g.condition) return { writes, reads: [] };
+  return { writes, reads: g.condition.clbit === undefined ? null : [g.condition.clbit] };
+}
+
+/**
+ * A classical bit two gates can't be reordered across (one writes what the other reads or
+ * writes), or null when their order doesn't matter classically.
+ * @param {Gate} a
+ * @param {Gate} b
+ * @returns {number | null}
+ */
+export function classicalConflict(a, b) {
+  const x = classicalAccess(a);
+  const y = classicalAccess(b);
+  const clash = (writes, other) =>
+    writes.find((bit) => other.writes.includes(bit) || !other.reads || other.reads.includes(bit));
+  return clash(x.writes, y) ?? clash(y.writes, x) ?? null;
+}
+
+/**
+ * Whether a circuit needs mid-circuit measurement or classical control: a RESET, a
+ * condition, a MEASURE into another qubit's bit, or a gate after a MEASURE on its qubit.
+ * Static circuits can defer their measurements to the end.
+ * @param {Gate[]} gates
+ */
+export function isDynamic(gates) {
+  if (gates.some((g) => g.type === "RESET" || g.condition)) return true;
+  const measures = gates.filter((g) => g.type === "MEASURE");
+  if (measures.some((m) => measuredBit(m) !== m.target)) return true;
+  return measures.some((m) =>
+    gates.some((g) => g !== m && g.column > m.column && gateQubits(g).includes(m.target))
+  );
+}
+
+/**
+ * Classical bits that hold a result at the end: those some MEASURE writes, or every bit if
+ * there are none (the circuit is then measured in full at the end).
+ * @param {Gate[]} gates
+ * @param {number} numClbits
+ * @returns {number[]} ascending
+ */
+export function writtenBits(gates, numClbits) {
+  const bits = new Set(gates.filter((g) => g.type === "MEASURE").map(measuredBit));
+  return bits.size > 0
+    ? Array.from(bits).sort((a, b) => a - b)
+    : Array.from({ length: numClbits }, (_, k) => k);
+}
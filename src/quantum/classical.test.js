@@ -0,0 +1,65 @@
+import {
+  classicalConflict,
+  classicalError,
+  conditionHolds,
+  conditionLabel,
+  isDynamic,
+  parseCondition,
+  writtenBits,
+} from "./classical";
+import { g } from "./testing";
+
+test("parses and labels conditions", () => {
+  expect(parseCondition("")).toBeNull();
+  expect(parseCondition("c[1]=1")).toEqual({ clbit: 1, value: 1 });
+  expect(parseCondition(" c [ 2 ] == 0 ")).toEqual({ clbit: 2, value: 0 });
+  expect(parseCondition("c=5")).toEqual({ value: 5 });
+  expect(() => parseCondition("q[0]=1")).toThrow("Condition must look like c[0]=1 or c=3.");
+  expect(conditionLabel({ clbit: 1, value: 0 })).toBe("c[1]=0");
+  expect(conditionLabel({ value: 3 })).toBe("c=3");
+});
+
+test("tests one bit or the whole register", () => {
+  expect(conditionHolds({ clbit: 1, value: 1 }, 0b010)).toBe(true);
+  expect(conditionHolds({ clbit: 1, value: 0 }, 0b010)).toBe(false);
+  expect(conditionHolds({ value: 5 }, 0b101)).toBe(true);
+  expect(conditionHolds({ value: 5 }, 0b111)).toBe(false);
+});
+
+test("explains classical bits that don't fit the register", () => {
+  expect(classicalError(g("MEASURE", 0, 0, { clbit: 2 }), 3)).toBeNull();
+  expect(classicalError(g("MEASURE", 0, 0, { clbit: 3 }), 3)).toBe(
+    "c[3] is outside the register (c[0]..c[2])."
+  );
+  expect(classicalError(g("X", 0, 0, { condition: { clbit: 1, value: 2 } }), 3)).toBe(
+    "A bit can only equal 0 or 1."
+  );
+  expect(classicalError(g("X", 0, 0, { condition: { value: 8 } }), 3)).toBe("c holds 0..7.");
+  expect(classicalError(g("RESET", 0, 0, { condition: { value: 1 } }), 3)).toBe(
+    "Measure and Reset can't be conditioned."
+  );
+});
+
+test("orders writes against reads and writes of the same bit", () => {
+  const m0 = g("MEASURE", 0, 0);
+  const m1 = g("MEASURE", 0, 1);
+  expect(classicalConflict(m0, g("X", 1, 2, { condition: { clbit: 0, value: 1 } }))).toBe(0);
+  expect(classicalConflict(m0, g("X", 1, 2, { condition: { clbit: 1, value: 1 } }))).toBeNull();
+  expect(classicalConflict(m1, g("X", 1, 2, { condition: { value: 1 } }))).toBe(1);
+  expect(classicalConflict(m0, g("MEASURE", 1, 2, { clbit: 0 }))).toBe(0);
+  expect(classicalConflict(m0, m1)).toBeNull();
+  const readers = [0, 1].map((k) => g("X", k, 2, { condition: { clbit: 0, value: 1 } }));
+  expect(classicalConflict(...readers)).toBeNull();
+});
+
+test("tells dynamic circuits from ones that can measure at the end", () => {
+  const bell = [g("H", 0, 0), g("CNOT", 1, 1, { control: 0 }), g("MEASURE", 2, 0)];
+  expect(isDynamic(bell)).toBe(false);
+  expect(isDynamic([...bell, g("X", 3, 0)])).toBe(true);
+  expect(isDynamic([...bell, g("X", 3, 1)])).toBe(false);
+  expect(isDynamic([g("MEASURE", 0, 0, { clbit: 1 })])).toBe(true);
+  expect(isDynamic([g("RESET", 0, 0)])).toBe(true);
+  expect(isDynamic([g("X", 0, 0, { condition: { value: 0 } })])).toBe(true);
+  expect(writtenBits(bell, 2)).toEqual([0]);
+  expect(writtenBits([], 2)).toEqual([0, 1]);
+});
@@ -0,0 +1,157 @@
+import { gateControls, gateParams } from "../gates";
+import {
+  angleSource,
+  columnsOf,
+  customDefinitions,
+  measuredQubits,
+  parameterValues,
+  pyList,
+  PY_BITSTRING_HELPER,
+  requireStatic,
+} from "./common";
+import { bindParameters } from "../parameters";
+
+// ------------------------------ Amazon Braket SDK ------------------------------
+// Runs on the local simulator; swap in an AwsDevice ARN to target hardware. Symbolic
+// angles become FreeParameters supplied through `inputs=` at run time. Custom gates are
+// functions that build a sub-circuit on the given qubits for add_circuit().
+
+const MATH = {
+  constant: (name) => ({ tau: "(2 * math.pi)", e: "math.e" })[name] ?? "math.pi",
+  func: (name) => (name === "ln" ? "math.log" : `math.${name}`),
+};
+
+/** FreeParameter expressions only support arithmetic, so calls like sin() are inlined. */
+function braketAngle(g, params, index = 0) {
+  const { expr } = gateParams(g)[index];
+  if (expr && /[A-Za-z_]\w*\s*\(/.test(expr)) {
+    const bound = bindParameters([g], params)[0];
+    return String(gateParams(bound)[index].angle);
+  }
+  return angleSource(g, MATH, params, index);
+}
+
+/** One gate as a call on the circuit named `circ`; `wire` gives each qubit's source. */
+function op(g, params, circ = "circuit", wire = String) {
+  const c = gateControls(g).map(wire);
+  const t = wire(g.target);
+  switch (g.type) {
+    case "H":
+    case "X":
+    case "Y":
+    case "Z":
+    case "S":
+    case "T":
+      return `${circ}.${g.type.toLowerCase()}(${t})`;
+    case "SDG":
+      return `${circ}.si(${t})`;
+    case "TDG":
+      return `${circ}.ti(${t})`;
+    case "SX":
+      return `${circ}.v(${t})`;
+    case "RX":
+    case "RY":
+    case "RZ":
+      return `${circ}.${g.type.toLowerCase()}(${t}, ${braketAngle(g, params)})`;
+    case "P":
+      return `${circ}.phaseshift(${t}, ${braketAngle(g, params)})`;
+    case "U":
+      return `${circ}.u(${t}, ${[0, 1, 2].map((i) => braketAngle(g, params, i)).join(", ")})`;
+    case "CNOT":
+      return `${circ}.cnot(${c[0]}, ${t})`;
+    case "CZ":
+      return `${circ}.cz(${c[0]}, ${t})`;
+    case "CRX":
+    case "CRY":
+    case "CRZ":
+      return (
+        `${circ}.${g.type.slice(1).toLowerCase()}(${t}, ${braketAngle(g, params)}, ` +
+        `control=${c[0]})`
+      );
+    case "CP":
+      return `${circ}.cphaseshift(${c[0]}, ${t}, ${braketAngle(g, params)})`;
+    case "CCX":
+      return `${circ}.ccnot(${c[0]}, ${c[1]}, ${t})`;
+    case "SWAP":
+      return `${circ}.swap(${t}, ${wire(g.pair)})`;
+    case "ISWAP":
+      return `${circ}.iswap(${t}, ${wire(g.pair)})`;
+    case "CSWAP":
+      return `${circ}.cswap(${c[0]}, ${t}, ${wire(g.pair)})`;
+    case "CUSTOM":
+      return `${circ}.add_circuit(${g.name}(${pyList(g.qubits.map(wire))}))`;
+    default:
+      return null;
+  }
+}
+
+/** @type {import("./common").Backend} */
+const braket = {
+  id: "braket",
+  label: "Amazon Braket",
+  language: "python",
+  extension: "py",
+  install: "pip install amazon-braket-sdk",
+  generate(circuit, { shots = 1024 } = {}) {
+    requireStatic(circuit, "Braket");
+    const { numQubits, params = {} } = circuit;
+    const measured = measuredQubits(circuit).qubits;
+    const symbols = parameterValues(circuit);
+    const lines = [];
+    lines.push("# Auto-generated by Quantum Circuit Builder (React)\n");
+    lines.push("# Requires: amazon-braket-sdk\n");
+    if (symbols.length) {
+      lines.push("import math\n\nfrom braket.circuits import Circuit, FreeParameter\n");
+    } else {
+      lines.push("from braket.circuits import Circuit\n");
+    }
+    lines.push("from braket.devices import LocalSimulator\n\n");
+    lines.push(`n_qubits = ${numQubits}\n`);
+    if (symbols.length) {
+      lines.push("\n# Parameters (supplied as inputs at run time)\n");
+      for (const [name] of symbols) lines.push(`${name} = FreeParameter("${name}")\n`);
+      lines.push("\n");
+    }
+    const definitions = customDefinitions(circuit);
+    if (definitions.length) lines.push("# --- Custom gates ---\n");
+    for (const def of definitions) {
+      lines.push(`def ${def.name}(w):\n    c = Circuit()\n`);
+      for (const { gates } of columnsOf(def.gates)) {
+        for (const g of gates) lines.push(`    ${op(g, params, "c", (i) => `w[${i}]`)}\n`);
+      }
+      lines.push("    return c\n\n");
+    }
+    lines.push("circuit = Circuit()\n");
+    // Braket only allocates qubits that are used; identity keeps every wire present
+    lines.push("for q in range(n_qubits):\n    circuit.i(q)\n");
+
+    for (const { column, gates } of columnsOf(circuit.gates)) {
+      lines.push(`\n# --- Column ${column} ---\n`);
+      for (const g of gates) lines.push(`${op(g, params)}\n`);
+    }
+
+    lines.push("\n# Measurement (deferred to the end of the circuit)\n");
+    lines.push(`measured = ${pyList(measured)}\n`);
+    lines.push("circuit.measure(measured)\n");
+    lines.push("print(circuit)\n");
+
+    lines.push(
+      "\n# Simulate and print Qiskit-style counts\n" +
+        PY_BITSTRING_HELPER +
+        "\n" +
+        "device = LocalSimulator()\n" +
+        (symbols.length
+          ? `inputs = {${symbols.map(([name, value]) => `"${name}": ${value}`).join(", ")}}\n` +
+            `result = device.run(circuit, shots=${shots}, inputs=inputs).result()\n`
+          : `result = device.run(circuit, shots=${shots}).result()\n`) +
+        "counts = {}\n" +
+        "for bits, n in result.measurement_counts.items():\n" +
+        "    key = to_bitstring(dict(zip(result.measured_qubits, bits)))\n" +
+        "    counts[key] = counts.get(key, 0) + n\n" +
+        "print(counts)\n"
+    );
+    return lines.join("");
+  },
+};
+
+export default braket;
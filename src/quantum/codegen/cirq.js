@@ -0,0 +1,213 @@
+import { gateControls, gateParams } from "../gates";
+import { isDynamic, measuredBit, writtenBits } from "../classical";
+import {
+  angleSource,
+  columnsOf,
+  customDefinitions,
+  measuredQubits,
+  parameterValues,
+  pyList,
+  PY_BITSTRING_HELPER,
+} from "./common";
+
+// ------------------------------ Cirq ------------------------------
+// Each grid column becomes one cirq.Moment, so the printed diagram matches the grid.
+// Symbolic angles become sympy symbols resolved by a cirq.ParamResolver. Phase gates use
+// Cirq's exponent convention (angle / π). Custom gates are functions from a list of qubits
+// to a FrozenCircuit, placed with cirq.CircuitOperation. In dynamic circuits each classical
+// bit c[k] is the measurement key "ck"; conditions become classical controls on those keys.
+
+const SYMPY = {
+  constant: (name) => ({ tau: "(2 * sympy.pi)", e: "sympy.E" })[name] ?? "sympy.pi",
+  func: (name) => (name === "ln" ? "sympy.log" : `sympy.${name}`),
+};
+
+/** `(a1 + a2 + …) / π` for the given angle slots, folded to a number when all are literal. */
+function exponent(g, params, indices = [0]) {
+  const slots = gateParams(g);
+  if (indices.every((i) => !slots[i].expr)) {
+    return String(indices.reduce((sum, i) => sum + (slots[i].angle ?? 0), 0) / Math.PI);
+  }
+  return `(${indices.map((i) => angleSource(g, SYMPY, params, i)).join(" + ")}) / sympy.pi`;
+}
+
+function op(g, params, w = "q") {
+  const c = gateControls(g).map((i) => `${w}[${i}]`);
+  switch (g.type) {
+    case "H":
+    case "X":
+    case "Y":
+    case "Z":
+    case "S":
+    case "T":
+      return `cirq.${g.type}(${w}[${g.target}])`;
+    case "SDG":
+    case "TDG":
+      return `(cirq.${g.type[0]}**-1)(${w}[${g.target}])`;
+    case "SX":
+      return `(cirq.X**0.5)(${w}[${g.target}])`;
+    case "RX":
+    case "RY":
+    case "RZ":
+      return `cirq.${g.type.toLowerCase()}(${angleSource(g, SYMPY, params)})(${w}[${g.target}])`;
+    case "P":
+      return `cirq.ZPowGate(exponent=${exponent(g, params)})(${w}[${g.target}])`;
+    case "U": {
+      // U(θ, φ, λ) = Rz(φ)·Ry(θ)·Rz(λ) up to global phase, as a single PhasedXZGate
+      const lam = exponent(g, params, [2]);
+      const axis = /^[-\d.e]+$/.test(lam) ? String(0.5 - Number(lam)) : `0.5 - ${lam}`;
+      return (
+        `cirq.PhasedXZGate(x_exponent=${exponent(g, params, [0])}, ` +
+        `z_exponent=${exponent(g, params, [1, 2])}, axis_phase_exponent=${axis})(${w}[${g.target}])`
+      );
+    }
+    case "CNOT":
+      return `cirq.CNOT(${c[0]}, ${w}[${g.target}])`;
+    case "CZ":
+      return `cirq.CZ(${c[0]}, ${w}[${g.target}])`;
+    case "CRX":
+    case "CRY":
+    case "CRZ":
+      return (
+        `cirq.ControlledGate(cirq.${g.type.slice(1).toLowerCase()}(` +
+        `${angleSource(g, SYMPY, params)}))(${c[0]}, ${w}[${g.target}])`
+      );
+    case "CP":
+      return `cirq.CZPowGate(exponent=${exponent(g, params)})(${c[0]}, ${w}[${g.target}])`;
+    case "CCX":
+      return `cirq.CCX(${c[0]}, ${c[1]}, ${w}[${g.target}])`;
+    case "SWAP":
+      return `cirq.SWAP(${w}[${g.target}], ${w}[${g.pair}])`;
+    case "ISWAP":
+      return `cirq.ISWAP(${w}[${g.target}], ${w}[${g.pair}])`;
+    case "CSWAP":
+      return `cirq.CSWAP(${c[0]}, ${w}[${g.target}], ${w}[${g.pair}])`;
+    case "CUSTOM":
+      return `cirq.CircuitOperation(${g.name}([${g.qubits.map((i) => `${w}[${i}]`).join(", ")}]))`;
+    case "MEASURE":
+      return `cirq.measure(${w}[${g.target}], key="c${measuredBit(g)}")`;
+    case "RESET":
+      return `cirq.reset(${w}[${g.target}])`;
+    default:
+      return null;
+  }
+}
+
+/**
+ * A conditioned gate as a classically controlled operation. Cirq can only test keys that
+ * were measured earlier; bits that weren't are still 0, so the condition may be settled
+ * already: true gives the plain operation, false gives null.
+ * @param {string} operation
+ * @param {import("../classical").Condition} condition
+ * @param {Set<number>} measured - bits measured in earlier columns
+ * @returns {string | null}
+ */
+function controlled(operation, { clbit, value }, measured) {
+  const key = (k) => `sympy.Symbol("c${k}")`;
+  let test;
+  if (clbit !== undefined) {
+    if (!measured.has(clbit)) return value === 0 ? operation : null;
+    if (value === 1) return `${operation}.with_classical_controls("c${clbit}")`;
+    test = key(clbit);
+  } else {
+    if (measured.size === 0) return value === 0 ? operation : null;
+    test = Array.from(measured)
+      .sort((a, b) => a - b)
+      .map((k) => (k === 0 ? key(k) : `${2 ** k} * ${key(k)}`))
+      .join(" + ");
+  }
+  return `${operation}.with_classical_controls(cirq.SympyCondition(sympy.Eq(${test}, ${value})))`;
+}
+
+/** @type {import("./common").Backend} */
+const cirq = {
+  id: "cirq",
+  label: "Cirq",
+  language: "python",
+  extension: "py",
+  install: "pip install cirq",
+  generate(circuit, { shots = 1024 } = {}) {
+    const { numQubits, params = {} } = circuit;
+    const measured = measuredQubits(circuit).qubits;
+    const symbols = parameterValues(circuit);
+    const dynamic = isDynamic(circuit.gates);
+    const inPlace = dynamic && measuredQubits(circuit).explicit;
+    const needsSympy = symbols.length || circuit.gates.some((g) => g.condition);
+    const lines = [];
+    lines.push("# Auto-generated by Quantum Circuit Builder (React)\n");
+    lines.push("# Requires: cirq\n");
+    lines.push(needsSympy ? "import cirq\nimport sympy\n\n" : "import cirq\n\n");
+    lines.push(`n_qubits = ${numQubits}\n`);
+    if (symbols.length) {
+      lines.push("\n# Parameters (resolved at run time)\n");
+      for (const [name] of symbols) lines.push(`${name} = sympy.Symbol("${name}")\n`);
+      lines.push("\n");
+    }
+    const definitions = customDefinitions(circuit);
+    if (definitions.length) {
+      lines.push("# --- Custom gates ---\n");
+      for (const def of definitions) {
+        lines.push(`def ${def.name}(w):\n    return cirq.FrozenCircuit(\n`);
+        for (const { gates } of columnsOf(def.gates)) {
+          lines.push(
+            `        cirq.Moment([${gates.map((g) => op(g, params, "w")).join(", ")}]),\n`
+          );
+        }
+        lines.push("    )\n\n");
+      }
+    }
+    lines.push("q = cirq.LineQubit.range(n_qubits)\n");
+    lines.push("circuit = cirq.Circuit()\n");
+
+    const measuredBits = new Set();
+    for (const { column, gates } of columnsOf(circuit.gates, { measurements: dynamic })) {
+      lines.push(`\n# --- Column ${column} ---\n`);
+      lines.push("circuit.append(cirq.Moment([\n");
+      for (const g of gates) {
+        const operation = g.condition
+          ? controlled(op(g, params), g.condition, measuredBits)
+          : op(g, params);
+        if (operation) lines.push(`    ${operation},\n`);
+        else lines.push(`    # ${g.type} on q${g.target} skipped: its condition can't hold yet\n`);
+      }
+      lines.push("]))\n");
+      for (const g of gates) if (g.type === "MEASURE") measuredBits.add(measuredBit(g));
+    }
+
+    if (!inPlace) {
+      lines.push("\n# Measurement (deferred to the end of the circuit)\n");
+      lines.push(`measured = ${pyList(measured)}\n`);
+      lines.push('circuit.append(cirq.measure(*[q[i] for i in measured], key="c"))\n');
+    }
+    lines.push("print(circuit)\n");
+
+    lines.push(
+      "\n# Simulate and print Qiskit-style counts\n" +
+        PY_BITSTRING_HELPER +
+        "\n" +
+        "sim = cirq.Simulator()\n" +
+        (symbols.length
+          ? `resolver = cirq.ParamResolver({${symbols
+              .map(([name, value]) => `"${name}": ${value}`)
+              .join(", ")}})\n` +
+            `result = sim.run(circuit, param_resolver=resolver, repetitions=${shots})\n`
+          : `result = sim.run(circuit, repetitions=${shots})\n`) +
+        (inPlace
+          ? "\n# The classical register holds the last outcome written to each bit\n" +
+            `clbits = ${pyList(writtenBits(circuit.gates, numQubits))}\n` +
+            'records = {k: result.records[f"c{k}"][:, -1, 0] for k in clbits}\n' +
+            "counts = {}\n" +
+            `for shot in range(${shots}):\n` +
+            "    key = to_bitstring({k: bits[shot] for k, bits in records.items()})\n" +
+            "    counts[key] = counts.get(key, 0) + 1\n" +
+            "print(counts)\n"
+          : "counts = result.histogram(\n" +
+            '    key="c", fold_func=lambda bits: to_bitstring(dict(zip(measured, bits)))\n' +
+            ")\n" +
+            "print(dict(counts))\n")
+    );
+    return lines.join("");
+  },
+};
+
+export default cirq;
@@ -0,0 +1,156 @@
+import { BACKENDS, generateCode, getBackend } from "./index";
+import { columnsOf, measuredQubits } from "./common";
+import { GATE_SPECS } from "../gates";
+
+const bell = {
+  numQubits: 3,
+  gates: [
+    { id: "h", type: "H", column: 0, target: 0 },
+    { id: "ry", type: "RY", column: 0, target: 2, angle: 0.25 },
+    { id: "cx", type: "CNOT", column: 1, target: 1, control: 0 },
+    { id: "cz", type: "CZ", column: 2, target: 2, control: 1 },
+    { id: "sw", type: "SWAP", column: 3, target: 0, pair: 2 },
+    { id: "rx", type: "RX", column: 4, target: 1, angle: 3 },
+    { id: "m0", type: "MEASURE", column: 5, target: 0 },
+    { id: "m1", type: "MEASURE", column: 5, target: 1 },
+  ],
+};
+
+test.each(BACKENDS.map((b) => b.id))("%s backend output", (id) => {
+  expect(generateCode(id, bell, { shots: 2048 })).toMatchSnapshot();
+});
+
+test.each(BACKENDS.map((b) => b.id))("%s backend measures every qubit without MEASURE", (id) => {
+  const code = generateCode(id, { numQubits: 2, gates: [bell.gates[0]] });
+  expect(code).toMatchSnapshot();
+});
+
+test("measurement rules are shared by all backends", () => {
+  expect(measuredQubits(bell)).toEqual({ explicit: true, qubits: [0, 1] });
+  expect(measuredQubits({ numQubits: 2, gates: [] })).toEqual({ explicit: false, qubits: [0, 1] });
+});
+
+test("columnsOf groups unitary gates by column and drops MEASURE", () => {
+  expect(columnsOf(bell.gates).map((c) => [c.column, c.gates.map((g) => g.id)])).toEqual([
+    [0, ["h", "ry"]],
+    [1, ["cx"]],
+    [2, ["cz"]],
+    [3, ["sw"]],
+    [4, ["rx"]],
+  ]);
+});
+
+test("unknown backends are rejected", () => {
+  expect(() => getBackend("quil")).toThrow("Unknown code generation backend: quil");
+});
+
+const extended = {
+  numQubits: 4,
+  gates: [
+    { id: "a", type: "SDG", column: 0, target: 0 },
+    { id: "b", type: "TDG", column: 0, target: 1 },
+    { id: "c", type: "SX", column: 0, target: 2 },
+    { id: "d", type: "P", column: 0, target: 3, angle: 0.25 },
+    { id: "e", type: "U", column: 1, target: 0, angles: [0.5, 1, 1.5] },
+    { id: "f", type: "CRY", column: 1, target: 2, controls: [1], angle: 0.75 },
+    { id: "g", type: "CP", column: 2, target: 3, controls: [0], angle: 2 },
+    { id: "h", type: "CCX", column: 3, target: 1, controls: [3, 0] },
+    { id: "i", type: "CSWAP", column: 4, target: 0, controls: [2], pair: 3 },
+    { id: "j", type: "ISWAP", column: 5, target: 1, pair: 2 },
+  ],
+};
+
+test.each(BACKENDS.map((b) => b.id))("%s backend handles the extended gate set", (id) => {
+  expect(generateCode(id, extended)).toMatchSnapshot();
+});
+
+test.each(BACKENDS.map((b) => b.id))("%s backend emits every gate type", (id) => {
+  for (const type of Object.keys(GATE_SPECS)) {
+    if (type === "MEASURE" || type === "RESET") continue;
+    const spec = GATE_SPECS[type];
+    const gate = { id: "x", type, column: 0, target: 0, controls: [1, 2].slice(0, spec.controls) };
+    if (spec.targets === 2) gate.pair = 3;
+    if (spec.params.length === 1) gate.angle = 0.5;
+    if (spec.params.length > 1) gate.angles = [0.1, 0.2, 0.3];
+    expect(generateCode(id, { numQubits: 4, gates: [gate] })).not.toMatch(/\bnull\b|undefined/);
+  }
+});
+
+const withCustom = {
+  numQubits: 3,
+  params: { phi: 0.5 },
+  customGates: {
+    bell: {
+      name: "bell",
+      numQubits: 2,
+      numColumns: 2,
+      gates: [
+        { id: "ry", type: "RY", column: 0, target: 0, expr: "phi" },
+        { id: "cx", type: "CNOT", column: 1, target: 1, control: 0 },
+      ],
+    },
+  },
+  gates: [
+    { id: "a", type: "CUSTOM", name: "bell", column: 0, target: 0, qubits: [0, 1] },
+    { id: "b", type: "CUSTOM", name: "bell", column: 1, target: 1, qubits: [1, 2] },
+  ],
+};
+
+test.each(BACKENDS.map((b) => b.id))("%s backend defines custom gates once", (id) => {
+  const code = generateCode(id, withCustom);
+  expect(code.match(/\bbell\b/g).length).toBeGreaterThanOrEqual(3);
+  expect(code).toMatchSnapshot();
+});
+
+test("qiskit backend exports the noise model", () => {
+  const rule = (kind, rate, extra = {}) => ({ kind, rate, gates: [], qubits: [], ...extra });
+  const code = generateCode("qiskit", {
+    ...withCustom,
+    noise: {
+      enabled: true,
+      rules: [
+        rule("depolarizing", 0.01, { gates: ["CNOT"] }),
+        rule("phase_damping", 0.02, { qubits: [2] }),
+        rule("readout", 0.05, { qubits: [0] }),
+      ],
+    },
+  });
+  expect(code).toContain("from qiskit_aer.noise import");
+  expect(code).toContain("AerSimulator(noise_model=noise_model)");
+  expect(code).toContain("ReadoutError([[0.95, 0.05], [0.05, 0.95]])");
+  expect(code).toContain("qc.decompose(");
+  expect(code).toMatchSnapshot();
+});
+
+test("disabled noise leaves the qiskit code unchanged", () => {
+  const rules = [{ kind: "depolarizing", rate: 0.1, gates: [], qubits: [] }];
+  expect(generateCode("qiskit", { ...withCustom, noise: { enabled: false, rules } })).toBe(
+    generateCode("qiskit", withCustom)
+  );
+});
+
+const teleport = {
+  numQubits: 3,
+  gates: [
+    { id: "ry", type: "RY", column: 0, target: 0, angle: 0.7 },
+    { id: "h", type: "H", column: 0, target: 1 },
+    { id: "bell", type: "CNOT", column: 1, target: 2, control: 1 },
+    { id: "cx", type: "CNOT", column: 2, target: 1, control: 0 },
+    { id: "hh", type: "H", column: 3, target: 0 },
+    { id: "m0", type: "MEASURE", column: 4, target: 0 },
+    { id: "m1", type: "MEASURE", column: 4, target: 1 },
+    { id: "x", type: "X", column: 5, target: 2, condition: { clbit: 1, value: 1 } },
+    { id: "z", type: "Z", column: 6, target: 2, condition: { clbit: 0, value: 1 } },
+    { id: "r", type: "RESET", column: 6, target: 0 },
+    { id: "y", type: "Y", column: 7, target: 1, condition: { value: 3 } },
+    { id: "m2", type: "MEASURE", column: 8, target: 2 },
+  ],
+};
+
+test.each(["qiskit", "cirq", "qsharp"])("%s backend keeps classical control in place", (id) => {
+  expect(generateCode(id, teleport)).toMatchSnapshot();
+});
+
+test.each(["pennylane", "braket"])("%s backend refuses dynamic circuits", (id) => {
+  expect(() => generateCode(id, teleport)).toThrow("doesn't support mid-circuit measurement");
+});
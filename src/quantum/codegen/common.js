@@ -0,0 +1,154 @@
+// ------------------------------ Code Generation Helpers ------------------------------
+// Shared by every backend: gate ordering, column grouping, measurement rules and angle
+// expressions.
+
+import { sortGates } from "../simulator";
+import { translateExpression } from "../expression";
+import { gateSymbols } from "../parameters";
+import { gateParams } from "../gates";
+import { compositeOrder, expandComposites } from "../composite";
+import { isDynamic } from "../classical";
+
+/** @typedef {import("../../QuantumCircuitBuilder").Gate} Gate */
+
+/**
+ * @typedef {Object} Circuit
+ * @property {Gate[]} gates
+ * @property {number} numQubits
+ * @property {Record<string, number>=} params - values for symbolic angles
+ * @property {Record<string, import("../composite").CompositeDefinition>=} customGates
+ * @property {import("../noise").NoiseModel=} noise - exported by backends that support it
+ */
+
+/**
+ * @typedef {Object} CodegenOptions
+ * @property {number=} shots - defaults to 1024
+ */
+
+/**
+ * @typedef {Object} Backend
+ * @property {string} id
+ * @property {string} label - shown in the backend selector
+ * @property {string} language - "python" or "qsharp"
+ * @property {string} extension - file extension for downloads, without the dot
+ * @property {string} install - one-line setup hint shown under the code
+ * @property {(circuit: Circuit, options?: CodegenOptions) => string} generate
+ */
+
+/**
+ * Gates grouped by column, in the order the simulator applies them. MEASURE gates are left
+ * out (see measuredQubits()) unless `measurements` is set, as dynamic circuits measure in
+ * place.
+ * @param {Gate[]} gates
+ * @param {{ measurements?: boolean }} [options]
+ * @returns {{ column: number, gates: Gate[] }[]}
+ */
+export function columnsOf(gates, { measurements = false } = {}) {
+  const out = [];
+  for (const g of sortGates(gates)) {
+    if (g.type === "MEASURE" && !measurements) continue;
+    const last = out[out.length - 1];
+    if (last && last.column === g.column) last.gates.push(g);
+    else out.push({ column: g.column, gates: [g] });
+  }
+  return out;
+}
+
+/**
+ * Measurements of static circuits are deferred to the end. Qubits with a MEASURE gate are
+ * read out; if there are none, every qubit is.
+ * @param {Circuit} circuit
+ * @returns {{ explicit: boolean, qubits: number[] }} qubits ascending
+ */
+export function measuredQubits({ gates, numQubits }) {
+  const marked = new Set(gates.filter((g) => g.type === "MEASURE").map((g) => g.target));
+  if (marked.size > 0) {
+    return { explicit: true, qubits: Array.from(marked).sort((a, b) => a - b) };
+  }
+  return { explicit: false, qubits: Array.from({ length: numQubits }, (_, q) => q) };
+}
+
+/**
+ * Python snippet that turns `(qubit, bit)` pairs into a Qiskit-ordered bitstring
+ * (q{n-1} first, unmeasured qubits read as 0) so every backend prints comparable counts.
+ */
+export const PY_BITSTRING_HELPER =
+  "def to_bitstring(values):\n" +
+  '    """values: {qubit: bit}. Returns a Qiskit-ordered bitstring (q{n-1} first)."""\n' +
+  '    return "".join(str(int(values.get(q, 0))) for q in reversed(range(n_qubits)))\n';
+
+export function pyList(values) {
+  return `[${values.join(", ")}]`;
+}
+
+/**
+ * Custom gate definitions used by the circuit, each after the ones it uses.
+ * @param {Circuit} circuit
+ * @returns {import("../composite").CompositeDefinition[]}
+ */
+export function customDefinitions({ gates, customGates = {} }) {
+  return compositeOrder(gates, customGates);
+}
+
+/**
+ * Parameter names used by the circuit (including inside custom gates) with their current
+ * values (missing ones are 0).
+ * @param {Circuit} circuit
+ * @returns {[string, number][]}
+ */
+export function parameterValues({ gates, params = {}, customGates = {} }) {
+  return gateSymbols(expandComposites(gates, customGates)).map((name) => [name, params[name] ?? 0]);
+}
+
+/**
+ * Parameter names a custom gate's body uses, sorted.
+ * @param {import("../composite").CompositeDefinition} definition
+ * @param {Record<string, import("../composite").CompositeDefinition>} customGates
+ */
+export function definitionSymbols(definition, customGates = {}) {
+  return gateSymbols(expandComposites(definition.gates, customGates));
+}
+
+/** Expression dialect for numpy-based Python (Qiskit, PennyLane). */
+export const NUMPY = {
+  constant: (name) => ({ tau: "(2 * np.pi)", e: "np.e" })[name] ?? "np.pi",
+  func: (name) => (name === "ln" ? "np.log" : `np.${name}`),
+};
+
+/**
+ * Source for one of a gate's angles: the literal value, or its expression in `dialect`.
+ * @param {Gate} g
+ * @param {{ constant: (name: string) => string, func: (name: string) => string }} dialect
+ * @param {Record<string, number>} [params] - names that shadow built-in constants
+ * @param {number} [index] - which angle, for multi-parameter gates such as U
+ */
+export function angleSource(g, dialect, params = {}, index = 0) {
+  const { angle, expr } = gateParams(g)[index] ?? {};
+  if (!expr) return String(angle ?? 0);
+  return translateExpression(expr, { ...dialect, scope: params });
+}
+
+/**
+ * Every angle of a gate as source, in GATE_SPECS order.
+ * @param {Gate} g
+ * @param {{ constant: (name: string) => string, func: (name: string) => string }} dialect
+ * @param {Record<string, number>} [params]
+ * @returns {string[]}
+ */
+export function angleSources(g, dialect, params = {}) {
+  return gateParams(g).map((_, i) => angleSource(g, dialect, params, i));
+}
+
+/**
+ * Backends without mid-circuit measurement call this first.
+ * @param {Circuit} circuit
+ * @param {string} label - the backend's name
+ */
+export function requireStatic({ gates }, label) {
+  if (isDynamic(gates)) {
+    throw new Error(
+      `${label} export doesn't support mid-circuit measurement, reset or classical ` +
+        "conditions. Use Qiskit, Cirq or Q# instead."
+    );
+  }
+}
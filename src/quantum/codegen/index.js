@@ -0,0 +1,34 @@
+// ------------------------------ Code Generation Backends ------------------------------
+// Every backend turns the same `{ gates, numQubits }` circuit into a runnable program.
+// To add one, implement the Backend shape from ./common and list it in BACKENDS.
+
+import qiskit from "./qiskit";
+import cirq from "./cirq";
+import pennylane from "./pennylane";
+import braket from "./braket";
+import qsharp from "./qsharp";
+
+/** @type {import("./common").Backend[]} */
+export const BACKENDS = [qiskit, cirq, pennylane, braket, qsharp];
+
+export const DEFAULT_BACKEND = "qiskit";
+
+/**
+ * @param {string} id
+ * @returns {import("./common").Backend}
+ */
+export function getBackend(id) {
+  const backend = BACKENDS.find((b) => b.id === id);
+  if (!backend) throw new Error(`Unknown code generation backend: ${id}`);
+  return backend;
+}
+
+/**
+ * @param {string} backendId
+ * @param {import("./common").Circuit} circuit
+ * @param {import("./common").CodegenOptions} [options]
+ * @returns {string}
+ */
+export function generateCode(backendId, circuit, options) {
+  return getBackend(backendId).generate(circuit, options);
+}
@@ -0,0 +1,146 @@
+import { gateControls } from "../gates";
+import {
+  angleSource,
+  angleSources,
+  columnsOf,
+  customDefinitions,
+  definitionSymbols,
+  measuredQubits,
+  NUMPY,
+  parameterValues,
+  pyList,
+  PY_BITSTRING_HELPER,
+  requireStatic,
+} from "./common";
+
+// ------------------------------ PennyLane ------------------------------
+// The circuit becomes a QNode on default.qubit that returns qml.counts(). Symbolic
+// angles become QNode arguments, so the same function can be reused for optimization.
+// Custom gates are plain functions of their wires (and the parameters they use).
+
+/**
+ * @param {import("../../QuantumCircuitBuilder").Gate} g
+ * @param {Record<string, number>} params
+ * @param {(q: number) => string} [wire] - source for a qubit index
+ * @param {Record<string, import("../composite").CompositeDefinition>} [customGates]
+ */
+function op(g, params, wire = String, customGates = {}) {
+  const c = gateControls(g).map(wire);
+  const t = wire(g.target);
+  switch (g.type) {
+    case "H":
+      return `qml.Hadamard(wires=${t})`;
+    case "X":
+      return `qml.PauliX(wires=${t})`;
+    case "Y":
+      return `qml.PauliY(wires=${t})`;
+    case "Z":
+      return `qml.PauliZ(wires=${t})`;
+    case "S":
+      return `qml.S(wires=${t})`;
+    case "T":
+      return `qml.T(wires=${t})`;
+    case "SDG":
+    case "TDG":
+      return `qml.adjoint(qml.${g.type[0]}(wires=${t}))`;
+    case "SX":
+      return `qml.SX(wires=${t})`;
+    case "RX":
+    case "RY":
+    case "RZ":
+      return `qml.${g.type}(${angleSource(g, NUMPY, params)}, wires=${t})`;
+    case "P":
+      return `qml.PhaseShift(${angleSource(g, NUMPY, params)}, wires=${t})`;
+    case "U":
+      return `qml.U3(${angleSources(g, NUMPY, params).join(", ")}, wires=${t})`;
+    case "CNOT":
+      return `qml.CNOT(wires=[${c[0]}, ${t}])`;
+    case "CZ":
+      return `qml.CZ(wires=[${c[0]}, ${t}])`;
+    case "CRX":
+    case "CRY":
+    case "CRZ":
+      return `qml.${g.type}(${angleSource(g, NUMPY, params)}, wires=[${c[0]}, ${t}])`;
+    case "CP":
+      return `qml.ControlledPhaseShift(${angleSource(g, NUMPY, params)}, wires=[${c[0]}, ${t}])`;
+    case "CCX":
+      return `qml.Toffoli(wires=[${c[0]}, ${c[1]}, ${t}])`;
+    case "SWAP":
+      return `qml.SWAP(wires=[${t}, ${wire(g.pair)}])`;
+    case "ISWAP":
+      return `qml.ISWAP(wires=[${t}, ${wire(g.pair)}])`;
+    case "CSWAP":
+      return `qml.CSWAP(wires=[${c[0]}, ${t}, ${wire(g.pair)}])`;
+    case "CUSTOM": {
+      const args = definitionSymbols(customGates[g.name], customGates);
+      return `${g.name}(${[pyList(g.qubits.map(wire)), ...args].join(", ")})`;
+    }
+    default:
+      return null;
+  }
+}
+
+/** @type {import("./common").Backend} */
+const pennylane = {
+  id: "pennylane",
+  label: "PennyLane",
+  language: "python",
+  extension: "py",
+  install: "pip install pennylane",
+  generate(circuit, { shots = 1024 } = {}) {
+    requireStatic(circuit, "PennyLane");
+    const { numQubits, params = {} } = circuit;
+    const measured = measuredQubits(circuit).qubits;
+    const symbols = parameterValues(circuit);
+    const lines = [];
+    lines.push("# Auto-generated by Quantum Circuit Builder (React)\n");
+    lines.push("# Requires: pennylane\n");
+    lines.push("import pennylane as qml\n");
+    if (symbols.length) lines.push("from pennylane import numpy as np\n");
+    lines.push("\n");
+    lines.push(`n_qubits = ${numQubits}\n`);
+    lines.push(`dev = qml.device("default.qubit", wires=n_qubits, shots=${shots})\n`);
+    lines.push(`measured = ${pyList(measured)}\n\n`);
+
+    const customGates = circuit.customGates ?? {};
+    const definitions = customDefinitions(circuit);
+    if (definitions.length) lines.push("\n# --- Custom gates ---\n");
+    for (const def of definitions) {
+      const args = ["wires", ...definitionSymbols(def, customGates)];
+      lines.push(`def ${def.name}(${args.join(", ")}):\n`);
+      for (const { gates } of columnsOf(def.gates)) {
+        for (const g of gates) {
+          lines.push(`    ${op(g, params, (i) => `wires[${i}]`, customGates)}\n`);
+        }
+      }
+      lines.push("\n");
+    }
+
+    lines.push("\n@qml.qnode(dev)\n");
+    lines.push(`def circuit(${symbols.map(([name]) => name).join(", ")}):\n`);
+    const columns = columnsOf(circuit.gates);
+    for (const { column, gates } of columns) {
+      lines.push(`    # --- Column ${column} ---\n`);
+      for (const g of gates) lines.push(`    ${op(g, params, String, customGates)}\n`);
+    }
+    lines.push("    # Measurement (deferred to the end of the circuit)\n");
+    lines.push("    return qml.counts(wires=measured)\n");
+
+    lines.push(
+      "\n\n# Run and print Qiskit-style counts\n" +
+        PY_BITSTRING_HELPER +
+        "\n" +
+        (symbols.length
+          ? `params = {${symbols.map(([name, value]) => `"${name}": ${value}`).join(", ")}}\n`
+          : "") +
+        "counts = {}\n" +
+        `for bits, n in circuit(${symbols.length ? "**params" : ""}).items():\n` +
+        "    key = to_bitstring(dict(zip(measured, bits)))\n" +
+        "    counts[key] = counts.get(key, 0) + int(n)\n" +
+        "print(counts)\n"
+    );
+    return lines.join("");
+  },
+};
+
+export default pennylane;
@@ -0,0 +1,259 @@
+import { expandComposites } from "../composite";
+import { gateControls } from "../gates";
+import { activeRules, gateErrors, NOISE_KINDS, readoutRates } from "../noise";
+import { isDynamic, measuredBit } from "../classical";
+import {
+  angleSource,
+  angleSources,
+  columnsOf,
+  customDefinitions,
+  measuredQubits,
+  NUMPY,
+  parameterValues,
+  pyList,
+} from "./common";
+
+// ------------------------------ Qiskit + Aer ------------------------------
+// Symbolic angles become qiskit.circuit.Parameter objects bound just before running.
+// Custom gates are built once as sub-circuits, turned into gates and appended by name.
+// An enabled noise model becomes an Aer NoiseModel with one error per gate and qubits, so
+// Aer applies exactly the channels the in-app density matrix does. Dynamic circuits measure
+// and reset in place, and conditioned gates sit in `if_test` blocks.
+
+/** One gate as a method call on the circuit named `circ`. */
+function op(g, params, circ = "qc") {
+  const controls = gateControls(g);
+  switch (g.type) {
+    case "H":
+    case "X":
+    case "Y":
+    case "Z":
+    case "S":
+    case "T":
+    case "SDG":
+    case "TDG":
+    case "SX":
+      return `${circ}.${g.type.toLowerCase()}(${g.target})`;
+    case "RX":
+    case "RY":
+    case "RZ":
+    case "P":
+      return `${circ}.${g.type.toLowerCase()}(${angleSource(g, NUMPY, params)}, ${g.target})`;
+    case "U":
+      return `${circ}.u(${angleSources(g, NUMPY, params).join(", ")}, ${g.target})`;
+    case "CNOT":
+      return `${circ}.cx(${controls[0]}, ${g.target})`;
+    case "CZ":
+      return `${circ}.cz(${controls[0]}, ${g.target})`;
+    case "CRX":
+    case "CRY":
+    case "CRZ":
+    case "CP":
+      return (
+        `${circ}.${g.type.toLowerCase()}(${angleSource(g, NUMPY, params)}, ` +
+        `${controls[0]}, ${g.target})`
+      );
+    case "CCX":
+      return `${circ}.ccx(${controls[0]}, ${controls[1]}, ${g.target})`;
+    case "SWAP":
+      return `${circ}.swap(${g.target}, ${g.pair})`;
+    case "ISWAP":
+      return `${circ}.iswap(${g.target}, ${g.pair})`;
+    case "CSWAP":
+      return `${circ}.cswap(${controls[0]}, ${g.target}, ${g.pair})`;
+    case "CUSTOM":
+      return `${circ}.append(${g.name}, ${pyList(g.qubits)})`;
+    case "MEASURE":
+      return `${circ}.measure(${g.target}, ${measuredBit(g)})`;
+    case "RESET":
+      return `${circ}.reset(${g.target})`;
+    default:
+      return null;
+  }
+}
+
+/** The `if_test` operand for a condition: one classical bit or the whole register. */
+function ifTest({ clbit, value }) {
+  return clbit === undefined ? `(qc.cregs[0], ${value})` : `(qc.clbits[${clbit}], ${value})`;
+}
+
+/** Qubits in the order the method call above lists them. */
+function qargs(g) {
+  const out = [...gateControls(g), g.target];
+  if (typeof g.pair === "number") out.push(g.pair);
+  return out;
+}
+
+const INSTRUCTION_NAMES = { CNOT: "cx" };
+
+/** Short, exact-enough decimal for generated code. */
+const num = (x) => String(Number(x.toPrecision(12)));
+
+const ERROR_SOURCE = {
+  depolarizing: (rate) => `depolarizing_error(${num(rate)}, 1)`,
+  amplitude_damping: (rate) => `amplitude_damping_error(${num(rate)})`,
+  phase_damping: (rate) => `phase_damping_error(${num(rate)})`,
+};
+
+/**
+ * Lines building `noise_model`, or none without active rules.
+ * @param {import("./common").Circuit} circuit
+ * @returns {string[]}
+ */
+function noiseModelLines(circuit) {
+  const { numQubits } = circuit;
+  const rules = activeRules(circuit.noise, numQubits);
+  if (!rules.length) return [];
+  const lines = ["\n# --- Noise model ---\nnoise_model = NoiseModel()\n"];
+  rules.forEach((rule, i) => {
+    if (rule.kind === "readout") return;
+    const label = NOISE_KINDS.find((k) => k.id === rule.kind).label;
+    const where = [
+      rule.gates.length ? `after ${rule.gates.join(", ")}` : "after every gate",
+      rule.qubits.length ? `on ${rule.qubits.map((q) => `q${q}`).join(", ")}` : "",
+    ];
+    lines.push(
+      `noise_${i} = ${ERROR_SOURCE[rule.kind](rule.rate)}  # ${label} ${where.join(" ").trim()}\n`
+    );
+  });
+
+  // One error per gate and qubits; a multi-qubit gate gets the tensor product of its
+  // qubits' errors, with IDLE on qubits a rule doesn't cover
+  const added = new Set();
+  const errorLines = [];
+  let tensored = false;
+  for (const g of expandComposites(circuit.gates, circuit.customGates ?? {})) {
+    const errors = gateErrors(rules, g);
+    const qubits = qargs(g);
+    const name = INSTRUCTION_NAMES[g.type] ?? g.type.toLowerCase();
+    for (const index of new Set(errors.map((e) => e.index))) {
+      const hit = new Set(errors.filter((e) => e.index === index).map((e) => e.qubit));
+      let error = `noise_${index}`;
+      if (qubits.length > 1) {
+        error = `on_qubits(${qubits.map((q) => (hit.has(q) ? error : "IDLE")).join(", ")})`;
+        tensored = true;
+      }
+      const line = `noise_model.add_quantum_error(${error}, ["${name}"], ${pyList(qubits)})\n`;
+      if (!added.has(line)) errorLines.push(line);
+      added.add(line);
+    }
+  }
+  if (tensored) {
+    lines.push(
+      'IDLE = pauli_error([("I", 1.0)])\n\n' +
+        "def on_qubits(*errors):\n" +
+        '    """One error for a gate from per-qubit errors, in the order of its qubits."""\n' +
+        "    out = errors[0]\n" +
+        "    for error in errors[1:]:\n" +
+        "        out = error.tensor(out)\n" +
+        "    return out\n\n"
+    );
+  }
+  lines.push(...errorLines);
+
+  readoutRates(rules, numQubits).forEach((p, q) => {
+    if (!p) return;
+    const matrix = `[[${num(1 - p)}, ${num(p)}], [${num(p)}, ${num(1 - p)}]]`;
+    lines.push(`noise_model.add_readout_error(ReadoutError(${matrix}), [${q}])\n`);
+  });
+  return lines;
+}
+
+/** @type {import("./common").Backend} */
+const qiskit = {
+  id: "qiskit",
+  label: "Qiskit (Aer)",
+  language: "python",
+  extension: "py",
+  install: "pip install qiskit qiskit-aer",
+  generate(circuit, { shots = 1024 } = {}) {
+    const { numQubits, params = {} } = circuit;
+    const symbols = parameterValues(circuit);
+    const lines = [];
+    lines.push("# Auto-generated by Quantum Circuit Builder (React)\n");
+    lines.push("# Requires: qiskit, qiskit-aer\n");
+    lines.push("from qiskit import QuantumCircuit\nfrom qiskit_aer import AerSimulator\n");
+    const noise = noiseModelLines(circuit);
+    if (noise.length) {
+      lines.push(
+        "from qiskit_aer.noise import (\n" +
+          "    NoiseModel,\n" +
+          "    ReadoutError,\n" +
+          "    amplitude_damping_error,\n" +
+          "    depolarizing_error,\n" +
+          "    pauli_error,\n" +
+          "    phase_damping_error,\n" +
+          ")\n"
+      );
+    }
+    if (symbols.length) lines.push("from qiskit.circuit import Parameter\nimport numpy as np\n");
+    lines.push("\n");
+    lines.push(`n_qubits = ${numQubits}\n`);
+    if (symbols.length) {
+      lines.push("\n# Parameters (bound at run time)\n");
+      for (const [name] of symbols) lines.push(`${name} = Parameter("${name}")\n`);
+      lines.push("\n");
+    }
+    const definitions = customDefinitions(circuit);
+    if (definitions.length) {
+      lines.push("# --- Custom gates ---\n");
+      for (const def of definitions) {
+        lines.push(`${def.name} = QuantumCircuit(${def.numQubits}, name="${def.name}")\n`);
+        for (const { gates } of columnsOf(def.gates)) {
+          for (const g of gates) lines.push(`${op(g, params, def.name)}\n`);
+        }
+        lines.push(`${def.name} = ${def.name}.to_gate()\n\n`);
+      }
+    }
+    lines.push("qc = QuantumCircuit(n_qubits, n_qubits)\n\n");
+
+    const dynamic = isDynamic(circuit.gates);
+    for (const { column, gates } of columnsOf(circuit.gates, { measurements: dynamic })) {
+      lines.push(`\n# --- Column ${column} ---\n`);
+      for (const g of gates) {
+        const line = op(g, params);
+        if (!line) continue;
+        if (g.condition) lines.push(`with qc.if_test(${ifTest(g.condition)}):\n    ${line}\n`);
+        else lines.push(`${line}\n`);
+      }
+    }
+
+    if (noise.length && definitions.length) {
+      // Aer attaches noise by gate name, so custom gates are unpacked into their parts
+      const names = pyList(definitions.map((d) => `"${d.name}"`));
+      lines.push(
+        "\n# Unpack custom gates so the noise model sees the gates inside them\n" +
+          `qc = qc.decompose(gates_to_decompose=${names}, reps=${definitions.length})\n`
+      );
+    }
+
+    const measured = measuredQubits(circuit);
+    if (!(dynamic && measured.explicit)) lines.push("\n# Measurement\n");
+    if (!measured.explicit) {
+      lines.push("for q in range(n_qubits):\n    qc.measure(q, q)\n");
+    } else if (!dynamic) {
+      for (const q of measured.qubits) lines.push(`qc.measure(${q}, ${q})\n`);
+    }
+
+    let run = "qc";
+    if (symbols.length) {
+      const values = symbols.map(([name, value]) => `${name}: ${value}`).join(", ");
+      lines.push(`\n# Bind parameter values\nbound = qc.assign_parameters({${values}})\n`);
+      run = "bound";
+    }
+
+    lines.push(...noise);
+    lines.push(
+      "\n# Simulate with AerSimulator\n" +
+        (noise.length
+          ? "sim = AerSimulator(noise_model=noise_model)\n"
+          : "sim = AerSimulator()\n") +
+        `result = sim.run(${run}, shots=${shots}).result()\n` +
+        "counts = result.get_counts()\n" +
+        "print(counts)\n"
+    );
+    return lines.join("");
+  },
+};
+
+export default qiskit;
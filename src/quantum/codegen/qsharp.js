@@ -0,0 +1,155 @@
+import { gateControls } from "../gates";
+import { columnsOf, customDefinitions, measuredQubits, parameterValues } from "./common";
+import { bindParameters } from "../parameters";
+import { isDynamic, measuredBit } from "../classical";
+
+// ------------------------------ Q# ------------------------------
+// A single entry-point operation. Results are returned q{n-1} first to match the
+// bit order of the other backends. Symbolic angles are inlined with their current values.
+// Gates without a Q# intrinsic (SX, U, iSWAP) are decomposed; SX and U only up to a global
+// phase, which is unobservable since they are never controlled. Custom gates become
+// operations on a Qubit[] defined next to Main. Dynamic circuits keep the classical register
+// in a mutable Result[] `c` and return it in full.
+
+/** Q# rotation angles are Doubles; an integer literal would not type-check. */
+function qsDouble(value) {
+  const v = value ?? 0;
+  return Number.isInteger(v) ? v.toFixed(1) : String(v);
+}
+
+const HALF_PI = qsDouble(Math.PI / 2);
+
+function op(g, w = "q") {
+  const c = gateControls(g).map((i) => `${w}[${i}]`);
+  const t = `${w}[${g.target}]`;
+  switch (g.type) {
+    case "H":
+    case "X":
+    case "Y":
+    case "Z":
+    case "S":
+    case "T":
+      return `${g.type}(${t});`;
+    case "SDG":
+    case "TDG":
+      return `Adjoint ${g.type[0]}(${t});`;
+    case "SX":
+      return `Rx(${HALF_PI}, ${t});`;
+    case "RX":
+      return `Rx(${qsDouble(g.angle)}, ${t});`;
+    case "RY":
+      return `Ry(${qsDouble(g.angle)}, ${t});`;
+    case "RZ":
+      return `Rz(${qsDouble(g.angle)}, ${t});`;
+    case "P":
+      return `R1(${qsDouble(g.angle)}, ${t});`;
+    case "U": {
+      const [theta, phi, lam] = (g.angles ?? []).map(qsDouble);
+      return `Rz(${lam ?? "0.0"}, ${t}); Ry(${theta ?? "0.0"}, ${t}); Rz(${phi ?? "0.0"}, ${t});`;
+    }
+    case "CNOT":
+      return `CNOT(${c[0]}, ${t});`;
+    case "CZ":
+      return `CZ(${c[0]}, ${t});`;
+    case "CRX":
+      return `Controlled Rx([${c[0]}], (${qsDouble(g.angle)}, ${t}));`;
+    case "CRY":
+      return `Controlled Ry([${c[0]}], (${qsDouble(g.angle)}, ${t}));`;
+    case "CRZ":
+      return `Controlled Rz([${c[0]}], (${qsDouble(g.angle)}, ${t}));`;
+    case "CP":
+      return `Controlled R1([${c[0]}], (${qsDouble(g.angle)}, ${t}));`;
+    case "CCX":
+      return `CCNOT(${c[0]}, ${c[1]}, ${t});`;
+    case "SWAP":
+      return `SWAP(${t}, ${w}[${g.pair}]);`;
+    case "ISWAP": {
+      const p = `${w}[${g.pair}]`;
+      return `S(${t}); S(${p}); H(${t}); CNOT(${t}, ${p}); CNOT(${p}, ${t}); H(${p});`;
+    }
+    case "CSWAP":
+      return `Controlled SWAP([${c[0]}], (${t}, ${w}[${g.pair}]));`;
+    case "CUSTOM":
+      return `${g.name}([${g.qubits.map((i) => `${w}[${i}]`).join(", ")}]);`;
+    case "MEASURE":
+      return `set c w/= ${measuredBit(g)} <- M(${t});`;
+    case "RESET":
+      return `Reset(${t});`;
+    default:
+      return null;
+  }
+}
+
+/** The test in `if … { }` for a condition. */
+function test({ clbit, value }) {
+  if (clbit === undefined) return `ResultArrayAsInt(c) == ${value}`;
+  return `c[${clbit}] == ${value ? "One" : "Zero"}`;
+}
+
+/** @type {import("./common").Backend} */
+const qsharp = {
+  id: "qsharp",
+  label: "Q#",
+  language: "qsharp",
+  extension: "qs",
+  install: "pip install qsharp",
+  generate(circuit, { shots = 1024 } = {}) {
+    const { numQubits, params = {} } = circuit;
+    const measured = [...measuredQubits(circuit).qubits].reverse();
+    const dynamic = isDynamic(circuit.gates);
+    const inPlace = dynamic && measuredQubits(circuit).explicit;
+    const symbols = parameterValues(circuit);
+    const lines = [];
+    lines.push("// Auto-generated by Quantum Circuit Builder (React)\n");
+    lines.push(
+      `// Run with ${shots} shots, e.g. ` +
+        `qsharp.run("QuantumCircuitBuilder.Main()", shots=${shots})\n`
+    );
+    if (symbols.length) {
+      const values = symbols.map(([name, value]) => `${name} = ${value}`).join(", ");
+      lines.push(`// Parameters inlined: ${values}\n`);
+    }
+    lines.push("namespace QuantumCircuitBuilder {\n");
+    lines.push("    open Microsoft.Quantum.Intrinsic;\n");
+    if (circuit.gates.some((g) => g.condition && g.condition.clbit === undefined)) {
+      lines.push("    open Microsoft.Quantum.Convert;\n");
+    }
+    lines.push("\n");
+    for (const def of customDefinitions(circuit)) {
+      lines.push(`    operation ${def.name}(w : Qubit[]) : Unit {\n`);
+      for (const { gates } of columnsOf(bindParameters(def.gates, params))) {
+        for (const g of gates) lines.push(`        ${op(g, "w")}\n`);
+      }
+      lines.push("    }\n\n");
+    }
+    lines.push("    @EntryPoint()\n");
+    lines.push("    operation Main() : Result[] {\n");
+    lines.push(`        use q = Qubit[${numQubits}];\n`);
+    if (dynamic) lines.push(`        mutable c = [Zero, size = ${numQubits}];\n`);
+
+    const bound = bindParameters(circuit.gates, params);
+    for (const { column, gates } of columnsOf(bound, { measurements: dynamic })) {
+      lines.push(`\n        // --- Column ${column} ---\n`);
+      for (const g of gates) {
+        if (g.condition) lines.push(`        if ${test(g.condition)} { ${op(g)} }\n`);
+        else lines.push(`        ${op(g)}\n`);
+      }
+    }
+
+    if (inPlace) {
+      const register = Array.from({ length: numQubits }, (_, k) => `c[${numQubits - 1 - k}]`);
+      lines.push("\n        ResetAll(q);\n");
+      lines.push(`        return [${register.join(", ")}];\n`);
+    } else {
+      lines.push("\n        // Measurement (deferred to the end of the circuit)\n");
+      lines.push(`        let results = [${measured.map((i) => `M(q[${i}])`).join(", ")}];\n`);
+      lines.push("        ResetAll(q);\n");
+      lines.push("        return results;\n");
+    }
+    lines.push("    }\n");
+    lines.push("}\n");
+    return lines.join("");
+  },
+};
+
+export default qsharp;
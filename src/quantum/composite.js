@@ -0,0 +1,196 @@
+// ------------------------------ Composite (Custom) Gates ------------------------------
+// A composite gate is a named sub-circuit cut out of the grid. Instances on the grid are
+// single `CUSTOM` gates that list the wires they act on; the simulator sees them expanded
+// into primitive gates, while the code generators define each sub-circuit once.
+
+import { GATE_SPECS, gateQubits, remapGate, uid } from "./gates";
+import { validateParameterName } from "./parameters";
+
+/** @typedef {import("../QuantumCircuitBuilder").Gate} Gate */
+
+/**
+ * @typedef {Object} CompositeDefinition
+ * @property {string} name
+ * @property {number} numQubits - wires of the block
+ * @property {number} numColumns - time steps of the block
+ * @property {Gate[]} gates - columns and qubits relative to the block (from 0)
+ */
+
+// Gate names of OpenQASM, the target SDKs and Q# intrinsics, plus identifiers the generated
+// code uses itself; compared case-insensitively
+const GATE_NAMES = new Set(
+  (
+    "h x y z s t sdg tdg sx rx ry rz p u u1 u2 u3 cx cy cz crx cry crz cp cu1 ccx swap iswap " +
+    "cswap cnot cphase phase id i measure reset barrier gate qreg creg qubit bit input include " +
+    "openqasm r1 ccnot m resetall main toffoli " +
+    "c w wires n n_qubits bound inputs params resolver to_bitstring values key bits print " +
+    "quantumcircuit aersimulator parameter cirq sympy math freeparameter localsimulator"
+  ).split(" ")
+);
+
+/**
+ * @param {string} name
+ * @param {Record<string, CompositeDefinition>} definitions - existing definitions
+ * @returns {string | null} error message, or null when the name is usable
+ */
+export function validateCompositeName(name, definitions = {}) {
+  const problem = validateParameterName(name);
+  if (problem) return problem;
+  const lower = name.toLowerCase();
+  if (GATE_NAMES.has(lower) || lower.toUpperCase() in GATE_SPECS) {
+    return `'${name}' is a built-in gate name.`;
+  }
+  if (name in definitions) return `'${name}' is already defined.`;
+  return null;
+}
+
+/**
+ * Cut the gates inside a grid rectangle into a definition. Leading empty columns are
+ * dropped. Throws if a gate sticks out of the rectangle, if there is nothing inside, or
+ * if the block measures (composite gates must be unitary).
+ * @param {string} name
+ * @param {Gate[]} gates
+ * @param {{ top: number, bottom: number, left: number, right: number }} rect - inclusive
+ * @returns {CompositeDefinition}
+ */
+export function defineComposite(name, gates, { top, bottom, left, right }) {
+  const inside = [];
+  for (const g of gates) {
+    if (g.column < left || g.column > right) continue;
+    const qubits = gateQubits(g);
+    const within = qubits.filter((q) => q >= top && q <= bottom).length;
+    if (within === 0) continue;
+    if (within < qubits.length) {
+      throw new Error(`${g.type} at t${g.column} crosses the edge of the selection.`);
+    }
+    if (g.type === "MEASURE") throw new Error("Composite gates cannot contain measurements.");
+    if (g.type === "RESET" || g.condition) {
+      throw new Error("Composite gates cannot contain resets or classical conditions.");
+    }
+    inside.push(g);
+  }
+  if (inside.length === 0) throw new Error("The selection contains no gates.");
+
+  const first = Math.min(...inside.map((g) => g.column));
+  const last = Math.max(...inside.map((g) => g.column));
+  return {
+    name,
+    numQubits: bottom - top + 1,
+    numColumns: last - first + 1,
+    gates: inside.map((g) =>
+      remapGate({ ...g, id: uid(g.type) }, (q) => q - top, g.column - first)
+    ),
+  };
+}
+
+/**
+ * A grid instance of a definition acting on `qubits` (one per wire of the definition).
+ * @param {string} name
+ * @param {number} column
+ * @param {number[]} qubits
+ * @returns {Gate}
+ */
+export function makeInstance(name, column, qubits) {
+  return { id: uid("CUSTOM"), type: "CUSTOM", name, column, target: qubits[0], qubits };
+}
+
+function lookup(definitions, name) {
+  const def = definitions[name];
+  if (!def) throw new Error(`Unknown custom gate '${name}'`);
+  return def;
+}
+
+/**
+ * Definitions reachable from `gates`, each listed after the ones it uses, so code can
+ * define them in order. Throws on unknown names and on definitions that use themselves.
+ * @param {Gate[]} gates
+ * @param {Record<string, CompositeDefinition>} definitions
+ * @returns {CompositeDefinition[]}
+ */
+export function compositeOrder(gates, definitions = {}) {
+  /** @type {CompositeDefinition[]} */
+  const out = [];
+  const state = {}; // name -> "visiting" | "done"
+  function visit(name) {
+    if (state[name] === "done") return;
+    if (state[name] === "visiting") throw new Error(`Custom gate '${name}' contains itself`);
+    state[name] = "visiting";
+    const def = lookup(definitions, name);
+    for (const g of def.gates) if (g.type === "CUSTOM") visit(g.name);
+    state[name] = "done";
+    out.push(def);
+  }
+  for (const g of gates) if (g.type === "CUSTOM") visit(g.name);
+  return out;
+}
+
+/**
+ * The message for a definition that contains itself, directly or through other custom
+ * gates, or null when none does. Every custom gate the definitions use must be defined.
+ * @param {Record<string, CompositeDefinition>} definitions
+ * @returns {string | null}
+ */
+export function compositeCycleError(definitions) {
+  const all = Object.keys(definitions).map((name) => ({ type: "CUSTOM", name }));
+  try {
+    compositeOrder(all, definitions);
+    return null;
+  } catch (e) {
+    return `${e.message}.`;
+  }
+}
+
+/**
+ * Whether definition `name` uses `other`, directly or through nested custom gates.
+ * @param {Record<string, CompositeDefinition>} definitions
+ * @param {string} name
+ * @param {string} other
+ */
+export function usesComposite(definitions, name, other) {
+  return compositeOrder(lookup(definitions, name).gates, definitions).some((d) => d.name === other);
+}
+
+/**
+ * Replace every CUSTOM gate (recursively) by its primitive gates. A block in column c
+ * occupies fractional columns in [c, c+1), so ordering by column still runs it in place.
+ * @param {Gate[]} gates
+ * @param {Record<string, CompositeDefinition>} definitions
+ * @returns {Gate[]}
+ */
+export function expandComposites(gates, definitions = {}) {
+  if (!gates.some((g) => g.type === "CUSTOM")) return gates;
+  compositeOrder(gates, definitions); // fail early on cycles and unknown names
+  return gates.flatMap((g) => {
+    if (g.type !== "CUSTOM") return [g];
+    const def = lookup(definitions, g.name);
+    return expandComposites(def.gates, definitions).map((inner) =>
+      remapGate(
+        { ...inner, id: `${g.id}/${inner.id}` },
+        (q) => g.qubits[q],
+        g.column + inner.column / def.numColumns
+      )
+    );
+  });
+}
+
+/**
+ * Expand one instance on the grid by a single level. Later columns shift right to make
+ * room for the block's time steps.
+ * @param {Gate[]} gates
+ * @param {string} id - instance to expand
+ * @param {Record<string, CompositeDefinition>} definitions
+ * @returns {{ gates: Gate[], addedColumns: number }}
+ */
+export function expandInstance(gates, id, definitions) {
+  const instance = gates.find((g) => g.id === id);
+  if (!instance || instance.type !== "CUSTOM") throw new Error("Not a custom gate");
+  const def = lookup(definitions, instance.name);
+  const addedColumns = def.numColumns - 1;
+  const rest = gates
+    .filter((g) => g !== instance)
+    .map((g) => (g.column > instance.column ? { ...g, column: g.column + addedColumns } : g));
+  const inner = def.gates.map((g) =>
+    remapGate({ ...g, id: uid(g.type) }, (q) => instance.qubits[q], instance.column + g.column)
+  );
+  return { gates: [...rest, ...inner], addedColumns };
+}
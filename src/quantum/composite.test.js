@@ -0,0 +1,100 @@
+import {
+  compositeOrder,
+  defineComposite,
+  expandComposites,
+  expandInstance,
+  makeInstance,
+  usesComposite,
+  validateCompositeName,
+} from "./composite";
+import { probabilities, runCircuit, runThroughColumn } from "./simulator";
+
+const grid = [
+  { id: "x", type: "X", column: 0, target: 0 },
+  { id: "h", type: "H", column: 1, target: 1 },
+  { id: "cx", type: "CNOT", column: 2, target: 2, control: 1 },
+  { id: "m", type: "MEASURE", column: 3, target: 2 },
+];
+
+const bell = defineComposite("bell", grid, { top: 1, bottom: 2, left: 1, right: 2 });
+
+test("cuts a rectangle into a relative definition", () => {
+  expect(bell).toMatchObject({ name: "bell", numQubits: 2, numColumns: 2 });
+  expect(bell.gates.map(({ id, ...g }) => g)).toEqual([
+    { type: "H", column: 0, target: 0 },
+    { type: "CNOT", column: 1, target: 1, control: 0 },
+  ]);
+});
+
+test("rejects selections that cut gates, measure or are empty", () => {
+  expect(() => defineComposite("a", grid, { top: 2, bottom: 2, left: 2, right: 2 })).toThrow(
+    "CNOT at t2 crosses the edge of the selection."
+  );
+  expect(() => defineComposite("a", grid, { top: 1, bottom: 2, left: 1, right: 3 })).toThrow(
+    "cannot contain measurements"
+  );
+  expect(() => defineComposite("a", grid, { top: 0, bottom: 2, left: 5, right: 6 })).toThrow(
+    "no gates"
+  );
+});
+
+test("validates names against built-ins and existing definitions", () => {
+  expect(validateCompositeName("bell")).toBeNull();
+  expect(validateCompositeName("CX")).toMatch(/built-in/);
+  expect(validateCompositeName("qc")).toMatch(/reserved/);
+  expect(validateCompositeName("bell", { bell })).toMatch(/already defined/);
+});
+
+test("expanded instances simulate like the original gates", () => {
+  const defs = { bell };
+  const circuit = [makeInstance("bell", 0, [2, 0])];
+  const expanded = expandComposites(circuit, defs);
+  expect(expanded.map((g) => [g.type, g.column, g.target])).toEqual([
+    ["H", 0, 2],
+    ["CNOT", 0.5, 0],
+  ]);
+  const p = probabilities(runCircuit(expanded, 3));
+  expect(p[0]).toBeCloseTo(0.5);
+  expect(p[5]).toBeCloseTo(0.5);
+
+  // The whole block belongs to its time step
+  expect(probabilities(runThroughColumn(expanded, 3, 0))[5]).toBeCloseTo(0.5);
+});
+
+test("nested definitions are ordered before their users", () => {
+  const pair = {
+    name: "pair",
+    numQubits: 3,
+    numColumns: 2,
+    gates: [makeInstance("bell", 0, [0, 1]), makeInstance("bell", 1, [1, 2])],
+  };
+  const defs = { pair, bell };
+  expect(compositeOrder([makeInstance("pair", 0, [0, 1, 2])], defs).map((d) => d.name)).toEqual([
+    "bell",
+    "pair",
+  ]);
+  expect(usesComposite(defs, "pair", "bell")).toBe(true);
+  expect(usesComposite(defs, "bell", "pair")).toBe(false);
+  expect(expandComposites([makeInstance("pair", 0, [0, 1, 2])], defs)).toHaveLength(4);
+
+  const loop = { ...bell, gates: [makeInstance("bell", 0, [0, 1])] };
+  expect(() => compositeOrder([makeInstance("bell", 0, [0, 1])], { bell: loop })).toThrow(
+    "contains itself"
+  );
+});
+
+test("expanding one instance inline shifts later columns", () => {
+  const gates = [
+    makeInstance("bell", 1, [0, 1]),
+    { id: "z", type: "Z", column: 1, target: 2 },
+    { id: "y", type: "Y", column: 2, target: 0 },
+  ];
+  const { gates: out, addedColumns } = expandInstance(gates, gates[0].id, { bell });
+  expect(addedColumns).toBe(1);
+  expect(out.map((g) => [g.type, g.column, g.target]).sort()).toEqual([
+    ["CNOT", 2, 1],
+    ["H", 1, 0],
+    ["Y", 3, 0],
+    ["Z", 1, 2],
+  ]);
+});
@@ -0,0 +1,105 @@
+// ------------------------------ Measurement Counts ------------------------------
+// Helpers shared by the results panel: reading a Qiskit `print(counts)` dict out of
+// kernel output, and turning counts/probabilities into sorted histogram rows.
+
+import { toBitstring } from "./simulator";
+
+/**
+ * @typedef {Object} HistogramRow
+ * @property {string} bitstring
+ * @property {number} count - observed shots (0 if never seen)
+ * @property {number} probability - exact if known, otherwise count / shots
+ */
+
+/** Above this many classical bits we only list observed outcomes, not all 2^n. */
+export const MAX_ENUMERATED_BITS = 8;
+
+// A Python dict literal whose keys are quoted bitstrings (Qiskit may space-separate
+// registers) and whose values are integers, e.g. {'00': 498, '11': 526}.
+const COUNTS_DICT_RE =
+  /\{\s*(['"][01 ]+['"]\s*:\s*\d+\s*(?:,\s*['"][01 ]+['"]\s*:\s*\d+\s*)*),?\s*\}/g;
+const COUNTS_ENTRY_RE = /['"]([01 ]+)['"]\s*:\s*(\d+)/g;
+
+/**
+ * Pull the last counts dict out of free-form kernel output.
+ * @param {string} text
+ * @returns {Record<string, number> | null}
+ */
+export function parseCounts(text) {
+  const dicts = Array.from(String(text || "").matchAll(COUNTS_DICT_RE));
+  if (dicts.length === 0) return null;
+  const body = dicts[dicts.length - 1][1];
+
+  /** @type {Record<string, number>} */
+  const counts = {};
+  for (const [, key, value] of body.matchAll(COUNTS_ENTRY_RE)) {
+    const bits = key.replace(/\s+/g, "");
+    counts[bits] = (counts[bits] || 0) + Number(value);
+  }
+  return counts;
+}
+
+/**
+ * @param {Record<string, number>} counts
+ */
+export function totalShots(counts) {
+  return Object.values(counts).reduce((a, b) => a + b, 0);
+}
+
+/**
+ * Build rows for the histogram.
+ * @param {Object} input
+ * @param {Record<string, number>} input.counts
+ * @param {Float64Array=} input.probabilities - exact per-basis-state probabilities (local sim)
+ * @param {number=} input.numBits - classical bits; inferred from the counts keys if omitted
+ * @param {number[]=} input.measured - qubits read out; needed to fold exact probabilities
+ * @param {{ sortBy?: "bitstring"|"frequency", hideZero?: boolean }} [options]
+ * @returns {HistogramRow[]}
+ */
+export function histogramRows(
+  { counts, probabilities, numBits, measured },
+  { sortBy = "bitstring", hideZero = false } = {}
+) {
+  const keys = Object.keys(counts);
+  const bits = numBits ?? (keys[0] ? keys[0].length : 0);
+  const shots = totalShots(counts);
+
+  // Exact probabilities are indexed by basis state; fold away unmeasured qubits so they
+  // line up with the bitstrings in `counts`.
+  /** @type {Map<string, number> | null} */
+  let exact = null;
+  if (probabilities) {
+    let mask = 0;
+    for (const q of measured ?? Array.from({ length: bits }, (_, q) => q)) mask |= 1 << q;
+    exact = new Map();
+    for (let i = 0; i < probabilities.length; i++) {
+      if (probabilities[i] === 0) continue;
+      const key = toBitstring(i & mask, bits);
+      exact.set(key, (exact.get(key) || 0) + probabilities[i]);
+    }
+  }
+
+  const all = new Set(keys);
+  if (exact) for (const k of exact.keys()) all.add(k);
+  if (bits <= MAX_ENUMERATED_BITS) {
+    for (let i = 0; i < 1 << bits; i++) all.add(toBitstring(i, bits));
+  }
+
+  let rows = Array.from(all, (bitstring) => {
+    const count = counts[bitstring] || 0;
+    const probability = exact ? exact.get(bitstring) || 0 : shots ? count / shots : 0;
+    return { bitstring, count, probability };
+  });
+
+  if (hideZero) rows = rows.filter((r) => r.count > 0 || r.probability > 1e-12);
+
+  if (sortBy === "frequency") {
+    rows.sort(
+      (a, b) =>
+        b.count - a.count || b.probability - a.probability || a.bitstring.localeCompare(b.bitstring)
+    );
+  } else {
+    rows.sort((a, b) => a.bitstring.localeCompare(b.bitstring));
+  }
+  return rows;
+}
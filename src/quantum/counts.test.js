@@ -0,0 +1,42 @@
+import { histogramRows, parseCounts, totalShots } from "./counts";
+
+test("parses the counts dict printed by Qiskit", () => {
+  const text = "Job done\n{'00': 498, '11': 526}\n";
+  expect(parseCounts(text)).toEqual({ "00": 498, 11: 526 });
+});
+
+test("uses the last dict and merges space-separated registers", () => {
+  const text = "{'0': 1}\n{'01 1': 3, '10 0': 5}";
+  expect(parseCounts(text)).toEqual({ "011": 3, 100: 5 });
+});
+
+test("returns null when no counts are present", () => {
+  expect(parseCounts("Traceback ... {'a': 1}")).toBeNull();
+});
+
+test("enumerates every outcome and can hide zeros", () => {
+  const counts = { "00": 3, 11: 1 };
+  expect(totalShots(counts)).toBe(4);
+
+  const all = histogramRows({ counts });
+  expect(all.map((r) => r.bitstring)).toEqual(["00", "01", "10", "11"]);
+  expect(all[0].probability).toBeCloseTo(0.75);
+
+  const nonZero = histogramRows({ counts }, { hideZero: true });
+  expect(nonZero.map((r) => r.bitstring)).toEqual(["00", "11"]);
+});
+
+test("sorts by frequency", () => {
+  const rows = histogramRows({ counts: { "00": 1, "01": 5, 10: 3 } }, { sortBy: "frequency" });
+  expect(rows.map((r) => r.bitstring)).toEqual(["01", "10", "00", "11"]);
+});
+
+test("folds exact probabilities onto the measured qubits", () => {
+  // |+⟩ on q0, q1 = 1, only q1 measured: every shot reads "10"
+  const probabilities = Float64Array.from([0, 0, 0.5, 0.5]);
+  const rows = histogramRows(
+    { counts: { 10: 10 }, probabilities, numBits: 2, measured: [1] },
+    { hideZero: true }
+  );
+  expect(rows).toEqual([{ bitstring: "10", count: 10, probability: 1 }]);
+});
@@ -0,0 +1,214 @@
+// ------------------------------ Density-Matrix Simulator ------------------------------
+// Mixed-state engine for noisy runs. ρ is stored like a statevector on 2n qubits: entry
+// ρ[r][c] sits at index r + c·2^n, so a gate U becomes U on the low n bits (rows) and
+// conj(U) on the high n bits (columns), reusing the statevector kernels.
+
+import {
+  applyGate,
+  applyMatrix,
+  conjugateMatrix,
+  createState,
+  readoutQubits,
+  sampleCounts,
+  seededRandom,
+  sortGates,
+} from "./simulator";
+import { activeRules, gateErrors, krausOperators, readoutRates } from "./noise";
+import { remapGate } from "./gates";
+import { isDynamic } from "./classical";
+
+/** @typedef {import("../QuantumCircuitBuilder").Gate} Gate */
+/** @typedef {import("./simulator").StateVector} StateVector */
+
+/** 4^n entries get large quickly; 10 qubits is a million. */
+export const DENSITY_MAX_QUBITS = 10;
+
+/**
+ * @typedef {Object} DensityMatrix
+ * @property {number} numQubits
+ * @property {Float64Array} re - length 4^numQubits, entry r + c·2^numQubits
+ * @property {Float64Array} im
+ */
+
+/**
+ * @typedef {Object} NoisySimulationResult
+ * @property {DensityMatrix} density - final state before measurement
+ * @property {Float64Array} probabilities - per basis state, readout errors included
+ * @property {Record<string, number>} counts
+ * @property {number} shots
+ * @property {number[]} measured
+ * @property {{ column: number, fidelity: number }[]} fidelity - ⟨ψ|ρ|ψ⟩ against the ideal
+ *   state after each time step
+ * @property {number} purity - Tr(ρ²) at the end
+ */
+
+/**
+ * |0…0⟩⟨0…0| on `numQubits` qubits.
+ * @param {number} numQubits
+ * @returns {DensityMatrix}
+ */
+export function createDensity(numQubits) {
+  if (!Number.isInteger(numQubits) || numQubits < 1 || numQubits > DENSITY_MAX_QUBITS) {
+    throw new RangeError(`The density matrix supports 1..${DENSITY_MAX_QUBITS} qubits`);
+  }
+  const size = 1 << (2 * numQubits);
+  const re = new Float64Array(size);
+  const im = new Float64Array(size);
+  re[0] = 1;
+  return { numQubits, re, im };
+}
+
+/**
+ * ρ → UρU† for one gate. Mutates `rho` in place.
+ * @param {DensityMatrix} rho
+ * @param {Gate} gate
+ */
+export function applyGateToDensity(rho, gate) {
+  const n = rho.numQubits;
+  applyGate(rho, gate);
+  applyGate(
+    rho,
+    remapGate(gate, (q) => q + n, gate.column),
+    { conjugate: true }
+  );
+}
+
+/**
+ * ρ → Σ KρK† over the Kraus operators of a single-qubit channel. Mutates `rho` in place.
+ * @param {DensityMatrix} rho
+ * @param {number[][][]} operators
+ * @param {number} qubit
+ */
+export function applyChannel(rho, operators, qubit) {
+  const n = rho.numQubits;
+  const re = new Float64Array(rho.re.length);
+  const im = new Float64Array(rho.im.length);
+  for (const k of operators) {
+    const term = { re: rho.re.slice(), im: rho.im.slice() };
+    applyMatrix(term, k, qubit);
+    applyMatrix(term, conjugateMatrix(k), qubit + n);
+    for (let i = 0; i < re.length; i++) {
+      re[i] += term.re[i];
+      im[i] += term.im[i];
+    }
+  }
+  rho.re.set(re);
+  rho.im.set(im);
+}
+
+/**
+ * Diagonal of ρ: the probability of each basis state.
+ * @param {DensityMatrix} rho
+ * @returns {Float64Array}
+ */
+export function densityProbabilities(rho) {
+  const dim = 1 << rho.numQubits;
+  const p = new Float64Array(dim);
+  for (let i = 0; i < dim; i++) p[i] = Math.max(0, rho.re[i + i * dim]);
+  return p;
+}
+
+/**
+ * ⟨ψ|ρ|ψ⟩, how close a mixed state is to a pure one.
+ * @param {DensityMatrix} rho
+ * @param {StateVector} psi
+ * @returns {number}
+ */
+export function fidelity(rho, psi) {
+  const dim = 1 << rho.numQubits;
+  let total = 0;
+  for (let c = 0; c < dim; c++) {
+    // (ρψ)_r summed against conj(ψ_r), one column of ρ at a time
+    for (let r = 0; r < dim; r++) {
+      const i = r + c * dim;
+      const xr = rho.re[i] * psi.re[c] - rho.im[i] * psi.im[c];
+      const xi = rho.re[i] * psi.im[c] + rho.im[i] * psi.re[c];
+      total += psi.re[r] * xr + psi.im[r] * xi;
+    }
+  }
+  return total;
+}
+
+/**
+ * Tr(ρ²): 1 for a pure state, 1/2^n for the maximally mixed one.
+ * @param {DensityMatrix} rho
+ * @returns {number}
+ */
+export function purity(rho) {
+  // ρ is Hermitian, so Tr(ρ²) = Σ |ρ_rc|²
+  let total = 0;
+  for (let i = 0; i < rho.re.length; i++) total += rho.re[i] ** 2 + rho.im[i] ** 2;
+  return total;
+}
+
+/**
+ * Flip each measured bit with its readout error rate.
+ * @param {Float64Array} probs
+ * @param {number[]} flips - per qubit, from readoutRates()
+ * @param {number[]} measured
+ * @returns {Float64Array}
+ */
+export function applyReadoutErrors(probs, flips, measured) {
+  let p = probs;
+  for (const q of measured) {
+    const rate = flips[q];
+    if (!rate) continue;
+    const bit = 1 << q;
+    const next = new Float64Array(p.length);
+    for (let i = 0; i < p.length; i++) next[i] = (1 - rate) * p[i] + rate * p[i ^ bit];
+    p = next;
+  }
+  return p;
+}
+
+/**
+ * Run the circuit as a density matrix with the noise model applied, then sample shots.
+ * Measurement follows simulate(): MEASURE qubits are read out, or every qubit if there
+ * are none. Dynamic circuits (see isDynamic()) are not supported.
+ * @param {Gate[]} gates - with bound parameters and no custom gates
+ * @param {number} numQubits
+ * @param {import("./noise").NoiseModel} noise
+ * @param {{ shots?: number, seed?: number }} [options]
+ * @returns {NoisySimulationResult}
+ */
+export function simulateDensity(gates, numQubits, noise, { shots = 1024, seed } = {}) {
+  if (isDynamic(gates)) {
+    throw new Error(
+      "Noisy simulation doesn't support mid-circuit measurement, reset or conditions."
+    );
+  }
+  const rules = activeRules(noise, numQubits);
+  const rho = createDensity(numQubits);
+  const ideal = createState(numQubits);
+  const trace = [];
+  const sorted = sortGates(gates);
+  sorted.forEach((g, i) => {
+    applyGateToDensity(rho, g);
+    applyGate(ideal, g);
+    for (const { rule, qubit } of gateErrors(rules, g)) {
+      applyChannel(rho, krausOperators(rule.kind, rule.rate), qubit);
+    }
+    // Expanded custom gates sit at fractional columns within their time step
+    const step = Math.floor(g.column);
+    if (i === sorted.length - 1 || Math.floor(sorted[i + 1].column) !== step) {
+      trace.push({ column: step, fidelity: fidelity(rho, ideal) });
+    }
+  });
+
+  const measured = readoutQubits(gates, numQubits);
+  const probs = applyReadoutErrors(
+    densityProbabilities(rho),
+    readoutRates(rules, numQubits),
+    measured
+  );
+  const random = seed === undefined ? Math.random : seededRandom(seed);
+  return {
+    density: rho,
+    probabilities: probs,
+    counts: sampleCounts(probs, numQubits, shots, measured, random),
+    shots,
+    measured,
+    fidelity: trace,
+    purity: purity(rho),
+  };
+}
@@ -0,0 +1,86 @@
+import {
+  applyChannel,
+  createDensity,
+  densityProbabilities,
+  purity,
+  simulateDensity,
+} from "./densityMatrix";
+import { krausOperators } from "./noise";
+import { probabilities, runCircuit } from "./simulator";
+import { g } from "./testing";
+
+const rule = (kind, rate, extra = {}) => ({ kind, rate, gates: [], qubits: [], ...extra });
+const noisy = (...rules) => ({ enabled: true, rules });
+
+const mixed = [
+  g("H", 0, 0),
+  g("RY", 0, 1, { angle: 0.4 }),
+  g("U", 0, 2, { angles: [0.3, 1.1, -0.7] }),
+  g("CNOT", 1, 1, { control: 0 }),
+  g("ISWAP", 2, 1, { pair: 2 }),
+  g("CP", 3, 0, { controls: [2], angle: 0.9 }),
+  g("CSWAP", 4, 0, { controls: [1], pair: 2 }),
+  g("SDG", 5, 2),
+];
+
+test("without noise it matches the statevector", () => {
+  const result = simulateDensity(mixed, 3, noisy(), { shots: 10, seed: 1 });
+  const ideal = probabilities(runCircuit(mixed, 3));
+  result.probabilities.forEach((p, i) => expect(p).toBeCloseTo(ideal[i], 10));
+  expect(result.purity).toBeCloseTo(1, 10);
+  expect(result.fidelity.map((f) => f.column)).toEqual([0, 1, 2, 3, 4, 5]);
+  for (const { fidelity } of result.fidelity) expect(fidelity).toBeCloseTo(1, 10);
+});
+
+test("disabled noise is ignored", () => {
+  const result = simulateDensity(mixed, 3, { enabled: false, rules: [rule("depolarizing", 1)] });
+  expect(result.purity).toBeCloseTo(1, 10);
+});
+
+test("full depolarizing noise leaves the maximally mixed state", () => {
+  const result = simulateDensity([g("X", 0, 0)], 1, noisy(rule("depolarizing", 1)));
+  expect(Array.from(result.probabilities)).toEqual([0.5, 0.5]);
+  expect(result.purity).toBeCloseTo(0.5, 10);
+  expect(result.fidelity[0].fidelity).toBeCloseTo(0.5, 10);
+});
+
+test("amplitude damping decays |1⟩ towards |0⟩", () => {
+  const result = simulateDensity([g("X", 0, 0)], 1, noisy(rule("amplitude_damping", 0.3)));
+  expect(result.probabilities[1]).toBeCloseTo(0.7, 10);
+});
+
+test("phase damping shrinks coherences but keeps populations", () => {
+  const rho = createDensity(1);
+  rho.re.set([0.5, 0.5, 0.5, 0.5]); // |+⟩⟨+|
+  applyChannel(rho, krausOperators("phase_damping", 0.36), 0);
+  expect(Array.from(densityProbabilities(rho))).toEqual([0.5, 0.5]);
+  expect(rho.re[1]).toBeCloseTo(0.5 * 0.8, 10);
+  expect(purity(rho)).toBeCloseTo(0.5 + 2 * 0.16, 10);
+});
+
+test("rules follow only their gates and qubits", () => {
+  const gates = [g("X", 0, 0), g("X", 0, 1), g("CNOT", 1, 1, { control: 0 })];
+  // Damping after the CNOT on q1 only: q1 is back to |0⟩ by then, so nothing changes
+  const onCnot = noisy(rule("amplitude_damping", 1, { gates: ["CNOT"], qubits: [1] }));
+  expect(simulateDensity(gates, 2, onCnot).probabilities[1]).toBeCloseTo(1, 10);
+  // Damping after X on q1 resets it before the CNOT flips it back to |1⟩
+  const onX = noisy(rule("amplitude_damping", 1, { gates: ["X"], qubits: [1] }));
+  expect(simulateDensity(gates, 2, onX).probabilities[3]).toBeCloseTo(1, 10);
+});
+
+test("readout errors flip measured bits only", () => {
+  const gates = [g("X", 0, 0), g("MEASURE", 1, 0)];
+  const result = simulateDensity(gates, 2, noisy(rule("readout", 0.1), rule("readout", 0.1)), {
+    shots: 100,
+    seed: 3,
+  });
+  // Two 10% flips combine into 18%
+  expect(result.probabilities[0]).toBeCloseTo(0.18, 10);
+  expect(result.probabilities[1]).toBeCloseTo(0.82, 10);
+  expect(result.probabilities[2]).toBe(0);
+  expect(Object.keys(result.counts).sort()).toEqual(["00", "01"]);
+});
+
+test("refuses circuits too large for a density matrix", () => {
+  expect(() => createDensity(11)).toThrow(RangeError);
+});
@@ -0,0 +1,176 @@
+// ------------------------------ Angle Expressions ------------------------------
+// Tiny recursive-descent evaluator for angle arithmetic such as `pi/4`, `-3*pi/2` or
+// `2*theta + 0.1`. Never uses eval(); unknown names raise an error.
+
+const CONSTANTS = { pi: Math.PI, π: Math.PI, tau: 2 * Math.PI, e: Math.E };
+
+const FUNCTIONS = {
+  sin: Math.sin,
+  cos: Math.cos,
+  tan: Math.tan,
+  exp: Math.exp,
+  ln: Math.log,
+  sqrt: Math.sqrt,
+};
+
+const TOKEN_RE =
+  /\s*(?:(\d+\.?\d*(?:[eE][+-]?\d+)?|\.\d+(?:[eE][+-]?\d+)?)|([A-Za-z_π][\w]*)|(\*\*|[-+*/^(),]))/y;
+
+/**
+ * @param {string} source
+ * @returns {{ kind: "num"|"name"|"op", value: string }[]}
+ */
+function tokenize(source) {
+  const tokens = [];
+  let pos = 0;
+  while (pos < source.length) {
+    if (/^\s*$/.test(source.slice(pos))) break;
+    TOKEN_RE.lastIndex = pos;
+    const m = TOKEN_RE.exec(source);
+    if (!m) throw new Error(`Unexpected character '${source.slice(pos).trim()[0]}'`);
+    if (m[1] !== undefined) tokens.push({ kind: "num", value: m[1] });
+    else if (m[2] !== undefined) tokens.push({ kind: "name", value: m[2] });
+    else tokens.push({ kind: "op", value: m[3] === "**" ? "^" : m[3] });
+    pos = TOKEN_RE.lastIndex;
+  }
+  return tokens;
+}
+
+/**
+ * Names referenced by an expression, excluding built-in constants and functions.
+ * @param {string} source
+ * @returns {string[]}
+ */
+export function expressionSymbols(source) {
+  const names = new Set();
+  const tokens = tokenize(String(source));
+  tokens.forEach((t, i) => {
+    if (t.kind !== "name" || t.value in CONSTANTS) return;
+    const next = tokens[i + 1];
+    if (t.value in FUNCTIONS && next && next.value === "(") return;
+    names.add(t.value);
+  });
+  return Array.from(names);
+}
+
+/**
+ * Evaluate an angle expression.
+ * @param {string} source
+ * @param {Record<string, number>} [scope] - values for named parameters
+ * @returns {number}
+ */
+export function evaluateExpression(source, scope = {}) {
+  const tokens = tokenize(String(source));
+  let i = 0;
+
+  const peek = () => tokens[i];
+  const take = (value) => {
+    const t = tokens[i];
+    if (!t || (value !== undefined && t.value !== value)) {
+      throw new Error(value ? `Expected '${value}'` : "Unexpected end of expression");
+    }
+    i++;
+    return t;
+  };
+
+  // sum := product (("+"|"-") product)*
+  function sum() {
+    let v = product();
+    while (peek() && (peek().value === "+" || peek().value === "-")) {
+      v = take().value === "+" ? v + product() : v - product();
+    }
+    return v;
+  }
+
+  // product := unary (("*"|"/") unary)*
+  function product() {
+    let v = unary();
+    while (peek() && (peek().value === "*" || peek().value === "/")) {
+      v = take().value === "*" ? v * unary() : v / unary();
+    }
+    return v;
+  }
+
+  // unary := ("-"|"+") unary | power
+  function unary() {
+    if (peek() && (peek().value === "-" || peek().value === "+")) {
+      return take().value === "-" ? -unary() : unary();
+    }
+    return power();
+  }
+
+  // power := atom ("^" unary)?   (right-associative)
+  function power() {
+    const base = atom();
+    if (peek() && peek().value === "^") {
+      take();
+      return Math.pow(base, unary());
+    }
+    return base;
+  }
+
+  function atom() {
+    const t = take();
+    if (t.kind === "num") return Number(t.value);
+    if (t.kind === "name") {
+      if (t.value in FUNCTIONS && peek() && peek().value === "(") {
+        take("(");
+        const arg = sum();
+        take(")");
+        return FUNCTIONS[t.value](arg);
+      }
+      if (Object.prototype.hasOwnProperty.call(scope, t.value)) return Number(scope[t.value]);
+      if (t.value in CONSTANTS) return CONSTANTS[t.value];
+      throw new Error(`Unknown name '${t.value}'`);
+    }
+    if (t.value === "(") {
+      const v = sum();
+      take(")");
+      return v;
+    }
+    throw new Error(`Unexpected '${t.value}'`);
+  }
+
+  if (tokens.length === 0) throw new Error("Empty expression");
+  const value = sum();
+  if (i < tokens.length) throw new Error(`Unexpected '${tokens[i].value}'`);
+  return value;
+}
+
+/**
+ * Re-emit an expression in another language's syntax (e.g. Python), renaming constants
+ * and functions along the way. Parameter names are passed through unchanged.
+ * @param {string} source
+ * @param {Object} target
+ * @param {(name: string) => string} target.constant - for pi / π / tau / e
+ * @param {(name: string) => string} target.func - for sin, cos, …
+ * @param {string} [target.power] - exponent operator
+ * @param {Record<string, unknown>} [target.scope] - names that shadow constants
+ * @returns {string}
+ */
+export function translateExpression(source, { constant, func, power = "**", scope = {} }) {
+  const tokens = tokenize(String(source));
+  let out = "";
+  tokens.forEach((t, i) => {
+    const prev = tokens[i - 1];
+    const next = tokens[i + 1];
+    if (t.kind === "num") {
+      out += t.value;
+    } else if (t.kind === "name") {
+      if (t.value in FUNCTIONS && next && next.value === "(") out += func(t.value);
+      else if (t.value in CONSTANTS && !(t.value in scope)) out += constant(t.value);
+      else out += t.value;
+    } else if (t.value === "(" || t.value === ")") {
+      out += t.value;
+    } else if (t.value === ",") {
+      out += ", ";
+    } else {
+      const unary =
+        (t.value === "-" || t.value === "+") &&
+        (!prev || (prev.kind === "op" && prev.value !== ")"));
+      const op = t.value === "^" ? power : t.value;
+      out += unary ? op : ` ${op} `;
+    }
+  });
+  return out;
+}
@@ -0,0 +1,29 @@
+import { evaluateExpression, expressionSymbols } from "./expression";
+
+test("evaluates arithmetic with precedence", () => {
+  expect(evaluateExpression("1 + 2 * 3")).toBe(7);
+  expect(evaluateExpression("(1 + 2) * 3")).toBe(9);
+  expect(evaluateExpression("-2^2")).toBe(-4);
+  expect(evaluateExpression("2**3")).toBe(8);
+  expect(evaluateExpression("1e-3 * 1000")).toBeCloseTo(1);
+});
+
+test("knows pi and the qelib1 functions", () => {
+  expect(evaluateExpression("pi/4")).toBeCloseTo(Math.PI / 4);
+  expect(evaluateExpression("-3*π/2")).toBeCloseTo((-3 * Math.PI) / 2);
+  expect(evaluateExpression("cos(pi)")).toBeCloseTo(-1);
+  expect(evaluateExpression("sqrt(2)")).toBeCloseTo(Math.SQRT2);
+});
+
+test("resolves named parameters from scope", () => {
+  expect(evaluateExpression("2*phi + pi/4", { phi: 1 })).toBeCloseTo(2 + Math.PI / 4);
+  expect(expressionSymbols("2*phi + pi/4 - cos(theta_0)")).toEqual(["phi", "theta_0"]);
+});
+
+test("rejects malformed input", () => {
+  expect(() => evaluateExpression("")).toThrow("Empty expression");
+  expect(() => evaluateExpression("1 +")).toThrow();
+  expect(() => evaluateExpression("(1")).toThrow("Expected ')'");
+  expect(() => evaluateExpression("x")).toThrow("Unknown name 'x'");
+  expect(() => evaluateExpression("1; alert(1)")).toThrow("Unexpected character ';'");
+});
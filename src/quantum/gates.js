@@ -0,0 +1,141 @@
+// ------------------------------ Gate Model Helpers ------------------------------
+// Small helpers over the builder's `Gate` objects that don't depend on React.
+
+/** @typedef {import("../QuantumCircuitBuilder").Gate} Gate */
+
+/**
+ * @typedef {Object} GateSpec
+ * @property {string} label - palette / grid label
+ * @property {number} controls - number of control qubits
+ * @property {1|2} targets - 2 for swap-like gates (target + pair)
+ * @property {string[]} params - names of the angle parameters, in order
+ * @property {string=} base - for controlled gates, the single-qubit gate applied to the target
+ */
+
+/** @type {Record<string, GateSpec>} */
+export const GATE_SPECS = {
+  H: { label: "H", controls: 0, targets: 1, params: [] },
+  X: { label: "X", controls: 0, targets: 1, params: [] },
+  Y: { label: "Y", controls: 0, targets: 1, params: [] },
+  Z: { label: "Z", controls: 0, targets: 1, params: [] },
+  S: { label: "S", controls: 0, targets: 1, params: [] },
+  T: { label: "T", controls: 0, targets: 1, params: [] },
+  SDG: { label: "S†", controls: 0, targets: 1, params: [] },
+  TDG: { label: "T†", controls: 0, targets: 1, params: [] },
+  SX: { label: "√X", controls: 0, targets: 1, params: [] },
+  RX: { label: "RX", controls: 0, targets: 1, params: ["θ"] },
+  RY: { label: "RY", controls: 0, targets: 1, params: ["θ"] },
+  RZ: { label: "RZ", controls: 0, targets: 1, params: ["θ"] },
+  P: { label: "P", controls: 0, targets: 1, params: ["λ"] },
+  U: { label: "U", controls: 0, targets: 1, params: ["θ", "φ", "λ"] },
+  CNOT: { label: "CNOT", controls: 1, targets: 1, params: [], base: "X" },
+  CZ: { label: "CZ", controls: 1, targets: 1, params: [], base: "Z" },
+  CRX: { label: "CRX", controls: 1, targets: 1, params: ["θ"], base: "RX" },
+  CRY: { label: "CRY", controls: 1, targets: 1, params: ["θ"], base: "RY" },
+  CRZ: { label: "CRZ", controls: 1, targets: 1, params: ["θ"], base: "RZ" },
+  CP: { label: "CP", controls: 1, targets: 1, params: ["λ"], base: "P" },
+  CCX: { label: "CCX", controls: 2, targets: 1, params: [], base: "X" },
+  SWAP: { label: "SWAP", controls: 0, targets: 2, params: [] },
+  ISWAP: { label: "iSWAP", controls: 0, targets: 2, params: [] },
+  CSWAP: { label: "CSWAP", controls: 1, targets: 2, params: [] },
+  MEASURE: { label: "Measure", controls: 0, targets: 1, params: [] },
+  RESET: { label: "Reset", controls: 0, targets: 1, params: [] },
+};
+
+export function uid(prefix = "g") {
+  return `${prefix}_${Math.random().toString(36).slice(2, 9)}`;
+}
+
+/**
+ * Build a gate in the stored shape for its type: CNOT/CZ keep a single `control`, other
+ * controlled gates a `controls` list; one-angle gates use `angle`/`expr`, U uses
+ * `angles`/`exprs`. A slot with an `expr` has no literal angle.
+ * @param {string} type - key of GATE_SPECS
+ * @param {{ column: number, target: number, controls?: number[], pair?: number,
+ *   params?: { angle?: number, expr?: string }[] }} placement
+ * @returns {Gate}
+ */
+export function makeGate(type, { column, target, controls = [], pair, params = [] }) {
+  const spec = GATE_SPECS[type];
+  /** @type {Gate} */
+  const g = { id: uid(type), type, column, target };
+  if (type === "CNOT" || type === "CZ") g.control = controls[0];
+  else if (spec.controls > 0) g.controls = controls.slice(0, spec.controls);
+  if (spec.targets === 2) g.pair = pair;
+  if (spec.params.length === 1) {
+    if (params[0]?.expr) g.expr = params[0].expr;
+    else g.angle = params[0]?.angle ?? 0;
+  } else if (spec.params.length > 1) {
+    const slots = spec.params.map((_, i) => params[i] ?? {});
+    g.angles = slots.map((p) => (p.expr ? undefined : (p.angle ?? 0)));
+    if (slots.some((p) => p.expr)) g.exprs = slots.map((p) => p.expr ?? null);
+  }
+  return g;
+}
+
+/**
+ * Control qubits of a gate. CNOT/CZ store a single `control`; other controlled gates
+ * store a `controls` list.
+ * @param {Gate} g
+ * @returns {number[]}
+ */
+export function gateControls(g) {
+  if (Array.isArray(g.controls)) return g.controls;
+  if (typeof g.control === "number") return [g.control];
+  return [];
+}
+
+/**
+ * Angle parameters of a gate as `{ angle, expr }` pairs, in GATE_SPECS order. Gates with
+ * one parameter use `angle`/`expr`; U keeps its three in `angles`/`exprs`.
+ * @param {Gate} g
+ * @returns {{ angle: number | undefined, expr: string | undefined }[]}
+ */
+export function gateParams(g) {
+  const names = GATE_SPECS[g.type]?.params ?? [];
+  if (names.length === 0) return [];
+  if (names.length === 1) return [{ angle: g.angle, expr: g.expr }];
+  return names.map((_, i) => ({
+    angle: g.angles?.[i],
+    expr: g.exprs?.[i] ?? undefined,
+  }));
+}
+
+/**
+ * Every qubit a gate acts on: target first, then controls, then the swap partner. Custom
+ * (composite) gates list their wires in `qubits`.
+ * @param {Gate} g
+ * @returns {number[]}
+ */
+export function gateQubits(g) {
+  if (g.type === "CUSTOM") return g.qubits;
+  const qubits = [g.target, ...gateControls(g)];
+  if (GATE_SPECS[g.type]?.targets === 2 && typeof g.pair === "number") qubits.push(g.pair);
+  return qubits;
+}
+
+/**
+ * Rows a gate covers on the grid, including the wires a multi-qubit connector crosses.
+ * @param {Gate} g
+ * @returns {{ top: number, bottom: number }}
+ */
+export function gateSpan(g) {
+  const qubits = gateQubits(g);
+  return { top: Math.min(...qubits), bottom: Math.max(...qubits) };
+}
+
+/**
+ * Move a gate onto other wires and another column.
+ * @param {Gate} g
+ * @param {(q: number) => number} wire - new qubit for each old one
+ * @param {number} column
+ * @returns {Gate}
+ */
+export function remapGate(g, wire, column) {
+  const out = { ...g, column, target: wire(g.target) };
+  if (typeof g.control === "number") out.control = wire(g.control);
+  if (Array.isArray(g.controls)) out.controls = g.controls.map(wire);
+  if (typeof g.pair === "number") out.pair = wire(g.pair);
+  if (Array.isArray(g.qubits)) out.qubits = g.qubits.map(wire);
+  return out;
+}
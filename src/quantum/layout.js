@@ -0,0 +1,205 @@
+// ------------------------------ Grid Layout Editing ------------------------------
+// Placement rules and the bulk edits behind the grid: validating where a gate may go,
+// picking default qubits for a dropped gate, and moving, copying and pasting selections.
+// Everything returns new gate objects; callers record the result as one undoable step.
+
+import { GATE_SPECS, gateQubits, remapGate, uid } from "./gates";
+import { classicalConflict, classicalError } from "./classical";
+
+/** @typedef {import("../QuantumCircuitBuilder").Gate} Gate */
+/** @typedef {{ top: number, bottom: number, left: number, right: number }} Rect */
+
+function label(g) {
+  return g.type === "CUSTOM" ? g.name : (GATE_SPECS[g.type]?.label ?? g.type);
+}
+
+/**
+ * Why `gate` cannot stand where it is, or null if it can. Gates listed in `ignore` (by id)
+ * are treated as absent, e.g. the gate being edited or the ones being moved with it.
+ * @param {Gate[]} gates - the rest of the circuit
+ * @param {Gate} gate
+ * @param {{ numQubits: number, numColumns: number }} size
+ * @param {Iterable<string>} [ignore]
+ * @returns {string | null}
+ */
+export function placementError(gates, gate, { numQubits, numColumns }, ignore = []) {
+  const skip = new Set(ignore);
+  const qubits = gateQubits(gate);
+  if (gate.column < 0 || gate.column >= numColumns) {
+    return `t${gate.column} is outside the circuit (t0..t${numColumns - 1}).`;
+  }
+  for (const q of qubits) {
+    if (!Number.isInteger(q) || q < 0 || q >= numQubits) {
+      return `q${q} is outside the circuit (q0..q${numQubits - 1}).`;
+    }
+  }
+  const repeated = qubits.find((q, i) => qubits.indexOf(q) !== i);
+  if (repeated !== undefined) return `${label(gate)} uses q${repeated} twice.`;
+  const classical = classicalError(gate, numQubits);
+  if (classical) return classical;
+  for (const other of gates) {
+    if (other.column !== gate.column || other.id === gate.id || skip.has(other.id)) continue;
+    const busy = gateQubits(other).find((q) => qubits.includes(q));
+    if (busy !== undefined) return `q${busy} is already occupied at t${gate.column}.`;
+    // Within a time step the order of a write and a read of the same bit would be unclear
+    const bit = classicalConflict(gate, other);
+    if (bit !== null) return `c[${bit}] is written and used by two gates at t${gate.column}.`;
+  }
+  return null;
+}
+
+/**
+ * Qubits ordered by distance from `row`, skipping `unavailable`. Ties go to the qubit
+ * above (controls conventionally sit above their target) unless `below` is set.
+ * @param {number} row
+ * @param {number} numQubits
+ * @param {number[]} unavailable
+ * @param {{ below?: boolean }} [options]
+ * @returns {number[]}
+ */
+export function nearbyQubits(row, numQubits, unavailable, { below = false } = {}) {
+  const out = [];
+  for (let d = 1; d < numQubits; d++) {
+    const pair = below ? [row + d, row - d] : [row - d, row + d];
+    for (const q of pair) {
+      if (q >= 0 && q < numQubits && !unavailable.includes(q)) out.push(q);
+    }
+  }
+  return out;
+}
+
+/**
+ * Default qubits for a gate dropped on `row`: each control on the nearest qubit that is
+ * free in that column, the swap partner likewise (preferring the one below). Falls back to
+ * busy qubits when there are no free ones, leaving placementError() to explain.
+ * @param {string} type - key of GATE_SPECS
+ * @param {number} row
+ * @param {number} numQubits
+ * @param {number[]} busy - qubits already used in the column
+ * @returns {{ controls: number[], pair?: number } | null} null if the circuit is too small
+ */
+export function defaultQubits(type, row, numQubits, busy) {
+  const spec = GATE_SPECS[type];
+  if (spec.controls + spec.targets > numQubits) return null;
+  const taken = [row];
+  const pick = (below) =>
+    nearbyQubits(row, numQubits, [...taken, ...busy], { below })[0] ??
+    nearbyQubits(row, numQubits, taken, { below })[0];
+  const controls = [];
+  for (let i = 0; i < spec.controls; i++) {
+    const q = pick(false);
+    controls.push(q);
+    taken.push(q);
+  }
+  if (spec.targets === 2) return { controls, pair: pick(true) };
+  return { controls };
+}
+
+/**
+ * Ids of the gates lying entirely inside a rectangle of the grid.
+ * @param {Gate[]} gates
+ * @param {Rect} rect - inclusive
+ * @returns {string[]}
+ */
+export function gatesInRect(gates, { top, bottom, left, right }) {
+  return gates
+    .filter(
+      (g) =>
+        g.column >= left && g.column <= right && gateQubits(g).every((q) => q >= top && q <= bottom)
+    )
+    .map((g) => g.id);
+}
+
+/**
+ * Smallest rectangle holding all of `gates`.
+ * @param {Gate[]} gates - at least one
+ * @returns {Rect}
+ */
+export function boundingRect(gates) {
+  const qubits = gates.flatMap(gateQubits);
+  const columns = gates.map((g) => g.column);
+  return {
+    top: Math.min(...qubits),
+    bottom: Math.max(...qubits),
+    left: Math.min(...columns),
+    right: Math.max(...columns),
+  };
+}
+
+/**
+ * Shift the gates with the given ids by whole rows and columns. Throws with the first
+ * placement problem, so a move either lands completely or not at all.
+ * @param {Gate[]} gates
+ * @param {string[]} ids
+ * @param {number} dRow
+ * @param {number} dCol
+ * @param {{ numQubits: number, numColumns: number }} size
+ * @returns {Gate[]}
+ */
+export function moveGates(gates, ids, dRow, dCol, size) {
+  const moving = new Set(ids);
+  const moved = gates
+    .filter((g) => moving.has(g.id))
+    .map((g) => remapGate(g, (q) => q + dRow, g.column + dCol));
+  const rest = gates.filter((g) => !moving.has(g.id));
+  for (const g of moved) {
+    const problem = placementError([...rest, ...moved], g, size);
+    if (problem) throw new Error(problem);
+  }
+  return [...rest, ...moved];
+}
+
+/**
+ * Copy of the gates, positioned relative to their bounding box, for pasteGates().
+ * @param {Gate[]} gates - at least one
+ * @returns {Gate[]}
+ */
+export function copyGates(gates) {
+  const { top, left } = boundingRect(gates);
+  return gates.map((g) => remapGate(g, (q) => q - top, g.column - left));
+}
+
+/**
+ * Place copied gates with their top-left corner at (row, column), under fresh ids. Throws
+ * with the first placement problem.
+ * @param {Gate[]} gates - the circuit
+ * @param {Gate[]} clipboard - from copyGates()
+ * @param {number} row
+ * @param {number} column
+ * @param {{ numQubits: number, numColumns: number }} size
+ * @returns {{ gates: Gate[], pasted: string[] }} new circuit and the ids of the pasted gates
+ */
+export function pasteGates(gates, clipboard, row, column, size) {
+  const pasted = clipboard.map((g) =>
+    remapGate({ ...g, id: uid(g.type) }, (q) => q + row, g.column + column)
+  );
+  for (const g of pasted) {
+    const problem = placementError([...gates, ...pasted], g, size);
+    if (problem) throw new Error(problem);
+  }
+  return { gates: [...gates, ...pasted], pasted: pasted.map((g) => g.id) };
+}
+
+/**
+ * Lay out gates given in execution order: each goes in the first column after the gates
+ * before it on any of its qubits, and after measurements whose classical bit it shares.
+ * @param {Gate[]} sequence
+ * @returns {Gate[]}
+ */
+export function scheduleGates(sequence) {
+  /** @type {Record<number, number>} qubit -> first free column */
+  const free = {};
+  /** @type {Gate[]} placed gates that read or write classical bits */
+  const classical = [];
+  return sequence.map((g) => {
+    const qubits = gateQubits(g);
+    let column = Math.max(0, ...qubits.map((q) => free[q] ?? 0));
+    for (const p of classical) {
+      if (classicalConflict(p, g) !== null) column = Math.max(column, p.column + 1);
+    }
+    for (const q of qubits) free[q] = column + 1;
+    const placed = column === g.column ? g : { ...g, column };
+    if (g.type === "MEASURE" || g.condition) classical.push(placed);
+    return placed;
+  });
+}
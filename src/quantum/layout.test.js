@@ -0,0 +1,86 @@
+import {
+  boundingRect,
+  copyGates,
+  defaultQubits,
+  gatesInRect,
+  moveGates,
+  nearbyQubits,
+  pasteGates,
+  placementError,
+} from "./layout";
+
+const size = { numQubits: 3, numColumns: 4 };
+const grid = [
+  { id: "h", type: "H", column: 0, target: 0 },
+  { id: "cx", type: "CNOT", column: 1, target: 1, control: 0 },
+  { id: "x", type: "X", column: 2, target: 2, condition: { clbit: 2, value: 1 } },
+];
+
+test("explains why a gate cannot be placed", () => {
+  const at = (g) => placementError(grid, { id: "new", ...g }, size);
+  expect(at({ type: "X", column: 0, target: 1 })).toBeNull();
+  expect(at({ type: "X", column: 0, target: 0 })).toBe("q0 is already occupied at t0.");
+  expect(at({ type: "CZ", column: 1, target: 2, control: 0 })).toBe(
+    "q0 is already occupied at t1."
+  );
+  expect(at({ type: "X", column: 0, target: 3 })).toBe("q3 is outside the circuit (q0..q2).");
+  expect(at({ type: "X", column: 4, target: 0 })).toBe("t4 is outside the circuit (t0..t3).");
+  expect(at({ type: "SWAP", column: 3, target: 1, pair: 1 })).toBe("SWAP uses q1 twice.");
+  expect(at({ type: "MEASURE", column: 0, target: 1, clbit: 3 })).toBe(
+    "c[3] is outside the register (c[0]..c[2])."
+  );
+  expect(at({ type: "MEASURE", column: 2, target: 1, clbit: 2 })).toBe(
+    "c[2] is written and used by two gates at t2."
+  );
+  expect(at({ type: "MEASURE", column: 2, target: 1 })).toBeNull();
+  // A gate doesn't collide with itself, nor with ignored gates
+  expect(placementError(grid, grid[1], size)).toBeNull();
+  expect(placementError(grid, { id: "new", type: "X", column: 0, target: 0 }, size, ["h"])).toBe(
+    null
+  );
+});
+
+test("picks nearby free qubits for controls and partners", () => {
+  expect(nearbyQubits(2, 5, [])).toEqual([1, 3, 0, 4]);
+  expect(nearbyQubits(2, 5, [1], { below: true })).toEqual([3, 4, 0]);
+  expect(defaultQubits("CNOT", 1, 3, [])).toEqual({ controls: [0] });
+  expect(defaultQubits("CNOT", 1, 3, [0])).toEqual({ controls: [2] });
+  expect(defaultQubits("CSWAP", 1, 3, [])).toEqual({ controls: [0], pair: 2 });
+  // Everything busy: fall back to the nearest qubit and let placementError report it
+  expect(defaultQubits("CNOT", 0, 2, [1])).toEqual({ controls: [1] });
+  expect(defaultQubits("CCX", 0, 2, [])).toBeNull();
+});
+
+test("selects the gates inside a rectangle", () => {
+  expect(gatesInRect(grid, { top: 0, bottom: 1, left: 0, right: 3 })).toEqual(["h", "cx"]);
+  expect(gatesInRect(grid, { top: 1, bottom: 2, left: 0, right: 3 })).toEqual(["x"]);
+  expect(boundingRect(grid.slice(1))).toEqual({ top: 0, bottom: 2, left: 1, right: 2 });
+});
+
+test("moves gates together or not at all", () => {
+  const moved = moveGates(grid, ["h", "cx"], 1, 2, size);
+  expect(moved.find((g) => g.id === "h")).toMatchObject({ column: 2, target: 1 });
+  expect(moved.find((g) => g.id === "cx")).toMatchObject({ column: 3, target: 2, control: 1 });
+
+  expect(() => moveGates(grid, ["cx"], 1, 1, size)).toThrow("q2 is already occupied at t2.");
+  expect(() => moveGates(grid, ["cx"], 2, 0, size)).toThrow("outside the circuit");
+});
+
+test("pastes copies under new ids", () => {
+  const clipboard = copyGates(grid.slice(0, 2));
+  expect(clipboard.map((g) => [g.column, g.target])).toEqual([
+    [0, 0],
+    [1, 1],
+  ]);
+  const { gates, pasted } = pasteGates(grid, clipboard, 1, 2, size);
+  expect(gates).toHaveLength(5);
+  expect(pasted).toHaveLength(2);
+  expect(pasted).not.toContain("h");
+  expect(gates.find((g) => g.id === pasted[1])).toMatchObject({
+    type: "CNOT",
+    column: 3,
+    target: 2,
+    control: 1,
+  });
+  expect(() => pasteGates(grid, clipboard, 2, 2, size)).toThrow("q2 is already occupied at t2.");
+});
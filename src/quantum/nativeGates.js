@@ -0,0 +1,236 @@
+// ------------------------------ Native Gate Sets ------------------------------
+// Rewrites a circuit into the gates a device runs natively. Every gate is first broken into
+// CNOTs and single-qubit gates; those are then expressed in the chosen set. Decompositions
+// of controlled gates are exact; single-qubit rewrites may change the global phase only.
+// Custom gates must be expanded (expandComposites) before translating.
+
+import { GATE_SPECS, gateControls, gateParams, gateQubits, makeGate } from "./gates";
+import { scheduleGates } from "./layout";
+import { cancelInverses, mergeRotations, removeIdentities } from "./optimizer";
+import { addAngles, scaleAngle } from "./parameters";
+import { sortGates } from "./simulator";
+
+/** @typedef {import("../QuantumCircuitBuilder").Gate} Gate */
+/** @typedef {{ angle?: number, expr?: string }} AngleSlot */
+
+/**
+ * @typedef {Object} NativeSet
+ * @property {string} id
+ * @property {string} label
+ * @property {string[] | null} gates - null keeps every gate
+ */
+
+/** @type {NativeSet[]} */
+export const NATIVE_SETS = [
+  { id: "any", label: "Any gate", gates: null },
+  { id: "cx-u", label: "CNOT + U", gates: ["CNOT", "U"] },
+  { id: "ibm", label: "CNOT, RZ, SX, X (IBM)", gates: ["CNOT", "RZ", "SX", "X"] },
+  { id: "cz", label: "CZ, RX, RZ", gates: ["CZ", "RX", "RZ"] },
+];
+
+const PI = Math.PI;
+
+/** @param {number} angle */
+const literal = (angle) => ({ angle });
+
+/**
+ * A gate for a decomposition. Columns are placeholders; scheduleGates() assigns real ones.
+ * @param {string} type
+ * @param {number} target
+ * @param {{ controls?: number[], pair?: number, params?: AngleSlot[] }} [rest]
+ */
+function gate(type, target, rest = {}) {
+  return makeGate(type, { column: 0, target, ...rest });
+}
+
+const cnot = (control, target) => gate("CNOT", target, { controls: [control] });
+
+// U(θ, φ, λ) angles of the fixed single-qubit gates, up to global phase
+const U_ANGLES = {
+  H: [PI / 2, 0, PI],
+  X: [PI, 0, PI],
+  Y: [PI, PI / 2, PI / 2],
+  Z: [0, 0, PI],
+  S: [0, 0, PI / 2],
+  SDG: [0, 0, -PI / 2],
+  T: [0, 0, PI / 4],
+  TDG: [0, 0, -PI / 4],
+  SX: [PI / 2, -PI / 2, PI / 2],
+};
+
+/**
+ * θ, φ, λ of the U gate equal to a single-qubit gate up to global phase.
+ * @param {Gate} g
+ * @returns {AngleSlot[]}
+ */
+function uAngles(g) {
+  if (g.type in U_ANGLES) return U_ANGLES[g.type].map(literal);
+  const [p] = gateParams(g);
+  switch (g.type) {
+    case "RX":
+      return [p, literal(-PI / 2), literal(PI / 2)];
+    case "RY":
+      return [p, literal(0), literal(0)];
+    case "RZ":
+    case "P":
+      return [literal(0), literal(0), p];
+    case "U":
+      return gateParams(g);
+    default:
+      throw new Error(`${GATE_SPECS[g.type]?.label ?? g.type} is not a single-qubit gate.`);
+  }
+}
+
+/** Parts of a conditioned gate all run under its condition. */
+function conditioned(g, parts) {
+  return g.condition ? parts.map((p) => ({ ...p, condition: g.condition })) : parts;
+}
+
+/**
+ * Break a gate into CNOTs and single-qubit gates, in execution order. Gates that are
+ * already that small come back unchanged.
+ * @param {Gate} g
+ * @returns {Gate[]}
+ */
+function decompose(g) {
+  const [c, c2] = gateControls(g);
+  const t = g.target;
+  const [p] = gateParams(g);
+  switch (g.type) {
+    case "CZ":
+      return [gate("H", t), cnot(c, t), gate("H", t)];
+    case "SWAP":
+      return [cnot(t, g.pair), cnot(g.pair, t), cnot(t, g.pair)];
+    case "ISWAP":
+      return [
+        gate("S", t),
+        gate("S", g.pair),
+        gate("H", t),
+        cnot(t, g.pair),
+        cnot(g.pair, t),
+        gate("H", g.pair),
+      ];
+    case "CP":
+      return [
+        gate("P", c, { params: [scaleAngle(p, 0.5)] }),
+        cnot(c, t),
+        gate("P", t, { params: [scaleAngle(p, -0.5)] }),
+        cnot(c, t),
+        gate("P", t, { params: [scaleAngle(p, 0.5)] }),
+      ];
+    case "CRZ":
+    case "CRY": {
+      const axis = g.type.slice(1);
+      return [
+        gate(axis, t, { params: [scaleAngle(p, 0.5)] }),
+        cnot(c, t),
+        gate(axis, t, { params: [scaleAngle(p, -0.5)] }),
+        cnot(c, t),
+      ];
+    }
+    case "CRX":
+      // H·RZ(θ)·H = RX(θ)
+      return [gate("H", t), ...decompose({ ...g, type: "CRZ" }), gate("H", t)];
+    case "CCX":
+      return [
+        gate("H", t),
+        cnot(c2, t),
+        gate("TDG", t),
+        cnot(c, t),
+        gate("T", t),
+        cnot(c2, t),
+        gate("TDG", t),
+        cnot(c, t),
+        gate("T", c2),
+        gate("T", t),
+        gate("H", t),
+        cnot(c, c2),
+        gate("T", c),
+        gate("TDG", c2),
+        cnot(c, c2),
+      ];
+    case "CSWAP":
+      return [
+        cnot(g.pair, t),
+        ...decompose(gate("CCX", g.pair, { controls: [c, t] })),
+        cnot(g.pair, t),
+      ];
+    default:
+      return [g];
+  }
+}
+
+/**
+ * Replace gates on three or more qubits (CCX, CSWAP) with one- and two-qubit gates, so
+ * the circuit can be routed.
+ * @param {Gate[]} gates
+ * @returns {Gate[]}
+ */
+export function splitWideGates(gates) {
+  if (!gates.some((g) => gateQubits(g).length > 2)) return gates;
+  return scheduleGates(
+    sortGates(gates).flatMap((g) => (gateQubits(g).length > 2 ? conditioned(g, decompose(g)) : [g]))
+  );
+}
+
+/**
+ * A single-qubit gate in a native set.
+ * @param {Gate} g
+ * @param {NativeSet} set
+ * @returns {Gate[]}
+ */
+function toNative(g, set) {
+  if (g.type === "MEASURE" || g.type === "RESET" || set.gates.includes(g.type)) return [g];
+  const [theta, phi, lambda] = uAngles(g);
+  const q = g.target;
+  if (set.id === "cx-u") return [gate("U", q, { params: [theta, phi, lambda] })];
+  // Diagonal: a single Z rotation
+  if (!theta.expr && theta.angle === 0) {
+    return [gate("RZ", q, { params: [addAngles(phi, lambda)] })];
+  }
+  if (set.id === "ibm") {
+    return [
+      gate("RZ", q, { params: [lambda] }),
+      gate("SX", q),
+      gate("RZ", q, { params: [scaleAngle(theta, 1, PI)] }),
+      gate("SX", q),
+      gate("RZ", q, { params: [scaleAngle(phi, 1, PI)] }),
+    ];
+  }
+  // RZ(φ)·RY(θ)·RZ(λ), with RY(θ) = RZ(π/2)·RX(θ)·RZ(-π/2)
+  return [
+    gate("RZ", q, { params: [scaleAngle(lambda, 1, -PI / 2)] }),
+    gate("RX", q, { params: [theta] }),
+    gate("RZ", q, { params: [scaleAngle(phi, 1, PI / 2)] }),
+  ];
+}
+
+/**
+ * Rewrite a circuit using only the gates of a native set (plus measurements and resets).
+ * Gates stay on the qubits they used, so a routed circuit stays routed.
+ * @param {Gate[]} gates - without custom gates
+ * @param {string} setId - id from NATIVE_SETS
+ * @returns {Gate[]}
+ */
+export function translateGates(gates, setId) {
+  const set = NATIVE_SETS.find((s) => s.id === setId);
+  if (!set) throw new Error(`Unknown gate set "${setId}".`);
+  if (!set.gates) return gates;
+  let sequence = sortGates(gates).flatMap((g) =>
+    set.gates.includes(g.type) ? [g] : conditioned(g, decompose(g))
+  );
+  if (set.gates.includes("CZ")) {
+    sequence = sequence.flatMap((g) => {
+      if (g.type !== "CNOT") return [g];
+      const t = g.target;
+      return conditioned(g, [gate("H", t), gate("CZ", t, { controls: [g.control] }), gate("H", t)]);
+    });
+  }
+  // Back-to-back decompositions leave pairs such as H·H behind
+  sequence = cancelInverses(scheduleGates(sequence));
+  sequence = sortGates(sequence).flatMap((g) =>
+    gateQubits(g).length === 1 ? conditioned(g, toNative(g, set)) : [g]
+  );
+  const merged = removeIdentities(mergeRotations(scheduleGates(sequence)));
+  return scheduleGates(sortGates(merged));
+}
@@ -0,0 +1,73 @@
+import { NATIVE_SETS, splitWideGates, translateGates } from "./nativeGates";
+import { GATE_SPECS, gateQubits, makeGate } from "./gates";
+import { bindParameters } from "./parameters";
+import { expectEquivalent } from "./testing";
+
+/** One gate of each type on qubits 0..2, with awkward angles. */
+function sampleGate(type) {
+  const spec = GATE_SPECS[type];
+  return makeGate(type, {
+    column: 0,
+    target: 1,
+    controls: [2, 0].slice(0, spec.controls),
+    pair: spec.controls ? 0 : 2,
+    params: spec.params.map((_, i) => ({ angle: 0.7 + i })),
+  });
+}
+
+const UNITARY_TYPES = Object.keys(GATE_SPECS).filter((t) => t !== "MEASURE" && t !== "RESET");
+
+test.each(NATIVE_SETS.filter((s) => s.gates).map((s) => [s.id, s.gates]))(
+  "translates every gate into the %s set",
+  (setId, allowed) => {
+    for (const type of UNITARY_TYPES) {
+      const original = [sampleGate(type)];
+      const out = translateGates(original, setId);
+      expect(out.every((g) => allowed.includes(g.type))).toBe(true);
+      expectEquivalent(original, out, 3, { upToPhase: true });
+    }
+  }
+);
+
+test("controlled gates are decomposed exactly, not just up to phase", () => {
+  // A relative phase error would show up once the control is in superposition
+  for (const type of ["CP", "CRX", "CRY", "CRZ", "CCX", "CSWAP"]) {
+    const original = [sampleGate(type)];
+    expectEquivalent(original, translateGates(original, "cx-u"), 3);
+  }
+});
+
+test("keeps symbolic angles symbolic", () => {
+  const original = [
+    makeGate("RY", { column: 0, target: 0, params: [{ expr: "theta" }] }),
+    makeGate("CRZ", { column: 1, target: 1, controls: [0], params: [{ expr: "2*phi" }] }),
+  ];
+  const out = translateGates(original, "ibm");
+  expect(out.some((g) => g.expr === "theta + pi")).toBe(true);
+  expect(out.some((g) => g.expr === "(2*phi)/2")).toBe(true);
+  const params = { theta: 0.4, phi: -1.1 };
+  expectEquivalent(bindParameters(original, params), bindParameters(out, params), 2, {
+    upToPhase: true,
+  });
+});
+
+test("cleans up after itself", () => {
+  // CZ·T·CZ in the CNOT set leaves H·H between the CNOTs, which is cancelled
+  const cz = (column) => makeGate("CZ", { column, target: 1, controls: [0] });
+  const t = makeGate("T", { column: 1, target: 0 });
+  const out = translateGates([cz(0), t, cz(2)], "cx-u");
+  expect(out.map((g) => g.type)).toEqual(["U", "CNOT", "U", "CNOT", "U"]);
+  // Phase gates fold into one RZ
+  const phases = ["S", "T", "Z"].map((type, column) => makeGate(type, { column, target: 0 }));
+  expect(translateGates(phases, "cz").map((g) => [g.type, g.angle])).toEqual([
+    ["RZ", Math.PI * 1.75],
+  ]);
+  expect(translateGates(phases, "any")).toBe(phases);
+});
+
+test("splits gates on three qubits", () => {
+  const original = [sampleGate("H"), { ...sampleGate("CCX"), column: 1 }];
+  const out = splitWideGates(original);
+  expect(out.every((g) => gateQubits(g).length <= 2)).toBe(true);
+  expectEquivalent(original, out, 3, { upToPhase: true });
+});
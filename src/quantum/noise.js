@@ -0,0 +1,168 @@
+// ------------------------------ Noise Models ------------------------------
+// Error channels attached to the circuit, in the same terms as Qiskit Aer's NoiseModel:
+// after every matching gate each of its matching qubits goes through the rule's
+// single-qubit channel, and readout errors flip measured bits. The density-matrix engine
+// applies them in the app; the Qiskit backend writes out an equivalent NoiseModel.
+
+import { GATE_SPECS, gateQubits } from "./gates";
+
+/** @typedef {import("../QuantumCircuitBuilder").Gate} Gate */
+
+/**
+ * @typedef {Object} NoiseRule
+ * @property {string} kind - id from NOISE_KINDS
+ * @property {number} rate - error probability (damping parameter for the damping kinds)
+ * @property {string[]} gates - gate types it follows; empty for every gate (not used by
+ *   readout errors)
+ * @property {number[]} qubits - qubits it affects; empty for every qubit
+ */
+
+/**
+ * @typedef {Object} NoiseModel
+ * @property {boolean} enabled - simulate with the density matrix and export the model
+ * @property {NoiseRule[]} rules
+ */
+
+export const NOISE_KINDS = [
+  { id: "depolarizing", label: "Depolarizing" },
+  { id: "amplitude_damping", label: "Amplitude damping" },
+  { id: "phase_damping", label: "Phase damping" },
+  { id: "readout", label: "Readout error" },
+];
+
+/** @type {NoiseModel} */
+export const NO_NOISE = { enabled: false, rules: [] };
+
+/**
+ * Kraus operators of a single-qubit channel, as matrices in singleQubitMatrix() format.
+ * Depolarizing follows Qiskit: ρ → (1 - p)ρ + p·I/2.
+ * @param {string} kind - a NOISE_KINDS id other than "readout"
+ * @param {number} rate
+ * @returns {number[][][]}
+ */
+export function krausOperators(kind, rate) {
+  switch (kind) {
+    case "depolarizing": {
+      const a = Math.sqrt(1 - (3 * rate) / 4);
+      const b = Math.sqrt(rate / 4);
+      return [
+        [
+          [a, 0],
+          [0, 0],
+          [0, 0],
+          [a, 0],
+        ],
+        [
+          [0, 0],
+          [b, 0],
+          [b, 0],
+          [0, 0],
+        ],
+        [
+          [0, 0],
+          [0, -b],
+          [0, b],
+          [0, 0],
+        ],
+        [
+          [b, 0],
+          [0, 0],
+          [0, 0],
+          [-b, 0],
+        ],
+      ];
+    }
+    case "amplitude_damping":
+      return [
+        [
+          [1, 0],
+          [0, 0],
+          [0, 0],
+          [Math.sqrt(1 - rate), 0],
+        ],
+        [
+          [0, 0],
+          [Math.sqrt(rate), 0],
+          [0, 0],
+          [0, 0],
+        ],
+      ];
+    case "phase_damping":
+      return [
+        [
+          [1, 0],
+          [0, 0],
+          [0, 0],
+          [Math.sqrt(1 - rate), 0],
+        ],
+        [
+          [0, 0],
+          [0, 0],
+          [0, 0],
+          [Math.sqrt(rate), 0],
+        ],
+      ];
+    default:
+      throw new Error(`No Kraus operators for ${kind} noise.`);
+  }
+}
+
+/**
+ * Why a rule can't be used, or null.
+ * @param {NoiseRule} rule
+ * @param {number} numQubits
+ * @returns {string | null}
+ */
+export function noiseRuleError(rule, numQubits) {
+  if (!NOISE_KINDS.some((k) => k.id === rule.kind)) return `Unknown noise kind "${rule.kind}".`;
+  if (!(rule.rate >= 0 && rule.rate <= 1)) return "Rate must be between 0 and 1.";
+  const unknown = rule.gates.find((t) => !GATE_SPECS[t] || t === "MEASURE" || t === "RESET");
+  if (unknown !== undefined) return `"${unknown}" is not a gate type.`;
+  const outside = rule.qubits.find((q) => !Number.isInteger(q) || q < 0 || q >= numQubits);
+  if (outside !== undefined) return `q${outside} is outside the circuit (q0..q${numQubits - 1}).`;
+  return null;
+}
+
+/** Rules that take part in a run: enabled, valid and with a non-zero rate. */
+export function activeRules(noise, numQubits) {
+  if (!noise?.enabled) return [];
+  return noise.rules.filter((r) => r.rate > 0 && noiseRuleError(r, numQubits) === null);
+}
+
+/**
+ * The channels that follow one gate, in rule order: the rule and the qubit it acts on.
+ * @param {NoiseRule[]} rules - see activeRules()
+ * @param {Gate} gate
+ * @returns {{ rule: NoiseRule, index: number, qubit: number }[]} index into `rules`
+ */
+export function gateErrors(rules, gate) {
+  if (gate.type === "MEASURE" || gate.type === "RESET" || gate.type === "CUSTOM") return [];
+  const out = [];
+  rules.forEach((rule, index) => {
+    if (rule.kind === "readout") return;
+    if (rule.gates.length && !rule.gates.includes(gate.type)) return;
+    for (const qubit of gateQubits(gate)) {
+      if (!rule.qubits.length || rule.qubits.includes(qubit)) out.push({ rule, index, qubit });
+    }
+  });
+  return out;
+}
+
+/**
+ * Chance that reading each qubit returns the wrong bit, combining every readout rule.
+ * @param {NoiseRule[]} rules - see activeRules()
+ * @param {number} numQubits
+ * @returns {number[]}
+ */
+export function readoutRates(rules, numQubits) {
+  const flip = new Array(numQubits).fill(0);
+  for (const rule of rules) {
+    if (rule.kind !== "readout") continue;
+    for (let q = 0; q < numQubits; q++) {
+      if (rule.qubits.length && !rule.qubits.includes(q)) continue;
+      // Two independent flips cancel out
+      flip[q] = flip[q] * (1 - rule.rate) + rule.rate * (1 - flip[q]);
+    }
+  }
+  return flip;
+}
@@ -0,0 +1,45 @@
+import { activeRules, gateErrors, noiseRuleError, readoutRates } from "./noise";
+
+const rule = (kind, rate, extra = {}) => ({ kind, rate, gates: [], qubits: [], ...extra });
+const cx = { id: "cx", type: "CNOT", column: 0, target: 1, control: 0 };
+
+test("explains invalid rules", () => {
+  expect(noiseRuleError(rule("depolarizing", 0.01), 2)).toBeNull();
+  expect(noiseRuleError(rule("bitflip", 0.01), 2)).toBe('Unknown noise kind "bitflip".');
+  expect(noiseRuleError(rule("depolarizing", 1.5), 2)).toBe("Rate must be between 0 and 1.");
+  expect(noiseRuleError(rule("depolarizing", NaN), 2)).toBe("Rate must be between 0 and 1.");
+  expect(noiseRuleError(rule("depolarizing", 0.1, { gates: ["FOO"] }), 2)).toBe(
+    '"FOO" is not a gate type.'
+  );
+  expect(noiseRuleError(rule("readout", 0.1, { qubits: [2] }), 2)).toBe(
+    "q2 is outside the circuit (q0..q1)."
+  );
+});
+
+test("only enabled, valid, non-zero rules are active", () => {
+  const rules = [rule("depolarizing", 0), rule("depolarizing", 2), rule("phase_damping", 0.1)];
+  expect(activeRules({ enabled: false, rules }, 2)).toEqual([]);
+  expect(activeRules({ enabled: true, rules }, 2)).toEqual([rules[2]]);
+});
+
+test("matches gates by type and qubit", () => {
+  const rules = [
+    rule("depolarizing", 0.1),
+    rule("amplitude_damping", 0.2, { gates: ["H"] }),
+    rule("phase_damping", 0.3, { gates: ["CNOT"], qubits: [0] }),
+    rule("readout", 0.4),
+  ];
+  expect(gateErrors(rules, cx).map((e) => [e.index, e.qubit])).toEqual([
+    [0, 1],
+    [0, 0],
+    [2, 0],
+  ]);
+  expect(gateErrors(rules, { ...cx, type: "MEASURE" })).toEqual([]);
+});
+
+test("combines readout errors per qubit", () => {
+  const rates = readoutRates([rule("readout", 0.5), rule("readout", 0.1, { qubits: [1] })], 2);
+  expect(rates[0]).toBeCloseTo(0.5, 10);
+  expect(rates[1]).toBeCloseTo(0.5, 10);
+  expect(readoutRates([rule("depolarizing", 0.5)], 2)).toEqual([0, 0]);
+});
@@ -0,0 +1,311 @@
+// ------------------------------ Circuit Optimizer ------------------------------
+// Rewrite passes over the gate list. Every pass keeps the circuit's unitary exactly (global
+// phase included); optimizer.test.js checks each one against the statevector. Gates a pass
+// doesn't understand, such as custom gates and measurements, stay where they are and block
+// rewrites across them on their qubits. Conditioned gates are never merged or cancelled, and
+// no gate moves past a measurement whose classical bit it reads or writes.
+
+import { GATE_SPECS, gateControls, gateParams, gateQubits, makeGate } from "./gates";
+import { addAngles } from "./parameters";
+import { classicalConflict } from "./classical";
+import { sortGates } from "./simulator";
+
+/** @typedef {import("../QuantumCircuitBuilder").Gate} Gate */
+
+/**
+ * @typedef {Object} Pass
+ * @property {string} id
+ * @property {string} label - shown next to the pass's checkbox
+ * @property {(gates: Gate[]) => Gate[]} run
+ */
+
+/**
+ * @typedef {Object} CircuitStats
+ * @property {number} count - number of gates
+ * @property {number} depth - longest chain of gates sharing qubits
+ * @property {Record<string, number>} byType - gate count per type
+ */
+
+const TOLERANCE = 1e-9;
+
+// Each gate's inverse, for the self-inverse gates and the S/T pairs
+const INVERSES = {
+  H: "H",
+  X: "X",
+  Y: "Y",
+  Z: "Z",
+  S: "SDG",
+  SDG: "S",
+  T: "TDG",
+  TDG: "T",
+  CNOT: "CNOT",
+  CZ: "CZ",
+  CCX: "CCX",
+  SWAP: "SWAP",
+  CSWAP: "CSWAP",
+};
+
+// Rotations whose angles add up, and the period after which each is exactly the identity.
+// RX(2π) = -I, so the axis rotations need 4π; so do their controlled forms.
+const ROTATION_PERIODS = {
+  RX: 4 * Math.PI,
+  RY: 4 * Math.PI,
+  RZ: 4 * Math.PI,
+  P: 2 * Math.PI,
+  CRX: 4 * Math.PI,
+  CRY: 4 * Math.PI,
+  CRZ: 4 * Math.PI,
+  CP: 2 * Math.PI,
+};
+
+// Gates that act the same whichever way round their qubits are listed
+const SYMMETRIC = new Set(["CZ", "CP", "SWAP", "ISWAP"]);
+
+const ascending = (a, b) => a - b;
+
+/** Qubits in the roles that matter, so equal keys mean "same gate on the same wires". */
+function qubitKey(g) {
+  const controls = [...gateControls(g)].sort(ascending);
+  const targets = typeof g.pair === "number" ? [g.target, g.pair].sort(ascending) : [g.target];
+  if (SYMMETRIC.has(g.type)) return [...controls, ...targets].sort(ascending).join(",");
+  return `${controls.join(",")}>${targets.join(",")}`;
+}
+
+function isPeriodMultiple(angle, period) {
+  const r = ((angle % period) + period) % period;
+  return r < TOLERANCE || period - r < TOLERANCE;
+}
+
+/** Whether a gate with literal angles does nothing at all. */
+function isIdentity(g) {
+  const params = gateParams(g);
+  if (params.some((p) => p.expr || typeof p.angle !== "number")) return false;
+  if (g.type in ROTATION_PERIODS)
+    return isPeriodMultiple(params[0].angle, ROTATION_PERIODS[g.type]);
+  if (g.type === "U") {
+    // U(0, φ, λ) = diag(1, e^{i(φ+λ)})
+    const [theta, phi, lam] = params.map((p) => p.angle);
+    return isPeriodMultiple(theta, 4 * Math.PI) && isPeriodMultiple(phi + lam, 2 * Math.PI);
+  }
+  return false;
+}
+
+/**
+ * Walk the gates in order, offering each one together with the gate just before it on
+ * every one of its qubits (when a single gate is). `combine(previous, gate)` returns
+ * undefined to keep both, null to drop both, or a gate on the same qubits that replaces
+ * the pair at the earlier gate's position. After a drop the gates before the pair become
+ * adjacent, so H·X·X·H collapses completely.
+ * @param {Gate[]} gates
+ * @param {(previous: Gate, gate: Gate) => Gate | null | undefined} combine
+ * @returns {Gate[]}
+ */
+function rewriteAdjacent(gates, combine) {
+  /** @type {(Gate | null)[]} */
+  const out = [];
+  /** @type {Record<number, number[]>} qubit -> indexes into `out`, last one on top */
+  const stacks = {};
+  for (const g of sortGates(gates)) {
+    const qubits = gateQubits(g);
+    const tops = qubits.map((q) => stacks[q]?.[stacks[q].length - 1]);
+    const p = tops[0];
+    const previous =
+      p !== undefined &&
+      tops.every((t) => t === p) &&
+      gateQubits(out[p]).length === qubits.length &&
+      !out[p].condition &&
+      !g.condition
+        ? out[p]
+        : null;
+    const result = previous ? combine(previous, g) : undefined;
+    if (result === undefined) {
+      out.push(g);
+      for (const q of qubits) (stacks[q] ??= []).push(out.length - 1);
+    } else if (result === null) {
+      out[p] = null;
+      for (const q of qubits) stacks[q].pop();
+    } else {
+      out[p] = result;
+    }
+  }
+  return out.filter(Boolean);
+}
+
+/** Remove adjacent pairs that multiply to the identity (H·H, CNOT·CNOT, S·S†, …). */
+export function cancelInverses(gates) {
+  return rewriteAdjacent(gates, (a, b) =>
+    INVERSES[a.type] === b.type && qubitKey(a) === qubitKey(b) ? null : undefined
+  );
+}
+
+/** Fold adjacent rotations of the same kind on the same qubits into one. */
+export function mergeRotations(gates) {
+  return rewriteAdjacent(gates, (a, b) => {
+    if (a.type !== b.type || !(a.type in ROTATION_PERIODS) || qubitKey(a) !== qubitKey(b)) {
+      return undefined;
+    }
+    const merged = makeGate(a.type, {
+      column: a.column,
+      target: a.target,
+      controls: gateControls(a),
+      params: [addAngles(gateParams(a)[0], gateParams(b)[0])],
+    });
+    return { ...merged, id: a.id };
+  });
+}
+
+/** Drop rotations by a multiple of their period (RX(0), P(2π), U(0, φ, -φ), …). */
+export function removeIdentities(gates) {
+  const kept = gates.filter((g) => !isIdentity(g));
+  return kept.length === gates.length ? gates : kept;
+}
+
+/**
+ * SWAP(a, b) = CNOT(a→b) · CNOT(b→a) · CNOT(a→b). Later columns shift right by two for
+ * every SWAP to make room.
+ */
+export function decomposeSwaps(gates) {
+  const swaps = gates.filter((g) => g.type === "SWAP").sort((x, y) => y.column - x.column);
+  if (swaps.length === 0) return gates;
+  let out = gates;
+  for (const swap of swaps) {
+    const { column, target: a, pair: b } = swap;
+    const cnot = (offset, control, target) => ({
+      ...makeGate("CNOT", { column: column + offset, target, controls: [control] }),
+      ...(swap.condition && { condition: swap.condition }),
+    });
+    out = [
+      ...out
+        .filter((g) => g !== swap)
+        .map((g) => (g.column > column ? { ...g, column: g.column + 2 } : g)),
+      cnot(0, a, b),
+      cnot(1, b, a),
+      cnot(2, a, b),
+    ];
+  }
+  return out;
+}
+
+const Z_LIKE = new Set(["Z", "S", "T", "SDG", "TDG", "RZ", "P"]);
+const X_LIKE = new Set(["X", "SX", "RX"]);
+
+/**
+ * How a gate acts on one of its qubits: "Z" if it is block-diagonal in the computational
+ * basis there (controls, phase gates), "X" if it is in the X basis (X-type targets), or
+ * "other".
+ */
+function actionOn(g, q) {
+  const spec = GATE_SPECS[g.type];
+  if (!spec || g.type === "MEASURE") return "other";
+  if (gateControls(g).includes(q)) return "Z";
+  if (spec.targets === 2) return "other";
+  const base = spec.base ?? g.type;
+  if (Z_LIKE.has(base)) return "Z";
+  if (X_LIKE.has(base)) return "X";
+  return "other";
+}
+
+/**
+ * Two gates commute when, on every qubit they share, both are diagonal in the same basis:
+ * each is then a sum of projectors on the shared qubits times operators on the rest.
+ */
+export function gatesCommute(a, b) {
+  const shared = gateQubits(a).filter((q) => gateQubits(b).includes(q));
+  return shared.every((q) => {
+    const kind = actionOn(a, q);
+    return kind !== "other" && kind === actionOn(b, q);
+  });
+}
+
+/**
+ * Move every gate to the earliest free column after the gates it doesn't commute with,
+ * which also closes empty columns.
+ */
+export function compactColumns(gates) {
+  const placed = [];
+  const busy = new Set();
+  let moved = false;
+  for (const g of sortGates(gates)) {
+    const qubits = gateQubits(g);
+    let column = 0;
+    for (const p of placed) {
+      const shares = gateQubits(p).some((q) => qubits.includes(q));
+      const ordered = (shares && !gatesCommute(p, g)) || classicalConflict(p, g) !== null;
+      if (ordered && p.column >= column) column = p.column + 1;
+    }
+    const isFree = (c) => qubits.every((q) => !busy.has(`${c}:${q}`));
+    while (!isFree(column)) column++;
+    for (const q of qubits) busy.add(`${column}:${q}`);
+    if (column !== g.column) moved = true;
+    placed.push(column === g.column ? g : { ...g, column });
+  }
+  return moved ? placed : gates;
+}
+
+/** @type {Pass[]} in the order they run */
+export const PASSES = [
+  { id: "swaps", label: "Decompose SWAP into three CNOTs", run: decomposeSwaps },
+  {
+    id: "cancel",
+    label: "Cancel adjacent inverse pairs (H·H, CNOT·CNOT, S·S†)",
+    run: cancelInverses,
+  },
+  { id: "merge", label: "Merge consecutive rotations on the same axis", run: mergeRotations },
+  { id: "identities", label: "Remove identity rotations", run: removeIdentities },
+  { id: "compact", label: "Commute gates left and compact columns", run: compactColumns },
+];
+
+function sameGates(a, b) {
+  if (a.length !== b.length) return false;
+  const set = new Set(a);
+  return b.every((g) => set.has(g));
+}
+
+/**
+ * @param {Gate[]} gates
+ * @returns {CircuitStats}
+ */
+export function circuitStats(gates) {
+  const level = {};
+  let depth = 0;
+  const byType = {};
+  for (const g of sortGates(gates)) {
+    const qubits = gateQubits(g);
+    const l = 1 + Math.max(0, ...qubits.map((q) => level[q] ?? 0));
+    for (const q of qubits) level[q] = l;
+    depth = Math.max(depth, l);
+    const key = g.type === "CUSTOM" ? g.name : g.type;
+    byType[key] = (byType[key] ?? 0) + 1;
+  }
+  return { count: gates.length, depth, byType };
+}
+
+/**
+ * Run the enabled passes, in PASSES order, until a full round changes nothing.
+ * @param {Gate[]} gates
+ * @param {string[]} [enabled] - pass ids; all by default
+ * @returns {{ gates: Gate[], before: CircuitStats, after: CircuitStats, changedBy: string[] }}
+ */
+export function optimize(gates, enabled = PASSES.map((p) => p.id)) {
+  const passes = PASSES.filter((p) => enabled.includes(p.id));
+  const changedBy = new Set();
+  let current = gates;
+  for (let round = 0; round < 20; round++) {
+    let changed = false;
+    for (const pass of passes) {
+      const next = pass.run(current);
+      if (!sameGates(current, next)) {
+        changed = true;
+        changedBy.add(pass.id);
+        current = next;
+      }
+    }
+    if (!changed) break;
+  }
+  return {
+    gates: current,
+    before: circuitStats(gates),
+    after: circuitStats(current),
+    changedBy: PASSES.map((p) => p.id).filter((id) => changedBy.has(id)),
+  };
+}
@@ -0,0 +1,184 @@
+import {
+  cancelInverses,
+  compactColumns,
+  decomposeSwaps,
+  gatesCommute,
+  mergeRotations,
+  optimize,
+  PASSES,
+  removeIdentities,
+} from "./optimizer";
+import { makeGate } from "./gates";
+import { seededRandom } from "./simulator";
+import { expectEquivalent, g } from "./testing";
+
+test("cancels adjacent inverse pairs, cascading inwards", () => {
+  const gates = [
+    g("H", 0, 0),
+    g("X", 1, 0),
+    g("X", 2, 0),
+    g("H", 3, 0),
+    g("CNOT", 0, 2, { control: 1 }),
+    g("CNOT", 1, 2, { control: 1 }),
+    g("S", 2, 1),
+    g("SDG", 3, 1),
+    g("CZ", 4, 1, { control: 2 }),
+    g("CZ", 5, 2, { control: 1 }),
+    g("CCX", 6, 0, { controls: [1, 2] }),
+    g("CCX", 7, 0, { controls: [2, 1] }),
+  ];
+  const out = cancelInverses(gates);
+  expect(out).toEqual([]);
+  expectEquivalent(gates, out, 3);
+});
+
+test("keeps pairs that are not adjacent or not on the same wires", () => {
+  const gates = [
+    g("H", 0, 0),
+    g("CNOT", 1, 1, { control: 0 }),
+    g("H", 2, 0),
+    g("CNOT", 3, 2, { control: 1 }),
+    g("CNOT", 4, 1, { control: 2 }),
+    g("T", 5, 0),
+    g("T", 6, 0),
+  ];
+  expect(cancelInverses(gates)).toHaveLength(gates.length);
+});
+
+test("merges rotations, keeping symbolic angles symbolic", () => {
+  const gates = [
+    g("RX", 0, 0, { angle: 0.3 }),
+    g("RX", 1, 0, { angle: 0.4 }),
+    g("RZ", 2, 0, { angle: 1 }),
+    g("CP", 0, 1, { controls: [2], angle: 0.5 }),
+    g("CP", 1, 2, { controls: [1], angle: 0.25 }),
+    g("CRY", 2, 2, { controls: [1], angle: 0.75 }),
+    g("CRY", 3, 2, { controls: [1], angle: -0.25 }),
+  ];
+  const out = mergeRotations(gates);
+  expect(out.map((x) => [x.type, x.angle])).toEqual([
+    ["RX", 0.7],
+    ["CP", 0.75],
+    ["RZ", 1],
+    ["CRY", 0.5],
+  ]);
+  expectEquivalent(gates, out, 3);
+
+  const symbolic = mergeRotations([
+    g("RZ", 0, 0, { expr: "theta" }),
+    g("RZ", 1, 0, { angle: 0.5 }),
+    g("RZ", 2, 0, { expr: "2*phi" }),
+  ]);
+  expect(symbolic).toHaveLength(1);
+  expect(symbolic[0].expr).toBe("(theta + 0.5) + (2*phi)");
+  expect(symbolic[0].angle).toBeUndefined();
+});
+
+test("removes rotations by a multiple of their period only", () => {
+  const gates = [
+    g("RX", 0, 0, { angle: 0 }),
+    g("RY", 1, 0, { angle: 4 * Math.PI }),
+    g("RZ", 2, 0, { angle: 2 * Math.PI }), // -I: kept
+    g("P", 3, 0, { angle: -2 * Math.PI }),
+    g("CRX", 4, 1, { controls: [0], angle: 2 * Math.PI }), // CZ-like: kept
+    g("CP", 5, 1, { controls: [0], angle: 2 * Math.PI }),
+    makeGate("U", { column: 6, target: 0, params: [{ angle: 0 }, { angle: 1 }, { angle: -1 }] }),
+    g("RX", 7, 0, { expr: "theta" }),
+  ];
+  const out = removeIdentities(gates);
+  expect(out.map((x) => x.type)).toEqual(["RZ", "CRX", "RX"]);
+  expectEquivalent(gates.slice(0, -1), out.slice(0, -1), 2);
+});
+
+test("decomposes SWAP into three CNOTs, shifting later columns", () => {
+  const gates = [
+    g("H", 0, 0),
+    g("SWAP", 1, 0, { pair: 2 }),
+    g("SWAP", 1, 1, { pair: 3 }),
+    g("X", 2, 2),
+  ];
+  const out = decomposeSwaps(gates);
+  expect(out.filter((x) => x.type === "CNOT")).toHaveLength(6);
+  expect(out.find((x) => x.type === "X").column).toBe(6);
+  expectEquivalent(gates, out, 4);
+});
+
+test("commutation rules", () => {
+  const cx = g("CNOT", 0, 1, { control: 0 });
+  expect(gatesCommute(cx, g("Z", 0, 0))).toBe(true); // on the control
+  expect(gatesCommute(cx, g("RX", 0, 1, { angle: 1 }))).toBe(true); // on the target
+  expect(gatesCommute(cx, g("CNOT", 0, 1, { control: 2 }))).toBe(true); // shared target
+  expect(gatesCommute(cx, g("Z", 0, 1))).toBe(false);
+  expect(gatesCommute(cx, g("H", 0, 0))).toBe(false);
+  expect(gatesCommute(g("CZ", 0, 1, { control: 0 }), g("CP", 0, 0, { controls: [1] }))).toBe(true);
+  expect(gatesCommute(g("SWAP", 0, 0, { pair: 1 }), g("Z", 0, 0))).toBe(false);
+});
+
+test("compacts columns, letting commuting gates pass each other", () => {
+  const gates = [
+    g("H", 0, 0),
+    g("CNOT", 2, 1, { control: 0 }),
+    g("X", 5, 1), // commutes with the CNOT's target: moves to t0
+    g("T", 6, 0), // commutes with the CNOT's control, but q0 is busy until t2
+    g("M", 7, 2, { type: "MEASURE" }),
+  ];
+  const out = compactColumns(gates);
+  const at = (type) => out.find((x) => x.type === type).column;
+  expect([at("H"), at("CNOT"), at("X"), at("T"), at("MEASURE")]).toEqual([0, 1, 0, 2, 0]);
+  expect(Math.max(...out.map((x) => x.column))).toBe(2);
+  expectEquivalent(gates.slice(0, -1), out.slice(0, -1), 3);
+});
+
+test("random circuits stay equivalent through the whole pipeline", () => {
+  const random = seededRandom(42);
+  const types = ["H", "X", "Z", "S", "SDG", "T", "RX", "RZ", "P", "CNOT", "CZ", "CP", "SWAP"];
+  const pick = (list) => list[Math.floor(random() * list.length)];
+  for (let trial = 0; trial < 20; trial++) {
+    const numQubits = 3;
+    const gates = [];
+    for (let column = 0; column < 12; column++) {
+      const type = pick(types);
+      const target = Math.floor(random() * numQubits);
+      const other = (target + 1 + Math.floor(random() * (numQubits - 1))) % numQubits;
+      const angle = pick([0, Math.PI / 2, -Math.PI / 2, 0.3]);
+      gates.push(
+        makeGate(type, { column, target, controls: [other], pair: other, params: [{ angle }] })
+      );
+    }
+    const { gates: out, before, after } = optimize(gates);
+    expect(after.count).toBeLessThanOrEqual(before.count + 2 * (before.byType.SWAP ?? 0));
+    expectEquivalent(gates, out, numQubits);
+  }
+});
+
+test("runs only the enabled passes and reports which changed something", () => {
+  const gates = [g("H", 0, 0), g("H", 1, 0), g("RX", 4, 1, { angle: 0 })];
+  const some = optimize(gates, ["identities"]);
+  expect(some.gates.map((x) => x.type)).toEqual(["H", "H"]);
+  expect(some.changedBy).toEqual(["identities"]);
+
+  const all = optimize(gates);
+  expect(all.gates).toEqual([]);
+  expect(all.before).toEqual({ count: 3, depth: 2, byType: { H: 2, RX: 1 } });
+  expect(all.after).toEqual({ count: 0, depth: 0, byType: {} });
+  expect(PASSES.map((p) => p.id)).toEqual(["swaps", "cancel", "merge", "identities", "compact"]);
+});
+
+test("keeps conditioned gates and the measurements they depend on", () => {
+  const gates = [
+    g("H", 0, 0),
+    g("MEASURE", 1, 0),
+    g("X", 4, 1, { condition: { clbit: 0, value: 1 } }),
+    g("H", 5, 1),
+    g("Z", 6, 2, { condition: { value: 1 } }),
+  ];
+  const { gates: out } = optimize(gates);
+  expect(out.map((x) => [x.type, x.column])).toEqual([
+    ["H", 0],
+    ["MEASURE", 1],
+    ["X", 2],
+    ["H", 3],
+    ["Z", 2],
+  ]);
+  expect(out[2].condition).toEqual({ clbit: 0, value: 1 });
+});
@@ -0,0 +1,152 @@
+// ------------------------------ Symbolic Parameters ------------------------------
+// Rotation gates may carry an angle expression (`g.expr`, e.g. "2*phi + pi/4") instead of
+// a literal `g.angle`. Parameter values live once on the circuit and are bound on demand,
+// so moving a slider never rewrites the gates themselves. U gates keep one entry per angle
+// in `g.angles` / `g.exprs`.
+
+import { evaluateExpression, expressionSymbols } from "./expression";
+import { gateParams } from "./gates";
+
+/** @typedef {import("../QuantumCircuitBuilder").Gate} Gate */
+
+// Names that would clash with built-ins or with Python/Q# keywords in generated code
+const RESERVED = new Set(
+  (
+    "pi tau e sin cos tan exp ln sqrt " +
+    "and as assert async await break class continue def del elif else except False finally " +
+    "for from global if import in is lambda None nonlocal not or pass raise return True try " +
+    "while with yield qc q np qml sim result counts circuit measured dev device " +
+    "let use mutable set open operation function namespace"
+  ).split(" ")
+);
+
+/**
+ * @param {string} name
+ * @returns {string | null} error message, or null when the name is usable
+ */
+export function validateParameterName(name) {
+  if (!/^[A-Za-z_][A-Za-z0-9_]*$/.test(name)) {
+    return "Use letters, digits and _ (not starting with a digit).";
+  }
+  if (RESERVED.has(name)) return `'${name}' is reserved.`;
+  return null;
+}
+
+/**
+ * Parse what a user typed for a rotation angle. Plain numbers and constant arithmetic
+ * (`pi/2`) become a literal angle; anything that names a parameter is kept symbolic.
+ * @param {string} input
+ * @returns {{ angle: number } | { expr: string, symbols: string[] }}
+ */
+export function parseAngleInput(input) {
+  const source = String(input).trim();
+  const symbols = expressionSymbols(source);
+  if (symbols.length === 0) {
+    const angle = evaluateExpression(source);
+    if (!Number.isFinite(angle)) throw new Error("Angle must be a finite number");
+    return { angle };
+  }
+  for (const s of symbols) {
+    const problem = validateParameterName(s);
+    if (problem) throw new Error(problem);
+  }
+  // Check the syntax now rather than at simulation time
+  evaluateExpression(source, Object.fromEntries(symbols.map((s) => [s, 0])));
+  return { expr: source, symbols };
+}
+
+/**
+ * Every parameter name referenced by the gates, sorted.
+ * @param {Gate[]} gates
+ * @returns {string[]}
+ */
+export function gateSymbols(gates) {
+  const names = new Set();
+  for (const g of gates) {
+    for (const { expr } of gateParams(g)) {
+      if (expr) for (const s of expressionSymbols(expr)) names.add(s);
+    }
+  }
+  return Array.from(names).sort();
+}
+
+/**
+ * Copy of `gates` where every symbolic angle is evaluated with `params`.
+ * @param {Gate[]} gates
+ * @param {Record<string, number>} params
+ * @returns {Gate[]}
+ */
+export function bindParameters(gates, params = {}) {
+  return gates.map((g) => {
+    const slots = gateParams(g);
+    if (!slots.some((p) => p.expr)) return g;
+    let values;
+    try {
+      values = slots.map((p) => (p.expr ? evaluateExpression(p.expr, params) : p.angle));
+    } catch (e) {
+      throw new Error(`Gate ${g.type} on q${g.target} (t${g.column}): ${e.message}`);
+    }
+    return slots.length === 1 ? { ...g, angle: values[0] } : { ...g, angles: values };
+  });
+}
+
+/**
+ * Make sure every referenced parameter has a value (new ones start at 0).
+ * @param {Record<string, number>} params
+ * @param {string[]} symbols
+ * @returns {Record<string, number>} the same object if nothing was missing
+ */
+export function withDefaults(params, symbols) {
+  const missing = symbols.filter((s) => !(s in params));
+  if (missing.length === 0) return params;
+  return { ...params, ...Object.fromEntries(missing.map((s) => [s, 0])) };
+}
+
+/** Source of an angle slot for use inside a larger expression. */
+function angleTerm({ angle, expr }) {
+  if (!expr) return String(angle ?? 0);
+  return /^[\w.]+$/.test(expr.trim()) ? expr.trim() : `(${expr})`;
+}
+
+// Constants that read better as multiples of pi in generated expressions
+const PI_TEXT = [
+  [Math.PI, "pi"],
+  [Math.PI / 2, "pi/2"],
+  [Math.PI / 4, "pi/4"],
+];
+
+function constantText(x) {
+  for (const [value, text] of PI_TEXT) {
+    if (Math.abs(Math.abs(x) - value) < 1e-12) return x < 0 ? `-${text}` : text;
+  }
+  return String(x);
+}
+
+/**
+ * Angle slot holding a + b: a number when both are literal, else an expression.
+ * @param {{ angle?: number, expr?: string }} a
+ * @param {{ angle?: number, expr?: string }} b
+ * @returns {{ angle: number } | { expr: string }}
+ */
+export function addAngles(a, b) {
+  if (!a.expr && !b.expr) return { angle: (a.angle ?? 0) + (b.angle ?? 0) };
+  return { expr: `${angleTerm(a)} + ${angleTerm(b)}` };
+}
+
+/**
+ * Angle slot holding factor * slot + offset, keeping symbolic angles symbolic.
+ * @param {{ angle?: number, expr?: string }} slot
+ * @param {number} [factor]
+ * @param {number} [offset]
+ * @returns {{ angle: number } | { expr: string }}
+ */
+export function scaleAngle(slot, factor = 1, offset = 0) {
+  if (!slot.expr) return { angle: factor * (slot.angle ?? 0) + offset };
+  const sign = factor < 0 ? "-" : "";
+  const size = Math.abs(factor);
+  const term = angleTerm(slot);
+  let expr =
+    size === 1 ? `${sign}${term}` : size === 0.5 ? `${sign}${term}/2` : `${factor}*${term}`;
+  if (offset) expr += offset < 0 ? ` - ${constantText(-offset)}` : ` + ${constantText(offset)}`;
+  return { expr };
+}
@@ -0,0 +1,103 @@
+import {
+  addAngles,
+  bindParameters,
+  gateSymbols,
+  parseAngleInput,
+  scaleAngle,
+  validateParameterName,
+} from "./parameters";
+import { exportQasm, importQasm } from "./qasm";
+import { generateCode } from "./codegen";
+import { probabilities, runCircuit } from "./simulator";
+
+const gates = [
+  { id: "a", type: "RX", column: 0, target: 0, expr: "2*phi + pi/4" },
+  { id: "b", type: "RY", column: 0, target: 1, expr: "phi" },
+  { id: "c", type: "RZ", column: 1, target: 0, angle: 0.5 },
+];
+
+test("parses literal and symbolic angle input", () => {
+  expect(parseAngleInput("3.1416")).toEqual({ angle: 3.1416 });
+  expect(parseAngleInput("pi/2").angle).toBeCloseTo(Math.PI / 2);
+  expect(parseAngleInput(" 2*theta_0 + pi/4 ")).toEqual({
+    expr: "2*theta_0 + pi/4",
+    symbols: ["theta_0"],
+  });
+  expect(() => parseAngleInput("2*")).toThrow();
+  expect(() => parseAngleInput("lambda")).toThrow("'lambda' is reserved.");
+});
+
+test("validates parameter names", () => {
+  expect(validateParameterName("theta_0")).toBeNull();
+  expect(validateParameterName("0theta")).toMatch(/letters/);
+  expect(validateParameterName("qc")).toMatch(/reserved/);
+});
+
+test("binds shared parameters without touching the gates", () => {
+  expect(gateSymbols(gates)).toEqual(["phi"]);
+  const bound = bindParameters(gates, { phi: 1 });
+  expect(bound[0].angle).toBeCloseTo(2 + Math.PI / 4);
+  expect(bound[1].angle).toBe(1);
+  expect(bound[2]).toBe(gates[2]);
+  expect(gates[0].angle).toBeUndefined();
+  expect(() => bindParameters(gates, {})).toThrow("Gate RX on q0 (t0): Unknown name 'phi'");
+});
+
+test("U gates bind each symbolic angle separately", () => {
+  const u = { id: "u", type: "U", column: 0, target: 0, angles: [undefined, 0.5, undefined] };
+  u.exprs = ["theta", null, "2*lam"];
+  expect(gateSymbols([u])).toEqual(["lam", "theta"]);
+  expect(bindParameters([u], { theta: 1, lam: 0.25 })[0].angles).toEqual([1, 0.5, 0.5]);
+  expect(generateCode("qiskit", { gates: [u], numQubits: 1 })).toContain(
+    "qc.u(theta, 0.5, 2 * lam, 0)"
+  );
+});
+
+test("slider values drive the simulation", () => {
+  const circuit = [{ id: "r", type: "RX", column: 0, target: 0, expr: "theta" }];
+  expect(probabilities(runCircuit(bindParameters(circuit, { theta: 0 }), 1))[1]).toBeCloseTo(0);
+  expect(probabilities(runCircuit(bindParameters(circuit, { theta: Math.PI }), 1))[1]).toBeCloseTo(
+    1
+  );
+});
+
+test("Qiskit output declares Parameters and binds them at run time", () => {
+  const code = generateCode("qiskit", { gates, numQubits: 2, params: { phi: 0.3 } });
+  expect(code).toContain("from qiskit.circuit import Parameter");
+  expect(code).toContain('phi = Parameter("phi")');
+  expect(code).toContain("qc.rx(2 * phi + np.pi / 4, 0)");
+  expect(code).toContain("qc.rz(0.5, 0)");
+  expect(code).toContain("bound = qc.assign_parameters({phi: 0.3})");
+  expect(code).toContain("sim.run(bound, shots=1024)");
+});
+
+test("other backends keep parameters symbolic where they can", () => {
+  const circuit = { gates, numQubits: 2, params: { phi: 0.3 } };
+  expect(generateCode("cirq", circuit)).toContain("cirq.rx(2 * phi + sympy.pi / 4)(q[0])");
+  expect(generateCode("pennylane", circuit)).toContain("def circuit(phi):");
+  expect(generateCode("braket", circuit)).toContain('inputs = {"phi": 0.3}');
+  expect(generateCode("qsharp", circuit)).toContain("Ry(0.3, q[1]);");
+});
+
+test("OpenQASM 3 keeps parameters as inputs; 2.0 inlines them", () => {
+  const v3 = exportQasm(gates, 2, { version: 3, params: { phi: 0.3 } });
+  expect(v3).toContain("input float[64] phi;");
+  expect(v3).toContain("rx(2 * phi + pi / 4) q[0];");
+
+  const back = importQasm(v3);
+  expect(back.params).toEqual({ phi: 0 });
+  expect(back.gates[0].expr).toBe("2 * phi + pi / 4");
+
+  const v2 = exportQasm(gates, 2, { version: 2, params: { phi: 0.3 } });
+  expect(v2).toContain("ry(0.3) q[1];");
+  expect(v2).not.toContain("phi");
+});
+
+test("adds and scales angle slots, keeping expressions symbolic", () => {
+  expect(addAngles({ angle: 0.5 }, { angle: 0.25 })).toEqual({ angle: 0.75 });
+  expect(addAngles({ expr: "theta" }, { expr: "2*phi" })).toEqual({ expr: "theta + (2*phi)" });
+  expect(scaleAngle({ angle: 1 }, -0.5, Math.PI)).toEqual({ angle: Math.PI - 0.5 });
+  expect(scaleAngle({ expr: "theta" }, -0.5)).toEqual({ expr: "-theta/2" });
+  expect(scaleAngle({ expr: "a + b" }, 1, -Math.PI / 2)).toEqual({ expr: "(a + b) - pi/2" });
+  expect(scaleAngle({ expr: "theta" }, 3, 0.1)).toEqual({ expr: "3*theta + 0.1" });
+});
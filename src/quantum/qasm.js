@@ -0,0 +1,555 @@
+// ------------------------------ OpenQASM 2.0 / 3.0 ------------------------------
+// Export the builder's `gates` array as OpenQASM text, and import QASM back into gates
+// scheduled as-soon-as-possible into grid columns. Symbolic angles travel as OpenQASM 3
+// `input float[64]` parameters; OpenQASM 2 has no parameters, so their values are inlined.
+// Custom gates travel as `gate` definitions; their bodies always have values inlined because
+// a gate body cannot see the program's inputs. Dynamic circuits keep their measurements,
+// resets and `if` statements in place; static ones measure at the end.
+
+import { evaluateExpression, expressionSymbols, translateExpression } from "./expression";
+import { GATE_SPECS, gateControls, gateParams, gateSpan, makeGate } from "./gates";
+import { bindParameters, gateSymbols } from "./parameters";
+import { compositeOrder, expandComposites, makeInstance, validateCompositeName } from "./composite";
+import { MAX_QUBITS, sortGates } from "./simulator";
+import { classicalConflict, isDynamic, measuredBit } from "./classical";
+
+/** @typedef {import("../QuantumCircuitBuilder").Gate} Gate */
+/** @typedef {import("./composite").CompositeDefinition} CompositeDefinition */
+
+/**
+ * Thrown by importQasm(); `errors` lists every rejected statement with its line number.
+ */
+export class QasmError extends Error {
+  /**
+   * @param {{ line: number, message: string }[]} errors
+   */
+  constructor(errors) {
+    super(errors.map((e) => `Line ${e.line}: ${e.message}`).join("\n"));
+    this.name = "QasmError";
+    this.errors = errors;
+  }
+}
+
+// Builder gate type -> QASM gate name. qelib1.inc and stdgates.inc agree except for the
+// phase gates, which OpenQASM 2 only knows by their older u1/cu1 names.
+const QASM_NAMES = {
+  H: "h",
+  X: "x",
+  Y: "y",
+  Z: "z",
+  S: "s",
+  T: "t",
+  SDG: "sdg",
+  TDG: "tdg",
+  SX: "sx",
+  RX: "rx",
+  RY: "ry",
+  RZ: "rz",
+  P: "p",
+  U: "u3",
+  CNOT: "cx",
+  CZ: "cz",
+  CRX: "crx",
+  CRY: "cry",
+  CRZ: "crz",
+  CP: "cp",
+  CCX: "ccx",
+  SWAP: "swap",
+  ISWAP: "iswap",
+  CSWAP: "cswap",
+};
+const QASM2_NAMES = { ...QASM_NAMES, P: "u1", CP: "cu1" };
+
+// Neither standard library has iSWAP, so exports that use it define it up front
+const ISWAP_DEFINITION = "gate iswap a, b { s a; s b; h a; cx a, b; cx b, a; h b; }";
+
+// QASM gate name -> builder gate type; operands are controls first, then targets
+const IMPORTS = {
+  h: "H",
+  x: "X",
+  y: "Y",
+  z: "Z",
+  s: "S",
+  t: "T",
+  sdg: "SDG",
+  tdg: "TDG",
+  sx: "SX",
+  rx: "RX",
+  ry: "RY",
+  rz: "RZ",
+  p: "P",
+  u1: "P",
+  phase: "P",
+  u: "U",
+  u3: "U",
+  U: "U",
+  cx: "CNOT",
+  CX: "CNOT",
+  cnot: "CNOT",
+  cz: "CZ",
+  crx: "CRX",
+  cry: "CRY",
+  crz: "CRZ",
+  cp: "CP",
+  cu1: "CP",
+  cphase: "CP",
+  ccx: "CCX",
+  swap: "SWAP",
+  iswap: "ISWAP",
+  cswap: "CSWAP",
+};
+
+// OpenQASM 3 spelling of the constants/functions our expressions understand
+const QASM3_DIALECT = {
+  constant: (name) => ({ e: "euler" })[name] ?? name,
+  func: (name) => (name === "ln" ? "log" : name),
+};
+
+// ------------------------------ Export ------------------------------
+
+/**
+ * One gate as a QASM statement.
+ * @param {Gate} g
+ * @param {{ v3: boolean, names: Record<string, string>, params: Record<string, number> }} dialect
+ * @param {(q: number) => string} wire - operand for a qubit index
+ */
+function statement(g, { v3, names, params }, wire) {
+  if (g.type === "CUSTOM") return `${g.name} ${g.qubits.map(wire).join(", ")};`;
+  if (g.type === "RESET") return `reset ${wire(g.target)};`;
+  if (g.type === "MEASURE") {
+    const bit = `c[${measuredBit(g)}]`;
+    return v3 ? `${bit} = measure ${wire(g.target)};` : `measure ${wire(g.target)} -> ${bit};`;
+  }
+  const name = names[g.type];
+  if (!name) throw new Error(`Gate ${g.type} cannot be exported to OpenQASM`);
+  const slots = gateParams(g).map(({ angle, expr }) =>
+    v3 && expr ? translateExpression(expr, { ...QASM3_DIALECT, scope: params }) : (angle ?? 0)
+  );
+  const angle = slots.length ? `(${slots.join(", ")})` : "";
+  const args = [...gateControls(g), g.target];
+  if (GATE_SPECS[g.type].targets === 2) args.push(g.pair);
+  return `${name}${angle} ${args.map(wire).join(", ")};`;
+}
+
+/** A statement guarded by the gate's condition, if it has one. */
+function conditional(g, text, v3) {
+  if (!g.condition) return text;
+  const { clbit, value } = g.condition;
+  const bits = clbit === undefined ? "c" : `c[${clbit}]`;
+  if (v3) return `if (${bits} == ${value}) { ${text} }`;
+  if (clbit !== undefined) {
+    throw new Error("OpenQASM 2 can only test the whole register; save as OpenQASM 3 instead");
+  }
+  return `if(c==${value}) ${text}`;
+}
+
+/**
+ * @param {Gate[]} gates
+ * @param {number} numQubits
+ * @param {{ version?: 2 | 3, params?: Record<string, number>,
+ *   customGates?: Record<string, CompositeDefinition> }} [options]
+ * @returns {string}
+ */
+export function exportQasm(gates, numQubits, { version = 2, params = {}, customGates = {} } = {}) {
+  const v3 = version === 3;
+  const definitions = compositeOrder(gates, customGates);
+  const symbols = v3 ? gateSymbols(gates) : [];
+  const dialect = { v3, names: v3 ? QASM_NAMES : QASM2_NAMES, params };
+  const lines = [];
+  lines.push("// Auto-generated by Quantum Circuit Builder (React)");
+  if (v3) {
+    lines.push(
+      "OPENQASM 3.0;",
+      'include "stdgates.inc";',
+      `qubit[${numQubits}] q;`,
+      `bit[${numQubits}] c;`,
+      ...symbols.map((name) => `input float[64] ${name};`)
+    );
+  } else {
+    lines.push(
+      "OPENQASM 2.0;",
+      'include "qelib1.inc";',
+      `qreg q[${numQubits}];`,
+      `creg c[${numQubits}];`
+    );
+  }
+  if (expandComposites(gates, customGates).some((g) => g.type === "ISWAP")) {
+    lines.push(ISWAP_DEFINITION);
+  }
+  for (const def of definitions) {
+    const wires = Array.from({ length: def.numQubits }, (_, i) => `w${i}`);
+    const body = sortGates(bindParameters(def.gates, params)).map((g) =>
+      statement(g, { ...dialect, v3: false }, (i) => wires[i])
+    );
+    lines.push(`gate ${def.name} ${wires.join(", ")} { ${body.join(" ")} }`);
+  }
+
+  const dynamic = isDynamic(gates);
+  const measured = new Set();
+  for (const g of sortGates(v3 ? gates : bindParameters(gates, params))) {
+    if (g.type === "MEASURE" && !dynamic) {
+      measured.add(g.target);
+      continue;
+    }
+    lines.push(
+      conditional(
+        g,
+        statement(g, dialect, (q) => `q[${q}]`),
+        v3
+      )
+    );
+  }
+
+  // Static circuits defer measurements to the end, as in the generated Python
+  for (const q of Array.from(measured).sort((a, b) => a - b)) {
+    lines.push(v3 ? `c[${q}] = measure q[${q}];` : `measure q[${q}] -> c[${q}];`);
+  }
+  return lines.join("\n") + "\n";
+}
+
+// ------------------------------ Import ------------------------------
+
+/**
+ * Split source into `;`-terminated statements, dropping comments and remembering the
+ * line each statement starts on. A `{ … }` block is folded into the statement that opens
+ * it (as `{…}`), with its contents kept in `body`.
+ * @param {string} text
+ * @returns {{ line: number, text: string, body?: string, unterminated?: boolean }[]}
+ */
+function statements(text) {
+  const src = String(text)
+    .replace(/\/\*[\s\S]*?\*\//g, (m) => m.replace(/[^\n]/g, " "))
+    .replace(/\/\/.*$/gm, "");
+  const out = [];
+  let buf = "";
+  let start = 1;
+  let line = 1;
+  for (let i = 0; i < src.length; i++) {
+    const ch = src[i];
+    if (ch === "{") {
+      const open = i;
+      let depth = 0;
+      for (; i < src.length; i++) {
+        if (src[i] === "\n") line++;
+        if (src[i] === "{") depth++;
+        if (src[i] === "}" && --depth === 0) break;
+      }
+      out.push({ line: start, text: `${buf.trim()} {…}`, body: src.slice(open + 1, i) });
+      buf = "";
+      continue;
+    }
+    if (ch === "\n") line++;
+    if (ch === ";") {
+      if (buf.trim()) out.push({ line: start, text: buf.trim() });
+      buf = "";
+      continue;
+    }
+    if (!buf.trim() && !/\s/.test(ch)) start = line;
+    buf += ch;
+  }
+  if (buf.trim()) out.push({ line: start, text: buf.trim(), unterminated: true });
+  return out;
+}
+
+/**
+ * Parse OpenQASM 2.0 or 3.0 into builder gates. Gates are packed into the earliest column
+ * where every row they span is free. Unsupported instructions raise a QasmError.
+ * OpenQASM 3 `input float`/`input angle` declarations become circuit parameters (value 0),
+ * and `gate` definitions without parameters become custom gates. Classical registers are
+ * laid end to end as the builder's single register, which has one bit per qubit; `if`
+ * may test one bit or every classical bit declared.
+ * @param {string} text
+ * @returns {{ numQubits: number, numColumns: number, gates: Gate[], params: Record<string, number>,
+ *   customGates: Record<string, CompositeDefinition> }}
+ */
+export function importQasm(text) {
+  /** @type {{ line: number, message: string }[]} */
+  const errors = [];
+  /** @type {Record<string, { offset: number, size: number }>} */
+  const qregs = {};
+  /** @type {Record<string, { offset: number, size: number }>} */
+  const cregs = {};
+  let numClbits = 0;
+  /** @type {Record<string, number>} */
+  const inputs = {};
+  let numQubits = 0;
+  /** @type {Record<string, CompositeDefinition>} */
+  const customGates = {};
+  /** @type {Op[]} */
+  const ops = [];
+
+  /** Resolve `q[1]` to [offset+1], or a bare `q` to every qubit in the register. */
+  function qubitArg(arg) {
+    const m = /^([A-Za-z_]\w*)\s*(?:\[\s*(\d+)\s*\])?$/.exec(arg.trim());
+    if (!m) throw new Error(`Invalid qubit operand '${arg.trim()}'`);
+    const reg = qregs[m[1]];
+    if (!reg) throw new Error(`Unknown quantum register '${m[1]}'`);
+    if (m[2] === undefined) return Array.from({ length: reg.size }, (_, k) => reg.offset + k);
+    const idx = Number(m[2]);
+    if (idx >= reg.size) throw new Error(`Index ${idx} out of range for '${m[1]}[${reg.size}]'`);
+    return [reg.offset + idx];
+  }
+
+  /** Resolve `c[1]` to [offset+1], or a bare `c` to every bit in the register. */
+  function bitArg(arg) {
+    const m = /^([A-Za-z_]\w*)\s*(?:\[\s*(\d+)\s*\])?$/.exec(arg.trim());
+    const reg = m && cregs[m[1]];
+    if (!reg) throw new Error(`Unknown classical bit '${arg.trim()}'`);
+    if (m[2] === undefined) return Array.from({ length: reg.size }, (_, k) => reg.offset + k);
+    if (Number(m[2]) >= reg.size) {
+      throw new Error(`Index ${m[2]} out of range for '${m[1]}[${reg.size}]'`);
+    }
+    return [reg.offset + Number(m[2])];
+  }
+
+  function addCreg(name, size) {
+    if (name in cregs) throw new Error(`Register '${name}' already declared`);
+    cregs[name] = { offset: numClbits, size };
+    numClbits += size;
+  }
+
+  /** `if (c == 5)` or `if (c[1] == 1)` as a builder condition. */
+  function conditionOf(bitsSrc, valueSrc) {
+    const bits = bitArg(bitsSrc);
+    const value = Number(valueSrc);
+    if (bits.length === 1) {
+      if (value > 1) throw new Error(`A single bit cannot equal ${value}`);
+      return { clbit: bits[0], value };
+    }
+    if (bits[0] !== 0 || bits.length !== numClbits) {
+      throw new Error("Conditions must test one bit or every classical bit");
+    }
+    return { value };
+  }
+
+  function addQreg(name, size) {
+    if (name in qregs) throw new Error(`Register '${name}' already declared`);
+    qregs[name] = { offset: numQubits, size };
+    numQubits += size;
+    if (numQubits > MAX_QUBITS) throw new Error(`More than ${MAX_QUBITS} qubits declared`);
+  }
+
+  /**
+   * Ops for one gate call `name(params) a, b`. `resolve` maps an operand to its qubits;
+   * single-qubit gates broadcast over a whole register.
+   * @param {string} name
+   * @param {string | undefined} paramSrc
+   * @param {string} argSrc
+   * @param {(operand: string) => number[]} resolve
+   * @param {number} line
+   * @returns {Op[]}
+   */
+  function gateCall(name, paramSrc, argSrc, resolve, line) {
+    if (name === "id" || name === "i") return [];
+    const custom = customGates[name];
+    const type = custom ? "CUSTOM" : IMPORTS[name];
+    if (!type) throw new Error(`Unsupported instruction '${name}'`);
+    const spec = custom ? { controls: 0, targets: custom.numQubits, params: [] } : GATE_SPECS[type];
+    const arity = spec.controls + spec.targets;
+    const paramList = paramSrc === undefined ? [] : paramSrc.split(",");
+    if (paramList.length !== spec.params.length) {
+      throw new Error(`'${name}' expects ${spec.params.length} parameter(s)`);
+    }
+    const operands = argSrc.split(",").filter((a) => a.trim());
+    if (operands.length !== arity) {
+      throw new Error(`'${name}' expects ${arity} qubit operand(s)`);
+    }
+    const params = paramList.map((raw) => {
+      const source = raw.trim().replace(/\beuler\b/g, "e");
+      let angle;
+      try {
+        angle = evaluateExpression(source, inputs);
+      } catch (e) {
+        throw new Error(`Bad parameter '${raw.trim()}': ${e.message}`);
+      }
+      return expressionSymbols(source).some((s) => s in inputs) ? { expr: source } : { angle };
+    });
+    const resolved = operands.map(resolve);
+    if (arity === 1) {
+      // `h q;` broadcasts over the whole register
+      return resolved[0].map((q) => ({ line, type, name, qubits: [q], params }));
+    }
+    if (resolved.some((r) => r.length !== 1)) {
+      throw new Error(`'${name}' needs indexed qubits, not whole registers`);
+    }
+    const qubits = resolved.map((r) => r[0]);
+    if (new Set(qubits).size !== qubits.length) {
+      throw new Error(`'${name}' uses the same qubit twice`);
+    }
+    return [{ line, type, name, qubits, params }];
+  }
+
+  /** Turn `gate name a, b { … }` into a custom gate definition. */
+  function defineGate(name, formals, argSrc, body, line) {
+    if (formals) throw new Error(`Gate '${name}' has parameters, which are not supported`);
+    const problem = validateCompositeName(name, customGates);
+    if (problem) throw new Error(`Cannot define gate '${name}': ${problem}`);
+    const wires = argSrc.split(",").map((a) => a.trim());
+    if (wires.some((w) => !/^[A-Za-z_]\w*$/.test(w))) {
+      throw new Error(`Gate '${name}' has invalid qubit arguments`);
+    }
+    const local = (operand) => {
+      const i = wires.indexOf(operand.trim());
+      if (i < 0) throw new Error(`Unknown qubit '${operand.trim()}' in gate '${name}'`);
+      return [i];
+    };
+    const inner = [];
+    for (const part of body.split(";")) {
+      const src = part.replace(/\s+/g, " ").trim();
+      if (!src || /^barrier\b/.test(src)) continue;
+      const m = /^([A-Za-z_]\w*) ?(?:\((.*)\))? ?(.*)$/.exec(src);
+      if (!m) throw new Error(`Cannot parse '${src}' in gate '${name}'`);
+      inner.push(...gateCall(m[1], m[2], m[3], local, line));
+    }
+    if (inner.length === 0) throw new Error(`Gate '${name}' has an empty body`);
+    const { gates, numColumns } = schedule(inner, wires.length);
+    customGates[name] = { name, numQubits: wires.length, numColumns, gates };
+  }
+
+  for (const stmt of statements(text)) {
+    const s = stmt.text.replace(/\s+/g, " ");
+    let m;
+    try {
+      if (stmt.unterminated) throw new Error("Missing ';'");
+      if ((m = /^OPENQASM ([\d.]+)$/.exec(s))) {
+        if (!/^(2(\.0)?|3(\.\d+)?)$/.test(m[1])) throw new Error(`Unsupported version ${m[1]}`);
+      } else if ((m = /^include "([^"]+)"$/.exec(s))) {
+        if (m[1] !== "qelib1.inc" && m[1] !== "stdgates.inc") {
+          throw new Error(`Cannot include '${m[1]}'`);
+        }
+      } else if ((m = /^qreg ([A-Za-z_]\w*) ?\[ ?(\d+) ?\]$/.exec(s))) {
+        addQreg(m[1], Number(m[2]));
+      } else if ((m = /^qubit(?: ?\[ ?(\d+) ?\])? ([A-Za-z_]\w*)$/.exec(s))) {
+        addQreg(m[2], m[1] === undefined ? 1 : Number(m[1]));
+      } else if ((m = /^input (?:float|angle)(?: ?\[ ?\d+ ?\])? ([A-Za-z_]\w*)$/.exec(s))) {
+        inputs[m[1]] = 0;
+      } else if ((m = /^creg ([A-Za-z_]\w*) ?\[ ?(\d+) ?\]$/.exec(s))) {
+        addCreg(m[1], Number(m[2]));
+      } else if ((m = /^bit(?: ?\[ ?(\d+) ?\])? ([A-Za-z_]\w*)$/.exec(s))) {
+        addCreg(m[2], m[1] === undefined ? 1 : Number(m[1]));
+      } else if (
+        (m = /^measure (.+?) ?-> ?(.+)$/.exec(s)) ||
+        (m = /^(.+?) ?= ?measure (.+)$/.exec(s))
+      ) {
+        const [qArg, cArg] = s.startsWith("measure") ? [m[1], m[2]] : [m[2], m[1]];
+        const qubits = qubitArg(qArg);
+        const bits = bitArg(cArg);
+        if (qubits.length !== bits.length) {
+          throw new Error(`Cannot measure ${qubits.length} qubit(s) into ${bits.length} bit(s)`);
+        }
+        qubits.forEach((q, i) =>
+          ops.push({ line: stmt.line, type: "MEASURE", qubits: [q], clbit: bits[i] })
+        );
+      } else if ((m = /^reset (.+)$/.exec(s))) {
+        for (const q of qubitArg(m[1])) ops.push({ line: stmt.line, type: "RESET", qubits: [q] });
+      } else if ((m = /^if ?\( ?([^=]+?) ?== ?(\d+) ?\) ?(.+)$/.exec(s))) {
+        const condition = conditionOf(m[1], m[2]);
+        // `if (…) { a; b; }` in OpenQASM 3, or a single statement
+        const body = m[3] === "{…}" ? (stmt.body ?? "").split(";") : [m[3]];
+        for (const part of body) {
+          const src = part.replace(/\s+/g, " ").trim();
+          if (!src) continue;
+          const call = /^([A-Za-z_]\w*) ?(?:\((.*)\))? ?(.*)$/.exec(src);
+          if (!call || !(call[1] in IMPORTS)) {
+            throw new Error(`Only gates can be conditioned, not '${src}'`);
+          }
+          for (const op of gateCall(call[1], call[2], call[3], qubitArg, stmt.line)) {
+            ops.push({ ...op, condition });
+          }
+        }
+      } else if ((m = /^barrier(?: (.*))?$/.exec(s))) {
+        const qubits = m[1]
+          ? m[1].split(",").flatMap(qubitArg)
+          : Array.from({ length: numQubits }, (_, q) => q);
+        ops.push({ line: stmt.line, type: "BARRIER", qubits });
+      } else if ((m = /^gate ([A-Za-z_]\w*) ?(\(.*?\))? ?([^{]*?) ?\{…\}$/.exec(s))) {
+        // Definitions of gates we already know (e.g. the iswap our own export emits) are skipped
+        if (!IMPORTS[m[1]]) defineGate(m[1], m[2], m[3], stmt.body ?? "", stmt.line);
+      } else if (!s.endsWith("{…}") && (m = /^([A-Za-z_]\w*) ?(?:\((.*)\))? ?(.*)$/.exec(s))) {
+        ops.push(...gateCall(m[1], m[2], m[3], qubitArg, stmt.line));
+      } else {
+        const keyword = s.split(/[\s({]/)[0] || s;
+        throw new Error(`Unsupported instruction '${keyword}'`);
+      }
+    } catch (e) {
+      errors.push({ line: stmt.line, message: e.message });
+    }
+  }
+
+  if (numQubits === 0 && errors.length === 0) {
+    errors.push({ line: 1, message: "No quantum register declared" });
+  }
+  // The builder has one classical bit per qubit
+  for (const op of ops) {
+    const bit = op.clbit ?? op.condition?.clbit;
+    if (bit >= numQubits || op.condition?.value >= 2 ** numQubits) {
+      errors.push({
+        line: op.line,
+        message: `Uses more classical bits than the ${numQubits} the circuit has (one per qubit)`,
+      });
+    }
+  }
+  if (errors.length) throw new QasmError(errors);
+
+  const { gates, numColumns } = schedule(ops, numQubits);
+  return { numQubits, numColumns, gates, params: inputs, customGates };
+}
+
+/**
+ * @typedef {Object} Op
+ * @property {number} line
+ * @property {string} type - builder gate type, "CUSTOM", "MEASURE" or "BARRIER"
+ * @property {string=} name - QASM name (custom gates)
+ * @property {number[]} qubits - controls first, then targets
+ * @property {{ angle?: number, expr?: string }[]=} params
+ * @property {number=} clbit - bit a MEASURE writes
+ * @property {import("./classical").Condition=} condition
+ */
+
+/**
+ * As-soon-as-possible scheduling over the rows each gate spans, keeping gates that share
+ * classical bits in order.
+ * @param {Op[]} ops
+ * @param {number} numQubits
+ * @returns {{ gates: Gate[], numColumns: number }}
+ */
+function schedule(ops, numQubits) {
+  const frontier = new Array(numQubits).fill(0);
+  /** @type {Gate[]} */
+  const gates = [];
+  /** @type {Gate[]} */
+  const classical = [];
+  for (const op of ops) {
+    if (op.type === "BARRIER") {
+      const column = Math.max(...op.qubits.map((r) => frontier[r]));
+      for (const r of op.qubits) frontier[r] = column;
+      continue;
+    }
+
+    let g;
+    if (op.type === "CUSTOM") {
+      g = makeInstance(op.name, 0, op.qubits);
+    } else {
+      const nc = GATE_SPECS[op.type].controls;
+      g = makeGate(op.type, {
+        column: 0,
+        controls: op.qubits.slice(0, nc),
+        target: op.qubits[nc],
+        pair: op.qubits[nc + 1],
+        params: op.params,
+      });
+    }
+    if (op.type === "MEASURE" && op.clbit !== g.target) g.clbit = op.clbit;
+    if (op.condition) g.condition = op.condition;
+    const { top, bottom } = gateSpan(g);
+    const rows = Array.from({ length: bottom - top + 1 }, (_, k) => top + k);
+    g.column = Math.max(...rows.map((r) => frontier[r]));
+    for (const p of classical) {
+      if (classicalConflict(p, g) !== null) g.column = Math.max(g.column, p.column + 1);
+    }
+    for (const r of rows) frontier[r] = g.column + 1;
+    if (g.type === "MEASURE" || g.condition) classical.push(g);
+    gates.push(g);
+  }
+  return { gates, numColumns: Math.max(1, ...gates.map((g) => g.column + 1)) };
+}
@@ -0,0 +1,234 @@
+import { exportQasm, importQasm, QasmError } from "./qasm";
+import { probabilities, runCircuit } from "./simulator";
+
+// Already ASAP-packed, so importing the exported text gives the same columns back
+const circuit = [
+  { id: "h", type: "H", column: 0, target: 0 },
+  { id: "rz", type: "RZ", column: 0, target: 2, angle: 0.5 },
+  { id: "cx", type: "CNOT", column: 1, target: 1, control: 0 },
+  { id: "sw", type: "SWAP", column: 2, target: 0, pair: 2 },
+  { id: "m", type: "MEASURE", column: 3, target: 1 },
+];
+
+test("exports OpenQASM 2.0", () => {
+  expect(exportQasm(circuit, 3)).toBe(
+    [
+      "// Auto-generated by Quantum Circuit Builder (React)",
+      "OPENQASM 2.0;",
+      'include "qelib1.inc";',
+      "qreg q[3];",
+      "creg c[3];",
+      "h q[0];",
+      "rz(0.5) q[2];",
+      "cx q[0], q[1];",
+      "swap q[0], q[2];",
+      "measure q[1] -> c[1];",
+      "",
+    ].join("\n")
+  );
+});
+
+test("exports OpenQASM 3.0", () => {
+  const text = exportQasm(circuit, 3, { version: 3 });
+  expect(text).toContain('OPENQASM 3.0;\ninclude "stdgates.inc";\nqubit[3] q;\nbit[3] c;');
+  expect(text).toContain("c[1] = measure q[1];");
+});
+
+test.each([2, 3])("round-trips through OpenQASM %i", (version) => {
+  const { numQubits, gates } = importQasm(exportQasm(circuit, 3, { version }));
+  expect(numQubits).toBe(3);
+  expect(gates.map(({ id, ...g }) => g)).toEqual(circuit.map(({ id, ...g }) => g));
+});
+
+test("schedules gates as soon as possible across spanned rows", () => {
+  const { gates, numColumns } = importQasm(`
+    OPENQASM 2.0;
+    include "qelib1.inc";
+    qreg q[3];
+    h q[0];
+    h q[2];
+    cx q[0], q[2]; // spans q1 as well
+    x q[1];
+    barrier q;
+    z q[0];
+  `);
+  expect(gates.map((g) => [g.type, g.column])).toEqual([
+    ["H", 0],
+    ["H", 0],
+    ["CNOT", 1],
+    ["X", 2],
+    ["Z", 3],
+  ]);
+  expect(numColumns).toBe(4);
+});
+
+test("evaluates angle expressions and broadcasts over registers", () => {
+  const { gates } = importQasm("OPENQASM 3;\nqubit[2] q;\nrx(-pi/2) q;\n");
+  expect(gates).toHaveLength(2);
+  expect(gates[0].angle).toBeCloseTo(-Math.PI / 2);
+  expect(probabilities(runCircuit(gates, 2))[3]).toBeCloseTo(0.25);
+});
+
+test("maps multiple registers onto consecutive qubits", () => {
+  const { numQubits, gates } = importQasm("qreg a[1];\nqreg b[2];\ncx a[0], b[1];");
+  expect(numQubits).toBe(3);
+  expect(gates[0]).toMatchObject({ type: "CNOT", control: 0, target: 2 });
+});
+
+test("rejects unsupported instructions with line numbers", () => {
+  const src = [
+    "OPENQASM 2.0;",
+    'include "qelib1.inc";',
+    "qreg q[2];",
+    "rzz(0.5) q[0], q[1];",
+    "gate foo(x) a {",
+    "  h a;",
+    "}",
+    "cx q[0], q[5];",
+    "rx(theta) q[1];",
+  ].join("\n");
+  let error;
+  try {
+    importQasm(src);
+  } catch (e) {
+    error = e;
+  }
+  expect(error).toBeInstanceOf(QasmError);
+  expect(error.errors.map((e) => e.line)).toEqual([4, 5, 8, 9]);
+  expect(error.message).toContain("Line 4: Unsupported instruction 'rzz'");
+  expect(error.message).toContain("Line 5: Gate 'foo' has parameters, which are not supported");
+  expect(error.message).toContain("Line 8: Index 5 out of range for 'q[2]'");
+  expect(error.message).toContain("Line 9: Bad parameter 'theta': Unknown name 'theta'");
+});
+
+// One of every gate added on top of the original set, ASAP-packed
+const extended = [
+  { id: "a", type: "SDG", column: 0, target: 0 },
+  { id: "b", type: "TDG", column: 0, target: 1 },
+  { id: "c", type: "SX", column: 0, target: 2 },
+  { id: "d", type: "P", column: 0, target: 3, angle: 0.25 },
+  { id: "e", type: "U", column: 1, target: 0, angles: [0.5, 1, 1.5] },
+  { id: "f", type: "CRX", column: 1, target: 2, controls: [1], angle: 0.75 },
+  { id: "g", type: "CP", column: 2, target: 3, controls: [0], angle: 2 },
+  { id: "h", type: "CCX", column: 3, target: 1, controls: [3, 0] },
+  { id: "i", type: "CSWAP", column: 4, target: 0, controls: [2], pair: 3 },
+  { id: "j", type: "ISWAP", column: 5, target: 1, pair: 2 },
+];
+
+test("exports the extended gate set with controls first", () => {
+  const v2 = exportQasm(extended, 4);
+  expect(v2).toContain("gate iswap a, b { s a; s b; h a; cx a, b; cx b, a; h b; }");
+  expect(v2).toContain("u1(0.25) q[3];");
+  expect(v2).toContain("u3(0.5, 1, 1.5) q[0];");
+  expect(v2).toContain("crx(0.75) q[1], q[2];");
+  expect(v2).toContain("cu1(2) q[0], q[3];");
+  expect(v2).toContain("ccx q[3], q[0], q[1];");
+  expect(v2).toContain("cswap q[2], q[0], q[3];");
+  expect(v2).toContain("iswap q[1], q[2];");
+
+  const v3 = exportQasm(extended, 4, { version: 3 });
+  expect(v3).toContain("p(0.25) q[3];");
+  expect(v3).toContain("cp(2) q[0], q[3];");
+});
+
+test.each([2, 3])("round-trips the extended gate set through OpenQASM %i", (version) => {
+  const { gates } = importQasm(exportQasm(extended, 4, { version }));
+  expect(gates.map(({ id, ...g }) => g)).toEqual(extended.map(({ id, ...g }) => g));
+  const before = probabilities(runCircuit(extended, 4));
+  const after = probabilities(runCircuit(gates, 4));
+  before.forEach((p, i) => expect(after[i]).toBeCloseTo(p, 10));
+});
+
+test("rejects wrong parameter and operand counts for the new gates", () => {
+  expect(() => importQasm("qreg q[3];\nu3(1, 2) q[0];")).toThrow("'u3' expects 3 parameter(s)");
+  expect(() => importQasm("qreg q[3];\nccx q[0], q[1];")).toThrow(
+    "'ccx' expects 3 qubit operand(s)"
+  );
+  expect(() => importQasm("qreg q[3];\ncswap q[0], q[1], q[0];")).toThrow(
+    "'cswap' uses the same qubit twice"
+  );
+});
+
+test("custom gates are defined once and round-trip", () => {
+  const customGates = {
+    bell: {
+      name: "bell",
+      numQubits: 2,
+      numColumns: 2,
+      gates: [
+        { id: "h", type: "H", column: 0, target: 0 },
+        { id: "cx", type: "CNOT", column: 1, target: 1, control: 0 },
+      ],
+    },
+  };
+  const gates = [
+    { id: "a", type: "CUSTOM", name: "bell", column: 0, target: 0, qubits: [0, 1] },
+    { id: "b", type: "CUSTOM", name: "bell", column: 1, target: 2, qubits: [2, 1] },
+  ];
+  const text = exportQasm(gates, 3, { customGates });
+  expect(text).toContain("gate bell w0, w1 { h w0; cx w0, w1; }");
+  expect(text).toContain("bell q[0], q[1];\nbell q[2], q[1];");
+  expect(text.match(/gate bell/g)).toHaveLength(1);
+
+  const back = importQasm(text);
+  expect(back.gates.map(({ id, ...g }) => g)).toEqual(gates.map(({ id, ...g }) => g));
+  expect(back.customGates.bell.gates.map(({ id, ...g }) => g)).toEqual(
+    customGates.bell.gates.map(({ id, ...g }) => g)
+  );
+});
+
+// Teleportation-style classical control, ASAP-packed
+const dynamic = [
+  { id: "h", type: "H", column: 0, target: 0 },
+  { id: "m", type: "MEASURE", column: 1, target: 0, clbit: 1 },
+  { id: "r", type: "RESET", column: 2, target: 0 },
+  { id: "x", type: "X", column: 2, target: 1, condition: { clbit: 1, value: 1 } },
+  { id: "z", type: "Z", column: 3, target: 1, condition: { value: 2 } },
+];
+
+test("exports measurements, resets and conditions in place", () => {
+  const text = exportQasm(dynamic, 2, { version: 3 });
+  expect(text).toContain(
+    [
+      "h q[0];",
+      "c[1] = measure q[0];",
+      "reset q[0];",
+      "if (c[1] == 1) { x q[1]; }",
+      "if (c == 2) { z q[1]; }",
+    ].join("\n")
+  );
+  expect(() => exportQasm(dynamic, 2)).toThrow("OpenQASM 2 can only test the whole register");
+  const v2 = exportQasm(dynamic.slice(0, 3).concat(dynamic[4]), 2);
+  expect(v2).toContain("measure q[0] -> c[1];\nreset q[0];\nif(c==2) z q[1];");
+});
+
+test("round-trips classical control through OpenQASM 3", () => {
+  const { gates } = importQasm(exportQasm(dynamic, 2, { version: 3 }));
+  expect(gates.map(({ id, ...g }) => g)).toEqual(dynamic.map(({ id, ...g }) => g));
+});
+
+test("imports OpenQASM 2 conditions and maps classical registers end to end", () => {
+  const { gates } = importQasm(`
+    OPENQASM 2.0;
+    include "qelib1.inc";
+    qreg q[3];
+    creg a[1];
+    creg b[2];
+    measure q[0] -> b[1];
+    if(a==1) x q[1];
+    measure q[1] -> b[0];
+  `);
+  expect(gates.map((g) => [g.type, g.column, g.target, g.clbit, g.condition])).toEqual([
+    ["MEASURE", 0, 0, 2, undefined],
+    ["X", 0, 1, undefined, { clbit: 0, value: 1 }],
+    ["MEASURE", 1, 1, undefined, undefined],
+  ]);
+  expect(() =>
+    importQasm(
+      "OPENQASM 2.0;\nqreg q[2];\ncreg a[1];\ncreg b[1];\ncreg c[1];\nmeasure q[0] -> c[0];"
+    )
+  ).toThrow("Line 6: Uses more classical bits than the 2 the circuit has (one per qubit)");
+  expect(() => importQasm("OPENQASM 2.0;\nqreg q[2];\ncreg c[2];\nif(c[0]==2) x q[0];")).toThrow(
+    "Line 4: A single bit cannot equal 2"
+  );
+});
@@ -0,0 +1,566 @@
+// ------------------------------ Statevector Simulator ------------------------------
+// Pure-JS engine that runs a `gates` array from the circuit builder without Qiskit.
+// Qubit ordering follows Qiskit (little-endian): qubit 0 is the least significant bit
+// of a basis-state index, and bitstrings are printed q{n-1}…q0 so counts line up with
+// what AerSimulator returns for the generated Python.
+
+import { GATE_SPECS, gateControls, gateQubits } from "./gates";
+import { conditionHolds, isDynamic, measuredBit, writtenBits } from "./classical";
+
+/** @typedef {import("../QuantumCircuitBuilder").Gate} Gate */
+
+/** Hard limit shared with the "Qubits" input in the builder. */
+export const MAX_QUBITS = 16;
+
+/**
+ * @typedef {Object} StateVector
+ * @property {number} numQubits
+ * @property {Float64Array} re - real parts, length 2^numQubits
+ * @property {Float64Array} im - imaginary parts, length 2^numQubits
+ */
+
+/**
+ * @typedef {Object} SimulationResult
+ * @property {StateVector | null} state - final state before measurement; null for dynamic
+ *   circuits, whose state depends on the outcomes along the way
+ * @property {Float64Array} probabilities - |amplitude|^2 per basis state, or for dynamic
+ *   circuits the probability of each final classical register value
+ * @property {Record<string, number>} counts - sampled shots keyed by classical bitstring
+ * @property {number} shots
+ * @property {number[]} measured - qubits that were read out, or for dynamic circuits the
+ *   classical bits written (sorted)
+ */
+
+/**
+ * @typedef {Object} Branch
+ * @property {StateVector} state - normalized
+ * @property {number} register - classical bits so far, bit k is c[k]
+ * @property {number} probability - of the outcomes that led here
+ */
+
+const SQRT1_2 = Math.SQRT1_2;
+
+/**
+ * Create |0…0⟩ on `numQubits` qubits.
+ * @param {number} numQubits
+ * @returns {StateVector}
+ */
+export function createState(numQubits) {
+  if (!Number.isInteger(numQubits) || numQubits < 1 || numQubits > MAX_QUBITS) {
+    throw new RangeError(`numQubits must be an integer in 1..${MAX_QUBITS}`);
+  }
+  const size = 1 << numQubits;
+  const re = new Float64Array(size);
+  const im = new Float64Array(size);
+  re[0] = 1;
+  return { numQubits, re, im };
+}
+
+/**
+ * 2x2 complex matrix for a single-qubit gate, as [[re, im] x 4] in row-major order
+ * (m00, m01, m10, m11). Returns null for gate types that are not single-qubit unitaries.
+ * @param {Gate} gate
+ * @returns {number[][] | null}
+ */
+export function singleQubitMatrix(gate) {
+  const half = (gate.angle ?? 0) / 2;
+  const c = Math.cos(half);
+  const s = Math.sin(half);
+  switch (gate.type) {
+    case "H":
+      return [
+        [SQRT1_2, 0],
+        [SQRT1_2, 0],
+        [SQRT1_2, 0],
+        [-SQRT1_2, 0],
+      ];
+    case "X":
+      return [
+        [0, 0],
+        [1, 0],
+        [1, 0],
+        [0, 0],
+      ];
+    case "Y":
+      return [
+        [0, 0],
+        [0, -1],
+        [0, 1],
+        [0, 0],
+      ];
+    case "Z":
+      return [
+        [1, 0],
+        [0, 0],
+        [0, 0],
+        [-1, 0],
+      ];
+    case "S":
+      return [
+        [1, 0],
+        [0, 0],
+        [0, 0],
+        [0, 1],
+      ];
+    case "T":
+      return [
+        [1, 0],
+        [0, 0],
+        [0, 0],
+        [SQRT1_2, SQRT1_2],
+      ];
+    case "SDG":
+      return [
+        [1, 0],
+        [0, 0],
+        [0, 0],
+        [0, -1],
+      ];
+    case "TDG":
+      return [
+        [1, 0],
+        [0, 0],
+        [0, 0],
+        [SQRT1_2, -SQRT1_2],
+      ];
+    case "SX":
+      return [
+        [0.5, 0.5],
+        [0.5, -0.5],
+        [0.5, -0.5],
+        [0.5, 0.5],
+      ];
+    case "P": {
+      const a = gate.angle ?? 0;
+      return [
+        [1, 0],
+        [0, 0],
+        [0, 0],
+        [Math.cos(a), Math.sin(a)],
+      ];
+    }
+    case "U": {
+      // Qiskit's U(θ, φ, λ) = [[cos θ/2, -e^{iλ} sin θ/2], [e^{iφ} sin θ/2, e^{i(φ+λ)} cos θ/2]]
+      const [theta = 0, phi = 0, lam = 0] = gate.angles ?? [];
+      const ct = Math.cos(theta / 2);
+      const st = Math.sin(theta / 2);
+      return [
+        [ct, 0],
+        [-Math.cos(lam) * st, -Math.sin(lam) * st],
+        [Math.cos(phi) * st, Math.sin(phi) * st],
+        [Math.cos(phi + lam) * ct, Math.sin(phi + lam) * ct],
+      ];
+    }
+    case "RX":
+      return [
+        [c, 0],
+        [0, -s],
+        [0, -s],
+        [c, 0],
+      ];
+    case "RY":
+      return [
+        [c, 0],
+        [-s, 0],
+        [s, 0],
+        [c, 0],
+      ];
+    case "RZ":
+      return [
+        [c, -s],
+        [0, 0],
+        [0, 0],
+        [c, s],
+      ];
+    default:
+      return null;
+  }
+}
+
+/**
+ * Apply a 2x2 matrix to `target`, only on basis states where every control bit is 1.
+ * Mutates `state` in place.
+ * @param {StateVector} state
+ * @param {number[][]} m - matrix from singleQubitMatrix()
+ * @param {number} target
+ * @param {number[]} [controls]
+ */
+export function applyMatrix(state, m, target, controls = []) {
+  const { re, im } = state;
+  const tBit = 1 << target;
+  let cMask = 0;
+  for (const c of controls) cMask |= 1 << c;
+  const [[a0, a1], [b0, b1], [c0, c1], [d0, d1]] = m;
+
+  for (let i = 0; i < re.length; i++) {
+    if (i & tBit || (i & cMask) !== cMask) continue;
+    const j = i | tBit;
+    const r0 = re[i];
+    const i0 = im[i];
+    const r1 = re[j];
+    const i1 = im[j];
+    re[i] = a0 * r0 - a1 * i0 + b0 * r1 - b1 * i1;
+    im[i] = a0 * i0 + a1 * r0 + b0 * i1 + b1 * r1;
+    re[j] = c0 * r0 - c1 * i0 + d0 * r1 - d1 * i1;
+    im[j] = c0 * i0 + c1 * r0 + d0 * i1 + d1 * r1;
+  }
+}
+
+/**
+ * Exchange the amplitudes of qubits `a` and `b`, only on basis states where every control
+ * bit is 1. Mutates `state` in place.
+ * @param {StateVector} state
+ * @param {number} a
+ * @param {number} b
+ * @param {number[]} [controls]
+ */
+export function applySwap(state, a, b, controls = []) {
+  const { re, im } = state;
+  const aBit = 1 << a;
+  const bBit = 1 << b;
+  let cMask = 0;
+  for (const c of controls) cMask |= 1 << c;
+  for (let i = 0; i < re.length; i++) {
+    // visit each |…1_a…0_b…⟩ once and swap it with |…0_a…1_b…⟩
+    if (!(i & aBit) || i & bBit || (i & cMask) !== cMask) continue;
+    const j = (i & ~aBit) | bBit;
+    let t = re[i];
+    re[i] = re[j];
+    re[j] = t;
+    t = im[i];
+    im[i] = im[j];
+    im[j] = t;
+  }
+}
+
+/**
+ * iSWAP on qubits `a` and `b`: |01⟩ → i|10⟩, |10⟩ → i|01⟩. Mutates `state` in place.
+ * @param {StateVector} state
+ * @param {number} a
+ * @param {number} b
+ */
+export function applyISwap(state, a, b) {
+  const { re, im } = state;
+  const aBit = 1 << a;
+  const bBit = 1 << b;
+  for (let i = 0; i < re.length; i++) {
+    if (!(i & aBit) || i & bBit) continue;
+    const j = (i & ~aBit) | bBit;
+    // (x, y) ← (i·y, i·x)
+    const ri = re[i];
+    const ii = im[i];
+    re[i] = -im[j];
+    im[i] = re[j];
+    re[j] = -ii;
+    im[j] = ri;
+  }
+}
+
+/**
+ * Apply one gate from the builder's `gates` array. MEASURE is a no-op here; readout is
+ * handled by sampling in simulate(), matching the deferred measurement in generatePython().
+ * RESET and conditions depend on outcomes, so only runBranches() handles them.
+ * With `conjugate` the complex conjugate of the gate is applied instead, which is how the
+ * density-matrix engine acts on the column side of ρ.
+ * @param {StateVector} state
+ * @param {Gate} gate
+ * @param {{ conjugate?: boolean }} [options]
+ */
+export function applyGate(state, gate, { conjugate = false } = {}) {
+  const controls = gateControls(gate);
+  switch (gate.type) {
+    case "SWAP":
+    case "CSWAP":
+      applySwap(state, gate.target, gate.pair, controls);
+      return;
+    case "ISWAP":
+      // conj(iSWAP) = iSWAP³
+      for (let i = conjugate ? 3 : 1; i > 0; i--) applyISwap(state, gate.target, gate.pair);
+      return;
+    case "MEASURE":
+      return;
+    default: {
+      // Controlled gates apply their base single-qubit matrix (X for CNOT/CCX, RX for CRX, …)
+      const base = GATE_SPECS[gate.type]?.base;
+      const m = singleQubitMatrix(base ? { ...gate, type: base } : gate);
+      if (!m) throw new Error(`Unsupported gate type: ${gate.type}`);
+      applyMatrix(state, conjugate ? conjugateMatrix(m) : m, gate.target, controls);
+    }
+  }
+}
+
+/**
+ * Element-wise complex conjugate of a matrix from singleQubitMatrix().
+ * @param {number[][]} m
+ * @returns {number[][]}
+ */
+export function conjugateMatrix(m) {
+  return m.map(([re, im]) => [re, -im]);
+}
+
+/**
+ * Order gates the same way the code generator does: by column, then target.
+ * @param {Gate[]} gates
+ */
+export function sortGates(gates) {
+  return [...gates].sort((a, b) => a.column - b.column || a.target - b.target);
+}
+
+/**
+ * Evolve |0…0⟩ through every gate and return the final state.
+ * @param {Gate[]} gates
+ * @param {number} numQubits
+ * @returns {StateVector}
+ */
+export function runCircuit(gates, numQubits) {
+  const state = createState(numQubits);
+  for (const g of sortGates(gates)) applyGate(state, g);
+  return state;
+}
+
+/** Branches times amplitudes that runBranches() keeps in memory at most. */
+const MAX_BRANCH_AMPLITUDES = 1 << 22;
+
+/**
+ * Project `qubit` onto `outcome` and renormalize; returns the outcome's probability.
+ * Mutates `state` in place (unless the outcome is impossible).
+ */
+function collapse(state, qubit, outcome) {
+  const { re, im } = state;
+  const bit = 1 << qubit;
+  let p = 0;
+  for (let i = 0; i < re.length; i++) {
+    if ((i & bit ? 1 : 0) === outcome) p += re[i] * re[i] + im[i] * im[i];
+  }
+  if (p < 1e-12) return 0;
+  const scale = 1 / Math.sqrt(p);
+  for (let i = 0; i < re.length; i++) {
+    if ((i & bit ? 1 : 0) === outcome) {
+      re[i] *= scale;
+      im[i] *= scale;
+    } else {
+      re[i] = 0;
+      im[i] = 0;
+    }
+  }
+  return p;
+}
+
+function copyState(state) {
+  return { numQubits: state.numQubits, re: state.re.slice(), im: state.im.slice() };
+}
+
+/**
+ * Run a dynamic circuit exactly: every MEASURE or RESET splits each branch by outcome,
+ * and conditioned gates apply only in branches whose register matches.
+ * @param {Gate[]} gates
+ * @param {number} numQubits
+ * @returns {Branch[]} with probabilities summing to 1
+ */
+export function runBranches(gates, numQubits) {
+  /** @type {Branch[]} */
+  let branches = [{ state: createState(numQubits), register: 0, probability: 1 }];
+  for (const g of sortGates(gates)) {
+    if (g.type !== "MEASURE" && g.type !== "RESET") {
+      for (const b of branches) {
+        if (!g.condition || conditionHolds(g.condition, b.register)) applyGate(b.state, g);
+      }
+      continue;
+    }
+    const next = [];
+    for (const b of branches) {
+      for (const outcome of [0, 1]) {
+        const state = copyState(b.state);
+        const p = collapse(state, g.target, outcome);
+        if (p === 0) continue;
+        let { register } = b;
+        if (g.type === "MEASURE") {
+          const bit = 1 << measuredBit(g);
+          register = outcome ? register | bit : register & ~bit;
+        } else if (outcome) {
+          applyMatrix(state, singleQubitMatrix({ type: "X" }), g.target);
+        }
+        next.push({ state, register, probability: b.probability * p });
+      }
+    }
+    if (next.length << numQubits > MAX_BRANCH_AMPLITUDES) {
+      throw new RangeError(`Too many measurement outcomes to track (${next.length} branches)`);
+    }
+    branches = next;
+  }
+  return branches;
+}
+
+/**
+ * State right after time step `column` (gates in later columns are ignored). A column of
+ * -1 gives the initial |0…0⟩. Expanded custom gates sit at fractional columns inside their
+ * time step and count as part of it. For dynamic circuits this is the state in the
+ * likeliest branch of measurement outcomes.
+ * @param {Gate[]} gates
+ * @param {number} numQubits
+ * @param {number} column
+ * @returns {StateVector}
+ */
+export function runThroughColumn(gates, numQubits, column) {
+  const upTo = gates.filter((g) => g.column < column + 1);
+  if (!isDynamic(upTo)) return runCircuit(upTo, numQubits);
+  return likeliestBranch(runBranches(upTo, numQubits)).state;
+}
+
+/**
+ * The most probable branch (the first of equally likely ones).
+ * @param {Branch[]} branches
+ * @returns {Branch}
+ */
+export function likeliestBranch(branches) {
+  return branches.reduce((best, b) => (b.probability > best.probability + 1e-12 ? b : best));
+}
+
+/**
+ * @param {StateVector} state
+ * @returns {Float64Array}
+ */
+export function probabilities(state) {
+  const { re, im } = state;
+  const p = new Float64Array(re.length);
+  for (let i = 0; i < re.length; i++) p[i] = re[i] * re[i] + im[i] * im[i];
+  return p;
+}
+
+/**
+ * Basis-state index as a bitstring, most significant qubit first (Qiskit order).
+ * @param {number} index
+ * @param {number} numBits
+ */
+export function toBitstring(index, numBits) {
+  return index.toString(2).padStart(numBits, "0");
+}
+
+/**
+ * Small seedable PRNG (mulberry32) so shot sampling is reproducible in tests.
+ * @param {number} seed
+ * @returns {() => number} uniform in [0, 1)
+ */
+export function seededRandom(seed) {
+  let a = seed >>> 0;
+  return () => {
+    a = (a + 0x6d2b79f5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Draw `shots` samples from a probability vector. Unmeasured qubits read as 0, the same
+ * as an untouched classical bit in `QuantumCircuit(n, n)`.
+ * @param {Float64Array} probs
+ * @param {number} numQubits
+ * @param {number} shots
+ * @param {number[]} measured - qubits to read out
+ * @param {() => number} [random]
+ * @returns {Record<string, number>}
+ */
+export function sampleCounts(probs, numQubits, shots, measured, random = Math.random) {
+  const cdf = new Float64Array(probs.length);
+  let acc = 0;
+  for (let i = 0; i < probs.length; i++) {
+    acc += probs[i];
+    cdf[i] = acc;
+  }
+
+  let mask = 0;
+  for (const q of measured) mask |= 1 << q;
+
+  /** @type {Record<string, number>} */
+  const counts = {};
+  for (let s = 0; s < shots; s++) {
+    const r = random() * acc;
+    let lo = 0;
+    let hi = cdf.length - 1;
+    while (lo < hi) {
+      const mid = (lo + hi) >> 1;
+      if (cdf[mid] > r) hi = mid;
+      else lo = mid + 1;
+    }
+    const key = toBitstring(lo & mask, numQubits);
+    counts[key] = (counts[key] || 0) + 1;
+  }
+  return counts;
+}
+
+/**
+ * Qubits that are read out: those with a MEASURE gate, or every qubit if there are none.
+ * @param {Gate[]} gates
+ * @param {number} numQubits
+ * @returns {number[]} ascending
+ */
+export function readoutQubits(gates, numQubits) {
+  const marked = new Set(gates.filter((g) => g.type === "MEASURE").map((g) => g.target));
+  return marked.size > 0
+    ? Array.from(marked).sort((a, b) => a - b)
+    : Array.from({ length: numQubits }, (_, q) => q);
+}
+
+/**
+ * Throw if a gate acts on a qubit the circuit doesn't have; the kernels would read and
+ * write past the state vector and turn amplitudes into NaN.
+ * @param {Gate[]} gates
+ * @param {number} numQubits
+ * @throws {RangeError} naming the first such gate
+ */
+function checkQubits(gates, numQubits) {
+  for (const g of gates) {
+    const q = gateQubits(g).find((q) => !Number.isInteger(q) || q < 0 || q >= numQubits);
+    if (q !== undefined) {
+      const label = g.type === "CUSTOM" ? g.name : (GATE_SPECS[g.type]?.label ?? g.type);
+      throw new RangeError(
+        `${label} at t${g.column} uses q${q}, outside the circuit (q0..q${numQubits - 1}).`
+      );
+    }
+  }
+}
+
+/**
+ * Run the circuit and sample shot counts. If the circuit has MEASURE gates only those
+ * qubits are read out, otherwise every qubit is (same rule as generatePython()).
+ * @param {Gate[]} gates
+ * @param {number} numQubits
+ * @param {{ shots?: number, seed?: number }} [options]
+ * @returns {SimulationResult}
+ * @throws {RangeError} when a gate acts on a qubit outside 0..numQubits-1
+ */
+export function simulate(gates, numQubits, { shots = 1024, seed } = {}) {
+  checkQubits(gates, numQubits);
+  if (isDynamic(gates)) return simulateDynamic(gates, numQubits, { shots, seed });
+  const state = runCircuit(gates, numQubits);
+  const probs = probabilities(state);
+
+  const measured = readoutQubits(gates, numQubits);
+
+  const random = seed === undefined ? Math.random : seededRandom(seed);
+  const counts = sampleCounts(probs, numQubits, shots, measured, random);
+  return { state, probabilities: probs, counts, shots, measured };
+}
+
+/**
+ * simulate() for dynamic circuits: outcomes come from the classical register at the end
+ * of every branch. Without any MEASURE, every qubit is read into its own bit at the end.
+ */
+function simulateDynamic(gates, numQubits, { shots, seed }) {
+  const branches = runBranches(gates, numQubits);
+  const probs = new Float64Array(1 << numQubits);
+  const readsAll = !gates.some((g) => g.type === "MEASURE");
+  for (const b of branches) {
+    if (!readsAll) {
+      probs[b.register] += b.probability;
+      continue;
+    }
+    probabilities(b.state).forEach((p, i) => (probs[i] += b.probability * p));
+  }
+  const measured = writtenBits(gates, numQubits);
+  const random = seed === undefined ? Math.random : seededRandom(seed);
+  const counts = sampleCounts(probs, numQubits, shots, measured, random);
+  return { state: null, probabilities: probs, counts, shots, measured };
+}
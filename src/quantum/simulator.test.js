@@ -0,0 +1,257 @@
+import {
+  applyGate,
+  createState,
+  probabilities,
+  runBranches,
+  runCircuit,
+  runThroughColumn,
+  simulate,
+} from "./simulator";
+import { expectSameState, g, overlap, preparation } from "./testing";
+
+function expectProbs(state, expected) {
+  const p = probabilities(state);
+  expected.forEach((v, i) => expect(p[i]).toBeCloseTo(v, 10));
+}
+
+test("starts in |0…0⟩", () => {
+  expectProbs(createState(2), [1, 0, 0, 0]);
+});
+
+test("rejects qubit counts outside 1..16", () => {
+  expect(() => createState(0)).toThrow(RangeError);
+  expect(() => createState(17)).toThrow(RangeError);
+});
+
+test("rejects gates on qubits the circuit doesn't have", () => {
+  expect(() => simulate([g("H", 0, 0), g("CNOT", 1, 2, { control: 0 })], 2)).toThrow(
+    new RangeError("CNOT at t1 uses q2, outside the circuit (q0..q1).")
+  );
+  expect(() => simulate([g("SWAP", 0, 0, { pair: 3 }), g("MEASURE", 1, 0)], 2)).toThrow(RangeError);
+});
+
+test("X on q0 sets the least significant bit", () => {
+  const state = runCircuit([g("X", 0, 0)], 2);
+  expectProbs(state, [0, 1, 0, 0]);
+});
+
+test("H then CNOT prepares a Bell pair", () => {
+  const state = runCircuit([g("H", 0, 0), g("CNOT", 1, 1, { control: 0 })], 2);
+  expectProbs(state, [0.5, 0, 0, 0.5]);
+});
+
+test("gates are applied in column order regardless of array order", () => {
+  const state = runCircuit([g("CNOT", 1, 1, { control: 0 }), g("X", 0, 0)], 2);
+  expectProbs(state, [0, 0, 0, 1]);
+});
+
+test("SWAP exchanges qubits", () => {
+  const state = runCircuit([g("X", 0, 0), g("SWAP", 1, 0, { pair: 2 })], 3);
+  expectProbs(state, [0, 0, 0, 0, 1, 0, 0, 0]);
+});
+
+test("HZH acts as X and S·S as Z", () => {
+  expectProbs(runCircuit([g("H", 0, 0), g("Z", 1, 0), g("H", 2, 0)], 1), [0, 1]);
+
+  const state = createState(1);
+  applyGate(state, g("H", 0, 0));
+  applyGate(state, g("S", 1, 0));
+  applyGate(state, g("S", 2, 0));
+  applyGate(state, g("H", 3, 0));
+  expectProbs(state, [0, 1]);
+});
+
+test("T applies a π/4 phase", () => {
+  const state = runCircuit([g("X", 0, 0), g("T", 1, 0)], 1);
+  expect(state.re[1]).toBeCloseTo(Math.SQRT1_2, 10);
+  expect(state.im[1]).toBeCloseTo(Math.SQRT1_2, 10);
+});
+
+test("rotations match their closed forms", () => {
+  expectProbs(runCircuit([g("RX", 0, 0, { angle: Math.PI })], 1), [0, 1]);
+  expectProbs(runCircuit([g("RY", 0, 0, { angle: Math.PI / 2 })], 1), [0.5, 0.5]);
+
+  const state = runCircuit([g("RZ", 0, 0, { angle: Math.PI })], 1);
+  expect(state.re[0]).toBeCloseTo(0, 10);
+  expect(state.im[0]).toBeCloseTo(-1, 10);
+});
+
+test("CZ flips the phase of |11⟩ only", () => {
+  const state = runCircuit([g("H", 0, 0), g("H", 0, 1), g("CZ", 1, 1, { control: 0 })], 2);
+  expect(state.re[3]).toBeCloseTo(-0.5, 10);
+  expect(state.re[1]).toBeCloseTo(0.5, 10);
+});
+
+test("samples only the measured qubits and leaves the rest at 0", () => {
+  const { counts, measured } = simulate([g("X", 0, 0), g("X", 0, 1), g("MEASURE", 1, 1)], 2, {
+    shots: 50,
+    seed: 7,
+  });
+  expect(measured).toEqual([1]);
+  expect(counts).toEqual({ 10: 50 });
+});
+
+test("seeded sampling is reproducible and sums to the shot count", () => {
+  const circuit = [g("H", 0, 0), g("CNOT", 1, 1, { control: 0 })];
+  const a = simulate(circuit, 2, { shots: 1000, seed: 42 });
+  const b = simulate(circuit, 2, { shots: 1000, seed: 42 });
+  expect(a.counts).toEqual(b.counts);
+  expect(Object.keys(a.counts).sort()).toEqual(["00", "11"]);
+  expect(a.counts["00"] + a.counts["11"]).toBe(1000);
+});
+
+test("handles the 16-qubit limit", () => {
+  const gates = Array.from({ length: 16 }, (_, q) => g("X", 0, q));
+  const { counts } = simulate(gates, 16, { shots: 3, seed: 1 });
+  expect(counts).toEqual({ 1111111111111111: 3 });
+});
+
+test("S†, T† and √X invert or square to their parents", () => {
+  const base = preparation(1);
+  const at = (gates) => runCircuit([...base, ...gates], 1);
+  expectSameState(at([g("S", 3, 0), g("SDG", 4, 0)]), at([]));
+  expectSameState(at([g("TDG", 3, 0), g("T", 4, 0)]), at([]));
+  expectSameState(at([g("SX", 3, 0), g("SX", 4, 0)]), at([g("X", 3, 0)]));
+});
+
+test("P matches RZ up to a global phase and U generalizes both", () => {
+  const base = preparation(1);
+  const at = (gates) => runCircuit([...base, ...gates], 1);
+  expect(
+    overlap(at([g("P", 3, 0, { angle: 1.1 })]), at([g("RZ", 3, 0, { angle: 1.1 })]))
+  ).toBeCloseTo(1, 10);
+  expectSameState(at([g("U", 3, 0, { angles: [Math.PI / 2, 0, Math.PI] })]), at([g("H", 3, 0)]));
+  expectSameState(at([g("U", 3, 0, { angles: [0, 0, 0.7] })]), at([g("P", 3, 0, { angle: 0.7 })]));
+
+  // U(θ, φ, λ) = RZ(φ)·RY(θ)·RZ(λ) up to global phase (the Cirq / Q# decomposition)
+  const [theta, phi, lam] = [0.9, -1.3, 2.2];
+  const decomposed = at([
+    g("RZ", 3, 0, { angle: lam }),
+    g("RY", 4, 0, { angle: theta }),
+    g("RZ", 5, 0, { angle: phi }),
+  ]);
+  expect(overlap(at([g("U", 3, 0, { angles: [theta, phi, lam] })]), decomposed)).toBeCloseTo(1, 10);
+});
+
+test("controlled rotations act only when the control is 1", () => {
+  expectProbs(runCircuit([g("CRX", 0, 1, { controls: [0], angle: Math.PI })], 2), [1, 0, 0, 0]);
+  expectProbs(
+    runCircuit([g("X", 0, 0), g("CRX", 1, 1, { controls: [0], angle: Math.PI })], 2),
+    [0, 0, 0, 1]
+  );
+
+  // CP adds its phase to |11⟩ only
+  const state = runCircuit(
+    [g("H", 0, 0), g("H", 0, 1), g("CP", 1, 1, { controls: [0], angle: Math.PI / 2 })],
+    2
+  );
+  expect(state.re[1]).toBeCloseTo(0.5, 10);
+  expect(state.re[3]).toBeCloseTo(0, 10);
+  expect(state.im[3]).toBeCloseTo(0.5, 10);
+});
+
+test("CCX flips the target only when both controls are 1", () => {
+  const ccx = g("CCX", 1, 2, { controls: [0, 1] });
+  expectProbs(runCircuit([g("X", 0, 0), ccx], 3), [0, 1, 0, 0, 0, 0, 0, 0]);
+  expectProbs(runCircuit([g("X", 0, 0), g("X", 0, 1), ccx], 3), [0, 0, 0, 0, 0, 0, 0, 1]);
+});
+
+test("CSWAP swaps only when the control is 1", () => {
+  const cswap = g("CSWAP", 1, 1, { controls: [0], pair: 2 });
+  expectProbs(runCircuit([g("X", 0, 1), cswap], 3), [0, 0, 1, 0, 0, 0, 0, 0]);
+  expectProbs(runCircuit([g("X", 0, 0), g("X", 0, 1), cswap], 3), [0, 0, 0, 0, 0, 1, 0, 0]);
+});
+
+test("iSWAP matches its S·H·CNOT decomposition", () => {
+  const base = preparation(2);
+  const direct = runCircuit([...base, g("ISWAP", 3, 0, { pair: 1 })], 2);
+  const decomposed = runCircuit(
+    [
+      ...base,
+      g("S", 3, 0),
+      g("S", 3, 1),
+      g("H", 4, 0),
+      g("CNOT", 5, 1, { control: 0 }),
+      g("CNOT", 6, 0, { control: 1 }),
+      g("H", 7, 1),
+    ],
+    2
+  );
+  expectSameState(direct, decomposed);
+
+  // |01⟩ → i|10⟩
+  const state = runCircuit([g("X", 0, 0), g("ISWAP", 1, 0, { pair: 1 })], 2);
+  expect(state.im[2]).toBeCloseTo(1, 10);
+});
+
+// Teleport RY(θ)|0⟩ from q0 to q2, correcting with gates conditioned on c[0] and c[1]
+const THETA = 1.1;
+const teleport = [
+  g("RY", 0, 0, { angle: THETA }),
+  g("H", 0, 1),
+  g("CNOT", 1, 2, { control: 1 }),
+  g("CNOT", 2, 1, { control: 0 }),
+  g("H", 3, 0),
+  g("MEASURE", 4, 0),
+  g("MEASURE", 4, 1),
+  g("X", 5, 2, { condition: { clbit: 1, value: 1 } }),
+  g("Z", 6, 2, { condition: { clbit: 0, value: 1 } }),
+  g("MEASURE", 7, 2),
+];
+
+test("teleportation with mid-circuit measurement and conditioned corrections", () => {
+  const branches = runBranches(teleport, 3);
+  expect(branches.length).toBe(8);
+  const one = Math.sin(THETA / 2) ** 2;
+  const r = simulate(teleport, 3, { shots: 100, seed: 1 });
+  expect(r.state).toBeNull();
+  expect(r.measured).toEqual([0, 1, 2]);
+  // c[0], c[1] are uniform and c[2] reads the teleported state
+  for (let register = 0; register < 8; register++) {
+    const expected = (register & 4 ? one : 1 - one) / 4;
+    expect(r.probabilities[register]).toBeCloseTo(expected, 10);
+  }
+  // Without the corrections q2 is flipped in half the branches and reads 1 half the time
+  const p = simulate(
+    teleport.filter((x) => !x.condition),
+    3
+  ).probabilities;
+  expect(p[0b100] + p[0b101] + p[0b110] + p[0b111]).toBeCloseTo(0.5, 10);
+});
+
+test("measures into a chosen classical bit", () => {
+  const r = simulate([g("X", 0, 0), g("MEASURE", 1, 0, { clbit: 2 })], 3, { shots: 10 });
+  expect(r.counts).toEqual({ 100: 10 });
+  expect(r.measured).toEqual([2]);
+});
+
+test("reset returns a qubit to |0⟩ whatever its state", () => {
+  const gates = [g("H", 0, 0), g("CNOT", 1, 1, { control: 0 }), g("RESET", 2, 0)];
+  const r = simulate(gates, 2, { shots: 10, seed: 2 });
+  // Every qubit is read at the end; q1 keeps its half of the broken Bell pair
+  expect(r.probabilities[0b00]).toBeCloseTo(0.5, 10);
+  expect(r.probabilities[0b10]).toBeCloseTo(0.5, 10);
+  expect(r.probabilities[0b01] + r.probabilities[0b11]).toBeCloseTo(0, 10);
+});
+
+test("conditions on the whole register compare its value", () => {
+  const gates = [
+    g("X", 0, 0),
+    g("MEASURE", 1, 0),
+    g("X", 2, 1, { condition: { value: 1 } }),
+    g("X", 2, 2, { condition: { value: 3 } }),
+    g("MEASURE", 3, 1),
+    g("MEASURE", 3, 2),
+  ];
+  expect(simulate(gates, 3, { shots: 5 }).counts).toEqual({ "011": 5 });
+});
+
+test("the inspector follows the likeliest branch of a dynamic circuit", () => {
+  const gates = [
+    g("RY", 0, 0, { angle: 1 }),
+    g("MEASURE", 1, 0),
+    g("X", 2, 1, { condition: { clbit: 0, value: 0 } }),
+  ];
+  // cos²(1/2) > 1/2, so the likeliest outcome is 0 and q1 gets flipped
+  expectProbs(runThroughColumn(gates, 2, 2), [0, 0, 1, 0]);
+});
@@ -0,0 +1,346 @@
+// ------------------------------ Algorithm Templates ------------------------------
+// Generators for textbook circuits, placed straight into the builder's `gates`. Each takes
+// its parameters (qubit count, marked item, secret string, …) and returns a whole circuit
+// with the qubits and columns it needs. Gates are built in execution order and laid out by
+// scheduleGates(). Bitstrings are read q{n-1}…q0, like the counts.
+
+import { makeGate, uid } from "./gates";
+import { scheduleGates } from "./layout";
+
+/** @typedef {import("../QuantumCircuitBuilder").Gate} Gate */
+
+/**
+ * @typedef {Object} TemplateParam
+ * @property {string} name
+ * @property {string} label
+ * @property {"integer" | "number" | "bits" | "choice" | "boolean"} kind
+ * @property {number | string | boolean} default
+ * @property {number} [min] - integers and numbers
+ * @property {number} [max]
+ * @property {string[]} [options] - choices
+ */
+
+/**
+ * @typedef {Object} Template
+ * @property {string} id
+ * @property {string} label
+ * @property {string} description
+ * @property {TemplateParam[]} params
+ * @property {(values: Record<string, any>) => { sequence: Gate[], numQubits: number }} build
+ */
+
+/**
+ * @typedef {Object} TemplateCircuit
+ * @property {Gate[]} gates
+ * @property {number} numQubits
+ * @property {number} numColumns
+ */
+
+const PI = Math.PI;
+
+/** A gate for a template; scheduleGates() assigns its column. */
+function gate(type, target, rest = {}) {
+  return makeGate(type, { column: 0, target, ...rest });
+}
+
+const h = (q) => gate("H", q);
+const x = (q) => gate("X", q);
+const cnot = (control, target) => gate("CNOT", target, { controls: [control] });
+const cp = (angle, control, target) =>
+  gate("CP", target, { controls: [control], params: [{ angle }] });
+const measure = (q) => gate("MEASURE", q);
+const range = (from, to) => Array.from({ length: to - from }, (_, i) => from + i);
+
+/** Bit `q` of a bitstring written q{n-1}…q0. */
+const bitOf = (bits, q) => bits[bits.length - 1 - q] === "1";
+
+/**
+ * Multi-controlled X, as a ladder of Toffolis through `ancillas` (clean, and returned clean)
+ * when there are more than two controls; needs controls.length - 2 of them.
+ */
+function mcx(controls, target, ancillas) {
+  if (controls.length === 1) return [cnot(controls[0], target)];
+  if (controls.length === 2) return [gate("CCX", target, { controls })];
+  const ladder = [gate("CCX", ancillas[0], { controls: controls.slice(0, 2) })];
+  for (let i = 2; i < controls.length - 1; i++) {
+    ladder.push(gate("CCX", ancillas[i - 1], { controls: [controls[i], ancillas[i - 2]] }));
+  }
+  const last = controls.length - 1;
+  const top = gate("CCX", target, { controls: [controls[last], ancillas[last - 2]] });
+  return [...ladder, top, ...[...ladder].reverse()];
+}
+
+/** Z on |1…1⟩ of `qubits`: H·MCX·H on the last one. */
+function mcz(qubits, ancillas) {
+  const target = qubits[qubits.length - 1];
+  if (qubits.length === 1) return [gate("Z", target)];
+  if (qubits.length === 2) return [gate("CZ", target, { controls: [qubits[0]] })];
+  return [h(target), ...mcx(qubits.slice(0, -1), target, ancillas), h(target)];
+}
+
+/** QFT on `qubits` (qubits[0] least significant), with the final swaps, as Qiskit builds it. */
+function qft(qubits, inverse = false) {
+  const n = qubits.length;
+  const sequence = [];
+  for (let j = n - 1; j >= 0; j--) {
+    sequence.push(h(qubits[j]));
+    for (let k = j - 1; k >= 0; k--) sequence.push(cp(PI / 2 ** (j - k), qubits[j], qubits[k]));
+  }
+  for (let i = 0; i < Math.floor(n / 2); i++) {
+    sequence.push(gate("SWAP", qubits[i], { pair: qubits[n - 1 - i] }));
+  }
+  if (!inverse) return sequence;
+  return sequence.reverse().map((g) => (g.type === "CP" ? { ...g, angle: -g.angle } : g));
+}
+
+/** Inner-product oracle f(x) = s·x mod 2 onto `output`. */
+function innerProduct(secret, output) {
+  return range(0, secret.length)
+    .filter((q) => bitOf(secret, q))
+    .map((q) => cnot(q, output));
+}
+
+const BELL_STATES = ["Φ+", "Φ-", "Ψ+", "Ψ-"];
+
+/** @type {Template[]} */
+export const TEMPLATES = [
+  {
+    id: "bell",
+    label: "Bell state",
+    description: "Two maximally entangled qubits.",
+    params: [
+      { name: "state", label: "State", kind: "choice", options: BELL_STATES, default: "Φ+" },
+    ],
+    build: ({ state }) => {
+      const i = BELL_STATES.indexOf(state);
+      return {
+        numQubits: 2,
+        sequence: [...(i >= 2 ? [x(1)] : []), h(0), ...(i % 2 ? [gate("Z", 0)] : []), cnot(0, 1)],
+      };
+    },
+  },
+  {
+    id: "ghz",
+    label: "GHZ state",
+    description: "(|0…0⟩ + |1…1⟩)/√2 on every qubit.",
+    params: [{ name: "qubits", label: "Qubits", kind: "integer", min: 2, max: 16, default: 3 }],
+    build: ({ qubits }) => ({
+      numQubits: qubits,
+      sequence: [h(0), ...range(1, qubits).map((q) => cnot(q - 1, q))],
+    }),
+  },
+  {
+    id: "qft",
+    label: "Quantum Fourier transform",
+    description: "The QFT or its inverse, with the closing swaps.",
+    params: [
+      { name: "qubits", label: "Qubits", kind: "integer", min: 1, max: 8, default: 3 },
+      { name: "inverse", label: "Inverse", kind: "boolean", default: false },
+    ],
+    build: ({ qubits, inverse }) => ({
+      numQubits: qubits,
+      sequence: qft(range(0, qubits), inverse),
+    }),
+  },
+  {
+    id: "grover",
+    label: "Grover search",
+    description: "Amplifies one marked bitstring; extra qubits are ancillas for the oracle.",
+    params: [
+      { name: "marked", label: "Marked item", kind: "bits", min: 2, max: 4, default: "101" },
+      {
+        name: "iterations",
+        label: "Iterations (0 = optimal)",
+        kind: "integer",
+        min: 0,
+        max: 4,
+        default: 0,
+      },
+    ],
+    build: ({ marked, iterations }) => {
+      const n = marked.length;
+      const search = range(0, n);
+      const ancillas = range(n, n + Math.max(0, n - 3));
+      const rounds = iterations || Math.floor((PI / 4) * Math.sqrt(2 ** n));
+      const flips = search.filter((q) => !bitOf(marked, q)).map(x);
+      const sequence = search.map(h);
+      for (let r = 0; r < rounds; r++) {
+        // Oracle: phase-flip the marked item
+        sequence.push(...flips, ...mcz(search, ancillas), ...flips);
+        // Diffuser: reflect about the uniform superposition
+        sequence.push(...search.map(h), ...search.map(x), ...mcz(search, ancillas));
+        sequence.push(...search.map(x), ...search.map(h));
+      }
+      sequence.push(...search.map(measure));
+      return { numQubits: n + ancillas.length, sequence };
+    },
+  },
+  {
+    id: "deutsch-jozsa",
+    label: "Deutsch–Jozsa",
+    description: "Tells a constant oracle (reads all 0) from a balanced one f(x) = s·x.",
+    params: [
+      {
+        name: "oracle",
+        label: "Oracle",
+        kind: "choice",
+        options: ["constant 0", "constant 1", "balanced"],
+        default: "balanced",
+      },
+      { name: "mask", label: "Balanced mask s", kind: "bits", min: 1, max: 8, default: "101" },
+    ],
+    build: ({ oracle, mask }) => {
+      if (oracle === "balanced" && !mask.includes("1")) {
+        throw new Error("A balanced oracle needs a mask with at least one 1");
+      }
+      const n = mask.length;
+      const inputs = range(0, n);
+      const oracleGates =
+        oracle === "balanced" ? innerProduct(mask, n) : oracle === "constant 1" ? [x(n)] : [];
+      return {
+        numQubits: n + 1,
+        sequence: [
+          x(n),
+          h(n),
+          ...inputs.map(h),
+          ...oracleGates,
+          ...inputs.map(h),
+          ...inputs.map(measure),
+        ],
+      };
+    },
+  },
+  {
+    id: "bernstein-vazirani",
+    label: "Bernstein–Vazirani",
+    description: "Reads the secret string s of f(x) = s·x in a single query.",
+    params: [{ name: "secret", label: "Secret s", kind: "bits", min: 1, max: 8, default: "1011" }],
+    build: ({ secret }) => {
+      const n = secret.length;
+      const inputs = range(0, n);
+      return {
+        numQubits: n + 1,
+        sequence: [
+          x(n),
+          h(n),
+          ...inputs.map(h),
+          ...innerProduct(secret, n),
+          ...inputs.map(h),
+          ...inputs.map(measure),
+        ],
+      };
+    },
+  },
+  {
+    id: "teleportation",
+    label: "Teleportation",
+    description: "Sends RY(θ)|0⟩ from q0 to q2 with a Bell pair and two classical bits.",
+    params: [
+      { name: "theta", label: "θ (radians)", kind: "number", min: -PI, max: PI, default: 1 },
+    ],
+    build: ({ theta }) => ({
+      numQubits: 3,
+      sequence: [
+        gate("RY", 0, { params: [{ angle: theta }] }),
+        h(1),
+        cnot(1, 2),
+        cnot(0, 1),
+        h(0),
+        measure(0),
+        measure(1),
+        { ...x(2), condition: { clbit: 1, value: 1 } },
+        { ...gate("Z", 2), condition: { clbit: 0, value: 1 } },
+        measure(2),
+      ],
+    }),
+  },
+  {
+    id: "phase-estimation",
+    label: "Phase estimation",
+    description: "Reads φ of P(2πφ) on its eigenstate |1⟩ into the counting qubits.",
+    params: [
+      { name: "counting", label: "Counting qubits", kind: "integer", min: 1, max: 8, default: 3 },
+      { name: "phase", label: "Phase φ", kind: "number", min: 0, max: 1, default: 0.25 },
+    ],
+    build: ({ counting, phase }) => {
+      const register = range(0, counting);
+      return {
+        numQubits: counting + 1,
+        sequence: [
+          x(counting),
+          ...register.map(h),
+          ...register.map((k) => cp(2 * PI * phase * 2 ** k, k, counting)),
+          ...qft(register, true),
+          ...register.map(measure),
+        ],
+      };
+    },
+  },
+];
+
+/**
+ * Check a parameter value against its spec.
+ * @param {TemplateParam} param
+ * @param {any} value
+ * @returns {string | null} what's wrong, or null
+ */
+export function templateParamError(param, value) {
+  const { label, kind, min, max } = param;
+  switch (kind) {
+    case "integer":
+    case "number":
+      if (typeof value !== "number" || !Number.isFinite(value)) return `${label} must be a number`;
+      if (kind === "integer" && !Number.isInteger(value)) return `${label} must be a whole number`;
+      if (value < min || value > max) return `${label} must be between ${min} and ${max}`;
+      return null;
+    case "bits":
+      if (typeof value !== "string" || !/^[01]+$/.test(value)) {
+        return `${label} must be a string of 0s and 1s`;
+      }
+      if (value.length < min || value.length > max) {
+        return `${label} must have ${min} to ${max} bits`;
+      }
+      return null;
+    case "choice":
+      return param.options.includes(value)
+        ? null
+        : `${label} must be one of ${param.options.join(", ")}`;
+    default:
+      return typeof value === "boolean" ? null : `${label} must be true or false`;
+  }
+}
+
+/**
+ * Default parameter values of a template.
+ * @param {Template} template
+ * @returns {Record<string, any>}
+ */
+export function templateDefaults(template) {
+  return Object.fromEntries(template.params.map((p) => [p.name, p.default]));
+}
+
+/**
+ * Generate a template's circuit.
+ * @param {string} id
+ * @param {Record<string, any>} [values] - missing ones take their defaults
+ * @returns {TemplateCircuit}
+ * @throws {Error} for an unknown template or invalid parameters
+ */
+export function buildTemplate(id, values = {}) {
+  const template = TEMPLATES.find((t) => t.id === id);
+  if (!template) throw new Error(`Unknown template: ${id}`);
+  const all = { ...templateDefaults(template), ...values };
+  for (const param of template.params) {
+    const error = templateParamError(param, all[param.name]);
+    if (error) throw new Error(error);
+  }
+  const { sequence, numQubits } = template.build(all);
+  // Generators may repeat a gate (an oracle's X layer, an uncomputed ladder); every placed
+  // copy gets its own id
+  const gates = scheduleGates(sequence.map((g) => ({ ...g, id: uid(g.type) })));
+  return {
+    gates,
+    numQubits,
+    numColumns: Math.max(1, ...gates.map((g) => g.column + 1)),
+  };
+}
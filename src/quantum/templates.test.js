@@ -0,0 +1,97 @@
+import { buildTemplate, TEMPLATES } from "./templates";
+import { probabilities, runBranches, runCircuit, simulate } from "./simulator";
+import { checkEquivalence, circuitUnitary } from "./unitary";
+
+const countsOf = (circuit) =>
+  simulate(circuit.gates, circuit.numQubits, { shots: 200, seed: 7 }).counts;
+
+test("every template builds with its defaults, one id per gate", () => {
+  for (const t of TEMPLATES) {
+    const { gates, numQubits, numColumns } = buildTemplate(t.id);
+    expect(new Set(gates.map((g) => g.id)).size).toBe(gates.length);
+    expect(Math.max(...gates.map((g) => g.column))).toBe(numColumns - 1);
+    expect(numQubits).toBeGreaterThan(Math.max(...gates.map((g) => g.target)));
+  }
+});
+
+test("Bell and GHZ states", () => {
+  const psiMinus = buildTemplate("bell", { state: "Ψ-" });
+  const state = runCircuit(psiMinus.gates, 2);
+  expect(state.re[1]).toBeCloseTo(-Math.SQRT1_2);
+  expect(state.re[2]).toBeCloseTo(Math.SQRT1_2);
+
+  const ghz = buildTemplate("ghz", { qubits: 5 });
+  expect(ghz.numQubits).toBe(5);
+  const p = probabilities(runCircuit(ghz.gates, 5));
+  expect(p[0]).toBeCloseTo(0.5);
+  expect(p[31]).toBeCloseTo(0.5);
+});
+
+test("the QFT is the discrete Fourier transform, and the inverse undoes it", () => {
+  const n = 3;
+  const dim = 2 ** n;
+  const u = circuitUnitary(buildTemplate("qft", { qubits: n }).gates, n);
+  for (let r = 0; r < dim; r++) {
+    for (let c = 0; c < dim; c++) {
+      const angle = (2 * Math.PI * r * c) / dim;
+      expect(u.re[r + c * dim]).toBeCloseTo(Math.cos(angle) / Math.sqrt(dim));
+      expect(u.im[r + c * dim]).toBeCloseTo(Math.sin(angle) / Math.sqrt(dim));
+    }
+  }
+  const forward = buildTemplate("qft", { qubits: 4 });
+  const inverse = buildTemplate("qft", { qubits: 4, inverse: true });
+  const shifted = inverse.gates.map((g) => ({ ...g, column: g.column + forward.numColumns }));
+  const roundTrip = { numQubits: 4, gates: [...forward.gates, ...shifted] };
+  expect(checkEquivalence(roundTrip, { numQubits: 4, gates: [] }).equivalent).toBe(true);
+});
+
+test("Grover finds the marked item, with ancillas beyond three qubits", () => {
+  expect(Object.keys(countsOf(buildTemplate("grover", { marked: "10" })))).toEqual(["10"]);
+  const three = countsOf(buildTemplate("grover", { marked: "011" }));
+  expect(three["011"]).toBeGreaterThan(180);
+  const four = buildTemplate("grover", { marked: "1101" });
+  expect(four.numQubits).toBe(5);
+  // Counts cover every classical bit, the ancilla's included
+  expect(countsOf(four)["01101"]).toBeGreaterThan(180);
+});
+
+test("Deutsch–Jozsa and Bernstein–Vazirani read their oracles", () => {
+  expect(countsOf(buildTemplate("deutsch-jozsa", { oracle: "constant 1", mask: "000" }))).toEqual({
+    "0000": 200,
+  });
+  expect(countsOf(buildTemplate("deutsch-jozsa", { oracle: "balanced", mask: "110" }))).toEqual({
+    "0110": 200,
+  });
+  expect(() => buildTemplate("deutsch-jozsa", { oracle: "balanced", mask: "00" })).toThrow(
+    "needs a mask with at least one 1"
+  );
+  const bv = buildTemplate("bernstein-vazirani", { secret: "10011" });
+  expect(bv.numQubits).toBe(6);
+  expect(countsOf(bv)).toEqual({ "010011": 200 });
+});
+
+test("teleportation hands q0's state to q2", () => {
+  const theta = 0.8;
+  const { gates, numQubits } = buildTemplate("teleportation", { theta });
+  // Whatever q0 and q1 read, q2 reads 1 as often as RY(θ)|0⟩ would
+  const branches = runBranches(gates, numQubits);
+  for (const outcomes of [0, 1, 2, 3]) {
+    const same = branches.filter((b) => (b.register & 3) === outcomes);
+    const p = same.reduce((sum, b) => sum + b.probability, 0);
+    const p1 = same.filter((b) => b.register & 4).reduce((sum, b) => sum + b.probability, 0);
+    expect(p1 / p).toBeCloseTo(Math.sin(theta / 2) ** 2);
+  }
+});
+
+test("phase estimation reads an exact phase", () => {
+  const circuit = buildTemplate("phase-estimation", { counting: 4, phase: 0.8125 });
+  expect(circuit.numQubits).toBe(5);
+  expect(countsOf(circuit)).toEqual({ "01101": 200 });
+});
+
+test("rejects parameters outside their range", () => {
+  expect(() => buildTemplate("ghz", { qubits: 1 })).toThrow("Qubits must be between 2 and 16");
+  expect(() => buildTemplate("grover", { marked: "1x" })).toThrow("string of 0s and 1s");
+  expect(() => buildTemplate("bell", { state: "Ω" })).toThrow("State must be one of");
+  expect(() => buildTemplate("nope")).toThrow("Unknown template: nope");
+});
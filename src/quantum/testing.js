@@ -0,0 +1,78 @@
+// ------------------------------ Test Fixtures ------------------------------
+// Helpers shared by the quantum/*.test.js files; the app itself never imports this.
+
+import { runCircuit, seededRandom } from "./simulator";
+
+/** @typedef {import("../QuantumCircuitBuilder").Gate} Gate */
+
+/**
+ * A gate literal with an id made from its type and cell.
+ * @param {string} type
+ * @param {number} column
+ * @param {number} target
+ * @param {Object} [extra] - other fields, such as `control` or `angle`
+ * @returns {Gate}
+ */
+export const g = (type, column, target, extra = {}) => ({
+  id: `${type}${column}${target}`,
+  type,
+  column,
+  target,
+  ...extra,
+});
+
+/**
+ * Random rotations on every qubit tied together by a CNOT chain, in columns 0..numQubits:
+ * an input with varied phases and entanglement, so gate sequences are compared on more
+ * than |0…0⟩.
+ * @param {number} numQubits
+ * @param {number} [seed]
+ * @returns {Gate[]}
+ */
+export function preparation(numQubits, seed = 1) {
+  const random = seededRandom(seed);
+  const gates = [];
+  for (let q = 0; q < numQubits; q++) {
+    gates.push(g("RY", 0, q, { angle: 3 * random() }), g("RZ", 1, q, { angle: 3 * random() }));
+  }
+  for (let q = 1; q < numQubits; q++) gates.push(g("CNOT", 1 + q, q, { control: q - 1 }));
+  return gates;
+}
+
+/** |⟨a|b⟩|, which is 1 when the states agree up to a global phase. */
+export function overlap(a, b) {
+  let re = 0;
+  let im = 0;
+  for (let i = 0; i < a.re.length; i++) {
+    re += a.re[i] * b.re[i] + a.im[i] * b.im[i];
+    im += a.re[i] * b.im[i] - a.im[i] * b.re[i];
+  }
+  return Math.hypot(re, im);
+}
+
+/** Equal amplitudes, global phase included. */
+export function expectSameState(a, b) {
+  for (let i = 0; i < a.re.length; i++) {
+    expect(b.re[i]).toBeCloseTo(a.re[i], 10);
+    expect(b.im[i]).toBeCloseTo(a.im[i], 10);
+  }
+}
+
+/**
+ * Expect `a` and `b` to leave the same state after each of a few preparations.
+ * @param {Gate[]} a
+ * @param {Gate[]} b
+ * @param {number} numQubits
+ * @param {{ upToPhase?: boolean }} [options] - allow a global phase between the results
+ */
+export function expectEquivalent(a, b, numQubits, { upToPhase = false } = {}) {
+  const offset = numQubits + 1;
+  const after = (prep, gates) =>
+    runCircuit([...prep, ...gates.map((x) => ({ ...x, column: x.column + offset }))], numQubits);
+  for (const seed of [1, 2, 3]) {
+    const prep = preparation(numQubits, seed);
+    const [sa, sb] = [after(prep, a), after(prep, b)];
+    if (upToPhase) expect(overlap(sa, sb)).toBeCloseTo(1, 10);
+    else expectSameState(sa, sb);
+  }
+}
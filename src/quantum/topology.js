@@ -0,0 +1,246 @@
+// ------------------------------ Device Topologies ------------------------------
+// Coupling maps say which pairs of qubits a device can entangle directly. Gates on
+// uncoupled pairs are flagged on the grid, and routing inserts SWAPs that walk qubits
+// next to each other before translating the result into a native gate set.
+
+import { measuredBit } from "./classical";
+import { gateQubits, makeGate, remapGate } from "./gates";
+import { scheduleGates } from "./layout";
+import { splitWideGates, translateGates } from "./nativeGates";
+import { sortGates } from "./simulator";
+
+/** @typedef {import("../QuantumCircuitBuilder").Gate} Gate */
+/** @typedef {[number, number]} Edge */
+
+export const TOPOLOGIES = [
+  { id: "all", label: "All-to-all" },
+  { id: "linear", label: "Linear" },
+  { id: "ring", label: "Ring" },
+  { id: "grid", label: "Grid" },
+  { id: "heavy-hex", label: "Heavy-hex" },
+  { id: "custom", label: "Custom edge list" },
+];
+
+/**
+ * Heavy-hex lattice: rows of qubits in a line, joined by bridge qubits every four columns
+ * (offset by two on alternate rows), so no qubit has more than three neighbours. Qubits
+ * are numbered breadth-first so that every prefix of them is connected.
+ * @param {number} numQubits
+ * @returns {Edge[]}
+ */
+function heavyHex(numQubits) {
+  const width = 9;
+  const rows = Math.ceil(numQubits / width) + 1;
+  /** @type {Map<string, string[]>} */
+  const links = new Map();
+  const link = (a, b) => {
+    for (const [x, y] of [
+      [a, b],
+      [b, a],
+    ]) {
+      if (!links.has(x)) links.set(x, []);
+      links.get(x).push(y);
+    }
+  };
+  for (let r = 0; r < rows; r++) {
+    for (let c = 1; c < width; c++) link(`${r}:${c - 1}`, `${r}:${c}`);
+    if (r === rows - 1) continue;
+    for (let c = r % 2 ? 2 : 0; c < width; c += 4) {
+      link(`${r}:${c}`, `bridge ${r}:${c}`);
+      link(`bridge ${r}:${c}`, `${r + 1}:${c}`);
+    }
+  }
+  /** @type {Map<string, number>} */
+  const index = new Map([["0:0", 0]]);
+  const queue = ["0:0"];
+  while (queue.length) {
+    for (const next of links.get(queue.shift())) {
+      if (!index.has(next)) {
+        index.set(next, index.size);
+        queue.push(next);
+      }
+    }
+  }
+  const edges = [];
+  for (const [a, neighbours] of links) {
+    for (const b of neighbours) {
+      const [i, j] = [index.get(a), index.get(b)];
+      if (i < j && j < numQubits) edges.push([i, j]);
+    }
+  }
+  return normalizeEdges(edges);
+}
+
+/** @param {Edge[]} edges */
+function normalizeEdges(edges) {
+  const keys = new Set(edges.map(([a, b]) => (a < b ? `${a},${b}` : `${b},${a}`)));
+  return [...keys]
+    .map((k) => /** @type {Edge} */ (k.split(",").map(Number)))
+    .sort((x, y) => x[0] - y[0] || x[1] - y[1]);
+}
+
+/**
+ * Edges of a preset topology sized for the circuit.
+ * @param {string} id - from TOPOLOGIES (not "custom")
+ * @param {number} numQubits
+ * @returns {Edge[] | null} null when every pair is coupled
+ */
+export function couplingMap(id, numQubits) {
+  const line = Array.from({ length: numQubits - 1 }, (_, i) => [i, i + 1]);
+  switch (id) {
+    case "all":
+      return null;
+    case "linear":
+      return normalizeEdges(line);
+    case "ring":
+      return normalizeEdges(numQubits > 2 ? [...line, [numQubits - 1, 0]] : line);
+    case "grid": {
+      const cols = Math.ceil(Math.sqrt(numQubits));
+      const edges = [];
+      for (let q = 0; q < numQubits; q++) {
+        if ((q + 1) % cols !== 0 && q + 1 < numQubits) edges.push([q, q + 1]);
+        if (q + cols < numQubits) edges.push([q, q + cols]);
+      }
+      return normalizeEdges(edges);
+    }
+    case "heavy-hex":
+      return heavyHex(numQubits);
+    default:
+      throw new Error(`Unknown topology "${id}".`);
+  }
+}
+
+/**
+ * Read a coupling map typed as JSON, e.g. `[[0, 1], [1, 2]]`.
+ * @param {string} text
+ * @param {number} numQubits
+ * @returns {Edge[]}
+ */
+export function parseCouplingMap(text, numQubits) {
+  const usage = "Coupling map must be a JSON list of qubit pairs such as [[0, 1], [1, 2]].";
+  let edges;
+  try {
+    edges = JSON.parse(text);
+  } catch {
+    throw new Error(usage);
+  }
+  if (!Array.isArray(edges)) throw new Error(usage);
+  for (const edge of edges) {
+    if (!Array.isArray(edge) || edge.length !== 2 || !edge.every(Number.isInteger)) {
+      throw new Error(usage);
+    }
+    const [a, b] = edge;
+    const outside = edge.find((q) => q < 0 || q >= numQubits);
+    if (outside !== undefined) {
+      throw new Error(
+        `Edge [${a}, ${b}] uses q${outside}, but the circuit has q0..q${numQubits - 1}.`
+      );
+    }
+    if (a === b) throw new Error(`Edge [${a}, ${b}] connects q${a} to itself.`);
+  }
+  return normalizeEdges(edges);
+}
+
+/** @param {Edge[]} edges */
+function neighbours(edges) {
+  /** @type {Record<number, number[]>} */
+  const out = {};
+  for (const [a, b] of edges) {
+    (out[a] = out[a] ?? []).push(b);
+    (out[b] = out[b] ?? []).push(a);
+  }
+  return out;
+}
+
+/**
+ * Ids of gates that need a pair of qubits the device doesn't couple.
+ * @param {Gate[]} gates
+ * @param {Edge[] | null} edges
+ * @returns {string[]}
+ */
+export function uncoupledGates(gates, edges) {
+  if (!edges) return [];
+  const coupled = new Set(edges.map(([a, b]) => `${a},${b}`));
+  const linked = (a, b) => coupled.has(a < b ? `${a},${b}` : `${b},${a}`);
+  return gates
+    .filter((g) => g.type !== "CUSTOM")
+    .filter((g) => {
+      const qubits = gateQubits(g);
+      return qubits.some((a, i) => qubits.slice(i + 1).some((b) => !linked(a, b)));
+    })
+    .map((g) => g.id);
+}
+
+/** Shortest path between two qubits, both ends included, or null if there is none. */
+function shortestPath(adjacent, from, to) {
+  const previous = { [from]: null };
+  const queue = [from];
+  while (queue.length) {
+    const q = queue.shift();
+    if (q === to) break;
+    for (const next of adjacent[q] ?? []) {
+      if (!(next in previous)) {
+        previous[next] = q;
+        queue.push(next);
+      }
+    }
+  }
+  if (!(to in previous)) return null;
+  const path = [to];
+  while (path[0] !== from) path.unshift(previous[path[0]]);
+  return path;
+}
+
+/**
+ * Insert SWAPs so every two-qubit gate acts on coupled qubits. Qubits start on the wires
+ * of the same number; before each gate on an uncoupled pair, its first qubit is swapped
+ * along a shortest path until it sits next to the other.
+ * @param {Gate[]} gates - on at most two qubits each (see splitWideGates)
+ * @param {Edge[]} edges
+ * @param {number} numQubits
+ * @returns {{ gates: Gate[], swaps: number, layout: number[] }} layout[q] is the wire
+ *   holding circuit qubit q at the end
+ */
+export function routeGates(gates, edges, numQubits) {
+  const adjacent = neighbours(edges);
+  const layout = Array.from({ length: numQubits }, (_, q) => q);
+  const sequence = [];
+  let swaps = 0;
+  for (const g of sortGates(gates)) {
+    const qubits = gateQubits(g);
+    if (qubits.length === 2) {
+      const [a, b] = qubits.map((q) => layout[q]);
+      const path = shortestPath(adjacent, a, b);
+      if (!path) {
+        const [low, high] = [a, b].sort((x, y) => x - y);
+        throw new Error(`q${low} and q${high} are not connected on this device.`);
+      }
+      for (let i = 0; i < path.length - 2; i++) {
+        const [from, to] = [path[i], path[i + 1]];
+        sequence.push(makeGate("SWAP", { column: 0, target: from, pair: to }));
+        swaps++;
+        const [x, y] = [layout.indexOf(from), layout.indexOf(to)];
+        [layout[x], layout[y]] = [to, from];
+      }
+    }
+    const moved = remapGate(g, (q) => layout[q], 0);
+    // A measurement follows its qubit to the new wire but still writes the qubit's own bit
+    if (g.type === "MEASURE") moved.clbit = measuredBit(g);
+    sequence.push(moved);
+  }
+  return { gates: scheduleGates(sequence), swaps, layout };
+}
+
+/**
+ * Make a circuit runnable on a device: split wide gates, route on the coupling map (if
+ * any) and translate into the native gate set. The result is laid out from t0.
+ * @param {Gate[]} gates - without custom gates
+ * @param {{ edges: Edge[] | null, nativeSet: string, numQubits: number }} device
+ * @returns {{ gates: Gate[], swaps: number, layout: number[] }}
+ */
+export function transpile(gates, { edges, nativeSet, numQubits }) {
+  let routed = { gates, swaps: 0, layout: Array.from({ length: numQubits }, (_, q) => q) };
+  if (edges) routed = routeGates(splitWideGates(gates), edges, numQubits);
+  const translated = translateGates(routed.gates, nativeSet);
+  return { ...routed, gates: scheduleGates(sortGates(translated)) };
+}
@@ -0,0 +1,125 @@
+import { couplingMap, parseCouplingMap, routeGates, transpile, uncoupledGates } from "./topology";
+import { gateQubits, makeGate } from "./gates";
+import { runCircuit, simulate } from "./simulator";
+
+const h = (column, target) => makeGate("H", { column, target });
+const cx = (column, control, target) => makeGate("CNOT", { column, target, controls: [control] });
+
+/** Edges as "a-b" strings, for compact expectations. */
+const pairs = (edges) => edges.map(([a, b]) => `${a}-${b}`);
+
+/** Whether the edges join all the qubits into one piece. */
+function connected(edges, numQubits) {
+  const seen = new Set([0]);
+  let grew = true;
+  while (grew) {
+    grew = false;
+    for (const [a, b] of edges) {
+      if (seen.has(a) !== seen.has(b)) {
+        seen.add(a).add(b);
+        grew = true;
+      }
+    }
+  }
+  return seen.size === numQubits;
+}
+
+// Routed state, read back in the original qubit order (up to global phase)
+function expectRoutedEquivalent(original, routed, layout, numQubits) {
+  const a = runCircuit(original, numQubits);
+  const b = runCircuit(routed, numQubits);
+  let re = 0;
+  let im = 0;
+  for (let i = 0; i < a.re.length; i++) {
+    let j = 0;
+    for (let q = 0; q < numQubits; q++) if (i & (1 << q)) j |= 1 << layout[q];
+    re += a.re[i] * b.re[j] + a.im[i] * b.im[j];
+    im += a.re[i] * b.im[j] - a.im[i] * b.re[j];
+  }
+  expect(Math.hypot(re, im)).toBeCloseTo(1, 10);
+}
+
+test("builds preset coupling maps", () => {
+  expect(couplingMap("all", 4)).toBeNull();
+  expect(pairs(couplingMap("linear", 4))).toEqual(["0-1", "1-2", "2-3"]);
+  expect(pairs(couplingMap("ring", 4))).toEqual(["0-1", "0-3", "1-2", "2-3"]);
+  expect(pairs(couplingMap("grid", 5))).toEqual(["0-1", "0-3", "1-2", "1-4", "3-4"]);
+  for (let n = 2; n <= 16; n++) {
+    const edges = couplingMap("heavy-hex", n);
+    expect(connected(edges, n)).toBe(true);
+    const degree = {};
+    for (const [a, b] of edges) for (const q of [a, b]) degree[q] = (degree[q] ?? 0) + 1;
+    expect(Math.max(...Object.values(degree))).toBeLessThanOrEqual(3);
+  }
+});
+
+test("reads a custom edge list", () => {
+  expect(parseCouplingMap("[[1, 0], [1, 2], [0, 1]]", 3)).toEqual([
+    [0, 1],
+    [1, 2],
+  ]);
+  expect(() => parseCouplingMap("0-1", 3)).toThrow("JSON list of qubit pairs");
+  expect(() => parseCouplingMap("[[0, 1, 2]]", 3)).toThrow("JSON list of qubit pairs");
+  expect(() => parseCouplingMap("[[0, 3]]", 3)).toThrow(
+    "Edge [0, 3] uses q3, but the circuit has q0..q2."
+  );
+  expect(() => parseCouplingMap("[[2, 2]]", 3)).toThrow("connects q2 to itself");
+});
+
+test("flags gates on uncoupled qubits", () => {
+  const gates = [
+    h(0, 0),
+    cx(1, 0, 1),
+    cx(2, 0, 2),
+    makeGate("CCX", { column: 3, target: 1, controls: [0, 2] }),
+  ];
+  const line = couplingMap("linear", 3);
+  expect(uncoupledGates(gates, line)).toEqual([gates[2].id, gates[3].id]);
+  expect(uncoupledGates(gates, null)).toEqual([]);
+});
+
+test("routes with SWAPs along the coupling map", () => {
+  const gates = [h(0, 0), cx(1, 0, 3), cx(2, 3, 1), h(3, 2), cx(4, 2, 0)];
+  const edges = couplingMap("linear", 4);
+  const { gates: routed, swaps, layout } = routeGates(gates, edges, 4);
+  expect(swaps).toBeGreaterThan(0);
+  expect(uncoupledGates(routed, edges)).toEqual([]);
+  expect(routed.filter((g) => g.type === "SWAP")).toHaveLength(swaps);
+  expectRoutedEquivalent(gates, routed, layout, 4);
+
+  expect(() => routeGates([cx(0, 0, 2)], [[0, 1]], 3)).toThrow(
+    "q0 and q2 are not connected on this device."
+  );
+});
+
+test("measurements still write their qubit's bit after routing", () => {
+  const measure = (column, target) => makeGate("MEASURE", { column, target });
+  const gates = [makeGate("X", { column: 0, target: 0 }), cx(1, 0, 2)];
+  gates.push(measure(2, 0), measure(2, 1), measure(2, 2));
+  const edges = couplingMap("linear", 3);
+  const out = transpile(gates, { edges, nativeSet: "ibm", numQubits: 3 });
+  expect(out.swaps).toBeGreaterThan(0);
+  const counts = (list) => simulate(list, 3, { shots: 50, seed: 1 }).counts;
+  expect(counts(gates)).toEqual({ 101: 50 });
+  expect(counts(out.gates)).toEqual(counts(gates));
+});
+
+test("transpiles for a device end to end", () => {
+  const gates = [
+    h(0, 0),
+    makeGate("CCX", { column: 1, target: 2, controls: [0, 3] }),
+    makeGate("CRY", { column: 2, target: 0, controls: [3], params: [{ angle: 0.8 }] }),
+    makeGate("SWAP", { column: 3, target: 1, pair: 3 }),
+  ];
+  for (const topology of ["linear", "ring", "grid", "heavy-hex"]) {
+    const edges = couplingMap(topology, 4);
+    const out = transpile(gates, { edges, nativeSet: "ibm", numQubits: 4 });
+    expect(uncoupledGates(out.gates, edges)).toEqual([]);
+    expect(out.gates.every((g) => ["CNOT", "RZ", "SX", "X"].includes(g.type))).toBe(true);
+    expect(out.gates.every((g) => gateQubits(g).length <= 2)).toBe(true);
+    expectRoutedEquivalent(gates, out.gates, out.layout, 4);
+  }
+  // Without a coupling map only the gate set changes
+  const free = transpile(gates, { edges: null, nativeSet: "any", numQubits: 4 });
+  expect(free).toEqual({ gates, swaps: 0, layout: [0, 1, 2, 3] });
+});
@@ -0,0 +1,131 @@
+// ------------------------------ Unitary Matrix ------------------------------
+// The matrix a circuit implements, and whether two circuits implement the same one up to
+// global phase. U is stored like the density matrix: entry U[r][c] sits at index r + c·2^n,
+// so running the gates on the low n bits of Σ|c⟩|c⟩ builds every column at once with the
+// statevector kernels. Final measurements are left out; dynamic circuits have no unitary.
+
+import { applyGate, sortGates } from "./simulator";
+import { isDynamic } from "./classical";
+
+/** @typedef {import("../QuantumCircuitBuilder").Gate} Gate */
+/** @typedef {import("./simulator").StateVector} StateVector */
+
+/** 4^n entries, as for the density matrix; 10 qubits is a million. */
+export const UNITARY_MAX_QUBITS = 10;
+
+/** Squared distance between columns below which they count as equal. */
+const TOLERANCE = 1e-9;
+
+/**
+ * @typedef {Object} Unitary
+ * @property {number} numQubits
+ * @property {Float64Array} re - length 4^numQubits, entry r + c·2^numQubits
+ * @property {Float64Array} im
+ */
+
+/**
+ * @typedef {Object} Equivalence
+ * @property {boolean} equivalent - equal up to global phase
+ * @property {number} numQubits - compared on the larger circuit's qubits; the other leaves
+ *   its missing qubits alone
+ * @property {number} phase - φ in (-π, π] with U_a = e^{iφ}·U_b, when equivalent
+ * @property {number | null} input - a basis state the two circuits map differently
+ * @property {[StateVector, StateVector] | null} outputs - what each makes of `input`
+ */
+
+/**
+ * The unitary of `gates` on `numQubits` qubits.
+ * @param {Gate[]} gates - expanded and bound, as for the simulator
+ * @param {number} numQubits
+ * @returns {Unitary}
+ * @throws {RangeError} beyond UNITARY_MAX_QUBITS
+ * @throws {Error} for circuits with mid-circuit measurement, reset or conditions
+ */
+export function circuitUnitary(gates, numQubits) {
+  if (!Number.isInteger(numQubits) || numQubits < 1 || numQubits > UNITARY_MAX_QUBITS) {
+    throw new RangeError(`The unitary supports 1..${UNITARY_MAX_QUBITS} qubits`);
+  }
+  if (isDynamic(gates)) {
+    throw new Error("Circuits with mid-circuit measurement, reset or conditions have no unitary");
+  }
+  const dim = 1 << numQubits;
+  const re = new Float64Array(dim * dim);
+  const im = new Float64Array(dim * dim);
+  for (let c = 0; c < dim; c++) re[c + c * dim] = 1;
+  const state = { numQubits: 2 * numQubits, re, im };
+  for (const g of sortGates(gates)) applyGate(state, g);
+  return { numQubits, re, im };
+}
+
+/**
+ * Column `c` of U: the state the circuit makes of the basis state |c⟩.
+ * @param {Unitary} u
+ * @param {number} c
+ * @returns {StateVector}
+ */
+export function unitaryColumn(u, c) {
+  const dim = 1 << u.numQubits;
+  return {
+    numQubits: u.numQubits,
+    re: u.re.slice(c * dim, (c + 1) * dim),
+    im: u.im.slice(c * dim, (c + 1) * dim),
+  };
+}
+
+/**
+ * Compare two unitaries of the same size up to global phase. The phase is read off the
+ * largest entry of the first column; the first column that disagrees under it is reported.
+ * @param {Unitary} a
+ * @param {Unitary} b
+ * @returns {Equivalence}
+ */
+export function compareUnitaries(a, b) {
+  if (a.numQubits !== b.numQubits) {
+    throw new RangeError(`Cannot compare ${a.numQubits}- and ${b.numQubits}-qubit unitaries`);
+  }
+  const dim = 1 << a.numQubits;
+  let k = 0;
+  for (let r = 1; r < dim; r++) {
+    if (Math.hypot(b.re[r], b.im[r]) > Math.hypot(b.re[k], b.im[k])) k = r;
+  }
+  const phase = Math.atan2(a.im[k], a.re[k]) - Math.atan2(b.im[k], b.re[k]);
+  const cos = Math.cos(phase);
+  const sin = Math.sin(phase);
+
+  for (let c = 0; c < dim; c++) {
+    let distance = 0;
+    for (let i = c * dim; i < (c + 1) * dim; i++) {
+      const dr = a.re[i] - (cos * b.re[i] - sin * b.im[i]);
+      const di = a.im[i] - (cos * b.im[i] + sin * b.re[i]);
+      distance += dr * dr + di * di;
+    }
+    if (distance > TOLERANCE) {
+      return {
+        equivalent: false,
+        numQubits: a.numQubits,
+        phase: 0,
+        input: c,
+        outputs: [unitaryColumn(a, c), unitaryColumn(b, c)],
+      };
+    }
+  }
+  return {
+    equivalent: true,
+    numQubits: a.numQubits,
+    phase: Math.atan2(sin, cos),
+    input: null,
+    outputs: null,
+  };
+}
+
+/**
+ * Whether two circuits implement the same operation up to global phase.
+ * @param {{ gates: Gate[], numQubits: number }} a
+ * @param {{ gates: Gate[], numQubits: number }} b
+ * @returns {Equivalence}
+ * @throws as circuitUnitary() does
+ */
+export function checkEquivalence(a, b) {
+  const numQubits = Math.max(a.numQubits, b.numQubits);
+  return compareUnitaries(circuitUnitary(a.gates, numQubits), circuitUnitary(b.gates, numQubits));
+}
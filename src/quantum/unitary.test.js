@@ -0,0 +1,81 @@
+import { checkEquivalence, circuitUnitary, compareUnitaries, unitaryColumn } from "./unitary";
+import { runCircuit } from "./simulator";
+import { g } from "./testing";
+
+const entries = ({ re, im }) => Array.from(re, (x, i) => [x, im[i]]);
+
+test("builds the matrix column by column", () => {
+  // CNOT with q0 as control: |01⟩ ↔ |11⟩, columns are inputs
+  const u = circuitUnitary([g("CNOT", 0, 1, { control: 0 })], 2);
+  const expected = [
+    [1, 0, 0, 0],
+    [0, 0, 0, 1],
+    [0, 0, 1, 0],
+    [0, 1, 0, 0],
+  ];
+  for (let r = 0; r < 4; r++) {
+    for (let c = 0; c < 4; c++) {
+      expect(u.re[r + 4 * c]).toBeCloseTo(expected[r][c]);
+      expect(u.im[r + 4 * c]).toBeCloseTo(0);
+    }
+  }
+});
+
+test("its first column is the state the circuit prepares", () => {
+  const gates = [
+    g("H", 0, 0),
+    g("RY", 0, 2, { angle: 0.4 }),
+    g("CNOT", 1, 1, { control: 0 }),
+    g("ISWAP", 2, 1, { pair: 2 }),
+    g("SDG", 3, 2),
+    g("MEASURE", 4, 0),
+  ];
+  const column = unitaryColumn(circuitUnitary(gates, 3), 0);
+  const state = runCircuit(gates, 3);
+  entries(column).forEach(([re, im], i) => {
+    expect(re).toBeCloseTo(state.re[i]);
+    expect(im).toBeCloseTo(state.im[i]);
+  });
+});
+
+test("refuses dynamic circuits and too many qubits", () => {
+  expect(() => circuitUnitary([g("RESET", 0, 0)], 1)).toThrow("have no unitary");
+  expect(() => circuitUnitary([], 11)).toThrow(RangeError);
+});
+
+test("three CNOTs are a SWAP", () => {
+  const swap = { numQubits: 2, gates: [g("SWAP", 0, 0, { pair: 1 })] };
+  const cnots = {
+    numQubits: 2,
+    gates: [
+      g("CNOT", 0, 1, { control: 0 }),
+      g("CNOT", 1, 0, { control: 1 }),
+      g("CNOT", 2, 1, { control: 0 }),
+    ],
+  };
+  expect(checkEquivalence(swap, cnots)).toMatchObject({ equivalent: true, input: null });
+});
+
+test("equal up to global phase, with the phase reported", () => {
+  // RZ(θ) = e^{-iθ/2}·P(θ)
+  const rz = { numQubits: 1, gates: [g("RZ", 0, 0, { angle: 1 })] };
+  const p = { numQubits: 1, gates: [g("P", 0, 0, { angle: 1 })] };
+  const result = checkEquivalence(rz, p);
+  expect(result.equivalent).toBe(true);
+  expect(result.phase).toBeCloseTo(-0.5);
+});
+
+test("reports an input the circuits map differently", () => {
+  // CZ and the identity only differ by a relative phase on |11⟩
+  const cz = { numQubits: 2, gates: [g("CZ", 0, 1, { control: 0 })] };
+  const identity = { numQubits: 1, gates: [] };
+  const result = checkEquivalence(cz, identity);
+  expect(result).toMatchObject({ equivalent: false, numQubits: 2, input: 3 });
+  const [a, b] = result.outputs;
+  expect(a.re[3]).toBeCloseTo(-1);
+  expect(b.re[3]).toBeCloseTo(1);
+
+  expect(() => compareUnitaries(circuitUnitary([], 1), circuitUnitary([], 2))).toThrow(
+    "Cannot compare 1- and 2-qubit unitaries"
+  );
+});
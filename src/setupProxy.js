@@ -0,0 +1,10 @@
+// Development server only: make the page cross-origin isolated so the Pyodide worker gets a
+// SharedArrayBuffer to interrupt running cells with (see src/pyodide.js). Production hosting
+// needs to send the same two headers.
+module.exports = function setupProxy(app) {
+  app.use((req, res, next) => {
+    res.setHeader("Cross-Origin-Opener-Policy", "same-origin");
+    res.setHeader("Cross-Origin-Embedder-Policy", "require-corp");
+    next();
+  });
+};
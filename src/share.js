@@ -0,0 +1,218 @@
+// ------------------------------ Shareable Links ------------------------------
+// A circuit packed into a URL fragment, `#c=1.<data>`: the version, then the layout as
+// compact JSON (gates become [type, column, target, {other fields}] without their ids),
+// LZW-compressed and written in base64url. Custom gate definitions and parameter values
+// the circuit uses travel with it, so a link opens on its own.
+
+import { gateProblems } from "./design";
+import { compositeCycleError, validateCompositeName } from "./quantum/composite";
+import { uid } from "./quantum/gates";
+import { gateSymbols } from "./quantum/parameters";
+import { MAX_QUBITS } from "./quantum/simulator";
+
+/** @typedef {import("./QuantumCircuitBuilder").Gate} Gate */
+/** @typedef {import("./quantum/composite").CompositeDefinition} CompositeDefinition */
+
+/**
+ * @typedef {Object} SharedDesign
+ * @property {number} numQubits
+ * @property {number} numColumns
+ * @property {Gate[]} gates
+ * @property {Record<string, CompositeDefinition>} customGates - those used
+ * @property {Record<string, number>} params - values of the symbols used
+ */
+
+/** Bump when the packed layout changes; older links are refused with a clear message. */
+export const SHARE_VERSION = 1;
+
+const PREFIX = "c=";
+const BASE64URL = "ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789-_";
+/** LZW starts from single ASCII characters; encodeURIComponent keeps the text ASCII. */
+const ALPHABET_SIZE = 128;
+/** Links with more time steps than this are refused rather than unpacked. */
+const MAX_COLUMNS = 1024;
+
+const bitLength = (n) => n.toString(2).length;
+
+/** ASCII text → base64url. Codes grow one bit wider each time the dictionary doubles. */
+function compress(text) {
+  const dict = new Map();
+  for (let i = 0; i < ALPHABET_SIZE; i++) dict.set(String.fromCharCode(i), i);
+  let out = "";
+  let buffer = 0;
+  let bits = 0;
+  const emit = (code) => {
+    const width = bitLength(dict.size);
+    for (let i = width - 1; i >= 0; i--) {
+      buffer = (buffer << 1) | ((code >> i) & 1);
+      if (++bits === 6) {
+        out += BASE64URL[buffer];
+        buffer = 0;
+        bits = 0;
+      }
+    }
+  };
+  let word = "";
+  for (const ch of text) {
+    if (dict.has(word + ch)) {
+      word += ch;
+      continue;
+    }
+    emit(dict.get(word));
+    dict.set(word + ch, dict.size);
+    word = ch;
+  }
+  if (word) emit(dict.get(word));
+  if (bits > 0) out += BASE64URL[buffer << (6 - bits)];
+  return out;
+}
+
+/** Inverse of compress. */
+function decompress(data) {
+  const values = Array.from(data, (ch) => {
+    const v = BASE64URL.indexOf(ch);
+    if (v < 0) throw new Error(`Unexpected character "${ch}".`);
+    return v;
+  });
+  const totalBits = values.length * 6;
+  let pos = 0;
+  const read = (width) => {
+    let code = 0;
+    for (let i = 0; i < width; i++, pos++) {
+      code = (code << 1) | ((values[Math.floor(pos / 6)] >> (5 - (pos % 6))) & 1);
+    }
+    return code;
+  };
+
+  const dict = Array.from({ length: ALPHABET_SIZE }, (_, i) => String.fromCharCode(i));
+  // The encoder had added one more entry than the decoder has when it wrote each code
+  // after the first, so widths are taken one entry ahead
+  let width = bitLength(dict.length);
+  if (totalBits < width) return "";
+  let prev = dict[read(width)];
+  let text = prev;
+  while (totalBits - pos >= (width = bitLength(dict.length + 1))) {
+    const code = read(width);
+    let entry;
+    if (code < dict.length) entry = dict[code];
+    else if (code === dict.length) entry = prev + prev[0];
+    else throw new Error("Corrupted data.");
+    text += entry;
+    dict.push(prev + entry[0]);
+    prev = entry;
+  }
+  return text;
+}
+
+/** Gate → [type, column, target] plus an object of its other fields, if any. */
+function packGate({ id, type, column, target, ...rest }) {
+  return Object.keys(rest).length ? [type, column, target, rest] : [type, column, target];
+}
+
+/** Packed gate → gate under a new id; the fields are checked later with gateProblems(). */
+function unpackGate(packed) {
+  if (!Array.isArray(packed)) return packed;
+  const [type, column, target, rest] = packed;
+  return { ...rest, id: uid(type), type, column, target };
+}
+
+/** Custom gates used by `gates`, including those used inside their definitions. */
+function usedDefinitions(gates, customGates) {
+  const used = {};
+  const visit = (list) => {
+    for (const g of list) {
+      if (g.type !== "CUSTOM" || used[g.name] || !customGates[g.name]) continue;
+      used[g.name] = customGates[g.name];
+      visit(customGates[g.name].gates);
+    }
+  };
+  visit(gates);
+  return used;
+}
+
+/**
+ * URL fragment (without "#") for a design.
+ * @param {{ numQubits: number, numColumns: number, gates: Gate[],
+ *   customGates?: Record<string, CompositeDefinition>,
+ *   params?: Record<string, number> }} design
+ * @returns {string}
+ */
+export function encodeShare({ numQubits, numColumns, gates, customGates = {}, params = {} }) {
+  const defs = usedDefinitions(gates, customGates);
+  const all = [...gates, ...Object.values(defs).flatMap((d) => d.gates)];
+  const values = Object.fromEntries(
+    gateSymbols(all)
+      .filter((s) => s in params)
+      .map((s) => [s, params[s]])
+  );
+  const packed = { q: numQubits, t: numColumns, g: gates.map(packGate) };
+  if (Object.keys(defs).length) {
+    packed.d = Object.values(defs).map((d) => ({ ...d, gates: d.gates.map(packGate) }));
+  }
+  if (Object.keys(values).length) packed.p = values;
+  return `${PREFIX}${SHARE_VERSION}.${compress(encodeURIComponent(JSON.stringify(packed)))}`;
+}
+
+/**
+ * The design in a URL fragment, or null when the fragment isn't a circuit link.
+ * @param {string} hash - with or without the leading "#"
+ * @returns {SharedDesign | null}
+ * @throws {Error} when the link is damaged, from another format version, or describes an
+ *   impossible circuit
+ */
+export function decodeShare(hash) {
+  const fragment = hash.replace(/^#/, "");
+  if (!fragment.startsWith(PREFIX)) return null;
+  const m = /^(\d+)\.([\w-]*)$/.exec(fragment.slice(PREFIX.length));
+  if (!m) throw new Error("The link is incomplete.");
+  const version = Number(m[1]);
+  if (version > SHARE_VERSION) {
+    throw new Error(
+      `The link is from a newer version of the app (format ${version}); update to open it.`
+    );
+  }
+  if (version !== SHARE_VERSION) {
+    throw new Error(`The link uses an old or unsupported format (${version}); it can't be opened.`);
+  }
+
+  let packed;
+  try {
+    packed = JSON.parse(decodeURIComponent(decompress(m[2])));
+  } catch (e) {
+    throw new Error("The link is damaged; copy it again.");
+  }
+  const { q: numQubits, t: numColumns } = packed ?? {};
+  if (!Number.isInteger(numQubits) || numQubits < 1 || numQubits > MAX_QUBITS) {
+    throw new Error(`The link needs 1..${MAX_QUBITS} qubits.`);
+  }
+  if (!Number.isInteger(numColumns) || numColumns < 1 || numColumns > MAX_COLUMNS) {
+    throw new Error(`The link needs 1..${MAX_COLUMNS} time steps.`);
+  }
+  if (!Array.isArray(packed.g)) throw new Error("The link has no gates.");
+
+  const customGates = {};
+  for (const def of Array.isArray(packed.d) ? packed.d : []) {
+    if (!def || typeof def.name !== "string" || !Array.isArray(def.gates)) {
+      throw new Error("A custom gate in the link is malformed.");
+    }
+    // The name becomes an identifier in generated code, so it must be a plain one
+    const problem = validateCompositeName(def.name);
+    if (problem) throw new Error(`Custom gate ${def.name}: ${problem}`);
+    customGates[def.name] = { ...def, gates: def.gates.map(unpackGate) };
+  }
+  const gates = packed.g.map(unpackGate);
+
+  const problems = Object.values(customGates).flatMap((def) =>
+    gateProblems(def.gates, def, customGates, `Custom gate ${def.name}, `)
+  );
+  problems.push(...gateProblems(gates, { numQubits, numColumns }, customGates));
+  if (problems.length) throw new Error(problems[0]);
+  const cycle = compositeCycleError(customGates);
+  if (cycle) throw new Error(cycle);
+
+  const params = {};
+  for (const [name, value] of Object.entries(packed.p ?? {})) {
+    if (typeof value === "number") params[name] = value;
+  }
+  return { numQubits, numColumns, gates, customGates, params };
+}
@@ -0,0 +1,119 @@
+import { decodeShare, encodeShare, SHARE_VERSION } from "./share";
+
+const withoutIds = (gates) => gates.map(({ id, ...g }) => g);
+
+const design = {
+  numQubits: 3,
+  numColumns: 12,
+  gates: [
+    { id: "h", type: "H", column: 0, target: 0 },
+    { id: "cx", type: "CNOT", column: 1, target: 1, control: 0 },
+    { id: "ry", type: "RY", column: 2, target: 2, expr: "2*theta" },
+    { id: "b", type: "CUSTOM", name: "bell", column: 3, target: 1, qubits: [1, 2] },
+    { id: "x", type: "X", column: 4, target: 0, condition: { clbit: 2, value: 1 } },
+  ],
+  customGates: {
+    bell: {
+      name: "bell",
+      numQubits: 2,
+      numColumns: 2,
+      gates: [
+        { id: "bh", type: "H", column: 0, target: 0 },
+        { id: "bcx", type: "CNOT", column: 1, target: 1, control: 0 },
+      ],
+    },
+    unused: { name: "unused", numQubits: 1, numColumns: 1, gates: [] },
+  },
+  params: { theta: 0.25, other: 1 },
+};
+
+test("round-trips a design through the URL fragment", () => {
+  const fragment = encodeShare(design);
+  expect(fragment).toMatch(new RegExp(`^c=${SHARE_VERSION}\\.[\\w-]+$`));
+  const shared = decodeShare(`#${fragment}`);
+  expect(shared.numQubits).toBe(3);
+  expect(shared.numColumns).toBe(12);
+  expect(withoutIds(shared.gates)).toEqual(withoutIds(design.gates));
+  expect(new Set(shared.gates.map((g) => g.id)).size).toBe(design.gates.length);
+  expect(Object.keys(shared.customGates)).toEqual(["bell"]);
+  expect(withoutIds(shared.customGates.bell.gates)).toEqual(
+    withoutIds(design.customGates.bell.gates)
+  );
+  expect(shared.params).toEqual({ theta: 0.25 });
+});
+
+test("compresses repetitive circuits", () => {
+  const gates = Array.from({ length: 60 }, (_, i) => ({
+    id: `g${i}`,
+    type: i % 2 ? "CNOT" : "H",
+    column: i,
+    target: i % 5,
+    ...(i % 2 ? { control: (i + 1) % 5 } : {}),
+  }));
+  const fragment = encodeShare({ numQubits: 5, numColumns: 60, gates });
+  expect(fragment.length).toBeLessThan(JSON.stringify(withoutIds(gates)).length / 2);
+  expect(withoutIds(decodeShare(fragment).gates)).toEqual(withoutIds(gates));
+});
+
+test("asks for an update only for links from a newer format", () => {
+  expect(() => decodeShare("#c=9.abc")).toThrow(
+    "The link is from a newer version of the app (format 9); update to open it."
+  );
+});
+
+test("reports links in an older format as unsupported", () => {
+  expect(() => decodeShare("#c=0.abc")).toThrow(
+    "The link uses an old or unsupported format (0); it can't be opened."
+  );
+});
+
+test("ignores other fragments and explains broken links", () => {
+  expect(decodeShare("")).toBeNull();
+  expect(decodeShare("#results")).toBeNull();
+  expect(() => decodeShare("#c=1")).toThrow("The link is incomplete.");
+  expect(() => decodeShare("#c=1.zzzz")).toThrow("The link is damaged");
+
+  const bad = (g) => `#${encodeShare({ numQubits: 2, numColumns: 2, gates: g })}`;
+  expect(() => decodeShare(bad([{ type: "FOO", column: 0, target: 0 }]))).toThrow(
+    'Gate 1 (FOO at t0): "FOO" is not a gate type.'
+  );
+  expect(() =>
+    decodeShare(
+      bad([
+        { type: "H", column: 0, target: 0 },
+        { type: "X", column: 0, target: 0 },
+      ])
+    )
+  ).toThrow("Gate 2 (X at t0): q0 is already occupied at t0.");
+  expect(() =>
+    decodeShare(bad([{ type: "CUSTOM", name: "gone", column: 0, target: 0, qubits: [0] }]))
+  ).toThrow('Gate 1 (CUSTOM at t0): uses the undefined custom gate "gone".');
+  expect(() => decodeShare(`#${encodeShare({ ...design, numQubits: 0 })}`)).toThrow(
+    "The link needs 1..16 qubits."
+  );
+});
+
+test("rejects custom gate names that generated code can't use", () => {
+  const named = (name) => {
+    const bell = { ...design.customGates.bell, name };
+    const gates = [{ id: "b", type: "CUSTOM", name, column: 0, target: 0, qubits: [0, 1] }];
+    return `#${encodeShare({ numQubits: 2, numColumns: 1, gates, customGates: { [name]: bell } })}`;
+  };
+  const injected = "bell_x = 1; __import__('os').system('echo pwned'); bell_y";
+  expect(() => decodeShare(named(injected))).toThrow(
+    "Use letters, digits and _ (not starting with a digit)."
+  );
+  expect(() => decodeShare(named("cx"))).toThrow("Custom gate cx: 'cx' is a built-in gate name.");
+});
+
+test("rejects custom gates that contain themselves", () => {
+  const uses = (name) => ({ id: name, type: "CUSTOM", name, column: 0, target: 0, qubits: [0] });
+  const def = (name, inner) => ({ name, numQubits: 1, numColumns: 1, gates: [uses(inner)] });
+  const link = encodeShare({
+    numQubits: 1,
+    numColumns: 1,
+    gates: [uses("a")],
+    customGates: { a: def("a", "b"), b: def("b", "a") },
+  });
+  expect(() => decodeShare(`#${link}`)).toThrow("Custom gate 'a' contains itself.");
+});